@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the miner price tracker', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1, name: /miner price tracker/i })).toBeInTheDocument();
+  expect(await screen.findByText(/no miners match your current filters/i)).toBeInTheDocument();
 });
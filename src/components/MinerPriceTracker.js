@@ -16,6 +16,7 @@ import {
   ResponsiveContainer,
   BarChart,
   Bar,
+  ReferenceLine,
 } from "recharts";
 import {
   Upload,
@@ -45,24 +46,104 @@ import {
   XCircle, // For Error
   Loader2, // For Processing
   Archive, // For Cleanup
+  Calculator, // For Projections
+  Bell, // For Price Alerts
+  Undo2, // For the Change Journal
+  Redo2,
 } from "lucide-react";
 import Papa from "papaparse";
 import * as XLSX from "xlsx";
-
-// Storage configuration
-const STORAGE_VERSION = "1.1.0"; // Incremented version for new structure
-const STORAGE_KEYS = {
-  miners: "minerTracker_miners",
-  priceHistory: "minerTracker_priceHistory",
-  knownMiners: "minerTracker_knownMiners",
-  minerSpecs: "minerTracker_minerSpecs",
-  uploadHistory: "minerTracker_uploadHistory",
-  maxPrices: "minerTracker_maxPrices",
-  previousPrices: "minerTracker_previousPrices",
-  version: "minerTracker_version",
-  lastSaved: "minerTracker_lastSaved",
-  dataMigrationV2: "minerTracker_dataMigrationV2_TimestampAndIntraday", // Migration flag
-};
+import { STORAGE_KEYS, STORAGE_VERSION } from "../utils/storageConfig";
+import {
+  DEFAULT_SOURCE,
+  buildSourceDailyEntries,
+  entrySource,
+  normalizeSourceName,
+  restructurePriceHistory,
+  withHistoryPower,
+} from "../utils/priceHistory";
+import { mergeBackupData, validateAndUpgradeBackup } from "../utils/backup";
+import {
+  EMPTY_ALIAS_REGISTRY,
+  detectAliasGroups,
+  mergeMinerAlias,
+  resolveCanonicalName,
+  splitMinerAlias,
+} from "../utils/minerIdentity";
+import {
+  COOLING_TYPES,
+  DEFAULT_SPEC_CATALOG,
+  SPEC_CATALOG_FIELDS,
+  buildSpecCatalogIndex,
+  createSpecId,
+  findSpecInIndex,
+  isCompleteSpecEntry,
+  normalizeSpecEntry,
+} from "../utils/specCatalog";
+import {
+  SPEC_MATCH_AUTO_CONFIDENCE,
+  SPEC_MATCH_REVIEW_CONFIDENCE,
+  estimateSpecPower,
+  parseListingName,
+  rankSpecCandidates,
+} from "../utils/specMatching";
+import {
+  DEFAULT_PROFITABILITY_SETTINGS,
+  EMPTY_METRIC_FILTERS,
+  btcPerThPerDay,
+  calculateMinerProfitability,
+  matchesMetricFilters,
+} from "../utils/profitability";
+import { EFFICIENCY_TIERS, buildMarketPriceIndex, efficiencyTierIndex } from "../utils/marketIndex";
+import {
+  DEFAULT_PROJECTION_SETTINGS,
+  PROJECTION_MONTH_OPTIONS,
+  SERIES_COLORS,
+  latestHistoryPrice,
+  projectMinerCashFlow,
+} from "../utils/projection";
+import {
+  ALERT_CONDITIONS,
+  ALERT_INBOX_LIMIT,
+  compileNamePattern,
+  createAlertRule,
+  evaluateAlertRules,
+} from "../utils/priceAlerts";
+import {
+  HISTORY_RANGE_PRESETS,
+  MOVING_AVERAGE_WINDOWS,
+  buildPriceHistoryPoints,
+  filterPointsByRange,
+} from "../utils/priceHistoryChart";
+import { DEFAULT_DELIST_THRESHOLD, LISTING_FILTERS, computeListingStatus, createRelistAlerts } from "../utils/listingStatus";
+import { COLUMN_FIELDS, detectHeaderRow, headerSignature, parseMappedRow } from "../utils/columnMapping";
+import { MAX_UPLOAD_BYTES, inferUploadDate } from "../utils/uploadDates";
+import { DEFAULT_SANITY_SETTINGS, SANITY_CHECKS, SANITY_SEVERITIES, runSanityChecks } from "../utils/sanityChecks";
+import {
+  DEFAULT_DUPLICATE_POLICY,
+  DUPLICATE_POLICIES,
+  describeDuplicateGroups,
+  resolveDuplicates,
+} from "../utils/duplicateRows";
+import {
+  applyUploadToState,
+  isReplayableUpload,
+  rebuildStateBeforeUpload,
+  replayUploadsWithout,
+  uploadRecordNames,
+} from "../utils/uploadDeltas";
+import { DEFAULT_RETENTION_POLICY, RETENTION_AGGREGATE_INTERVALS, applyRetentionPolicy } from "../utils/retention";
+import { COMPARISON_MODES, buildComparisonSeries } from "../utils/comparisonChart";
+import { diffPreviewFields, formatDiffValue } from "../utils/previewDiff";
+import { EDITABLE_MINER_FIELDS, EDIT_LOG_LIMIT, applyMinerEdit, revertMinerEdit } from "../utils/minerEdits";
+import {
+  JOURNAL_UNDO_LIMIT,
+  appendJournalEntry,
+  applyJournalDiff,
+  countJournalChanges,
+  diffJournalState,
+  findReplayBlockers,
+} from "../utils/changeJournal";
 
 // Compression utilities (remains the same)
 const compressData = (data) => {
@@ -83,7 +164,20 @@ const decompressData = (data) => {
   }
 };
 
-// Storage utilities (remains the same)
+const isQuotaError = (error) =>
+  !!error && (error.name === "QuotaExceededError" || (error.message && error.message.toLowerCase().includes("quota")));
+
+const handleSaveError = (error, key, backendName) => {
+  if (isQuotaError(error)) {
+    console.error(`${backendName} quota exceeded for key:`, key);
+    alert(`Error: ${backendName} quota exceeded. Unable to save data. Please clear some space or export your data.`);
+    return false;
+  }
+  console.error("Storage error for key ", key, ":", error);
+  return false;
+};
+
+// Storage utilities (localStorage; also the fallback when IndexedDB is unavailable)
 const storageUtils = {
   save: (key, data) => {
     try {
@@ -92,13 +186,7 @@ const storageUtils = {
       localStorage.setItem(STORAGE_KEYS.lastSaved, new Date().toISOString());
       return true;
     } catch (error) {
-      if (error.name === "QuotaExceededError" || (error.message && error.message.includes("quota"))) {
-        console.error("LocalStorage quota exceeded for key:", key);
-        alert("Error: LocalStorage quota exceeded. Unable to save data. Please clear some space or export your data.");
-        return false;
-      }
-      console.error("Storage error for key ", key, ":", error);
-      return false;
+      return handleSaveError(error, key, "LocalStorage");
     }
   },
   load: (key, defaultValue = null) => {
@@ -147,6 +235,227 @@ const storageUtils = {
   },
 };
 
+// --- IndexedDB Storage ---
+// Same save/load/remove/clearAll/getStorageSize surface as storageUtils, but async.
+// Price history lives in its own object store keyed by miner name so it can be saved per miner.
+const IDB_NAME = "minerTracker";
+const IDB_VERSION = 1;
+const IDB_STORES = { kv: "kv", priceHistory: "priceHistory" };
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const idbTransactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+});
+
+let idbOpenPromise = null;
+const openIdb = () => {
+  if (!idbOpenPromise) {
+    idbOpenPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(IDB_STORES).forEach(storeName => {
+          if (!db.objectStoreNames.contains(storeName)) db.createObjectStore(storeName);
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      idbOpenPromise = null; // Allow a later retry
+      throw error;
+    });
+  }
+  return idbOpenPromise;
+};
+
+// Serialized size per record ("store:key" -> chars), kept in sync on every write so size reporting needs no full scan
+const idbRecordSizes = new Map();
+let idbRecordSizesLoaded = false;
+const recordSize = (key, value) => (compressData(value)?.length || 0) + String(key).length;
+
+const idbStorage = {
+  backendName: "IndexedDB",
+  save: async (key, data) => {
+    try {
+      const db = await openIdb();
+      const savedAt = new Date().toISOString();
+      if (key === STORAGE_KEYS.priceHistory) { // Full rewrite; prefer saveMinerHistories for incremental saves
+        const tx = db.transaction([IDB_STORES.priceHistory, IDB_STORES.kv], "readwrite");
+        const historyStore = tx.objectStore(IDB_STORES.priceHistory);
+        historyStore.clear();
+        Object.entries(data || {}).forEach(([minerName, historyData]) => historyStore.put(historyData, minerName));
+        tx.objectStore(IDB_STORES.kv).put(savedAt, STORAGE_KEYS.lastSaved);
+        await idbTransactionDone(tx);
+        Array.from(idbRecordSizes.keys()).forEach(k => { if (k.startsWith(`${IDB_STORES.priceHistory}:`)) idbRecordSizes.delete(k); });
+        Object.entries(data || {}).forEach(([minerName, historyData]) => {
+          idbRecordSizes.set(`${IDB_STORES.priceHistory}:${minerName}`, recordSize(minerName, historyData));
+        });
+      } else {
+        const tx = db.transaction(IDB_STORES.kv, "readwrite");
+        const kvStore = tx.objectStore(IDB_STORES.kv);
+        kvStore.put(data, key);
+        kvStore.put(savedAt, STORAGE_KEYS.lastSaved);
+        await idbTransactionDone(tx);
+        idbRecordSizes.set(`${IDB_STORES.kv}:${key}`, recordSize(key, data));
+      }
+      idbRecordSizes.set(`${IDB_STORES.kv}:${STORAGE_KEYS.lastSaved}`, recordSize(STORAGE_KEYS.lastSaved, savedAt));
+      return true;
+    } catch (error) {
+      return handleSaveError(error, key, "IndexedDB");
+    }
+  },
+  // Writes only the given miners' histories: { minerName: { daily, intraday } }
+  saveMinerHistories: async (updates, removedNames = []) => {
+    try {
+      const db = await openIdb();
+      const savedAt = new Date().toISOString();
+      const tx = db.transaction([IDB_STORES.priceHistory, IDB_STORES.kv], "readwrite");
+      const historyStore = tx.objectStore(IDB_STORES.priceHistory);
+      Object.entries(updates).forEach(([minerName, historyData]) => historyStore.put(historyData, minerName));
+      removedNames.forEach(minerName => historyStore.delete(minerName));
+      tx.objectStore(IDB_STORES.kv).put(savedAt, STORAGE_KEYS.lastSaved);
+      await idbTransactionDone(tx);
+      Object.entries(updates).forEach(([minerName, historyData]) => {
+        idbRecordSizes.set(`${IDB_STORES.priceHistory}:${minerName}`, recordSize(minerName, historyData));
+      });
+      removedNames.forEach(minerName => idbRecordSizes.delete(`${IDB_STORES.priceHistory}:${minerName}`));
+      idbRecordSizes.set(`${IDB_STORES.kv}:${STORAGE_KEYS.lastSaved}`, recordSize(STORAGE_KEYS.lastSaved, savedAt));
+      return true;
+    } catch (error) {
+      return handleSaveError(error, STORAGE_KEYS.priceHistory, "IndexedDB");
+    }
+  },
+  load: async (key, defaultValue = null) => {
+    try {
+      const db = await openIdb();
+      if (key === STORAGE_KEYS.priceHistory) {
+        const tx = db.transaction(IDB_STORES.priceHistory, "readonly");
+        const historyStore = tx.objectStore(IDB_STORES.priceHistory);
+        const [names, histories] = await Promise.all([
+          idbRequest(historyStore.getAllKeys()),
+          idbRequest(historyStore.getAll()),
+        ]);
+        if (names.length === 0) return defaultValue;
+        const history = {};
+        names.forEach((minerName, idx) => { history[minerName] = histories[idx]; });
+        return history;
+      }
+      const tx = db.transaction(IDB_STORES.kv, "readonly");
+      const value = await idbRequest(tx.objectStore(IDB_STORES.kv).get(key));
+      return value === undefined || value === null ? defaultValue : value;
+    } catch (error) {
+      console.error("Load error for key ", key, ":", error);
+      return defaultValue;
+    }
+  },
+  remove: async (key) => {
+    try {
+      const db = await openIdb();
+      const storeName = key === STORAGE_KEYS.priceHistory ? IDB_STORES.priceHistory : IDB_STORES.kv;
+      const tx = db.transaction(storeName, "readwrite");
+      if (storeName === IDB_STORES.priceHistory) tx.objectStore(storeName).clear();
+      else tx.objectStore(storeName).delete(key);
+      await idbTransactionDone(tx);
+      Array.from(idbRecordSizes.keys()).forEach(k => {
+        if (storeName === IDB_STORES.priceHistory ? k.startsWith(`${storeName}:`) : k === `${storeName}:${key}`) idbRecordSizes.delete(k);
+      });
+      return true;
+    } catch (error) {
+      console.error("Remove error for key ", key, ":", error);
+      return false;
+    }
+  },
+  clearAll: async () => {
+    try {
+      const db = await openIdb();
+      const tx = db.transaction(Object.values(IDB_STORES), "readwrite");
+      Object.values(IDB_STORES).forEach(storeName => tx.objectStore(storeName).clear());
+      await idbTransactionDone(tx);
+      idbRecordSizes.clear();
+      storageUtils.clearAll(); // Remove any leftover localStorage copies too
+      return true;
+    } catch (error) {
+      console.error("Clear all error:", error);
+      return false;
+    }
+  },
+  getStorageSize: async () => {
+    try {
+      if (!idbRecordSizesLoaded) {
+        const db = await openIdb();
+        for (const storeName of Object.values(IDB_STORES)) {
+          const tx = db.transaction(storeName, "readonly");
+          const store = tx.objectStore(storeName);
+          const [keys, values] = await Promise.all([idbRequest(store.getAllKeys()), idbRequest(store.getAll())]);
+          keys.forEach((key, idx) => idbRecordSizes.set(`${storeName}:${key}`, recordSize(key, values[idx])));
+        }
+        idbRecordSizesLoaded = true;
+      }
+      let total = 0;
+      idbRecordSizes.forEach(size => { total += size; });
+      return (total / 1024).toFixed(2); // KB
+    } catch (error) {
+      console.error("Storage size error:", error);
+      return "0.00";
+    }
+  },
+  // One-time copy of the minerTracker_* localStorage keys into IndexedDB. Returns the number of keys copied.
+  migrateFromLocalStorage: async () => {
+    if (storageUtils.load(STORAGE_KEYS.indexedDbMigration)) return 0;
+    const keysToCopy = [
+      STORAGE_KEYS.miners, STORAGE_KEYS.priceHistory, STORAGE_KEYS.knownMiners, STORAGE_KEYS.minerSpecs,
+      STORAGE_KEYS.uploadHistory, STORAGE_KEYS.maxPrices, STORAGE_KEYS.previousPrices,
+    ];
+    let copied = 0;
+    for (const key of keysToCopy) {
+      const value = storageUtils.load(key);
+      if (value === null || value === undefined) continue;
+      if (!(await idbStorage.save(key, value))) {
+        throw new Error(`Could not copy ${key} into IndexedDB`);
+      }
+      copied++;
+    }
+    // Only drop the localStorage copies once everything is safely in IndexedDB
+    keysToCopy.forEach(key => storageUtils.remove(key));
+    storageUtils.save(STORAGE_KEYS.indexedDbMigration, true);
+    return copied;
+  },
+};
+
+// Async wrapper over storageUtils so the component can use either backend the same way
+const localStorageBackend = {
+  backendName: "localStorage",
+  save: async (key, data) => storageUtils.save(key, data),
+  saveMinerHistories: async (updates, removedNames = []) => {
+    const history = { ...storageUtils.load(STORAGE_KEYS.priceHistory, {}), ...updates };
+    removedNames.forEach(minerName => delete history[minerName]);
+    return storageUtils.save(STORAGE_KEYS.priceHistory, history);
+  },
+  load: async (key, defaultValue = null) => storageUtils.load(key, defaultValue),
+  remove: async (key) => storageUtils.remove(key),
+  clearAll: async () => storageUtils.clearAll(),
+  getStorageSize: async () => storageUtils.getStorageSize(),
+  migrateFromLocalStorage: async () => 0,
+};
+
+// IndexedDB when the browser allows it (private modes and test environments may not)
+const resolveStorageBackend = async () => {
+  if (typeof indexedDB === "undefined" || indexedDB === null) return localStorageBackend;
+  try {
+    await openIdb();
+    return idbStorage;
+  } catch (error) {
+    console.warn("IndexedDB unavailable, falling back to localStorage:", error);
+    return localStorageBackend;
+  }
+};
+
 const MinerPriceTracker = () => {
   const [miners, setMiners] = useState([]); // Current snapshot of miners for display
   const [priceHistory, setPriceHistory] = useState({}); // { minerName: { daily: [], intraday: [] } }
@@ -159,6 +468,22 @@ const MinerPriceTracker = () => {
   const [knownMiners, setKnownMiners] = useState(new Set());
   const [newMinersLastUpload, setNewMinersLastUpload] = useState(new Set()); // Miners new in the very last upload batch
   const [showOnlyNew, setShowOnlyNew] = useState(false);
+  const [listingFilter, setListingFilter] = useState("all"); // 'all' | 'active' | 'delisted'
+  const [delistThreshold, setDelistThreshold] = useState(DEFAULT_DELIST_THRESHOLD);
+
+  // --- Upload Sanity Checks ---
+  const [sanityCheckSettings, setSanityCheckSettings] = useState(DEFAULT_SANITY_SETTINGS);
+  const [showSanitySettings, setShowSanitySettings] = useState(false);
+
+  // --- Inline Edits ---
+  const [editingCell, setEditingCell] = useState(null); // { name, field, value } while a table cell is being edited
+  const [editLog, setEditLog] = useState([]); // [{ id, minerName, entryUploadId, dataDate, changes, timestamp, revertedAt }]
+  const [showEditLog, setShowEditLog] = useState(false);
+  const [retentionPolicy, setRetentionPolicy] = useState(DEFAULT_RETENTION_POLICY);
+  const [showRetentionPolicy, setShowRetentionPolicy] = useState(false);
+
+  // --- Change Journal ---
+  const [journal, setJournal] = useState([]); // [{ id, label, timestamp, minerCount, minerNames, uploadCount, status, kind, diff }], diff on the newest JOURNAL_UNDO_LIMIT only
   const [minerSpecs, setMinerSpecs] = useState({});
   const [uploadHistory, setUploadHistory] = useState([]);
   const [selectedFile, setSelectedFile] = useState(null);
@@ -168,164 +493,76 @@ const MinerPriceTracker = () => {
   const [lastSaved, setLastSaved] = useState(null);
   const [saveStatus, setSaveStatus] = useState("saved");
   const saveTimeoutRef = useRef(null);
+  const storageRef = useRef(localStorageBackend); // Resolved to IndexedDB on mount when available
+  const lastSavedRef = useRef({}); // State references as of the last successful save, per field
+  const [storageReady, setStorageReady] = useState(false);
+  const [storageSize, setStorageSize] = useState("0.00"); // KB
 
   // --- Phase 2: Merge Strategy ---
   const [mergeStrategy, setMergeStrategy] = useState("merge"); // 'replace', 'merge', 'append'
+  const [uploadSource, setUploadSource] = useState(""); // Vendor tag for the next upload
   const [showUploadPreview, setShowUploadPreview] = useState(false);
   const [uploadPreview, setUploadPreview] = useState(null);
   const [stagedNewMiners, setStagedNewMiners] = useState(null); // Parsed data from file, awaiting confirmation
   const [stagedUploadFileName, setStagedUploadFileName] = useState("");
+  const [stagedRawRows, setStagedRawRows] = useState(null); // Raw sheet rows, kept so the column mapping can be changed
+  const [excludedUploadIds, setExcludedUploadIds] = useState(new Set()); // Preview rows (by entry uploadId) left out of the upload
+  const [keptRemovedMiners, setKeptRemovedMiners] = useState(new Set()); // 'Replace' removals deselected in the preview
+  const [duplicatePolicy, setDuplicatePolicy] = useState(DEFAULT_DUPLICATE_POLICY); // Chosen per upload in the preview
+  const [pendingRollback, setPendingRollback] = useState(null); // { uploadId, fileName, timestamp, laterCount, canReplay } while choosing
+  const [columnMapping, setColumnMapping] = useState(null); // { headerRowIndex, headers, signature, mapping, profileName }
+  const [columnProfiles, setColumnProfiles] = useState([]); // Saved vendor profiles: [{ name, signature, headers, mapping }]
+  const [profileNameInput, setProfileNameInput] = useState("");
+  const [batchQueue, setBatchQueue] = useState(null); // Multi-file upload queue: [{ id, fileName, rows, columnMapping, date, dateSource, entries, preview, error }]
+
+  // --- Miner Identity & Aliases ---
+  const [minerAliases, setMinerAliases] = useState(EMPTY_ALIAS_REGISTRY);
+  const [showAliasManager, setShowAliasManager] = useState(false);
+  const [aliasLinkForm, setAliasLinkForm] = useState({ alias: "", canonical: "" });
+
+  // --- Hardware Spec Catalog ---
+  const [specCatalog, setSpecCatalog] = useState(DEFAULT_SPEC_CATALOG); // [{ id, model, hashrate, power, coolingType, releaseDate }]
+  const [showSpecCatalog, setShowSpecCatalog] = useState(false);
+  const [specCatalogSearch, setSpecCatalogSearch] = useState("");
+  const [specMatchDecisions, setSpecMatchDecisions] = useState({}); // { listingName: { status: 'approved', specId, model } | { status: 'rejected', rejectedSpecIds } }
+  const [showSpecReview, setShowSpecReview] = useState(false);
+
+  // --- Profitability Model ---
+  const [profitabilitySettings, setProfitabilitySettings] = useState(DEFAULT_PROFITABILITY_SETTINGS);
+  const [metricFilters, setMetricFilters] = useState(EMPTY_METRIC_FILTERS);
+  const [projectionSettings, setProjectionSettings] = useState(DEFAULT_PROJECTION_SETTINGS);
+  const [projectionMiners, setProjectionMiners] = useState([]); // Shortlist shown in the projection view
+  const [showProjection, setShowProjection] = useState(false);
+
+  // --- Price Alerts ---
+  const [alertRules, setAlertRules] = useState([]);
+  const [alertInbox, setAlertInbox] = useState([]);
+  const [showAlerts, setShowAlerts] = useState(false);
+
+  // --- Market $/TH Index ---
+  const [marketIndexSegment, setMarketIndexSegment] = useState("all"); // 'all' | 'tiers' | tier index
+
+  // --- Price History Chart ---
+  const [historyRange, setHistoryRange] = useState("all");
+  const [historyCustomRange, setHistoryCustomRange] = useState({ start: "", end: "" });
+  const [historySeries, setHistorySeries] = useState("intraday"); // 'daily' | 'intraday'
+  const [historyMovingAverages, setHistoryMovingAverages] = useState([]); // Enabled MOVING_AVERAGE_WINDOWS
+  const [historyBySource, setHistoryBySource] = useState(false); // One price line per vendor
+
+  // --- Miner Comparison ---
+  const [comparisonMiners, setComparisonMiners] = useState([]); // Names ticked in the overview table
+  const [showComparison, setShowComparison] = useState(false);
+  const [comparisonMode, setComparisonMode] = useState("price");
+  const [comparisonBaseDate, setComparisonBaseDate] = useState("");
+
+  // --- Backup Import ---
+  const [pendingBackup, setPendingBackup] = useState(null); // Validated backup awaiting replace/merge choice
 
   // --- UI State Management ---
   const [isProcessing, setIsProcessing] = useState(false);
   const [operationStatus, setOperationStatus] = useState({ message: '', type: 'info' }); // type: 'info', 'success', 'error'
 
-  const powerDatabase = {
-    // S21 Series (Most Efficient)
-    "Antminer S21e XP Hyd 3U - 860 TH/s": 11180,
-    "Antminer S23 Hyd - 580 TH/s": 5510,
-    "Antminer S23 Hyd 3U - 1160 TH/s": 11020,
-    "Antminer S19 XP Hyd - 512 TH/s": 10600,
-    "Antminer S21 XP+ Hyd - 500 TH/s": 5500,
-    "Antminer S19XP Hyd（Mix） - 473TH/s": 5676,
-    "Antminer S19XP Hyd - 473TH/s": 5676,
-    "Antminer S21 XP Hyd - 473 TH/s": 5676,
-    "Antminer S21XP Hydro - 470 TH/s": 5676,
-    "Antminer S21 Hyd - 395 TH/s": 6320,
-    "Antminer S21+ Hydro - 395 TH/s": 6320,
-    "Antminer S21+ Hydro - 358 TH/s": 5728,
-    "Antminer S21 Hyd - 358 TH/s": 5728,
-    "Antminer S21+ Hydro - 338 TH/s": 5574,
-    "Antminer S21 Hydro - 335 TH/s": 5360,
-    "Antminer S21 Hydro - 319 TH/s": 5104,
-    "Antminer S21 Hydro - 302 TH/s": 4832,
-    "Antminer S19XP+ Hyd - 293 TH/s": 5301,
-    "Bitmain Antminer S21e Hyd - 288 TH/s": 4896,
-    "Antminer S19 XP+ Hyd - 279 TH/s": 5301,
-    "Antminer S21XP - 270 TH/s": 3645,
-    "Antminer S21xp（Mix） - 270 TH/s": 3645,
-    "Antminer S19 XP Hyd - 257 TH/s": 5345,
-    "Antminer S19XP Hyd - 246 TH/s": 5346,
-    "Antminer T21 - 233 TH/s": 3610,
-    "Antminer S21+ - 235 TH/s": 3877,
-    "Antminer S21 Pro（Mix） - 234 TH/s": 3510,
-    "Antminer S21 Pro - 234 TH/s": 3510,
-    "Antminer S21 Pro - 245 TH/s": 3675,
-    "Antminer S21+ - 225 TH/s": 3712,
-    "Antminer S21+ - 216 TH/s": 3564,
-    "Antminer S21 Pro - 220 TH/s": 3300,
-    "Antminer S21 - 200 TH/s": 3500,
-    "Antminer S21 - 188 TH/s": 3290,
-    "Antminer T21 - 190 TH/s": 3610,
-    "Antminer T21 - 186 TH/s": 3534,
-    "Antminer T21 - 180 TH/s": 3420,
-    "Antminer S21 - 20 TH/s - shared": 350,
-    // S19 Series
-    "Antminer S19pro+ hyd - 198 TH/s": 5445,
-    "Antminer S19pro hyd - 184 TH/s": 5060,
-    "Antminer S19pro+ hyd - 191 TH/s": 5252,
-    "Antminer S19 Pro+ Hyd - 177 TH/s": 5221,
-    "Antminer S19j XP - 151 TH/s": 3247,
-    "Antminer S19 XP - 134 TH/s": 2881,
-    "Antminer S19 XP - 141 TH/s": 3010,
-    "Antminer S19jpro+ - 120 TH/s": 3300,
-    "Antminer S19J PRO+ - 117 TH/s": 3300,
-    "Antminer S19 kpro - 115 TH/s": 2645,
-    "Antminer S19 kpro - 110 TH/s": 2420,
-    "BITMAIN ANTMINER S19jpro - 110 TH/s": 3250,
-    "Antminer S19pro - 110 TH/s": 3250,
-    "Antminer S19pro - 104 TH/s": 3068,
-    "Antminer S19pro - 100 TH/s": 2950,
-    "Antminer S19 j pro - 104 TH/s": 3068,
-    "Antminer S19J PRO - 96 TH/s": 2832,
-    "BITMAIN ANTMINER S19K Pro - 95 TH/s": 2760,
-    "Antminer S19 - 95 TH/s": 3250,
-    "Antminer S19 - 90 TH/s": 3420,
-    "Antminer S19 - 86 TH/s": 3100,
-    "Antminer S19 - 82 TH/s": 2950,
-    "Antminer S19 - 78 TH/s": 2808,
-    // Whatsminer M Series
-    "Whatsminer M63S++ - 478 TH/s": 10000,
-    "Whatsminer M66S++ - 356 TH/s": 5514,
-    "Whatsminer M66S+ - 318 TH/s": 5406,
-    "Whatsminer M66S - 298 TH/s": 5364,
-    "Whatsminer M66 - 280 TH/s": 5492,
-    "Whatsminer M63 - 334 TH/s": 6680,
-    "Whatsminer M63S - 390 TH/s": 7800,
-    "Whatsminer M63s - 406 TH/s": 7308,
-    "Whatsminer M63 - 360 TH/s": 7200,
-    "Whatsminer M66s - 310 TH/s": 5580,
-    "Whatsminer M61 - 208 TH/s": 7072,
-    "Whatsminer M60S（MIX） - 178 TH/s": 3204,
-    "Whatsminer M60S++ - 220 TH/s": 3410,
-    "Whatsminer M60S+ - 190 TH/s": 3230,
-    "Whatsminer M60s - 184 TH/s": 3404,
-    "Whatsminer M60 - 170 TH/s": 3383,
-    // Exact name matches for user's data
-    "WHATSMINER M50S+ - 138 TH/s": 3312,
-    "Whatsminer M50S+ - 138 TH/s": 3312,
-    "WHATSMINER M50 - 124 TH/s": 3224,
-    "Whatsminer M50 - 124 TH/s": 3224,
-    "WHATSMINER M30S++ - 96 TH/s": 3456,
-    "Whatsminer M30S++ - 96 TH/s": 3456,
-    "WHATSMINER M30S++ - 90 TH/s": 3456,
-    "Whatsminer M30S++ - 90 TH/s": 3456,
-    "WHATSMINER M30S++ - 85 TH/s": 3456,
-    "Whatsminer M30S++ - 85 TH/s": 3456,
-    "Whatsminer M50S - 134 TH/s": 3484,
-    "Whatsminer M50S - 132 TH/s": 3432,
-    "Whatsminer M50S - 128 TH/s": 3328,
-    "WHATSMINER M50 - 118 TH/s": 3304,
-    "Whatsminer M50s++ - 160 TH/s": 3520,
-    "Whatsminer M53s - 260 TH/s": 6760,
-    "Whatsminer M53 - 230 TH/s": 6670,
-    "WHATSMINER M30S+ - 100 TH/s": 3400,
-    "WHATSMINER M30S++ - 112 TH/s": 3472,
-    // Avalon Series
-    "Avalon A1566I - 249 TH/s": 4500,
-    "Avalon A1566 - 203 TH/s": 3755,
-    "Avalon A1566 - 200 TH/s": 3700,
-    "Avalon A1566 - 197 TH/s": 3649,
-    "Avalon A1566 - 194 TH/s": 3588,
-    "Avalon A1566 - 191 TH/s": 3534,
-    "Avalon A1566 - 185 TH/s": 3420,
-    "Avalon A1566 - 188 TH/s": 3476,
-    "Avalon A1566 - 182 TH/s": 3364,
-    "Avalon A15XP-206T - 206 TH/s": 3667,
-    "Avalon A15 Pro - 218 TH/s": 3662,
-    "Avalon A15XP - 206 TH/s": 3667,
-    "Avalon A15 - 194 TH/s": 3647,
-    "Avalon A1466 - 150 TH/s": 3230,
-    "Avalon A1366 - 130 TH/s": 3250,
-    "Avalon A1366I - 122 TH/s": 3570,
-    "Avalon A1346 - 107 TH/s": 3300,
-    "Avalon A1346 - 110 TH/s": 3300,
-    "Avalon A1246 - 85 TH/s": 3420,
-    "Avalon Mini 3 - 37.5 TH/s": 800,
-    "Avalon Nano 3S - 6 TH/s": 140,
-    "Avalon Nano 3 - 4 TH/s": 140,
-    // SealMiner A2 Series
-    "SealMiner A2 - 234 TH/s": 3861,
-    "SealMiner A2 - 232 TH/s": 3828,
-    "SealMiner A2 - 230 TH/s": 3795,
-    "SealMiner A2 - 228 TH/s": 3762,
-    "SealMiner A2 - 226 TH/s": 3729,
-    "SealMiner A2 - 224 TH/s": 3696,
-    "SealMiner A2 - 222 TH/s": 3663,
-    "SealMiner A2 - 220 TH/s": 3630,
-    "Bitdeer SealMiner A2 - 226 TH/s": 3729,
-    "Bitdeer SealMiner A2 Hyd - 446 TH/s": 7359,
-    "Bitdeer SealMiner A2 Pro Air - 255 TH/s": 3790,
-    "Bitdeer SealMiner A2 Pro Hyd - 500 TH/s": 7450,
-    // Bitaxe Series (Lucky Miners)
-    "Bitaxe Gamma 601 - Lucky miner - 1.2 TH/s": 17,
-    "Bitaxe Gamma 601": 17,
-    "Bitaxe Touch": 22,
-    "Bitaxe Supra Hex 701": 90,
-    "Lucky Miner LV07": 25,
-    "Lucky Miner LV08": 120,
-    "NerdMiner NerdQaxe++": 72,
-  };
+
 
   const setStatus =(message, type = 'info', duration = 3000) => {
     setOperationStatus({ message, type });
@@ -334,6 +571,26 @@ const MinerPriceTracker = () => {
     }
   }
 
+  const specCatalogIndex = useMemo(() => buildSpecCatalogIndex(specCatalog), [specCatalog]);
+
+  // Exact/normalized name, then a remembered approval, then a high-confidence fuzzy match.
+  // Returns { entry, power, confidence, method } or null.
+  const matchCatalogSpec = (name, hashrate = null) => {
+    const exact = findSpecInIndex(specCatalogIndex, name);
+    if (exact) return { entry: exact, power: exact.power, confidence: 1, method: "exact" };
+    const decision = specMatchDecisions[name];
+    if (decision?.status === "approved") {
+      const approvedEntry = specCatalogIndex.byId.get(decision.specId) || findSpecInIndex(specCatalogIndex, decision.model);
+      if (approvedEntry) {
+        const catalogHashrate = approvedEntry.hashrate || parseListingName(approvedEntry.model).hashrate;
+        const listingHashrate = hashrate || parseListingName(name).hashrate;
+        return { entry: approvedEntry, power: estimateSpecPower(approvedEntry, catalogHashrate, listingHashrate), confidence: 1, method: "approved" };
+      }
+    }
+    const [best] = rankSpecCandidates(specCatalogIndex, name, hashrate, decision?.rejectedSpecIds || []);
+    return best && best.confidence >= SPEC_MATCH_AUTO_CONFIDENCE ? { ...best, method: "fuzzy" } : null;
+  };
+
   // --- Phase 1: Migration Strategy ---
   const migrateExistingData = useCallback(() => {
     if (storageUtils.load(STORAGE_KEYS.dataMigrationV2)) {
@@ -356,46 +613,7 @@ const MinerPriceTracker = () => {
       return;
     }
 
-    const newStructuredHistory = {};
-    let migratedEntriesCount = 0;
-    let totalMinersMigrated = 0;
-
-    Object.entries(oldRawHistory).forEach(([minerName, entries]) => {
-      if (Array.isArray(entries)) { // Old format: minerName: [entry, entry, ...]
-        totalMinersMigrated++;
-        const intradayEntries = entries.map((entry, index) => {
-          migratedEntriesCount++;
-          const entryDate = entry.date || new Date().toISOString().split("T")[0];
-          return {
-            ...entry,
-            date: entryDate,
-            // Ensure timestamp is unique and fallback if missing
-            timestamp: entry.timestamp || `${entryDate}T12:00:00.000Z`,
-            // Ensure uploadId is unique and fallback if missing
-            uploadId: entry.uploadId || `legacy_${entryDate}_${Date.now()}_${index}_${Math.random().toString(36).substring(2, 7)}`,
-          };
-        }).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)); // Sort by timestamp ASC
-
-        const dailyEntriesMap = new Map();
-        intradayEntries.forEach(entry => {
-          const existing = dailyEntriesMap.get(entry.date);
-          if (!existing || new Date(entry.timestamp) >= new Date(existing.timestamp)) {
-            dailyEntriesMap.set(entry.date, entry);
-          }
-        });
-        const dailyEntries = Array.from(dailyEntriesMap.values()).sort((a, b) => new Date(a.date) - new Date(b.date));
-
-        newStructuredHistory[minerName] = {
-          daily: dailyEntries,
-          intraday: intradayEntries,
-        };
-      } else if (typeof entries === 'object' && entries !== null && entries.hasOwnProperty('intraday')) {
-        // Already in new format, carry over
-        newStructuredHistory[minerName] = entries;
-      } else {
-         console.warn(`Skipping migration for miner "${minerName}": unknown data format.`, entries);
-      }
-    });
+    const { history: newStructuredHistory, migratedEntriesCount, totalMinersMigrated } = restructurePriceHistory(oldRawHistory);
 
     if (totalMinersMigrated > 0) {
       setPriceHistory(newStructuredHistory); // Update state immediately
@@ -408,91 +626,199 @@ const MinerPriceTracker = () => {
     storageUtils.save(STORAGE_KEYS.dataMigrationV2, true); // Mark migration as done
   }, []); // No direct state dependencies for definition, but will trigger setPriceHistory
 
-  // Load data from localStorage on component mount
+  const refreshStorageSize = useCallback(async () => {
+    setStorageSize(await storageRef.current.getStorageSize());
+  }, []);
+
+  // Load data from IndexedDB (or localStorage fallback) on component mount
   useEffect(() => {
+    let cancelled = false;
     const migrateFromWindowStorage = () => {
       // ... (existing migration from window storage, if any - current code has this)
     };
     migrateFromWindowStorage(); // Assuming this is still relevant from user's code.
 
-    migrateExistingData(); // Run the new data migration
-
-    const loadedVersion = storageUtils.load(STORAGE_KEYS.version);
-    if (loadedVersion && loadedVersion !== STORAGE_VERSION) {
-      console.warn(
-        `Storage version mismatch. Current: ${STORAGE_VERSION}, Stored: ${loadedVersion}. Consider further migrations if needed.`
-      );
-      // Potentially trigger other migration steps based on version diff
-    }
+    migrateExistingData(); // Run the new data migration (on localStorage, before it is copied to IndexedDB)
 
-    setMiners(storageUtils.load(STORAGE_KEYS.miners, []));
-    // Price history is set by migration or loaded if already new format
-    if (!storageUtils.load(STORAGE_KEYS.dataMigrationV2)) { // If migration hasn't run yet (e.g. first load after this code update)
-        setPriceHistory(storageUtils.load(STORAGE_KEYS.priceHistory, {})); // Load whatever is there, migration will fix it
-    } else { // Migration has run, load the (potentially) new format
-        const loadedHistory = storageUtils.load(STORAGE_KEYS.priceHistory, {});
-        // Basic check to ensure it's the new structure, otherwise migration might have failed or data is corrupt
-        const firstKey = Object.keys(loadedHistory)[0];
-        if (firstKey && loadedHistory[firstKey] && !loadedHistory[firstKey].hasOwnProperty('intraday')) {
-            console.warn("Loaded price history is not in the new format despite migration flag. Re-attempting migration or using empty.");
-            // This case should ideally be handled by migrateExistingData, but as a safeguard:
-            // migrateExistingData(); // or setPriceHistory({});
-        } else {
-            setPriceHistory(loadedHistory);
+    const loadStoredData = async () => {
+      const backend = await resolveStorageBackend();
+      storageRef.current = backend;
+      try {
+        const copiedKeys = await backend.migrateFromLocalStorage();
+        if (copiedKeys > 0) {
+          setStatus(`Moved ${copiedKeys} saved items from localStorage to IndexedDB.`, 'success', 5000);
         }
-    }
-    setKnownMiners(new Set(storageUtils.load(STORAGE_KEYS.knownMiners, [])));
-    setMinerSpecs(storageUtils.load(STORAGE_KEYS.minerSpecs, {}));
-    setUploadHistory(storageUtils.load(STORAGE_KEYS.uploadHistory, []));
-    setMaxPrices(storageUtils.load(STORAGE_KEYS.maxPrices, {}));
-    setPreviousPrices(storageUtils.load(STORAGE_KEYS.previousPrices, {}));
-    setLastSaved(storageUtils.load(STORAGE_KEYS.lastSaved));
+      } catch (error) {
+        console.error("IndexedDB migration failed, localStorage data left in place:", error);
+        storageRef.current = localStorageBackend;
+      }
+      const store = storageRef.current;
+
+      const loadedVersion = await store.load(STORAGE_KEYS.version);
+      if (loadedVersion && loadedVersion !== STORAGE_VERSION) {
+        console.warn(
+          `Storage version mismatch. Current: ${STORAGE_VERSION}, Stored: ${loadedVersion}. Consider further migrations if needed.`
+        );
+        // Potentially trigger other migration steps based on version diff
+      }
+
+      const [loadedMiners, rawHistory, loadedKnownMiners, loadedSpecs, loadedUploads, loadedMaxPrices, loadedPreviousPrices, loadedLastSaved] = await Promise.all([
+        store.load(STORAGE_KEYS.miners, []),
+        store.load(STORAGE_KEYS.priceHistory, {}),
+        store.load(STORAGE_KEYS.knownMiners, []),
+        store.load(STORAGE_KEYS.minerSpecs, {}),
+        store.load(STORAGE_KEYS.uploadHistory, []),
+        store.load(STORAGE_KEYS.maxPrices, {}),
+        store.load(STORAGE_KEYS.previousPrices, {}),
+        store.load(STORAGE_KEYS.lastSaved),
+      ]);
+      const loadedColumnProfiles = await store.load(STORAGE_KEYS.columnProfiles, []);
+      const loadedMinerAliases = await store.load(STORAGE_KEYS.minerAliases, EMPTY_ALIAS_REGISTRY);
+      const loadedSpecCatalog = await store.load(STORAGE_KEYS.specCatalog, DEFAULT_SPEC_CATALOG); // Built-in list until first edit
+      const loadedSpecMatchDecisions = await store.load(STORAGE_KEYS.specMatchDecisions, {});
+      const storedProfitabilitySettings = await store.load(STORAGE_KEYS.profitabilitySettings);
+      const loadedProfitabilitySettings = storedProfitabilitySettings ? { ...DEFAULT_PROFITABILITY_SETTINGS, ...storedProfitabilitySettings } : DEFAULT_PROFITABILITY_SETTINGS;
+      const storedProjectionSettings = await store.load(STORAGE_KEYS.projectionSettings);
+      const loadedProjectionSettings = storedProjectionSettings ? { ...DEFAULT_PROJECTION_SETTINGS, ...storedProjectionSettings } : DEFAULT_PROJECTION_SETTINGS;
+      const loadedAlertRules = await store.load(STORAGE_KEYS.alertRules, []);
+      const loadedAlertInbox = await store.load(STORAGE_KEYS.alertInbox, []);
+      const loadedDelistThreshold = await store.load(STORAGE_KEYS.delistThreshold, DEFAULT_DELIST_THRESHOLD);
+      const storedSanitySettings = await store.load(STORAGE_KEYS.sanityCheckSettings);
+      const loadedSanitySettings = storedSanitySettings ? { ...DEFAULT_SANITY_SETTINGS, ...storedSanitySettings } : DEFAULT_SANITY_SETTINGS;
+      const loadedEditLog = await store.load(STORAGE_KEYS.editLog, []);
+      const loadedJournal = await store.load(STORAGE_KEYS.changeJournal, []);
+      const storedRetentionPolicy = await store.load(STORAGE_KEYS.retentionPolicy);
+      const loadedRetentionPolicy = storedRetentionPolicy ? { ...DEFAULT_RETENTION_POLICY, ...storedRetentionPolicy } : DEFAULT_RETENTION_POLICY;
+      if (cancelled) return;
+
+      // Basic check to ensure it's the new structure, otherwise restructure it in memory
+      let loadedHistory = rawHistory;
+      const firstKey = Object.keys(rawHistory)[0];
+      if (firstKey && rawHistory[firstKey] && !rawHistory[firstKey].hasOwnProperty('intraday')) {
+        console.warn("Loaded price history is not in the new format despite migration flag. Restructuring.");
+        loadedHistory = restructurePriceHistory(rawHistory).history;
+      }
+      const loadedKnownMinersSet = new Set(loadedKnownMiners);
+
+      setMiners(loadedMiners);
+      setPriceHistory(loadedHistory);
+      setKnownMiners(loadedKnownMinersSet);
+      setMinerSpecs(loadedSpecs);
+      setUploadHistory(loadedUploads);
+      setMaxPrices(loadedMaxPrices);
+      setPreviousPrices(loadedPreviousPrices);
+      setLastSaved(loadedLastSaved);
+      setColumnProfiles(loadedColumnProfiles);
+      setMinerAliases(loadedMinerAliases);
+      setSpecCatalog(loadedSpecCatalog);
+      setSpecMatchDecisions(loadedSpecMatchDecisions);
+      setProfitabilitySettings(loadedProfitabilitySettings);
+      setProjectionSettings(loadedProjectionSettings);
+      setAlertRules(loadedAlertRules);
+      setAlertInbox(loadedAlertInbox);
+      setDelistThreshold(loadedDelistThreshold);
+      setSanityCheckSettings(loadedSanitySettings);
+      setRetentionPolicy(loadedRetentionPolicy);
+      setEditLog(loadedEditLog);
+      setJournal(loadedJournal);
+      // What is in storage now; the auto-save only writes values that differ from these
+      lastSavedRef.current = {
+        miners: loadedMiners,
+        priceHistory: loadedHistory === rawHistory ? loadedHistory : {},
+        knownMiners: loadedKnownMinersSet,
+        minerSpecs: loadedSpecs,
+        uploadHistory: loadedUploads,
+        maxPrices: loadedMaxPrices,
+        previousPrices: loadedPreviousPrices,
+        minerAliases: loadedMinerAliases,
+        specCatalog: loadedSpecCatalog,
+        specMatchDecisions: loadedSpecMatchDecisions,
+        profitabilitySettings: loadedProfitabilitySettings,
+        projectionSettings: loadedProjectionSettings,
+        alertRules: loadedAlertRules,
+        alertInbox: loadedAlertInbox,
+        delistThreshold: loadedDelistThreshold,
+        sanityCheckSettings: loadedSanitySettings,
+        editLog: loadedEditLog,
+        changeJournal: loadedJournal,
+        retentionPolicy: loadedRetentionPolicy,
+      };
+      setStorageReady(true);
 
-    storageUtils.save(STORAGE_KEYS.version, STORAGE_VERSION);
-  }, [migrateExistingData]);
+      await store.save(STORAGE_KEYS.version, STORAGE_VERSION);
+      refreshStorageSize();
+    };
+    loadStoredData();
+    return () => { cancelled = true; };
+  }, [migrateExistingData, refreshStorageSize]);
 
   // Debounced save function
   const debouncedSave = useCallback(() => {
     if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current);
     setSaveStatus("saving");
-    saveTimeoutRef.current = setTimeout(() => {
-      const success =
-        storageUtils.save(STORAGE_KEYS.miners, miners) &&
-        storageUtils.save(STORAGE_KEYS.priceHistory, priceHistory) &&
-        storageUtils.save(STORAGE_KEYS.knownMiners, Array.from(knownMiners)) &&
-        storageUtils.save(STORAGE_KEYS.minerSpecs, minerSpecs) &&
-        storageUtils.save(STORAGE_KEYS.uploadHistory, uploadHistory) &&
-        storageUtils.save(STORAGE_KEYS.maxPrices, maxPrices) &&
-        storageUtils.save(STORAGE_KEYS.previousPrices, previousPrices);
+    saveTimeoutRef.current = setTimeout(async () => {
+      const store = storageRef.current;
+      const saved = lastSavedRef.current;
+      const current = { miners, knownMiners, minerSpecs, uploadHistory, maxPrices, previousPrices, minerAliases, specCatalog, specMatchDecisions, profitabilitySettings, projectionSettings, alertRules, alertInbox, delistThreshold, sanityCheckSettings, editLog, changeJournal: journal, retentionPolicy };
+      let success = true;
+
+      // Whole-value keys: skip anything whose state reference has not changed since the last save
+      for (const [field, value] of Object.entries(current)) {
+        if (saved[field] === value) continue;
+        success = await store.save(STORAGE_KEYS[field], field === 'knownMiners' ? Array.from(value) : value);
+        if (!success) break;
+        saved[field] = value;
+      }
+
+      // Price history is saved per miner, so an upload only rewrites the miners it touched
+      if (success && saved.priceHistory !== priceHistory) {
+        const previousHistory = saved.priceHistory || {};
+        const updates = {};
+        Object.entries(priceHistory).forEach(([minerName, historyData]) => {
+          if (previousHistory[minerName] !== historyData) updates[minerName] = historyData;
+        });
+        const removedNames = Object.keys(previousHistory).filter(minerName => !(minerName in priceHistory));
+        if (Object.keys(updates).length > 0 || removedNames.length > 0) {
+          success = await store.saveMinerHistories(updates, removedNames);
+        }
+        if (success) saved.priceHistory = priceHistory;
+      }
 
       if (success) {
         setSaveStatus("saved");
         setLastSaved(new Date().toISOString());
+        refreshStorageSize();
       } else {
         setSaveStatus("error");
-        // Alert is handled by storageUtils.save on QuotaExceededError
+        // Alert is handled by the storage backend on QuotaExceededError
       }
     }, 1000);
-  }, [miners, priceHistory, knownMiners, minerSpecs, uploadHistory, maxPrices, previousPrices]);
+  }, [miners, priceHistory, knownMiners, minerSpecs, uploadHistory, maxPrices, previousPrices, minerAliases, specCatalog, specMatchDecisions, profitabilitySettings, projectionSettings, alertRules, alertInbox, delistThreshold, sanityCheckSettings, editLog, journal, retentionPolicy, refreshStorageSize]);
 
   // Auto-save on data changes
   useEffect(() => {
-    // Only save if there's actual data or history to prevent saving empty defaults on first load too early
-    if (miners.length > 0 || Object.keys(priceHistory).length > 0 || uploadHistory.length > 0) {
+    // Only save once stored data has loaded, and only if there's actual data or history to prevent saving empty defaults
+    // Compared with what was last saved (or loaded), so resetting to a default object is saved too
+    const saved = lastSavedRef.current;
+    const settingsEdited = specCatalog !== saved.specCatalog
+      || profitabilitySettings !== saved.profitabilitySettings || projectionSettings !== saved.projectionSettings
+      || alertRules !== saved.alertRules || alertInbox !== saved.alertInbox
+      || delistThreshold !== saved.delistThreshold || sanityCheckSettings !== saved.sanityCheckSettings
+      || retentionPolicy !== saved.retentionPolicy || editLog !== saved.editLog || journal !== saved.changeJournal;
+    if (storageReady && (miners.length > 0 || Object.keys(priceHistory).length > 0 || uploadHistory.length > 0 || settingsEdited)) {
       debouncedSave();
     }
     return () => {
       if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current);
     };
-  }, [miners, priceHistory, knownMiners, minerSpecs, uploadHistory, maxPrices, previousPrices, debouncedSave]);
+  }, [storageReady, miners, priceHistory, knownMiners, minerSpecs, uploadHistory, maxPrices, previousPrices, minerAliases, specCatalog, specMatchDecisions, profitabilitySettings, projectionSettings, alertRules, alertInbox, delistThreshold, sanityCheckSettings, editLog, journal, retentionPolicy, debouncedSave]);
 
   // Clear all data with confirmation
-  const clearAllData = () => {
-    const storageSize = storageUtils.getStorageSize();
+  const clearAllData = async () => {
     const confirmMessage = `Are you sure you want to clear all data?\n\nThis will permanently delete:\n- ${miners.length} miners\n- ${Object.keys(priceHistory).length} price histories\n- ${uploadHistory.length} upload records\n\nCurrent storage size: ${storageSize} KB\n\nThis action cannot be undone!`;
     if (window.confirm(confirmMessage)) {
       if (window.confirm("Are you REALLY sure? This will delete everything!")) {
-        const success = storageUtils.clearAll();
+        const success = await storageRef.current.clearAll();
         if (success) {
           setMiners([]);
           setPriceHistory({});
@@ -502,10 +828,16 @@ const MinerPriceTracker = () => {
           setUploadHistory([]);
           setMaxPrices({});
           setPreviousPrices({});
+          setMinerAliases(EMPTY_ALIAS_REGISTRY);
+          setAlertInbox([]);
+          setEditLog([]);
+          setJournal([]);
           setSelectedMiner(null);
           setLastSaved(null);
           setSaveStatus("saved"); // Reset save status
-          storageUtils.save(STORAGE_KEYS.version, STORAGE_VERSION); // Re-save current version
+          lastSavedRef.current = {};
+          await storageRef.current.save(STORAGE_KEYS.version, STORAGE_VERSION); // Re-save current version
+          refreshStorageSize();
           setStatus("All data has been cleared successfully!", 'success');
         } else {
           setStatus("Failed to clear data. Please try again.", 'error');
@@ -515,17 +847,23 @@ const MinerPriceTracker = () => {
   };
 
   // --- Phase 1: Modify parseDataRows ---
-  const parseDataRows = (rows, dateForData) => {
+  // `columnMapping` (from a detected header row or saved profile) overrides the fixed-position layouts.
+  // `knownNames` are the names listings resolve onto; batch uploads add the names from earlier files of the batch.
+  const parseDataRows = (rows, dateForData, columnMapping = null, knownNames = knownMiners) => {
     const parsedMinerData = [];
     const uploadTime = new Date().toISOString(); // Timestamp for the entire upload operation
+    const firstDataRow = columnMapping ? columnMapping.headerRowIndex + 1 : 0;
+    const batchNames = new Set(); // Names already taken by earlier rows of this file
 
-    for (let i = 0; i < rows.length; i++) {
+    for (let i = firstDataRow; i < rows.length; i++) {
       const row = rows[i];
       if (!row || row.length < 2) continue; // Basic check for some data
       let miner = {};
 
       // Handle different data formats (simplified from user's code)
-      if (typeof row[0] === "string" && row[0].includes("http")) {
+      if (columnMapping) {
+        miner = parseMappedRow(row, columnMapping.mapping);
+      } else if (typeof row[0] === "string" && row[0].includes("http")) {
         miner.imageUrl = row[0];
         miner.name = row[1];
         const hashrateMatch = (row[2] || "").toString().match(/(\d+\.?\d*)\s*(TH\/s|GH\/s)/i);
@@ -553,14 +891,22 @@ const MinerPriceTracker = () => {
         miner.efficiency = parseFloat(row[5]) || null;
       }
 
-      if (!miner.powerConsumption && powerDatabase[miner.name]) {
-        miner.powerConsumption = powerDatabase[miner.name];
+      const catalogSpec = matchCatalogSpec(miner.name, miner.hashrate);
+      if (!miner.powerConsumption && catalogSpec) {
+        miner.powerConsumption = catalogSpec.power;
       }
       if (miner.powerConsumption && miner.hashrate && (miner.efficiency === null || miner.efficiency === undefined || miner.efficiency === 0)) {
         miner.efficiency = miner.powerConsumption / miner.hashrate;
       }
 
       if (miner.name && miner.hashrate > 0 && miner.price > 0) {
+        // Store under the canonical identity; keep the vendor's spelling for reference
+        const canonicalName = resolveCanonicalName(miner.name, minerAliases, [...knownNames, ...batchNames]);
+        if (canonicalName !== miner.name) {
+          miner.listedName = miner.name;
+          miner.name = canonicalName;
+        }
+        batchNames.add(miner.name);
         miner.date = dateForData; // Date for the data point (e.g., price on this day)
         miner.uploadTimestamp = uploadTime; // When this batch was uploaded
         miner.uploadId = `${dateForData}_${uploadTime}_${i}_${Math.random().toString(36).substring(2, 7)}`; // Unique ID for this specific data row
@@ -570,7 +916,8 @@ const MinerPriceTracker = () => {
     return parsedMinerData;
   };
 
-  const parseUploadedData = async (file, date) => {
+  // Reads the first sheet (or CSV) into an array of raw rows
+  const readUploadedRows = async (file) => {
     const fileType = file.name.split(".").pop().toLowerCase();
     return new Promise((resolve, reject) => {
       if (fileType === "xlsx" || fileType === "xls") {
@@ -581,14 +928,14 @@ const MinerPriceTracker = () => {
             const workbook = XLSX.read(data, { type: "array" });
             const worksheet = workbook.Sheets[workbook.SheetNames[0]];
             const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-            resolve(parseDataRows(jsonData, date));
+            resolve(jsonData);
           } catch (err) { reject(err); }
         };
         reader.onerror = (err) => reject(err);
         reader.readAsArrayBuffer(file);
       } else if (fileType === "csv" || fileType === "txt") {
         Papa.parse(file, {
-          complete: (results) => resolve(parseDataRows(results.data, date)),
+          complete: (results) => resolve(results.data),
           error: (error) => {
             console.error("Error parsing CSV:", error);
             reject(error);
@@ -600,38 +947,105 @@ const MinerPriceTracker = () => {
     });
   };
 
+  // Header detection, with a saved vendor profile taking precedence over guessed columns
+  const resolveColumnMapping = (rows) => {
+    const detected = detectHeaderRow(rows);
+    if (!detected) return null;
+    const signature = headerSignature(detected.headers);
+    const profile = columnProfiles.find(p => p.signature === signature);
+    return {
+      ...detected,
+      signature,
+      mapping: profile ? { ...detected.mapping, ...profile.mapping } : detected.mapping,
+      profileName: profile ? profile.name : null,
+    };
+  };
+
+  // Re-parses the staged file after a mapping change in the preview
+  const updateColumnMapping = (fieldKey, columnIndex) => {
+    if (!columnMapping || !stagedRawRows) return;
+    const nextMapping = {
+      ...columnMapping,
+      mapping: { ...columnMapping.mapping, [fieldKey]: columnIndex === "" ? null : parseInt(columnIndex) },
+    };
+    const parsedMiners = parseDataRows(stagedRawRows, uploadDate, nextMapping);
+    setColumnMapping(nextMapping);
+    setStagedNewMiners(parsedMiners);
+    setExcludedUploadIds(new Set()); // Re-parsed rows get new ids
+    setUploadPreview(generateUploadPreview(parsedMiners, miners, mergeStrategy));
+  };
+
+  const saveColumnProfile = async () => {
+    const name = profileNameInput.trim();
+    if (!columnMapping || !name) {
+      setStatus("Enter a profile name to save this column mapping.", 'warning');
+      return;
+    }
+    const profile = { name, signature: columnMapping.signature, headers: columnMapping.headers, mapping: columnMapping.mapping, savedAt: new Date().toISOString() };
+    // One profile per header layout; re-saving under a layout replaces it
+    const nextProfiles = [...columnProfiles.filter(p => p.name !== name && p.signature !== profile.signature), profile];
+    setColumnProfiles(nextProfiles);
+    setColumnMapping(prev => ({ ...prev, profileName: name }));
+    setProfileNameInput("");
+    const saved = await storageRef.current.save(STORAGE_KEYS.columnProfiles, nextProfiles);
+    setStatus(saved ? `Saved column profile "${name}".` : `Failed to save column profile "${name}".`, saved ? 'success' : 'error');
+  };
+
+  const deleteColumnProfile = async (name) => {
+    if (!window.confirm(`Delete column profile "${name}"?`)) return;
+    const nextProfiles = columnProfiles.filter(p => p.name !== name);
+    setColumnProfiles(nextProfiles);
+    if (columnMapping?.profileName === name) setColumnMapping(prev => ({ ...prev, profileName: null }));
+    await storageRef.current.save(STORAGE_KEYS.columnProfiles, nextProfiles);
+    setStatus(`Deleted column profile "${name}".`, 'info');
+  };
+
   // --- Phase 3: Upload Preview ---
-  const generateUploadPreview = (newMinerEntries, currentMinersList, currentMergeStrategy) => {
+  // `newMinerEntries` are the parsed rows as read; duplicates are resolved here with `policy`, as on confirm.
+  // Sanity checks compare with `history` (batch previews pass the history as it will be after earlier files).
+  const generateUploadPreview = (newMinerEntries, currentMinersList, currentMergeStrategy, source = uploadSource, checkSettings = sanityCheckSettings, policy = duplicatePolicy, history = priceHistory) => {
+    const sourceName = normalizeSourceName(source);
+    const resolvedEntries = resolveDuplicates(newMinerEntries, policy);
+    const validEntries = [];
     const preview = {
       new: [], updated: [], unchanged: [], removed: [], errors: [], warnings: [],
+      duplicates: describeDuplicateGroups(newMinerEntries, resolvedEntries),
       summary: { newCount: 0, updatedCount: 0, unchangedCount: 0, removedCount: 0 }
     };
 
-    newMinerEntries.forEach((newMiner, index) => {
+    resolvedEntries.forEach((newMiner, index) => {
       if (!newMiner.name || !(newMiner.price > 0) || !(newMiner.hashrate > 0)) {
-        preview.errors.push(`Row ${index + 1} (Name: ${newMiner.name || 'N/A'}): Missing required fields (Name, Price > 0, Hashrate > 0) or invalid values.`);
+        preview.errors.push({
+          uploadId: newMiner.uploadId, // Lets the row be deselected instead of cancelling the file
+          name: newMiner.name,
+          message: `Row ${index + 1} (Name: ${newMiner.name || 'N/A'}): Missing required fields (Name, Price > 0, Hashrate > 0) or invalid values.`,
+        });
         return;
       }
+      validEntries.push(newMiner);
 
       const existing = currentMinersList.find(m => m.name === newMiner.name);
       if (!existing) {
         preview.new.push(newMiner);
         preview.summary.newCount++;
       } else {
-        const priceChange = newMiner.price !== existing.price ? ((newMiner.price - existing.price) / existing.price * 100) : 0;
-        // Consider other fields for "updated" status if necessary
-        if (Math.abs(priceChange) < 0.01 && newMiner.hashrate === existing.hashrate) { // Example: only price change matters for this preview status
+        const oldPrice = existing.sourcePrices?.[sourceName]?.price ?? existing.price; // Compare with this vendor's last quote when known
+        const priceChange = newMiner.price !== oldPrice ? ((newMiner.price - oldPrice) / oldPrice * 100) : 0;
+        const fieldChanges = diffPreviewFields(existing, newMiner);
+        if (Math.abs(priceChange) < 0.01 && fieldChanges.length === 0) {
           preview.unchanged.push(newMiner.name);
           preview.summary.unchangedCount++;
         } else {
           preview.updated.push({
+            uploadId: newMiner.uploadId,
             name: newMiner.name,
-            oldPrice: existing.price,
+            oldPrice,
             newPrice: newMiner.price,
             change: parseFloat(priceChange.toFixed(1)), // Ensure number for sorting/coloring
             oldHashrate: existing.hashrate,
             newHashrate: newMiner.hashrate,
             efficiency: newMiner.efficiency,
+            fieldChanges, // [{ key, label, unit, oldValue, newValue }]
           });
           preview.summary.updatedCount++;
         }
@@ -640,17 +1054,41 @@ const MinerPriceTracker = () => {
 
     if (currentMergeStrategy === 'replace') {
       currentMinersList.forEach(existingMiner => {
-        if (!newMinerEntries.find(nm => nm.name === existingMiner.name)) {
+        if (!resolvedEntries.find(nm => nm.name === existingMiner.name)) {
           preview.removed.push(existingMiner.name);
           preview.summary.removedCount++;
         }
       });
     }
+
+    runSanityChecks(validEntries, { priceHistory: history, catalogIndex: specCatalogIndex, profitabilitySettings }, checkSettings).forEach(issue => {
+      (issue.severity === 'error' ? preview.errors : preview.warnings).push(issue);
+    });
     return preview;
   };
 
+  // Changing a check re-runs it on the staged file; `null` restores the defaults
+  const updateSanityCheck = (key, patch) => {
+    const next = key ? { ...sanityCheckSettings, [key]: { ...sanityCheckSettings[key], ...patch } } : DEFAULT_SANITY_SETTINGS;
+    setSanityCheckSettings(next);
+    if (stagedNewMiners) setUploadPreview(generateUploadPreview(stagedNewMiners, miners, mergeStrategy, uploadSource, next));
+  };
+
+  // Applies to the staged file and to every queued batch file
+  const changeDuplicatePolicy = (policy) => {
+    setDuplicatePolicy(policy);
+    if (stagedNewMiners) setUploadPreview(generateUploadPreview(stagedNewMiners, miners, mergeStrategy, uploadSource, sanityCheckSettings, policy));
+    setBatchQueue(prev => prev && previewBatchQueue(prev, policy));
+  };
+
   // --- Revised handleFileUpload (Error Handling, Preview Trigger) ---
   const handleFileUpload = async (event) => {
+    if (event.target.files.length > 1) {
+      const files = Array.from(event.target.files);
+      event.target.value = null;
+      await handleBatchUpload(files);
+      return;
+    }
     setIsProcessing(true);
     setStatus('Reading file...', 'info', 0); // Persist until processing finishes
 
@@ -665,7 +1103,7 @@ const MinerPriceTracker = () => {
     event.target.value = null;
 
 
-    if (file.size > 10 * 1024 * 1024) { // 10MB limit
+    if (file.size > MAX_UPLOAD_BYTES) {
       setStatus("File too large. Please upload files smaller than 10MB.", 'error');
       setIsProcessing(false);
       setSelectedFile(null);
@@ -674,9 +1112,12 @@ const MinerPriceTracker = () => {
 
     try {
       setSelectedFile(file); // For display purposes
-      const parsedMiners = await parseUploadedData(file, uploadDate); // uploadDate from state
+      const rows = await readUploadedRows(file);
+      const detectedMapping = resolveColumnMapping(rows);
+      const parsedMiners = parseDataRows(rows, uploadDate, detectedMapping); // uploadDate from state
 
-      if (!parsedMiners || parsedMiners.length === 0) {
+      // With a detected header the preview is still shown, so a wrong column guess can be fixed there
+      if (!detectedMapping && (!parsedMiners || parsedMiners.length === 0)) {
         setStatus("No valid miner data found in the file.", 'warning');
         setIsProcessing(false);
         setSelectedFile(null); // Clear if file is empty or invalid
@@ -685,8 +1126,12 @@ const MinerPriceTracker = () => {
       
       setStagedNewMiners(parsedMiners);
       setStagedUploadFileName(file.name);
+      setStagedRawRows(rows);
+      setColumnMapping(detectedMapping);
 
       const currentPreview = generateUploadPreview(parsedMiners, miners, mergeStrategy);
+      setExcludedUploadIds(new Set());
+      setKeptRemovedMiners(new Set());
       setUploadPreview(currentPreview);
       setShowUploadPreview(true);
       setStatus('File processed. Review preview below.', 'success');
@@ -697,153 +1142,150 @@ const MinerPriceTracker = () => {
       setSelectedFile(null);
       setStagedNewMiners(null);
       setStagedUploadFileName("");
+      setStagedRawRows(null);
+      setColumnMapping(null);
     } finally {
       setIsProcessing(false);
     }
   };
   
+  // --- Batch Upload ---
+  // Queued files are applied oldest first; files sharing a date keep filename order
+  const orderBatchQueue = (queue) => [...queue].sort((a, b) => a.date.localeCompare(b.date) || a.fileName.localeCompare(b.fileName));
+
+  // Re-parses every queued file and chains the previews in date order: each file is compared with the data as it
+  // will be after the files before it, using its own source and column mapping
+  const previewBatchQueue = (queue, policy = duplicatePolicy) => {
+    let state = identityState();
+    const parsed = new Map();
+    orderBatchQueue(queue).forEach(item => {
+      if (item.error || !item.date) return;
+      const entries = parseDataRows(item.rows, item.date, item.columnMapping, state.knownMiners); // Includes earlier files' names
+      const preview = generateUploadPreview(entries, state.miners, mergeStrategy, item.source, sanityCheckSettings, policy, state.priceHistory);
+      parsed.set(item.id, { entries, preview });
+      if (entries.length > 0) {
+        state = applyUploadToState(state, resolveDuplicates(entries, policy), { fileName: item.fileName, strategy: mergeStrategy, date: item.date, source: item.source }).state;
+      }
+    });
+    return queue.map(item => ({ ...item, ...(parsed.get(item.id) || { entries: [], preview: null }) }));
+  };
+
+  const batchItemProblem = (item) => {
+    if (item.error) return item.error;
+    if (!item.date) return "No date set.";
+    if (item.entries.length === 0) return "No valid miner data found.";
+    if (item.preview.errors.length > 0) return `${item.preview.errors.length} row error(s).`;
+    return null;
+  };
+
+  const handleBatchUpload = async (files) => {
+    setIsProcessing(true);
+    setStatus(`Reading ${files.length} files...`, 'info', 0);
+    const queue = [];
+    for (const [index, file] of files.entries()) {
+      const base = { id: `${index}_${file.name}`, fileName: file.name, source: uploadSource, rows: [], columnMapping: null, date: uploadDate, dateSource: "picker", entries: [], preview: null, error: null };
+      if (file.size > MAX_UPLOAD_BYTES) {
+        queue.push({ ...base, error: "File too large (over 10MB)." });
+        continue;
+      }
+      try {
+        const rows = await readUploadedRows(file);
+        const { date, dateSource } = inferUploadDate(file.name, rows, uploadDate);
+        queue.push({ ...base, rows, columnMapping: resolveColumnMapping(rows), date, dateSource });
+      } catch (error) {
+        console.error(`Batch upload error (${file.name}):`, error);
+        queue.push({ ...base, error: `Failed to read file: ${error.message}` });
+      }
+    }
+    const previewed = previewBatchQueue(queue);
+    setBatchQueue(previewed);
+    setIsProcessing(false);
+    const problems = previewed.filter(batchItemProblem).length;
+    setStatus(problems > 0 ? `${queue.length} files queued, ${problems} need attention.` : `${queue.length} files queued. Review dates and previews before applying.`, problems > 0 ? 'warning' : 'success');
+  };
+
+  // Per-file edits re-run the chained previews, since a change to one file shifts the base of every later one
+  const updateBatchItem = (id, patch) => {
+    setBatchQueue(prev => previewBatchQueue(prev.map(item => (item.id === id ? { ...item, ...patch } : item))));
+  };
+  // Manual date override; the file is re-parsed so its entries carry the new date
+  const updateBatchItemDate = (id, date) => updateBatchItem(id, { date, dateSource: "manual" });
+  const updateBatchItemColumn = (item, fieldKey, columnIndex) => updateBatchItem(item.id, {
+    columnMapping: { ...item.columnMapping, mapping: { ...item.columnMapping.mapping, [fieldKey]: columnIndex === "" ? null : parseInt(columnIndex) } },
+  });
+
+  const removeBatchItem = (id) => {
+    setBatchQueue(prev => {
+      const next = prev.filter(item => item.id !== id);
+      return next.length > 0 ? previewBatchQueue(next) : null;
+    });
+  };
+
   // --- Central data update logic ---
-  const actuallyUpdateData = async (uploadedEntries, fileName, currentStrategy, dateOfUploadData) => {
+  // Applies uploads in order, each as its own uploadHistory record, then sets state once.
+  // `uploads`: [{ entries, fileName, strategy, date, source, updatedCount }]. Returns the alerts raised.
+  const commitUploads = (uploads) => {
+    let state = identityState();
+    let uploadsSoFar = uploadHistory;
+    const records = [];
+    const newAlerts = [];
+    const autoLinks = {};
+    let lastProcessedNames = null;
+
+    uploads.forEach(upload => {
+      const result = applyUploadToState(state, upload.entries, upload);
+      const meta = { uploadId: result.record.id, fileName: upload.fileName };
+      // Alerts compare with the data as it was before this upload. Backfilled (append) prices are historical, so they do not raise alerts.
+      if (!result.historyOnly) {
+        const priorPrices = {};
+        state.miners.forEach(miner => { priorPrices[miner.name] = miner.price; });
+        newAlerts.push(
+          ...evaluateAlertRules(alertRules, result.uploadedEntries, { maxPrices: state.maxPrices, priorPrices }, meta),
+          ...createRelistAlerts(result.uploadedEntries, computeListingStatus(uploadsSoFar, state.priceHistory, delistThreshold), meta),
+        );
+        lastProcessedNames = result.processedNames;
+      }
+      // Remember names that were matched to a canonical miner so they can be reviewed or unlinked
+      result.uploadedEntries.forEach(entry => {
+        if (entry.listedName && !minerAliases.links[entry.listedName]) autoLinks[entry.listedName] = entry.name;
+      });
+      state = result.state;
+      uploadsSoFar = [...uploadsSoFar, result.record];
+      records.push(result.record);
+    });
+
+    applyJournaledChange(
+      uploads.length === 1 ? `Upload: ${uploads[0].fileName}` : `Batch upload: ${uploads.length} files`,
+      {
+        ...state,
+        uploadHistory: [...uploadHistory, ...records],
+        ...(Object.keys(autoLinks).length > 0 && { minerAliases: { ...minerAliases, links: { ...minerAliases.links, ...autoLinks } } }),
+        ...(newAlerts.length > 0 && { alertInbox: [...alertInbox, ...newAlerts].slice(-ALERT_INBOX_LIMIT) }),
+      },
+      null,
+      "upload",
+    );
+    if (lastProcessedNames) setNewMinersLastUpload(lastProcessedNames); // Highlight miners processed in the latest live upload
+    if (newAlerts.length > 0) notifyAlerts(newAlerts.filter(alert => alert.notify));
+    return newAlerts;
+  };
+
+  const actuallyUpdateData = async (parsedEntries, fileName, currentStrategy, dateOfUploadData, source, retainedNames = [], excludedNames = []) => {
     setIsProcessing(true);
     setStatus('Processing upload...', 'info', 0);
   
     try {
-      // Create snapshot for potential rollback (Phase 4)
-      const snapshotForHistory = {
-        miners: JSON.parse(JSON.stringify(miners)),
-        priceHistory: JSON.parse(JSON.stringify(priceHistory)),
-        knownMiners: Array.from(knownMiners),
-        minerSpecs: JSON.parse(JSON.stringify(minerSpecs)),
-        maxPrices: JSON.parse(JSON.stringify(maxPrices)),
-        previousPrices: JSON.parse(JSON.stringify(previousPrices)),
-        // Add any other critical state pieces here
-      };
-  
-      let currentMinersList = [...miners]; // Start with current miners for manipulation
-      const tempPriceHistory = JSON.parse(JSON.stringify(priceHistory));
-      const tempKnownMiners = new Set(knownMiners);
-      const tempMinerSpecs = JSON.parse(JSON.stringify(minerSpecs));
-      const tempMaxPrices = JSON.parse(JSON.stringify(maxPrices));
-      const tempPreviousPrices = JSON.parse(JSON.stringify(previousPrices)); // Prices before this specific update batch
-  
-      let countTrulyNewMiners = 0; // New to the system overall
-      const minersInThisUploadBatch = new Set(); // For tracking which miners were updated/added in THIS batch for `newMinersLastUpload` state
-  
-      uploadedEntries.forEach(entry => {
-        const key = entry.name;
-        minersInThisUploadBatch.add(key);
-  
-        if (!snapshotForHistory.knownMiners.includes(key)) { // Use snapshot for "truly new"
-          countTrulyNewMiners++;
-        }
-        tempKnownMiners.add(key);
-  
-        // Update specs with latest data from upload
-        tempMinerSpecs[key] = {
-          powerConsumption: entry.powerConsumption,
-          efficiency: entry.efficiency,
-          algorithm: entry.algorithm,
-        };
-  
-        // --- Phase 1: Price History Update (Daily/Intraday) ---
-        if (!tempPriceHistory[key]) {
-          tempPriceHistory[key] = { daily: [], intraday: [] };
-        }
-        const newHistEntry = {
-          date: entry.date, // Date of data point
-          timestamp: entry.uploadTimestamp, // Actual upload time
-          uploadId: entry.uploadId, // Unique ID for this specific entry
-          price: entry.price,
-          hashrate: entry.hashrate,
-          dailyEarnings: entry.dailyEarnings,
-          efficiency: entry.efficiency,
-          powerConsumption: entry.powerConsumption,
-        };
-        tempPriceHistory[key].intraday.push(newHistEntry);
-        tempPriceHistory[key].intraday.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-  
-        // Update daily array (latest entry per date based on timestamp)
-        const entriesForDate = tempPriceHistory[key].intraday.filter(h => h.date === entry.date);
-        if (entriesForDate.length > 0) {
-          const latestForDate = entriesForDate.reduce((latest, current) =>
-            new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest
-          );
-          const dailyIdx = tempPriceHistory[key].daily.findIndex(d => d.date === entry.date);
-          if (dailyIdx >= 0) {
-            tempPriceHistory[key].daily[dailyIdx] = latestForDate;
-          } else {
-            tempPriceHistory[key].daily.push(latestForDate);
-          }
-          tempPriceHistory[key].daily.sort((a, b) => new Date(a.date) - new Date(b.date));
-        }
-        
-        // Update max price
-        tempMaxPrices[key] = Math.max(tempMaxPrices[key] || 0, entry.price);
-      });
-  
-      // --- Phase 2: Merge Strategy for `miners` (current display list) ---
-      if (currentStrategy === 'replace') {
-        const newSnapshotMiners = [];
-        uploadedEntries.forEach(newMiner => {
-            const oldMinerData = miners.find(m => m.name === newMiner.name);
-            if (oldMinerData) tempPreviousPrices[newMiner.name] = oldMinerData.price;
-            else delete tempPreviousPrices[newMiner.name]; // New miner, no previous price in this context
-            newSnapshotMiners.push(newMiner);
-        });
-        currentMinersList = newSnapshotMiners;
-      } else if (currentStrategy === 'merge') {
-        const merged = [...currentMinersList];
-        uploadedEntries.forEach(newMiner => {
-          const idx = merged.findIndex(m => m.name === newMiner.name);
-          if (idx >= 0) {
-            tempPreviousPrices[newMiner.name] = merged[idx].price; // Capture before overwrite
-            merged[idx] = { ...merged[idx], ...newMiner }; // Update existing
-          } else {
-            merged.push(newMiner); // Add new
-            delete tempPreviousPrices[newMiner.name];
-          }
-        });
-        currentMinersList = merged;
-      } else if (currentStrategy === 'append') {
-        // Append: Add new, update existing if already there. Similar to merge for the snapshot list.
-        const appended = [...currentMinersList];
-        uploadedEntries.forEach(newMiner => {
-          const idx = appended.findIndex(m => m.name === newMiner.name);
-          if (idx >= 0) {
-            tempPreviousPrices[newMiner.name] = appended[idx].price;
-            appended[idx] = { ...appended[idx], ...newMiner}; // Update if exists
-          } else {
-            appended.push(newMiner); // Add if new
-            delete tempPreviousPrices[newMiner.name];
-          }
-        });
-        currentMinersList = appended;
-      }
-  
-      // Update states
-      setMiners(currentMinersList);
-      setPriceHistory(tempPriceHistory);
-      setKnownMiners(tempKnownMiners);
-      setMinerSpecs(tempMinerSpecs);
-      setNewMinersLastUpload(minersInThisUploadBatch); // Highlight miners processed in this batch
-      setMaxPrices(tempMaxPrices);
-      setPreviousPrices(tempPreviousPrices);
-  
-      // --- Phase 4: Enhanced Upload History ---
-      const newUploadRecord = {
-        id: crypto.randomUUID ? crypto.randomUUID() : `upload_${Date.now()}`,
-        date: dateOfUploadData, // The date the user specified for the data
-        timestamp: new Date().toISOString(), // Actual time of upload confirmation
-        fileName: fileName,
-        minerCount: uploadedEntries.length,
-        newMinerCount: countTrulyNewMiners, // Truly new to the system
-        updatedCount: uploadPreview?.summary?.updatedCount || 0, // From preview
+      const newAlerts = commitUploads([{
+        entries: parsedEntries,
+        fileName,
         strategy: currentStrategy,
-        snapshot: snapshotForHistory, // State *before* this upload
-      };
-      setUploadHistory(prev => [...prev, newUploadRecord]);
-      
-      setStatus('Upload successful!', 'success');
+        date: dateOfUploadData,
+        source,
+        updatedCount: uploadPreview ? uploadPreview.updated.filter(u => !excludedUploadIds.has(u.uploadId)).length : 0,
+        retainedNames,
+        excludedNames,
+      }]);
+      setStatus(newAlerts.length > 0 ? `Upload successful! ${newAlerts.length} price alert(s) triggered.` : 'Upload successful!', 'success');
     } catch (error) {
       console.error("Error during data update:", error);
       setStatus(`Upload processing failed: ${error.message}`, 'error');
@@ -853,22 +1295,52 @@ const MinerPriceTracker = () => {
     }
   };
 
+  // --- Preview Row Selection ---
+  // Errors only block the upload while their row is still selected
+  const activePreviewErrors = uploadPreview ? uploadPreview.errors.filter(error => !error.uploadId || !excludedUploadIds.has(error.uploadId)) : [];
+
+  const toggleSetMember = (setter, key) => setter(prev => {
+    const next = new Set(prev);
+    if (next.has(key)) next.delete(key); else next.add(key);
+    return next;
+  });
+  const setPreviewRowsIncluded = (uploadIds, included) => setExcludedUploadIds(prev => {
+    const next = new Set(prev);
+    uploadIds.forEach(id => { if (included) next.delete(id); else next.add(id); });
+    return next;
+  });
+
   // --- Confirm Upload (called from Preview Modal) ---
   const confirmUpload = async () => {
     if (!stagedNewMiners || stagedNewMiners.length === 0) {
       setStatus("No data staged for upload.", 'warning');
       return;
     }
-    if (uploadPreview && uploadPreview.errors.length > 0) {
-        setStatus("Cannot confirm upload due to errors in data. Please check the preview.", 'error');
+    if (uploadPreview && activePreviewErrors.length > 0) {
+        setStatus("Cannot confirm upload due to errors in data. Deselect the affected rows or cancel.", 'error');
         return;
     }
+    const resolvedEntries = resolveDuplicates(stagedNewMiners, duplicatePolicy);
+    const selectedEntries = resolvedEntries.filter(entry => !excludedUploadIds.has(entry.uploadId));
+    if (selectedEntries.length === 0) {
+      setStatus("All rows are deselected; nothing to upload.", 'warning');
+      return;
+    }
+    // Deselected rows were in the file, so their miners must not count as missed by this upload
+    const selectedNames = new Set(selectedEntries.map(entry => entry.name));
+    const excludedNames = [...new Set(resolvedEntries
+      .filter(entry => entry.name && excludedUploadIds.has(entry.uploadId) && !selectedNames.has(entry.name))
+      .map(entry => entry.name))];
 
     try {
-      await actuallyUpdateData(stagedNewMiners, stagedUploadFileName, mergeStrategy, uploadDate);
+      await actuallyUpdateData(selectedEntries, stagedUploadFileName, mergeStrategy, uploadDate, uploadSource, [...keptRemovedMiners], excludedNames);
       // Clear staged data & close preview on success
       setStagedNewMiners(null);
       setStagedUploadFileName("");
+      setStagedRawRows(null);
+      setExcludedUploadIds(new Set());
+      setKeptRemovedMiners(new Set());
+      setColumnMapping(null);
       setUploadPreview(null);
       setShowUploadPreview(false);
       setSelectedFile(null);
@@ -882,108 +1354,149 @@ const MinerPriceTracker = () => {
   
   const cancelUpload = () => {
     setStagedNewMiners(null);
+    setExcludedUploadIds(new Set());
+    setKeptRemovedMiners(new Set());
     setStagedUploadFileName("");
+    setStagedRawRows(null);
+    setColumnMapping(null);
     setUploadPreview(null);
     setShowUploadPreview(false);
     setSelectedFile(null);
     setStatus("Upload cancelled.", 'info');
   };
 
+  // Applies every queued file in date order, each as its own uploadHistory record
+  const confirmBatchUpload = () => {
+    if (!batchQueue || batchQueue.length === 0) return;
+    const blocked = batchQueue.filter(batchItemProblem);
+    if (blocked.length > 0) {
+      setStatus(`Cannot apply batch: ${blocked.length} file(s) have problems. Fix their dates or remove them from the queue.`, 'error');
+      return;
+    }
+    const ordered = orderBatchQueue(batchQueue);
+    setIsProcessing(true);
+    setStatus(`Applying ${ordered.length} files...`, 'info', 0);
+    try {
+      const batchKnownNames = new Set(knownMiners); // Names from earlier files resolve later files, as in the previews
+      const newAlerts = commitUploads(ordered.map(item => {
+        const entries = parseDataRows(item.rows, item.date, item.columnMapping, batchKnownNames); // Re-parsed in date order so upload timestamps follow the data dates
+        entries.forEach(entry => batchKnownNames.add(entry.name));
+        return {
+          entries: resolveDuplicates(entries, duplicatePolicy),
+          fileName: item.fileName,
+          strategy: mergeStrategy,
+          date: item.date,
+          source: item.source,
+          updatedCount: item.preview.summary.updatedCount,
+        };
+      }));
+      setBatchQueue(null);
+      setStatus(`Applied ${ordered.length} files (${ordered[0].date} to ${ordered[ordered.length - 1].date}).${newAlerts.length > 0 ? ` ${newAlerts.length} price alert(s) triggered.` : ""}`, 'success');
+    } catch (error) {
+      console.error("Batch upload failed:", error);
+      setStatus(`Batch upload failed: ${error.message}`, 'error');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const cancelBatchUpload = () => {
+    setBatchQueue(null);
+    setStatus("Batch upload cancelled.", 'info');
+  };
+
   // --- Phase 4: Rollback Functionality ---
+  // Opens the rollback dialog; later uploads are either discarded or replayed on top of the restored state
   const rollbackUpload = (uploadIdToRollback) => {
-    const uploadToRestore = uploadHistory.find(u => u.id === uploadIdToRollback);
-    if (!uploadToRestore || !uploadToRestore.snapshot) {
-      setStatus("Cannot rollback: Snapshot not found or invalid.", 'error');
+    const rollbackIndex = uploadHistory.findIndex(u => u.id === uploadIdToRollback);
+    const uploadToRestore = uploadHistory[rollbackIndex];
+    if (uploadToRestore?.mergedFromBackup) {
+      setStatus("Cannot rollback: this upload was merged in from a backup and never changed the local data.", 'error');
       return;
     }
+    if (!uploadToRestore || !(uploadToRestore.changes || uploadToRestore.snapshot)) {
+      setStatus("Cannot rollback: Rollback data not found or invalid.", 'error');
+      return;
+    }
+    const laterUploads = uploadHistory.slice(rollbackIndex + 1);
+    setPendingRollback({
+      uploadId: uploadToRestore.id,
+      fileName: uploadToRestore.fileName,
+      timestamp: uploadToRestore.timestamp,
+      laterCount: laterUploads.length,
+      canReplay: laterUploads.every(isReplayableUpload), // Older records lack the rows needed to replay them
+      // Edits made since to miners this or a later upload rewrites, which a rebuild would lose
+      blockers: findReplayBlockers(journal, uploadToRestore.timestamp, new Set(uploadHistory.slice(rollbackIndex).flatMap(uploadRecordNames)))
+        .map(entry => entry.label),
+    });
+  };
 
-    const confirmMessage = `Are you sure you want to rollback to the state before the upload on ${new Date(uploadToRestore.timestamp).toLocaleString()} (File: ${uploadToRestore.fileName})?\nThis will revert all data to that point.`;
-    if (window.confirm(confirmMessage)) {
-      setIsProcessing(true);
-      setStatus('Rolling back data...', 'info', 0);
-      try {
-        const snap = uploadToRestore.snapshot;
-        setMiners(snap.miners || []);
-        setPriceHistory(snap.priceHistory || {});
-        setKnownMiners(new Set(snap.knownMiners || []));
-        setMinerSpecs(snap.minerSpecs || {});
-        setMaxPrices(snap.maxPrices || {});
-        setPreviousPrices(snap.previousPrices || {});
-        setNewMinersLastUpload(new Set()); // Clear last upload highlights
-
-        // Optional: Prune upload history *after* the rollback point.
-        // This is a design choice. For now, we keep all history.
-        // const rollbackIndex = uploadHistory.findIndex(u => u.id === uploadIdToRollback);
-        // setUploadHistory(prev => prev.slice(0, rollbackIndex + 1));
-
-        setStatus("Rollback successful!", 'success');
-      } catch (e) {
-        console.error("Rollback error:", e);
-        setStatus(`Rollback failed: ${e.message}`, 'error');
-      } finally {
-        setIsProcessing(false);
+  const applyRollback = (mode) => { // 'discard' | 'replay'
+    if (!pendingRollback) return;
+    const rollbackIndex = uploadHistory.findIndex(u => u.id === pendingRollback.uploadId);
+    if (rollbackIndex < 0) {
+      setPendingRollback(null);
+      return;
+    }
+    const { fileName, laterCount, blockers } = pendingRollback;
+    if (mode === 'replay' && blockers.length > 0) {
+      setStatus(`Cannot replay later uploads: undo these changes first: ${blockers.join(", ")}.`, 'error');
+      return;
+    }
+    setIsProcessing(true);
+    setStatus('Rolling back data...', 'info', 0);
+    try {
+      if (mode === 'replay') {
+        const rebuilt = replayUploadsWithout(uploadHistory, rollbackIndex, identityState());
+        applyJournaledChange(`Remove upload: ${fileName} (replayed ${laterCount} later)`, { ...rebuilt.state, uploadHistory: rebuilt.uploadHistory }, null, "rollback");
+        setStatus(`Removed "${fileName}" and replayed ${laterCount} later upload(s).`, 'success');
+      } else {
+        const restored = rebuildStateBeforeUpload(uploadHistory, rollbackIndex, identityState());
+        applyJournaledChange(
+          laterCount > 0 ? `Rollback: ${fileName} (discarded ${laterCount} later)` : `Rollback: ${fileName}`,
+          { ...restored, uploadHistory: uploadHistory.slice(0, rollbackIndex) }, // The rolled-back upload and everything after it
+          null,
+          "rollback",
+        );
+        setStatus(laterCount > 0 ? `Rolled back "${fileName}" and discarded ${laterCount} later upload(s).` : "Rollback successful!", 'success');
       }
+      setNewMinersLastUpload(new Set()); // Clear last upload highlights
+      setPendingRollback(null);
+    } catch (e) {
+      console.error("Rollback error:", e);
+      setStatus(`Rollback failed: ${e.message}`, 'error');
+    } finally {
+      setIsProcessing(false);
     }
   };
   
   // --- Phase 5: Storage Optimization ---
-  const optimizePriceHistory = useCallback((currentPriceHistory) => {
-    const optimized = {};
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  
-    Object.entries(currentPriceHistory).forEach(([minerName, historyData]) => {
-      if (!historyData || !historyData.intraday || !Array.isArray(historyData.intraday)) {
-        optimized[minerName] = historyData; // Preserve if not in expected format
-        return;
-      }
-  
-      // Sort intraday: newest first for easier processing of latest daily
-      const sortedIntradayDesc = [...historyData.intraday].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-  
-      const latestDailyMap = new Map(); // Stores the absolute latest entry for each date
-      sortedIntradayDesc.forEach(entry => {
-        if (!latestDailyMap.has(entry.date)) {
-          latestDailyMap.set(entry.date, entry);
-        }
-      });
-  
-      const finalIntradayEntries = new Set();
-      // Add all entries that are the latest for their specific day
-      latestDailyMap.forEach(entry => finalIntradayEntries.add(entry));
-  
-      // Add all intraday entries from the last 30 days (even if not the latest for their day)
-      historyData.intraday.forEach(entry => { // Iterate original to ensure all are checked
-        if (new Date(entry.timestamp) >= thirtyDaysAgo) {
-          finalIntradayEntries.add(entry);
-        }
-      });
-      
-      const newDailyArray = Array.from(latestDailyMap.values()).sort((a, b) => new Date(a.date) - new Date(b.date));
-      const newIntradayArray = Array.from(finalIntradayEntries).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-  
-      optimized[minerName] = {
-        daily: newDailyArray,
-        intraday: newIntradayArray,
-      };
-    });
-    return optimized;
-  }, []);
+  // Dry run of the retention policy, only computed while the editor is open
+  const retentionPreview = useMemo(
+    () => (showRetentionPolicy ? applyRetentionPolicy(priceHistory, uploadHistory, retentionPolicy) : null),
+    [showRetentionPolicy, priceHistory, uploadHistory, retentionPolicy]
+  );
+
+  const updateRetentionPolicy = (patch) => setRetentionPolicy(prev => ({ ...prev, ...patch }));
 
   const cleanupStorage = () => {
-    if (!window.confirm("Are you sure you want to perform storage cleanup? This will optimize price history (keeping daily latest + last 30 days intraday) and keep only the last 10 upload snapshots.")) {
+    if (!retentionPreview) return;
+    const { entries, kb } = retentionPreview.stats;
+    if (entries === 0) {
+      setStatus("Nothing to clean up under this retention policy.", 'info');
+      return;
+    }
+    if (!window.confirm(`Apply the retention policy? This removes ${entries} history entries and rollback records (about ${kb.toFixed(1)} KB).\n\nCleanup cannot be undone, and changes made before it can no longer be undone from the Change Journal.`)) {
         return;
     }
     setIsProcessing(true);
     setStatus("Cleaning up storage...", 'info', 0);
     try {
-      const optimized = optimizePriceHistory(priceHistory);
-      setPriceHistory(optimized);
-  
-      if (uploadHistory.length > 10) {
-        setUploadHistory(prev => prev.slice(-10));
-      }
-      setStatus("Storage cleanup successful!", 'success');
+      // Recomputed so the applied result matches the current data even if it changed since the preview
+      const result = applyRetentionPolicy(priceHistory, uploadHistory, retentionPolicy);
+      applyJournaledChange("Storage cleanup", { priceHistory: result.priceHistory, uploadHistory: result.uploadHistory }, null, "cleanup");
+      setShowRetentionPolicy(false);
+      setStatus(`Storage cleanup successful! Freed about ${result.stats.kb.toFixed(1)} KB.`, 'success');
     } catch (e) {
         console.error("Cleanup error:", e);
         setStatus(`Storage cleanup failed: ${e.message}`, 'error');
@@ -992,31 +1505,437 @@ const MinerPriceTracker = () => {
     }
   };
 
-  // Calculate price changes (uses `previousPrices` state)
-  const calculatePriceChanges = useCallback((miner) => {
-    const currentPrice = miner.price;
-    const maxPrice = maxPrices[miner.name] || currentPrice;
-    const prevPrice = previousPrices[miner.name]; // Price before last update in table
+  // --- Miner Identity & Aliases ---
+  const identityState = () => ({ miners, priceHistory, knownMiners, minerSpecs, maxPrices, previousPrices });
+  const applyIdentityState = (next) => {
+    setMiners(next.miners);
+    setPriceHistory(next.priceHistory);
+    setKnownMiners(next.knownMiners);
+    setMinerSpecs(next.minerSpecs);
+    setMaxPrices(next.maxPrices);
+    setPreviousPrices(next.previousPrices);
+  };
 
-    const changeFromMax = maxPrice > 0 ? (((currentPrice - maxPrice) / maxPrice) * 100) : 0;
-    const changeFromPrevious = (prevPrice !== undefined && prevPrice !== null && prevPrice !== currentPrice)
-      ? (((currentPrice - prevPrice) / prevPrice) * 100)
-      : null;
+  // --- Change Journal ---
+  // Alias links and the alert inbox are journaled too, since uploads and alias merges change them with the data
+  const journalState = () => ({ ...identityState(), uploadHistory, minerAliases, alertInbox });
+  const applyJournalState = (next) => {
+    applyIdentityState(next);
+    setUploadHistory(next.uploadHistory);
+    setMinerAliases(next.minerAliases);
+    setAlertInbox(next.alertInbox);
+  };
 
-    return {
-      changeFromMax: parseFloat(changeFromMax.toFixed(1)),
+  // Applies the result of a data-mutating operation and journals it so it can be undone.
+  // `next` holds only the parts that changed; `recordCount` overrides the computed count of changed miners.
+  // `kind` is 'upload' or 'rollback' for operations recorded in uploadHistory, which rollback can replay, and 'cleanup'
+  // for storage cleanup, which saves no undo data: it would hold everything the cleanup frees.
+  const applyJournaledChange = (label, next, recordCount = null, kind = "edit") => {
+    const before = journalState();
+    const after = { ...before, ...next };
+    const diff = diffJournalState(before, after);
+    const counts = countJournalChanges(diff);
+    applyJournalState(after);
+    const entry = {
+      id: typeof crypto !== "undefined" && crypto.randomUUID ? crypto.randomUUID() : `change_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+      label,
+      timestamp: new Date().toISOString(),
+      minerCount: recordCount ?? counts.minerCount,
+      minerNames: counts.minerNames, // Lets rollback tell which later edits a replay would lose, after the diff is dropped
+      uploadCount: counts.uploadCount,
+      status: "done", // 'done' | 'undone' | 'discarded' (undone, then superseded by a new change)
+      kind,
+      ...(kind === "cleanup" ? {} : { diff }),
+    };
+    setJournal(prev => appendJournalEntry(prev, entry)); // A new change ends the redo chain
+  };
+
+  const undoEntry = [...journal].reverse().find(e => e.status === "done") || null;
+  const redoEntry = journal.find(e => e.status === "undone") || null; // Undone entries always sit at the end, oldest first
+  const canUndo = Boolean(undoEntry?.diff);
+  const canRedo = Boolean(redoEntry?.diff);
+
+  const undoLastChange = () => {
+    if (!canUndo) {
+      setStatus(`Nothing to undo. Undo data is kept for the last ${JOURNAL_UNDO_LIMIT} changes.`, 'warning');
+      return;
+    }
+    applyJournalState(applyJournalDiff(journalState(), undoEntry.diff, "undo"));
+    setJournal(prev => prev.map(e => (e.id === undoEntry.id ? { ...e, status: "undone" } : e)));
+    setNewMinersLastUpload(new Set());
+    setStatus(`Undid "${undoEntry.label}".`, 'success');
+  };
+
+  const redoLastChange = () => {
+    if (!canRedo) return;
+    applyJournalState(applyJournalDiff(journalState(), redoEntry.diff, "redo"));
+    setJournal(prev => prev.map(e => (e.id === redoEntry.id ? { ...e, status: "done" } : e)));
+    setStatus(`Redid "${redoEntry.label}".`, 'success');
+  };
+
+  // --- Inline Edits ---
+  const startCellEdit = (miner, field) => {
+    if (isProcessing) return;
+    setEditingCell({ name: miner.name, field, value: miner[field] ?? "" });
+  };
+
+  const commitCellEdit = () => {
+    if (!editingCell) return;
+    const { name, field, value } = editingCell;
+    setEditingCell(null);
+    const fieldInfo = EDITABLE_MINER_FIELDS.find(f => f.key === field);
+    const number = parseFloat(value);
+    if (!(number > 0)) {
+      setStatus(`${fieldInfo.label} must be a positive number.`, 'warning');
+      return;
+    }
+    const result = applyMinerEdit(identityState(), name, { [field]: number });
+    if (!result) return; // Unchanged
+    applyJournaledChange(`Edit ${fieldInfo.label.toLowerCase()}: ${name}`, result.state);
+    const record = {
+      id: typeof crypto !== "undefined" && crypto.randomUUID ? crypto.randomUUID() : `edit_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+      minerName: name,
+      entryUploadId: result.entryUploadId, // The priceHistory row that was edited
+      dataDate: result.dataDate,
+      changes: result.changes,
+      timestamp: new Date().toISOString(),
+      revertedAt: null,
+    };
+    setEditLog(prev => [...prev, record].slice(-EDIT_LOG_LIMIT));
+    setStatus(`Updated ${fieldInfo.label.toLowerCase()} of ${name}.`, 'success');
+  };
+
+  // Restores the old values on the same history row (and on the table while it still shows that row)
+  const revertEdit = (recordId) => {
+    const record = editLog.find(r => r.id === recordId);
+    if (!record || record.revertedAt) return;
+    const summary = record.changes.map(c => `${c.field}: ${c.newValue} → ${c.oldValue ?? "empty"}`).join("\n");
+    if (!window.confirm(`Revert this edit of ${record.minerName}?\n\n${summary}`)) return;
+    const result = revertMinerEdit(identityState(), record);
+    if (result) applyJournaledChange(`Revert edit: ${record.minerName}`, result.state);
+    setEditLog(prev => prev.map(r => (r.id === recordId ? { ...r, revertedAt: new Date().toISOString() } : r)));
+    setStatus(result ? `Reverted edit of ${record.minerName}.` : `Edit of ${record.minerName} was already undone; marked as reverted.`, result ? 'success' : 'info');
+  };
+
+  // Table cell that turns into a number input on double-click
+  const renderEditableCell = (miner, field, display) => {
+    if (editingCell && editingCell.name === miner.name && editingCell.field === field) {
+      return (
+        <input
+          type="number" min="0" step="any" autoFocus value={editingCell.value}
+          onChange={(e) => setEditingCell(prev => ({ ...prev, value: e.target.value }))}
+          onBlur={commitCellEdit}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') e.currentTarget.blur();
+            if (e.key === 'Escape') setEditingCell(null);
+          }}
+          className="bg-gray-700 border border-sky-500 rounded px-1 py-0.5 w-24 text-right text-sm outline-none"
+        />
+      );
+    }
+    return <span onDoubleClick={() => startCellEdit(miner, field)} className="cursor-text" title="Double-click to edit">{display}</span>;
+  };
+
+  const aliasGroups = useMemo(
+    () => detectAliasGroups({ miners, priceHistory, knownMiners }, minerAliases),
+    [miners, priceHistory, knownMiners, minerAliases]
+  );
+
+  const mergeAliasGroups = (groups) => {
+    if (groups.length === 0) return;
+    let next = identityState();
+    const links = { ...minerAliases.links };
+    let mergedCount = 0;
+    groups.forEach(({ canonical, aliases }) => {
+      aliases.forEach(alias => {
+        next = mergeMinerAlias(next, alias, canonical);
+        links[alias] = canonical;
+        mergedCount++;
+      });
+    });
+    applyJournaledChange(`Merge ${mergedCount} alias name(s)`, { ...next, minerAliases: { ...minerAliases, links } });
+    setStatus(`Merged ${mergedCount} alias name(s) into their canonical miners.`, 'success');
+  };
+
+  const linkMinerNames = (alias, canonical) => {
+    alias = alias.trim();
+    canonical = canonical.trim();
+    if (!alias || !canonical || alias === canonical) {
+      setStatus("Choose two different miner names to link.", 'warning');
+      return;
+    }
+    const target = resolveCanonicalName(canonical, { links: minerAliases.links, exclusions: [canonical] }, []);
+    if (target === alias) {
+      setStatus(`"${canonical}" is already an alias of "${alias}".`, 'warning');
+      return;
+    }
+    if (!window.confirm(`Link "${alias}" to "${target}"?\n\nAll history, max price and spec data for "${alias}" will be merged into "${target}".`)) return;
+
+    const links = { ...minerAliases.links, [alias]: target };
+    Object.keys(links).forEach(name => { if (links[name] === alias) links[name] = target; }); // Re-point aliases of the alias
+    applyJournaledChange(`Link alias: ${alias} → ${target}`, {
+      ...mergeMinerAlias(identityState(), alias, target),
+      minerAliases: { links, exclusions: minerAliases.exclusions.filter(n => n !== alias && n !== target) },
+    });
+    setAliasLinkForm({ alias: "", canonical: "" });
+    setStatus(`Linked "${alias}" to "${target}".`, 'success');
+  };
+
+  const unlinkMinerAlias = (alias) => {
+    const canonical = minerAliases.links[alias];
+    if (!canonical) return;
+    if (!window.confirm(`Unlink "${alias}" from "${canonical}"?\n\nHistory entries listed as "${alias}" will be moved back to their own miner, and future uploads will keep it separate.`)) return;
+    const links = { ...minerAliases.links };
+    delete links[alias];
+    applyJournaledChange(`Unlink alias: ${alias}`, {
+      ...splitMinerAlias(identityState(), alias, canonical),
+      minerAliases: { links, exclusions: [...minerAliases.exclusions.filter(n => n !== alias), alias] },
+    });
+    setStatus(`Unlinked "${alias}" from "${canonical}".`, 'success');
+  };
+
+  // --- Hardware Spec Catalog ---
+  const filteredSpecCatalog = useMemo(() => {
+    const term = specCatalogSearch.toLowerCase();
+    return specCatalog.filter(entry => !term || entry.model.toLowerCase().includes(term));
+  }, [specCatalog, specCatalogSearch]);
+
+  const addSpecEntry = () => {
+    setSpecCatalog(prev => [{ id: createSpecId(), model: "", hashrate: null, power: 0, coolingType: "air", releaseDate: "" }, ...prev]);
+    setSpecCatalogSearch("");
+  };
+
+  const updateSpecEntry = (id, field, value) => {
+    setSpecCatalog(prev => prev.map(entry => {
+      if (entry.id !== id) return entry;
+      if (field === "hashrate" || field === "power") {
+        const number = parseFloat(value);
+        return { ...entry, [field]: isNaN(number) ? null : number };
+      }
+      return { ...entry, [field]: value };
+    }));
+  };
+
+  const deleteSpecEntry = (id) => {
+    const entry = specCatalog.find(e => e.id === id);
+    if (entry && entry.model && !window.confirm(`Delete "${entry.model}" from the spec catalog?`)) return;
+    setSpecCatalog(prev => prev.filter(e => e.id !== id));
+  };
+
+  const resetSpecCatalog = () => {
+    if (!window.confirm(`Reset the spec catalog to the ${DEFAULT_SPEC_CATALOG.length} built-in entries? Your additions and edits will be lost.`)) return;
+    setSpecCatalog(DEFAULT_SPEC_CATALOG);
+    setStatus("Spec catalog reset to built-in defaults.", 'success');
+  };
+
+  const downloadFile = (content, fileName, type) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const exportSpecCatalog = (format) => {
+    const rows = specCatalog.filter(isCompleteSpecEntry).map(({ id, ...entry }) => entry);
+    const dateStr = new Date().toISOString().split("T")[0];
+    if (format === "csv") {
+      downloadFile(Papa.unparse(rows, { columns: SPEC_CATALOG_FIELDS }), `miner-spec-catalog-${dateStr}.csv`, "text/csv;charset=utf-8;");
+    } else {
+      downloadFile(JSON.stringify(rows, null, 2), `miner-spec-catalog-${dateStr}.json`, "application/json");
+    }
+    setStatus(`Exported ${rows.length} catalog entries.`, 'success');
+  };
+
+  // Imported entries replace catalog entries with the same model; everything else is kept
+  const handleSpecCatalogImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = null;
+    if (!file) return;
+    try {
+      const text = await file.text();
+      let rawEntries;
+      if (file.name.toLowerCase().endsWith(".json")) {
+        const parsed = JSON.parse(text);
+        rawEntries = Array.isArray(parsed) ? parsed : parsed.specCatalog;
+        if (!Array.isArray(rawEntries)) throw new Error("JSON must be an array of catalog entries.");
+      } else {
+        rawEntries = Papa.parse(text, { header: true, skipEmptyLines: true, transformHeader: h => h.trim() }).data;
+      }
+      const imported = rawEntries.map(raw => normalizeSpecEntry({ ...raw, id: undefined })).filter(Boolean);
+      if (imported.length === 0) throw new Error("No valid entries found (each needs a model and power).");
+      const importedModels = new Set(imported.map(e => e.model));
+      setSpecCatalog(prev => [...prev.filter(e => !importedModels.has(e.model)), ...imported]);
+      const skipped = rawEntries.length - imported.length;
+      setStatus(`Imported ${imported.length} catalog entries${skipped > 0 ? ` (${skipped} invalid rows skipped)` : ""}.`, 'success');
+    } catch (error) {
+      console.error("Spec catalog import error:", error);
+      setStatus(`Failed to import spec catalog: ${error.message}`, 'error');
+    }
+  };
+
+  // --- Spec Match Review Queue ---
+  // Miners still missing power whose best catalog candidate is below the auto-apply confidence
+  const specReviewQueue = useMemo(() => {
+    const queue = [];
+    miners.forEach(miner => {
+      const hasEfficiency = miner.efficiency && miner.efficiency > 0 && !isNaN(miner.efficiency);
+      if (hasEfficiency || findSpecInIndex(specCatalogIndex, miner.name)) return;
+      const decision = specMatchDecisions[miner.name];
+      if (decision?.status === "approved") return;
+      const candidates = rankSpecCandidates(specCatalogIndex, miner.name, miner.hashrate, decision?.rejectedSpecIds || []);
+      if (candidates.length > 0 && candidates[0].confidence < SPEC_MATCH_AUTO_CONFIDENCE) {
+        queue.push({ name: miner.name, hashrate: miner.hashrate, candidates: candidates.slice(0, 3) });
+      }
+    });
+    return queue;
+  }, [miners, specCatalogIndex, specMatchDecisions]);
+
+  // Sets power/efficiency for one miner across the list, specs and its history
+  const applyPowerToMiner = (name, power) => {
+    const miner = miners.find(m => m.name === name);
+    if (!miner || !(power > 0)) return;
+    const efficiency = miner.hashrate ? power / miner.hashrate : miner.efficiency;
+    applyJournaledChange(`Apply spec match: ${name}`, {
+      miners: miners.map(m => (m.name === name ? { ...m, powerConsumption: power, efficiency } : m)),
+      minerSpecs: { ...minerSpecs, [name]: { ...minerSpecs[name], powerConsumption: power, efficiency } },
+      priceHistory: priceHistory[name] ? { ...priceHistory, [name]: withHistoryPower(priceHistory[name], power, efficiency) } : priceHistory,
+    });
+  };
+
+  const approveSpecMatch = (name, candidate) => {
+    setSpecMatchDecisions(prev => ({
+      ...prev,
+      [name]: { status: "approved", specId: candidate.entry.id, model: candidate.entry.model, decidedAt: new Date().toISOString() },
+    }));
+    applyPowerToMiner(name, candidate.power);
+    setStatus(`Matched "${name}" to "${candidate.entry.model}" (${candidate.power} W).`, 'success');
+  };
+
+  const rejectSpecMatch = (name, candidate) => {
+    setSpecMatchDecisions(prev => {
+      const previous = prev[name]?.status === "rejected" ? prev[name].rejectedSpecIds : [];
+      return { ...prev, [name]: { status: "rejected", rejectedSpecIds: [...previous, candidate.entry.id], decidedAt: new Date().toISOString() } };
+    });
+  };
+
+  // Calculate price changes (uses `previousPrices` state)
+  const calculatePriceChanges = useCallback((miner) => {
+    const currentPrice = miner.price;
+    const maxPrice = maxPrices[miner.name] || currentPrice;
+    const prevPrice = previousPrices[miner.name]; // Price before last update in table
+
+    const changeFromMax = maxPrice > 0 ? (((currentPrice - maxPrice) / maxPrice) * 100) : 0;
+    const changeFromPrevious = (prevPrice !== undefined && prevPrice !== null && prevPrice !== currentPrice)
+      ? (((currentPrice - prevPrice) / prevPrice) * 100)
+      : null;
+
+    return {
+      changeFromMax: parseFloat(changeFromMax.toFixed(1)),
       changeFromPrevious: changeFromPrevious !== null ? parseFloat(changeFromPrevious.toFixed(1)) : null,
     };
   }, [maxPrices, previousPrices]);
 
 
+  // --- Profitability Model ---
+  const updateProfitabilitySetting = (field, value) => {
+    setProfitabilitySettings(prev => ({ ...prev, [field]: field === "networkInput" ? value : (parseFloat(value) || 0) }));
+  };
+
+  // { minerName: { grossRevenue, powerCost, netProfit, paybackDays, roi12, roi24, breakEvenElectricity } } from the current model inputs
+  const minerProfitability = useMemo(() => {
+    const result = {};
+    miners.forEach(miner => { result[miner.name] = calculateMinerProfitability(miner, profitabilitySettings); });
+    return result;
+  }, [miners, profitabilitySettings]);
+
+  // --- Multi-Month Projection ---
+  const updateProjectionSetting = (field, value) => {
+    const textFields = ["pricePath", "halvingDates", "customPrices"];
+    setProjectionSettings(prev => ({ ...prev, [field]: textFields.includes(field) ? value : (parseFloat(value) || 0) }));
+  };
+
+  const openProjection = (minerName) => {
+    setProjectionMiners(prev => (prev.includes(minerName) ? prev : [...prev, minerName]));
+    setShowProjection(true);
+  };
+
+  const removeFromProjection = (minerName) => {
+    setProjectionMiners(prev => prev.filter(name => name !== minerName));
+  };
+
+  // [{ name, purchasePrice, result }] for the shortlist, plus month-indexed rows for the cumulative chart
+  const projectionResults = useMemo(() => {
+    if (!showProjection) return { series: [], chartData: [] };
+    const series = projectionMiners
+      .map(name => miners.find(miner => miner.name === name))
+      .filter(Boolean)
+      .map(miner => {
+        const purchasePrice = latestHistoryPrice(priceHistory[miner.name], miner.price);
+        return { name: miner.name, purchasePrice, result: projectMinerCashFlow(miner, purchasePrice, profitabilitySettings, projectionSettings) };
+      });
+    const chartData = Array.from({ length: projectionSettings.months + 1 }, (_, month) => {
+      const row = { month };
+      series.forEach(({ name, purchasePrice, result }) => {
+        row[name] = month === 0 ? -purchasePrice : result.months[month - 1]?.cumulative;
+      });
+      return row;
+    });
+    return { series, chartData };
+  }, [showProjection, projectionMiners, miners, priceHistory, profitabilitySettings, projectionSettings]);
+
+  // --- Price Alerts ---
+  const unreadAlertCount = useMemo(() => alertInbox.filter(alert => !alert.read).length, [alertInbox]);
+
+  const addAlertRule = () => setAlertRules(prev => [...prev, createAlertRule()]);
+
+  const updateAlertRule = (id, field, value) => {
+    setAlertRules(prev => prev.map(rule => (rule.id === id ? { ...rule, [field]: value } : rule)));
+    if (field === "notify" && value && window.Notification && window.Notification.permission === "default") {
+      window.Notification.requestPermission();
+    }
+  };
+
+  const deleteAlertRule = (id) => {
+    const rule = alertRules.find(r => r.id === id);
+    if (rule && (rule.name || rule.namePattern) && !window.confirm(`Delete alert rule "${rule.name || rule.namePattern}"?`)) return;
+    setAlertRules(prev => prev.filter(r => r.id !== id));
+  };
+
+  // Browser pop-ups for rules with notifications enabled; silently skipped without permission
+  const notifyAlerts = (alerts) => {
+    if (alerts.length === 0 || !window.Notification || window.Notification.permission !== "granted") return;
+    alerts.slice(0, 5).forEach(alert => {
+      new window.Notification(`Price alert: ${alert.ruleName}`, { body: `${alert.minerName} at $${alert.price?.toFixed(2)}\n${alert.reasons.join("; ")}`, tag: alert.id });
+    });
+    if (alerts.length > 5) new window.Notification("Price alerts", { body: `${alerts.length - 5} more alert(s) in the inbox.` });
+  };
+
+  const markAlertsRead = () => setAlertInbox(prev => prev.map(alert => (alert.read ? alert : { ...alert, read: true })));
+
+  const dismissAlert = (id) => setAlertInbox(prev => prev.filter(alert => alert.id !== id));
+
+  const clearAlertInbox = () => {
+    if (alertInbox.length > 0 && window.confirm(`Delete all ${alertInbox.length} alerts from the inbox?`)) setAlertInbox([]);
+  };
+
+  // --- Listing Status ---
+  const listingStatus = useMemo(() => computeListingStatus(uploadHistory, priceHistory, delistThreshold), [uploadHistory, priceHistory, delistThreshold]);
+
   // Sort miners
   const sortedMiners = useMemo(() => {
     const filtered = miners.filter((miner) => {
       const nameMatch = miner.name && miner.name.toLowerCase().includes(searchTerm.toLowerCase());
       const efficiencyMatch = miner.efficiency === null || miner.efficiency === undefined || miner.efficiency <= filterEfficiency;
       const newMatch = !showOnlyNew || newMinersLastUpload.has(miner.name);
-      return nameMatch && efficiencyMatch && newMatch;
+      const metricsMatch = !minerProfitability[miner.name] || matchesMetricFilters(minerProfitability[miner.name], metricFilters);
+      const isDelisted = !!listingStatus[miner.name]?.delisted;
+      const listingMatch = listingFilter === "all" || (listingFilter === "delisted" ? isDelisted : !isDelisted);
+      return nameMatch && efficiencyMatch && newMatch && metricsMatch && listingMatch;
     });
 
     if (!sortConfig.key) return filtered;
@@ -1031,6 +1950,18 @@ const MinerPriceTracker = () => {
           case "efficiency": return miner.efficiency === null || miner.efficiency === undefined ? Infinity : miner.efficiency; // Sort N/A last for asc
           case "price": return miner.price || 0;
           case "dailyEarnings": return miner.dailyEarnings || 0;
+          case "grossRevenue":
+          case "powerCost":
+          case "netProfit":
+          case "paybackDays":
+          case "roi12":
+          case "roi24":
+          case "breakEvenElectricity":
+          case "pricePerTh":
+          case "pricePerWatt": {
+            const value = minerProfitability[miner.name]?.[key];
+            return value === null || value === undefined ? (sortConfig.direction === 'asc' ? Infinity : -Infinity) : value;
+          }
           case "changeFromMax": return calculatePriceChanges(miner).changeFromMax;
           case "changeFromPrevious": return calculatePriceChanges(miner).changeFromPrevious === null ? (sortConfig.direction === 'asc' ? Infinity : -Infinity) : calculatePriceChanges(miner).changeFromPrevious;
           default: return 0;
@@ -1043,7 +1974,7 @@ const MinerPriceTracker = () => {
       if (aValue > bValue) return sortConfig.direction === "asc" ? 1 : -1;
       return 0;
     });
-  }, [miners, searchTerm, filterEfficiency, showOnlyNew, newMinersLastUpload, sortConfig, calculatePriceChanges]);
+  }, [miners, searchTerm, filterEfficiency, showOnlyNew, newMinersLastUpload, sortConfig, calculatePriceChanges, minerProfitability, metricFilters, listingStatus, listingFilter]);
 
   const handleSort = (key) => {
     setSortConfig((prevConfig) => ({
@@ -1059,70 +1990,40 @@ const MinerPriceTracker = () => {
     return sortedMiners.filter((m) => m.efficiency && m.efficiency < 20);
   }, [sortedMiners]);
 
-    const applyResearchedPowerData = () => {
-    // ... (Existing function - assumed to be working, keeping as is)
-    // This function should now also update tempMinerSpecs and tempPriceHistory if it changes efficiency
-    // For simplicity, it currently modifies `miners` state directly, then `minerSpecs` and `priceHistory`.
-    // This might need refactoring to go through the `actuallyUpdateData` flow if it's considered an "upload" or modification.
-    // For now, direct update:
-    let updatedCount = 0;
-    const updatedMinersList = miners.map((miner) => {
-      const updatedMiner = { ...miner };
-      let powerValue = powerDatabase[updatedMiner.name.trim()] || powerDatabase[updatedMiner.name.replace(/\s+/g, " ").trim()];
-      // Fallback to check all keys in powerDatabase with normalized names
-      if (!powerValue) {
-        const normalizedMinerName = updatedMiner.name.replace(/\s+/g, " ").trim();
-        for (const [dbKey, dbVal] of Object.entries(powerDatabase)) {
-            if (dbKey.replace(/\s+/g, " ").trim() === normalizedMinerName) {
-                powerValue = dbVal;
-                break;
-            }
-        }
-      }
+  // Specs and price history with each changed miner's power and efficiency; other miners keep their objects,
+  // so the journal diff and the per-miner history save only cover what changed
+  const withMinerPowerUpdates = (changedMiners) => {
+    const newSpecs = { ...minerSpecs };
+    const newHistory = { ...priceHistory };
+    changedMiners.forEach(miner => {
+      newSpecs[miner.name] = { ...newSpecs[miner.name], powerConsumption: miner.powerConsumption, efficiency: miner.efficiency };
+      if (newHistory[miner.name]) newHistory[miner.name] = withHistoryPower(newHistory[miner.name], miner.powerConsumption, miner.efficiency);
+    });
+    return { minerSpecs: newSpecs, priceHistory: newHistory };
+  };
 
-      if (powerValue && (!updatedMiner.efficiency || updatedMiner.powerConsumption !== powerValue)) {
-        updatedMiner.powerConsumption = powerValue;
-        if (updatedMiner.hashrate) {
-          updatedMiner.efficiency = updatedMiner.powerConsumption / updatedMiner.hashrate;
-          updatedCount++;
-        }
+  const applyResearchedPowerData = () => {
+    const changedMiners = [];
+    const updatedMinersList = miners.map((miner) => {
+      // Catalog lookup falls back from exact to whitespace-normalized to canonical names
+      const powerValue = matchCatalogSpec(miner.name, miner.hashrate)?.power;
+      if (!powerValue || (miner.efficiency && miner.powerConsumption === powerValue)) return miner;
+      const updatedMiner = { ...miner, powerConsumption: powerValue };
+      if (updatedMiner.hashrate) {
+        updatedMiner.efficiency = updatedMiner.powerConsumption / updatedMiner.hashrate;
+        changedMiners.push(updatedMiner);
       }
       return updatedMiner;
     });
 
-    if (updatedCount > 0) {
-        const newSpecs = { ...minerSpecs };
-        const newHistory = JSON.parse(JSON.stringify(priceHistory));
-
-        updatedMinersList.forEach(miner => {
-            if (miner.efficiency) { // Only update if efficiency could be calculated
-                newSpecs[miner.name] = {
-                    ...newSpecs[miner.name],
-                    powerConsumption: miner.powerConsumption,
-                    efficiency: miner.efficiency,
-                };
-                if (newHistory[miner.name] && newHistory[miner.name].intraday) {
-                    newHistory[miner.name].intraday.forEach(entry => {
-                        entry.powerConsumption = miner.powerConsumption;
-                        entry.efficiency = miner.efficiency;
-                    });
-                    newHistory[miner.name].daily.forEach(entry => {
-                        entry.powerConsumption = miner.powerConsumption;
-                        entry.efficiency = miner.efficiency;
-                    });
-                }
-            }
-        });
-        setMiners(updatedMinersList);
-        setMinerSpecs(newSpecs);
-        setPriceHistory(newHistory);
-        setStatus(`Applied researched power data to ${updatedCount} miners.`, 'success');
+    if (changedMiners.length > 0) {
+        applyJournaledChange("Apply researched power", { miners: updatedMinersList, ...withMinerPowerUpdates(changedMiners) }, changedMiners.length);
+        setStatus(`Applied researched power data to ${changedMiners.length} miners.`, 'success');
     } else {
-        setStatus("No miners updated with researched power data. Ensure names match database.", 'info');
+        setStatus("No miners updated with researched power data. Ensure names match the spec catalog.", 'info');
     }
   };
 
-
   const exportData = () => { /* ... (Existing function - good) ... */ 
     const dataToExport = {
       version: STORAGE_VERSION,
@@ -1133,6 +2034,9 @@ const MinerPriceTracker = () => {
       uploadHistory: uploadHistory,
       maxPrices: maxPrices,
       previousPrices: previousPrices,
+      minerAliases: minerAliases,
+      specCatalog: specCatalog,
+      alertRules: alertRules,
       exportDate: new Date().toISOString(),
     };
     const blob = new Blob([JSON.stringify(dataToExport, null, 2)], {
@@ -1149,41 +2053,97 @@ const MinerPriceTracker = () => {
     setStatus("Data exported successfully.", "success");
   };
 
+  // --- Backup Import ---
+  const handleBackupImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = null; // Allow re-selecting the same file
+    if (!file) return;
 
-  const recalculateEfficiency = () => { /* ... (Existing function - good, but ensure it updates history too) ... */
-    let updatedCount = 0;
-    const updatedMinersList = miners.map((miner) => {
-      const updatedMiner = { ...miner };
-      const powerVal = powerDatabase[updatedMiner.name.trim()] || powerDatabase[updatedMiner.name.replace(/\s+/g, " ").trim()];
-      if (powerVal) {
-        updatedMiner.powerConsumption = powerVal;
+    setIsProcessing(true);
+    setStatus('Reading backup...', 'info', 0);
+    try {
+      const text = await file.text();
+      let raw;
+      try {
+        raw = JSON.parse(text);
+      } catch (parseError) {
+        throw new Error("File is not valid JSON.");
       }
-      if (updatedMiner.powerConsumption && updatedMiner.hashrate) {
-        const newEfficiency = updatedMiner.powerConsumption / updatedMiner.hashrate;
-        if (updatedMiner.efficiency !== newEfficiency) {
-            updatedMiner.efficiency = newEfficiency;
-            updatedCount++;
-        }
+      const backup = validateAndUpgradeBackup(raw);
+      setPendingBackup({ ...backup, fileName: file.name });
+      setStatus('Backup validated. Choose how to import it.', 'success');
+    } catch (error) {
+      console.error("Backup import error:", error);
+      setStatus(`Failed to read backup: ${error.message}`, 'error');
+      setPendingBackup(null);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const applyBackupImport = (mode) => { // 'replace' | 'merge'
+    if (!pendingBackup) return;
+    const backup = pendingBackup.data;
+
+    if (mode === 'replace') {
+      if (!window.confirm(`Replace all local data with the backup "${pendingBackup.fileName}"?\n\nCurrent data (${miners.length} miners, ${uploadHistory.length} upload records) will be overwritten.`)) {
+        return;
       }
+      const { specCatalog: backupSpecCatalog, alertRules: backupAlertRules, minerAliases: backupAliases, ...backupData } = backup;
+      applyJournaledChange(`Restore backup: ${pendingBackup.fileName}`, {
+        ...backupData,
+        knownMiners: new Set(backup.knownMiners),
+        ...(backupAliases ? { minerAliases: backupAliases } : {}),
+      });
+      if (backupSpecCatalog) setSpecCatalog(backupSpecCatalog);
+      if (backupAlertRules) setAlertRules(backupAlertRules);
+      setStatus(`Restored ${backup.miners.length} miners and ${backup.uploadHistory.length} upload records from backup.`, 'success', 5000);
+    } else {
+      const merged = mergeBackupData({
+        miners, priceHistory, knownMiners: Array.from(knownMiners), minerSpecs, uploadHistory, maxPrices, previousPrices,
+        minerAliases, specCatalog, alertRules,
+      }, backup);
+      applyJournaledChange(`Merge backup: ${pendingBackup.fileName}`, {
+        miners: merged.miners,
+        priceHistory: merged.priceHistory,
+        knownMiners: new Set(merged.knownMiners),
+        minerSpecs: merged.minerSpecs,
+        uploadHistory: merged.uploadHistory,
+        maxPrices: merged.maxPrices,
+        previousPrices: merged.previousPrices,
+        minerAliases: merged.minerAliases,
+      });
+      setSpecCatalog(merged.specCatalog);
+      setAlertRules(merged.alertRules);
+      setStatus(`Merged backup: ${merged.addedEntries} new price entries added.`, 'success', 5000);
+    }
+    setNewMinersLastUpload(new Set());
+    setSelectedMiner(null);
+    setPendingBackup(null);
+  };
+
+  const cancelBackupImport = () => {
+    setPendingBackup(null);
+    setStatus("Backup import cancelled.", 'info');
+  };
+
+
+  const recalculateEfficiency = () => {
+    const changedMiners = [];
+    const updatedMinersList = miners.map((miner) => {
+      const powerVal = matchCatalogSpec(miner.name, miner.hashrate)?.power;
+      const powerConsumption = powerVal || miner.powerConsumption;
+      if (!powerConsumption || !miner.hashrate) return miner;
+      const newEfficiency = powerConsumption / miner.hashrate;
+      if (miner.efficiency === newEfficiency) return miner;
+      const updatedMiner = { ...miner, powerConsumption, efficiency: newEfficiency };
+      changedMiners.push(updatedMiner);
       return updatedMiner;
     });
 
-    if (updatedCount > 0) {
-        const newSpecs = { ...minerSpecs };
-        const newHistory = JSON.parse(JSON.stringify(priceHistory));
-        updatedMinersList.forEach(miner => {
-            if (miner.efficiency) {
-                 newSpecs[miner.name] = { ...newSpecs[miner.name], powerConsumption: miner.powerConsumption, efficiency: miner.efficiency };
-                 if (newHistory[miner.name] && newHistory[miner.name].intraday) {
-                    newHistory[miner.name].intraday.forEach(e => { e.powerConsumption = miner.powerConsumption; e.efficiency = miner.efficiency; });
-                    newHistory[miner.name].daily.forEach(e => { e.powerConsumption = miner.powerConsumption; e.efficiency = miner.efficiency; });
-                 }
-            }
-        });
-        setMiners(updatedMinersList);
-        setMinerSpecs(newSpecs);
-        setPriceHistory(newHistory);
-        setStatus(`Recalculated efficiency for ${updatedCount} miners.`, 'success');
+    if (changedMiners.length > 0) {
+        applyJournaledChange("Recalculate efficiency", { miners: updatedMinersList, ...withMinerPowerUpdates(changedMiners) }, changedMiners.length);
+        setStatus(`Recalculated efficiency for ${changedMiners.length} miners.`, 'success');
     } else {
         setStatus("No efficiency values changed. All up to date or data missing.", 'info');
     }
@@ -1231,25 +2191,82 @@ const MinerPriceTracker = () => {
   }, [miners, newMinersLastUpload]);
 
   const efficiencyDistribution = useMemo(() => { /* ... (Existing function - good) ... */ 
-    const ranges = [
-      { range: "< 15 J/TH", count: 0, color: "#10B981" }, // Emerald 600
-      { range: "15-20 J/TH", count: 0, color: "#3B82F6" }, // Blue 500
-      { range: "20-25 J/TH", count: 0, color: "#F59E0B" }, // Amber 500
-      { range: "25-30 J/TH", count: 0, color: "#EF4444" }, // Red 500
-      { range: "> 30 J/TH", count: 0, color: "#DC2626" }, // Red 600
-    ];
+    const ranges = EFFICIENCY_TIERS.map(({ range, color }) => ({ range, count: 0, color }));
     miners.forEach((miner) => {
-      if (miner.efficiency && miner.efficiency > 0 && !isNaN(miner.efficiency)) {
-        if (miner.efficiency < 15) ranges[0].count++;
-        else if (miner.efficiency < 20) ranges[1].count++;
-        else if (miner.efficiency < 25) ranges[2].count++;
-        else if (miner.efficiency < 30) ranges[3].count++;
-        else ranges[4].count++;
-      }
+      const tierIdx = efficiencyTierIndex(miner.efficiency);
+      if (tierIdx >= 0) ranges[tierIdx].count++;
     });
     return ranges.filter((r) => r.count > 0);
   }, [miners]);
 
+  const marketPriceIndex = useMemo(() => buildMarketPriceIndex(priceHistory), [priceHistory]);
+
+  // Vendors seen in uploads so far, for the upload form suggestions
+  const knownSources = useMemo(() => {
+    const sources = new Set();
+    uploadHistory.forEach(upload => { if (upload.source) sources.add(upload.source); });
+    miners.forEach(miner => Object.keys(miner.sourcePrices || {}).forEach(source => sources.add(source)));
+    return Array.from(sources).sort();
+  }, [uploadHistory, miners]);
+
+  // --- Price History Chart ---
+  // { points, sources, allTimeHigh, allTimeLow } for the selected miner; high/low cover the whole history, not just the range.
+  // `sources` is the per-vendor breakdown; when split by vendor each point carries `vendor_<index>` prices instead of `price`.
+  const priceHistoryChart = useMemo(() => {
+    const history = selectedMiner ? priceHistory[selectedMiner] : null;
+    if (!history) return { points: [], sources: [], allTimeHigh: null, allTimeLow: null };
+    const intraday = history.intraday || [];
+    const allPrices = intraday.map(entry => entry.price).filter(price => price > 0);
+    const dailyBySource = buildSourceDailyEntries(intraday);
+    const sources = Object.entries(dailyBySource).map(([source, daily]) => {
+      const sourceIntraday = intraday.filter(entry => entrySource(entry) === source);
+      const prices = sourceIntraday.map(entry => entry.price).filter(price => price > 0);
+      return { source, daily, intraday: sourceIntraday, latest: daily[daily.length - 1], low: prices.length > 0 ? Math.min(...prices) : null };
+    }).sort((a, b) => (a.latest?.price || Infinity) - (b.latest?.price || Infinity));
+
+    let allPoints = buildPriceHistoryPoints(history, historySeries);
+    if (historyBySource && sources.length > 1) {
+      allPoints = sources
+        .flatMap(({ daily, intraday: sourceIntraday }, idx) => buildPriceHistoryPoints({ daily, intraday: sourceIntraday }, historySeries)
+          .map(point => ({ time: point.time, date: point.date, timestamp: point.timestamp, [`vendor_${idx}`]: point.price })))
+        .sort((a, b) => a.time - b.time);
+    }
+    return {
+      points: filterPointsByRange(allPoints, historyRange, historyCustomRange.start, historyCustomRange.end),
+      sources,
+      allTimeHigh: maxPrices[selectedMiner] || (allPrices.length > 0 ? Math.max(...allPrices) : null),
+      allTimeLow: allPrices.length > 0 ? Math.min(...allPrices) : null,
+    };
+  }, [selectedMiner, priceHistory, maxPrices, historySeries, historyBySource, historyRange, historyCustomRange]);
+
+  const toggleHistoryMovingAverage = (windowDays) => {
+    setHistoryMovingAverages(prev => (prev.includes(windowDays) ? prev.filter(days => days !== windowDays) : [...prev, windowDays]));
+  };
+
+  // --- Miner Comparison ---
+  const toggleComparisonMiner = (minerName) => {
+    setComparisonMiners(prev => (prev.includes(minerName) ? prev.filter(name => name !== minerName) : [...prev, minerName]));
+  };
+
+  // Every date any compared miner has a daily price for; candidates for the % change base date
+  const comparisonDates = useMemo(() => {
+    const dates = new Set();
+    comparisonMiners.forEach(name => (priceHistory[name]?.daily || []).forEach(entry => dates.add(entry.date)));
+    return Array.from(dates).sort();
+  }, [comparisonMiners, priceHistory]);
+
+  const comparisonData = useMemo(() => {
+    if (!showComparison) return [];
+    return buildComparisonSeries(priceHistory, comparisonMiners, comparisonMode, comparisonBaseDate || comparisonDates[0]);
+  }, [showComparison, priceHistory, comparisonMiners, comparisonMode, comparisonBaseDate, comparisonDates]);
+
+  const formatComparisonValue = (value) => {
+    if (typeof value !== "number") return value;
+    if (comparisonMode === "percent") return `${value > 0 ? "+" : ""}${value.toFixed(1)}%`;
+    if (comparisonMode === "pricePerTh") return `$${value.toFixed(2)}/TH`;
+    return `$${value.toFixed(2)}`;
+  };
+
   const SortIndicator = ({ column }) => { /* ... (Existing component - good) ... */ 
     if (sortConfig.key !== column) return <ArrowUpDown size={14} className="opacity-30 group-hover:opacity-70" />;
     return sortConfig.direction === "asc" ? (<ArrowUp size={14} className="text-blue-400" />) : (<ArrowDown size={14} className="text-blue-400" />);
@@ -1305,10 +2322,10 @@ const MinerPriceTracker = () => {
               </span>
             </div>
             <div className="flex items-center gap-1 text-gray-500"> <Clock size={12} /> <span>Last saved: {formatLastSaved()}</span></div>
-            <div className="text-gray-500">Storage: {storageUtils.getStorageSize()} KB</div>
+            <div className="text-gray-500">Storage: {storageSize} KB ({storageRef.current.backendName})</div>
           </div>
           <div className="flex gap-2 items-center">
-            <button onClick={cleanupStorage} className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors disabled:opacity-50" title="Optimize history and cleanup old snapshots" disabled={isProcessing}> <Archive size={14} /> Cleanup</button>
+            <button onClick={() => setShowRetentionPolicy(true)} className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors disabled:opacity-50" title="Retention policy: trim, aggregate and clean up old history" disabled={isProcessing}> <Archive size={14} /> Cleanup</button>
             <button onClick={clearAllData} className="bg-red-600 hover:bg-red-700 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors disabled:opacity-50" disabled={isProcessing}> <Trash2 size={14} /> Clear All</button>
           </div>
         </div>
@@ -1341,53 +2358,270 @@ const MinerPriceTracker = () => {
         <div className="bg-gray-800/70 backdrop-blur-sm shadow-lg rounded-lg p-4 md:p-6 mb-6 border border-gray-700">
           <h2 className="text-lg md:text-xl font-semibold mb-4 flex items-center gap-2"><FileSpreadsheet size={20} /> Upload & Manage Data</h2>
           <div className="space-y-4">
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
               <div>
                 <label htmlFor="uploadDate" className="block text-xs text-gray-400 mb-1">Date of Data</label>
                 <input id="uploadDate" type="date" value={uploadDate} onChange={(e) => setUploadDate(e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
               </div>
+              <div>
+                <label htmlFor="uploadSource" className="block text-xs text-gray-400 mb-1">Source / Vendor</label>
+                <input id="uploadSource" type="text" list="knownSources" value={uploadSource} onChange={(e) => setUploadSource(e.target.value)} placeholder={DEFAULT_SOURCE} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                <datalist id="knownSources">{knownSources.map(source => <option key={source} value={source} />)}</datalist>
+              </div>
               <div>
                 <label htmlFor="mergeStrategy" className="block text-xs text-gray-400 mb-1">Upload Strategy</label>
                 <select id="mergeStrategy" value={mergeStrategy} onChange={(e) => setMergeStrategy(e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none">
                   <option value="merge">Merge (Update existing, add new)</option>
                   <option value="replace">Replace All (Replace current list with upload)</option>
-                  <option value="append">Append (Add new, update existing - like merge)</option>
+                  <option value="append">Append (History only - backfill, table unchanged)</option>
                 </select>
               </div>
               <label className={`bg-sky-600 hover:bg-sky-700 text-white px-4 py-2 rounded text-sm flex items-center justify-center gap-2 cursor-pointer transition-colors ${isProcessing ? "opacity-50 cursor-not-allowed" : ""}`}>
-                <Upload size={16} /> {selectedFile ? `Reselect File` : `Select Excel/CSV`}
-                <input type="file" onChange={handleFileUpload} className="hidden" accept=".xlsx,.xls,.csv,.txt" disabled={isProcessing} />
+                <Upload size={16} /> {selectedFile ? `Reselect File(s)` : `Select Excel/CSV File(s)`}
+                <input type="file" multiple onChange={handleFileUpload} className="hidden" accept=".xlsx,.xls,.csv,.txt" disabled={isProcessing} />
               </label>
             </div>
             {selectedFile && !showUploadPreview && <p className="text-xs text-gray-400 mt-1">Selected for upload: {selectedFile.name}. Preview will show after processing.</p>}
 
             <div className="flex flex-wrap gap-2 pt-2">
                 <button onClick={exportData} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors" disabled={isProcessing}> <Download size={14} /> Export All Data </button>
+                <label className={`bg-emerald-700 hover:bg-emerald-800 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors cursor-pointer ${isProcessing ? "opacity-50 cursor-not-allowed" : ""}`} title="Restore from an 'Export All Data' JSON file">
+                  <Upload size={14} /> Import Backup
+                  <input type="file" onChange={handleBackupImport} className="hidden" accept=".json,application/json" disabled={isProcessing} />
+                </label>
                 <button onClick={exportMinersWithoutEfficiency} className="bg-orange-600 hover:bg-orange-700 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors" disabled={isProcessing || stats.withoutEfficiency === 0}> <FileWarning size={14} /> Export No Efficiency ({stats.withoutEfficiency}) </button>
                 <button onClick={recalculateEfficiency} className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors" disabled={isProcessing}> <Zap size={14} /> Recalculate All Efficiency </button>
+                <button onClick={() => setShowAliasManager(true)} className="bg-violet-600 hover:bg-violet-700 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors" disabled={isProcessing}> <Layers size={14} /> Miner Aliases{aliasGroups.length > 0 ? ` (${aliasGroups.length} to merge)` : ""} </button>
+                <button onClick={() => setShowSpecCatalog(true)} className="bg-cyan-700 hover:bg-cyan-800 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors" disabled={isProcessing}> <Database size={14} /> Spec Catalog ({specCatalog.length}) </button>
+                <button onClick={() => setShowSpecReview(true)} className="bg-amber-600 hover:bg-amber-700 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors disabled:opacity-50" disabled={isProcessing || specReviewQueue.length === 0}> <Search size={14} /> Review Spec Matches ({specReviewQueue.length}) </button>
                 <button onClick={applyResearchedPowerData} className="bg-teal-600 hover:bg-teal-700 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors" disabled={isProcessing}> <Database size={14} /> Apply Researched Power </button>
+                <button onClick={() => setShowEditLog(true)} className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors"> <Clock size={14} /> Edit History ({editLog.filter(r => !r.revertedAt).length}) </button>
+                <button onClick={() => setShowAlerts(true)} className={`${unreadAlertCount > 0 ? "bg-rose-600 hover:bg-rose-700" : "bg-gray-600 hover:bg-gray-700"} text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors`}> <Bell size={14} /> Price Alerts{unreadAlertCount > 0 ? ` (${unreadAlertCount} new)` : ` (${alertRules.length} rules)`} </button>
             </div>
           </div>
         </div>
 
+        {/* --- Batch Upload Queue --- */}
+        {batchQueue && (
+          <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50 transition-opacity duration-300 ease-in-out">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto shadow-2xl">
+              <h3 className="text-xl font-semibold mb-1 text-gray-100">Batch Upload: <span className="text-sky-400 text-base font-normal">{batchQueue.length} files</span></h3>
+              <p className="text-xs text-gray-400 mb-4">
+                Files are applied oldest first with the "{mergeStrategy}" strategy, each as its own upload. Dates come from the filename, then a date cell in the sheet, then the date picker; change any of them below, along with each file's source and columns. Each preview includes the changes from the files before it.
+              </p>
+              {batchQueue.some(item => item.preview?.duplicates.length > 0) && (
+                <label className="flex items-center gap-2 text-xs text-gray-300 mb-3">
+                  Duplicate rows within a file:
+                  <select value={duplicatePolicy} onChange={(e) => changeDuplicatePolicy(e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs focus:ring-1 focus:ring-sky-500 outline-none">
+                    {DUPLICATE_POLICIES.map(policy => <option key={policy.value} value={policy.value}>{policy.label}</option>)}
+                  </select>
+                </label>
+              )}
+              <div className="space-y-2 mb-4">
+                {orderBatchQueue(batchQueue).map((item, idx) => {
+                  const problem = batchItemProblem(item);
+                  return (
+                    <div key={item.id} className={`border rounded p-3 ${problem ? "border-red-500 bg-red-700/20" : "border-gray-600 bg-gray-700/30"}`}>
+                      <div className="flex flex-wrap items-center gap-3">
+                        <span className="text-xs text-gray-500 w-5">{idx + 1}.</span>
+                        <span className="text-sm text-gray-200 flex-1 min-w-[10rem] truncate" title={item.fileName}>{item.fileName}</span>
+                        <input type="date" value={item.date} onChange={(e) => updateBatchItemDate(item.id, e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs focus:ring-1 focus:ring-sky-500 outline-none" />
+                        <span className={`text-xs px-1.5 py-0.5 rounded ${item.dateSource === "picker" ? "bg-yellow-700/50 text-yellow-200" : "bg-gray-600 text-gray-300"}`} title="Where the date came from">
+                          {item.dateSource === "filename" ? "from filename" : item.dateSource === "sheet" ? "from sheet" : item.dateSource === "manual" ? "manual" : "date picker"}
+                        </span>
+                        <input type="text" list="knownSources" value={item.source} onChange={(e) => updateBatchItem(item.id, { source: e.target.value })} placeholder={DEFAULT_SOURCE} title="Source / Vendor" className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs w-32 focus:ring-1 focus:ring-sky-500 outline-none" />
+                        <button onClick={() => removeBatchItem(item.id)} className="text-gray-400 hover:text-red-400" title="Remove from queue"><Trash2 size={14} /></button>
+                      </div>
+                      {item.preview && (
+                        <p className="text-xs text-gray-400 mt-1 ml-8">
+                          {item.entries.length} rows: <span className="text-green-400">{item.preview.summary.newCount} new</span>, <span className="text-yellow-400">{item.preview.summary.updatedCount} updated</span>, {item.preview.summary.unchangedCount} unchanged
+                          {mergeStrategy === 'replace' && item.preview.summary.removedCount > 0 && <>, <span className="text-red-400">{item.preview.summary.removedCount} removed</span></>}
+                          {item.preview.warnings.length > 0 && <span className="text-yellow-400"> • {item.preview.warnings.length} warning(s)</span>}
+                          {item.preview.duplicates.length > 0 && <span className="text-purple-300"> • {item.preview.duplicates.length} duplicated miner(s)</span>}
+                          {item.columnMapping && <span className="text-gray-500"> • {item.columnMapping.profileName ? `profile "${item.columnMapping.profileName}"` : "columns guessed from headers"}</span>}
+                        </p>
+                      )}
+                      {item.columnMapping && (
+                        <details className="text-xs text-gray-400 mt-1 ml-8">
+                          <summary className="cursor-pointer hover:text-gray-200">Columns</summary>
+                          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-1">
+                            {COLUMN_FIELDS.map(field => (
+                              <div key={field.key}>
+                                <label htmlFor={`map-${item.id}-${field.key}`} className="block text-gray-400 mb-0.5">{field.label}{field.required ? " *" : ""}</label>
+                                <select id={`map-${item.id}-${field.key}`} value={item.columnMapping.mapping[field.key] ?? ""} onChange={(e) => updateBatchItemColumn(item, field.key, e.target.value)}
+                                  className="bg-gray-700 border border-gray-600 rounded px-2 py-1 w-full focus:ring-1 focus:ring-sky-500 outline-none">
+                                  <option value="">— none —</option>
+                                  {item.columnMapping.headers.map((header, headerIdx) => <option key={headerIdx} value={headerIdx}>{header || `Column ${headerIdx + 1}`}</option>)}
+                                </select>
+                              </div>
+                            ))}
+                          </div>
+                        </details>
+                      )}
+                      {problem && <p className="text-xs text-red-300 mt-1 ml-8 flex items-center gap-1"><AlertCircle size={12} /> {problem}</p>}
+                      {item.preview?.errors.length > 0 && (
+                        <ul className="text-xs text-red-200 list-disc list-inside mt-1 ml-8 max-h-20 overflow-y-auto">
+                          {item.preview.errors.slice(0, 5).map((error, errorIdx) => <li key={errorIdx}>{error.message}</li>)}
+                        </ul>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="flex justify-end gap-3 mt-6">
+                <button onClick={cancelBatchUpload} className="bg-gray-600 hover:bg-gray-500 text-white px-4 py-2 rounded text-sm transition-colors" disabled={isProcessing}>Cancel</button>
+                <button
+                  onClick={confirmBatchUpload}
+                  className="bg-sky-600 hover:bg-sky-700 text-white px-4 py-2 rounded text-sm transition-colors disabled:opacity-50"
+                  disabled={isProcessing || batchQueue.some(batchItemProblem)}
+                >
+                  {isProcessing ? "Processing..." : `Apply ${batchQueue.length} Files in Date Order`}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* --- Phase 3: Upload Preview Modal/Section --- */}
         {showUploadPreview && uploadPreview && (
           <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50 transition-opacity duration-300 ease-in-out">
             <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto shadow-2xl">
-              <h3 className="text-xl font-semibold mb-4 text-gray-100">Upload Preview: <span className="text-sky-400 text-base font-normal">{stagedUploadFileName}</span></h3>
+              <h3 className="text-xl font-semibold mb-4 text-gray-100">Upload Preview: <span className="text-sky-400 text-base font-normal">{stagedUploadFileName}</span> <span className="text-gray-400 text-sm font-normal">from {normalizeSourceName(uploadSource)}</span></h3>
               
               {uploadPreview.errors.length > 0 && (
                 <div className="bg-red-700/30 border border-red-500 rounded p-3 mb-3">
-                  <p className="text-red-300 font-semibold flex items-center gap-2"><AlertCircle size={16}/> Errors ({uploadPreview.errors.length}):</p>
-                  <ul className="text-xs text-red-200 list-disc list-inside mt-1 max-h-32 overflow-y-auto">
-                    {uploadPreview.errors.map((error, idx) => <li key={idx}>{error}</li>)}
+                  <p className="text-red-300 font-semibold flex items-center gap-2"><AlertCircle size={16}/> Errors ({activePreviewErrors.length} of {uploadPreview.errors.length} still selected):</p>
+                  <p className="text-xs text-red-200/80 mt-0.5">Untick a bad row to upload the rest of the file without it.</p>
+                  <ul className="text-xs text-red-200 mt-1 max-h-32 overflow-y-auto space-y-0.5">
+                    {uploadPreview.errors.map((error, idx) => (
+                      <li key={idx} className="flex items-start gap-2">
+                        {error.uploadId && (
+                          <input type="checkbox" className="mt-0.5 accent-red-500" checked={!excludedUploadIds.has(error.uploadId)} onChange={() => toggleSetMember(setExcludedUploadIds, error.uploadId)} title="Include this row" />
+                        )}
+                        <span className={error.uploadId && excludedUploadIds.has(error.uploadId) ? "line-through text-red-200/50" : ""}>
+                          {error.label && <span className="font-semibold">{error.label}: </span>}{error.message}
+                          {error.explanation && <span className="block text-red-200/60">{error.explanation}</span>}
+                        </span>
+                      </li>
+                    ))}
                   </ul>
                 </div>
               )}
-              {uploadPreview.warnings.length > 0 && ( /* Warnings if implemented */
+              {/* --- Column Mapping --- */}
+              {columnMapping ? (
+                <div className="bg-gray-700/30 border border-gray-600 rounded p-3 mb-3">
+                  <p className="text-sm font-semibold text-gray-300 mb-1">
+                    Column Mapping <span className="text-xs font-normal text-gray-400">(header row {columnMapping.headerRowIndex + 1}{columnMapping.profileName ? `, profile "${columnMapping.profileName}"` : ", guessed from headers"})</span>
+                  </p>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+                    {COLUMN_FIELDS.map(field => (
+                      <div key={field.key}>
+                        <label htmlFor={`map-${field.key}`} className="block text-gray-400 mb-0.5">{field.label}{field.required ? " *" : ""}</label>
+                        <select id={`map-${field.key}`} value={columnMapping.mapping[field.key] ?? ""} onChange={(e) => updateColumnMapping(field.key, e.target.value)}
+                          className="bg-gray-700 border border-gray-600 rounded px-2 py-1 w-full focus:ring-2 focus:ring-sky-500 outline-none">
+                          <option value="">— none —</option>
+                          {columnMapping.headers.map((header, idx) => <option key={idx} value={idx}>{header || `Column ${idx + 1}`}</option>)}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex flex-wrap gap-2 items-center mt-2 text-xs">
+                    <input type="text" value={profileNameInput} onChange={(e) => setProfileNameInput(e.target.value)} placeholder="Vendor profile name..."
+                      className="bg-gray-700 border border-gray-600 rounded px-2 py-1 focus:ring-2 focus:ring-sky-500 outline-none" />
+                    <button onClick={saveColumnProfile} className="bg-sky-600 hover:bg-sky-700 text-white px-2.5 py-1 rounded flex items-center gap-1 disabled:opacity-50" disabled={!profileNameInput.trim()}>
+                      <Save size={12} /> Save Profile
+                    </button>
+                    {columnProfiles.map(profile => (
+                      <span key={profile.name} className="bg-gray-700 border border-gray-600 rounded px-2 py-0.5 flex items-center gap-1 text-gray-300" title={profile.headers.join(", ")}>
+                        {profile.name}
+                        <button onClick={() => deleteColumnProfile(profile.name)} className="text-gray-500 hover:text-red-400" title="Delete profile"><XCircle size={12} /></button>
+                      </span>
+                    ))}
+                  </div>
+                  {stagedNewMiners && stagedNewMiners.length === 0 && <p className="text-xs text-yellow-300 mt-2">No valid rows with this mapping. Name, Hashrate and Price must be mapped.</p>}
+                </div>
+              ) : (
+                <p className="text-xs text-gray-500 mb-3">No header row detected; using the built-in column layout.</p>
+              )}
+
+              {mergeStrategy === 'append' && (
+                <div className="bg-sky-700/20 border border-sky-600 rounded p-3 mb-3 text-xs text-sky-200">
+                  <p className="font-semibold text-sky-300 mb-0.5">History-only upload</p>
+                  The live table will not change. These rows are added to price history, max prices and known miners only; current prices, "vs Prior" and specs stay as they are, and no price alerts are raised. Counts below compare with the current table for reference.
+                </div>
+              )}
+
+              {/* --- Duplicate Rows --- */}
+              {uploadPreview.duplicates.length > 0 && (
+                <div className="bg-purple-700/20 border border-purple-500 rounded p-3 mb-3">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <p className="text-purple-300 font-semibold text-sm flex items-center gap-2"><Layers size={16}/> Duplicate Rows ({uploadPreview.duplicates.length} miner{uploadPreview.duplicates.length === 1 ? "" : "s"} listed more than once)</p>
+                    <select value={duplicatePolicy} onChange={(e) => changeDuplicatePolicy(e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs focus:ring-1 focus:ring-sky-500 outline-none">
+                      {DUPLICATE_POLICIES.map(policy => <option key={policy.value} value={policy.value}>{policy.label}</option>)}
+                    </select>
+                  </div>
+                  <div className="max-h-40 overflow-y-auto mt-2 space-y-2 text-xs">
+                    {uploadPreview.duplicates.map(group => (
+                      <div key={group.name}>
+                        <p className="text-gray-200 font-medium truncate" title={group.name}>{group.name}</p>
+                        <ul className="ml-3 text-gray-400">
+                          {group.rows.map(row => (
+                            <li key={row.uploadId} className={row.storedAs ? "" : "line-through text-gray-500"}>
+                              ${row.price.toFixed(2)} • {row.hashrate} TH/s{row.listedName !== group.name ? ` • listed as "${row.listedName}"` : ""}
+                              {row.storedAs ? (row.storedAs !== group.name ? <span className="text-purple-300"> → {row.storedAs}</span> : <span className="text-green-400"> kept</span>) : " (dropped)"}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* --- Sanity Checks --- */}
+              <div className="mb-3">
+                <button onClick={() => setShowSanitySettings(prev => !prev)} className="text-xs text-sky-400 hover:text-sky-300 flex items-center gap-1">
+                  <Filter size={12} /> {showSanitySettings ? "Hide" : "Configure"} sanity checks
+                </button>
+                {showSanitySettings && (
+                  <div className="bg-gray-700/30 border border-gray-600 rounded p-3 mt-2 space-y-2 text-xs">
+                    {SANITY_CHECKS.map(check => (
+                      <div key={check.key} className="grid grid-cols-1 md:grid-cols-[1fr_auto_auto] gap-2 items-center">
+                        <div>
+                          <p className="text-gray-200 font-medium">{check.label}</p>
+                          <p className="text-gray-500">{check.description}</p>
+                        </div>
+                        <select value={sanityCheckSettings[check.key].severity} onChange={(e) => updateSanityCheck(check.key, { severity: e.target.value })}
+                          className="bg-gray-700 border border-gray-600 rounded px-2 py-1 focus:ring-1 focus:ring-sky-500 outline-none">
+                          {SANITY_SEVERITIES.map(severity => <option key={severity} value={severity}>{severity === "off" ? "Off" : severity === "warning" ? "Warning" : "Error (blocks)"}</option>)}
+                        </select>
+                        <label className="flex items-center gap-1 text-gray-400">
+                          <input type="number" min="0" step="any" value={sanityCheckSettings[check.key].threshold} onChange={(e) => updateSanityCheck(check.key, { threshold: parseFloat(e.target.value) || 0 })}
+                            className="bg-gray-700 border border-gray-600 rounded px-2 py-1 w-20 focus:ring-1 focus:ring-sky-500 outline-none" />
+                          {check.thresholdLabel}
+                        </label>
+                      </div>
+                    ))}
+                    <button onClick={() => updateSanityCheck(null)} className="text-gray-400 hover:text-gray-200">Reset to defaults</button>
+                  </div>
+                )}
+              </div>
+
+              {uploadPreview.warnings.length > 0 && (
                 <div className="bg-yellow-600/30 border border-yellow-500 rounded p-3 mb-3">
-                  <p className="text-yellow-300 font-semibold">Warnings:</p>
-                  <ul className="text-xs text-yellow-200 list-disc list-inside mt-1">{uploadPreview.warnings.map((w, i) => <li key={i}>{w}</li>)}</ul>
+                  <p className="text-yellow-300 font-semibold flex items-center gap-2"><AlertCircle size={16}/> Warnings ({uploadPreview.warnings.length}):</p>
+                  <p className="text-xs text-yellow-200/80 mt-0.5">Warnings do not block the upload. Untick a row to leave it out.</p>
+                  <ul className="text-xs text-yellow-200 mt-1 max-h-40 overflow-y-auto space-y-1">
+                    {uploadPreview.warnings.map((warning, idx) => (
+                      <li key={idx} className="flex items-start gap-2">
+                        <input type="checkbox" className="mt-0.5 accent-yellow-500" checked={!excludedUploadIds.has(warning.uploadId)} onChange={() => toggleSetMember(setExcludedUploadIds, warning.uploadId)} title="Include this row" />
+                        <span className={excludedUploadIds.has(warning.uploadId) ? "line-through text-yellow-200/50" : ""}>
+                          <span className="font-semibold">{warning.label}:</span> {warning.message}
+                          <span className="block text-yellow-200/60">{warning.explanation}</span>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
                 </div>
               )}
 
@@ -1405,30 +2639,85 @@ const MinerPriceTracker = () => {
                 ))}
               </div>
 
-              {/* --- Conflict Resolution UI / Price Changes --- */}
-              {uploadPreview.updated.length > 0 && (
+              {/* --- Row Selection: new, updated and removed rows --- */}
+              {uploadPreview.new.length > 0 && (
                 <div className="mt-3 mb-4">
-                  <h4 className="text-sm font-semibold text-gray-300 mb-1">Price/Data Changes:</h4>
+                  <div className="flex items-center justify-between mb-1">
+                    <h4 className="text-sm font-semibold text-gray-300">New Miners ({uploadPreview.new.filter(m => !excludedUploadIds.has(m.uploadId)).length} of {uploadPreview.new.length} selected):</h4>
+                    <div className="flex gap-2 text-xs">
+                      <button onClick={() => setPreviewRowsIncluded(uploadPreview.new.map(m => m.uploadId), true)} className="text-sky-400 hover:text-sky-300">All</button>
+                      <button onClick={() => setPreviewRowsIncluded(uploadPreview.new.map(m => m.uploadId), false)} className="text-sky-400 hover:text-sky-300">None</button>
+                    </div>
+                  </div>
                   <div className="max-h-40 overflow-y-auto space-y-1 text-xs bg-gray-700/30 p-2 rounded border border-gray-600">
-                    {uploadPreview.updated.slice(0, 20).map((update, idx) => ( // Show first 20
-                      <div key={idx} className="bg-gray-700/80 rounded p-1.5 flex justify-between items-center text-[0.7rem]">
-                        <span className="font-medium truncate w-1/2" title={update.name}>{update.name}</span>
-                        <div className="flex flex-col items-end">
-                            <span className="text-gray-400">${update.oldPrice.toFixed(2)} <span className="text-gray-500">→</span> ${update.newPrice.toFixed(2)}</span>
-                            <span className={update.change > 0 ? 'text-red-400' : update.change < 0 ? 'text-green-400' : 'text-gray-400'}>
-                            {update.change > 0 ? '+' : ''}{update.change}%
+                    {uploadPreview.new.map(miner => (
+                      <label key={miner.uploadId} className={`bg-gray-700/80 rounded p-1.5 flex items-center gap-2 text-[0.7rem] cursor-pointer ${excludedUploadIds.has(miner.uploadId) ? "opacity-50" : ""}`}>
+                        <input type="checkbox" className="accent-green-500" checked={!excludedUploadIds.has(miner.uploadId)} onChange={() => toggleSetMember(setExcludedUploadIds, miner.uploadId)} />
+                        <span className="font-medium truncate flex-1" title={miner.name}>{miner.name}</span>
+                        <span className="text-gray-400">{formatDiffValue(miner.hashrate, " TH/s")} • {formatDiffValue(miner.powerConsumption || null, " W")} • ${miner.price.toFixed(2)}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {uploadPreview.updated.length > 0 && (
+                <div className="mt-3 mb-4">
+                  <div className="flex items-center justify-between mb-1">
+                    <h4 className="text-sm font-semibold text-gray-300">Price/Data Changes ({uploadPreview.updated.filter(u => !excludedUploadIds.has(u.uploadId)).length} of {uploadPreview.updated.length} selected):</h4>
+                    <div className="flex gap-2 text-xs">
+                      <button onClick={() => setPreviewRowsIncluded(uploadPreview.updated.map(u => u.uploadId), true)} className="text-sky-400 hover:text-sky-300">All</button>
+                      <button onClick={() => setPreviewRowsIncluded(uploadPreview.updated.map(u => u.uploadId), false)} className="text-sky-400 hover:text-sky-300">None</button>
+                    </div>
+                  </div>
+                  <div className="max-h-60 overflow-y-auto space-y-1 text-xs bg-gray-700/30 p-2 rounded border border-gray-600">
+                    {uploadPreview.updated.map(update => (
+                      <label key={update.uploadId} className={`bg-gray-700/80 rounded p-1.5 flex items-start gap-2 text-[0.7rem] cursor-pointer ${excludedUploadIds.has(update.uploadId) ? "opacity-50" : ""}`}>
+                        <input type="checkbox" className="mt-0.5 accent-sky-500" checked={!excludedUploadIds.has(update.uploadId)} onChange={() => toggleSetMember(setExcludedUploadIds, update.uploadId)} />
+                        <div className="flex-1 min-w-0">
+                          <div className="flex justify-between items-center gap-2">
+                            <span className="font-medium truncate" title={update.name}>{update.name}</span>
+                            <span className="text-gray-400 whitespace-nowrap">
+                              ${update.oldPrice.toFixed(2)} <span className="text-gray-500">→</span> ${update.newPrice.toFixed(2)}{" "}
+                              <span className={update.change > 0 ? 'text-red-400' : update.change < 0 ? 'text-green-400' : 'text-gray-400'}>
+                                ({update.change > 0 ? '+' : ''}{update.change}%)
+                              </span>
                             </span>
+                          </div>
+                          {update.fieldChanges.length > 0 && (
+                            <div className="flex flex-wrap gap-x-3 gap-y-0.5 mt-0.5 text-gray-400">
+                              {update.fieldChanges.map(diff => (
+                                <span key={diff.key}>
+                                  {diff.label}: <span className="text-gray-500 line-through">{formatDiffValue(diff.oldValue, diff.unit)}</span> <span className="text-gray-500">→</span> <span className="text-yellow-300">{formatDiffValue(diff.newValue, diff.unit)}</span>
+                                </span>
+                              ))}
+                            </div>
+                          )}
                         </div>
-                      </div>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {mergeStrategy === 'replace' && uploadPreview.removed.length > 0 && (
+                <div className="mt-3 mb-4">
+                  <h4 className="text-sm font-semibold text-gray-300 mb-1">Removed from the List ({uploadPreview.removed.filter(name => !keptRemovedMiners.has(name)).length} of {uploadPreview.removed.length} selected):</h4>
+                  <p className="text-xs text-gray-500 mb-1">Untick a miner to keep it in the table even though this file omits it.</p>
+                  <div className="max-h-40 overflow-y-auto space-y-1 text-xs bg-gray-700/30 p-2 rounded border border-gray-600">
+                    {uploadPreview.removed.map(name => (
+                      <label key={name} className={`bg-gray-700/80 rounded p-1.5 flex items-center gap-2 text-[0.7rem] cursor-pointer ${keptRemovedMiners.has(name) ? "opacity-50" : ""}`}>
+                        <input type="checkbox" className="accent-orange-500" checked={!keptRemovedMiners.has(name)} onChange={() => toggleSetMember(setKeptRemovedMiners, name)} />
+                        <span className="font-medium truncate" title={name}>{name}</span>
+                      </label>
                     ))}
-                    {uploadPreview.updated.length > 20 && <p className="text-xs text-gray-400 text-center">... and {uploadPreview.updated.length - 20} more updates.</p>}
                   </div>
                 </div>
               )}
 
               <div className="mt-6 flex gap-3 justify-end">
-                <button onClick={confirmUpload} className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded text-sm flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed" disabled={isProcessing || uploadPreview.errors.length > 0}>
-                  {isProcessing ? <Loader2 className="animate-spin" size={16}/> : <CheckCircle size={16}/>} Confirm Upload
+                <button onClick={confirmUpload} className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded text-sm flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed" disabled={isProcessing || activePreviewErrors.length > 0}>
+                  {isProcessing ? <Loader2 className="animate-spin" size={16}/> : <CheckCircle size={16}/>} Confirm Upload{excludedUploadIds.size > 0 || keptRemovedMiners.size > 0 ? " (Selected Rows)" : ""}
                 </button>
                 <button onClick={cancelUpload} className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded text-sm" disabled={isProcessing}> Cancel </button>
               </div>
@@ -1437,23 +2726,516 @@ const MinerPriceTracker = () => {
         )}
 
 
-        {/* Upload History & Rollback */}
-        {uploadHistory.length > 0 && (
-          <div className="bg-gray-800/70 backdrop-blur-sm shadow-lg rounded-lg p-4 md:p-6 mb-6 border border-gray-700">
-            <h2 className="text-lg md:text-xl font-semibold mb-3">Recent Uploads</h2>
-            <div className="space-y-2 max-h-60 overflow-y-auto text-xs">
-              {uploadHistory.slice().reverse().map((upload) => ( // Show latest first
-                <div key={upload.id} className="bg-gray-700/50 p-2.5 rounded flex flex-wrap justify-between items-center gap-2 border border-gray-600">
-                  <div>
-                    <p className="font-medium text-gray-200">{upload.fileName} <span className="text-gray-400 text-[0.7rem]">({new Date(upload.timestamp).toLocaleString()})</span></p>
-                    <p className="text-gray-400">Strategy: <span className="text-sky-300">{upload.strategy}</span>, Miners: {upload.minerCount}, New: {upload.newMinerCount}, Updated: {upload.updatedCount}</p>
+        {/* Rollback Options Modal */}
+        {pendingRollback && (
+          <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-xl max-h-[90vh] overflow-y-auto shadow-2xl">
+              <h3 className="text-xl font-semibold mb-2 text-gray-100">Rollback: <span className="text-sky-400 text-base font-normal">{pendingRollback.fileName}</span></h3>
+              <p className="text-xs text-gray-400 mb-3">Uploaded {new Date(pendingRollback.timestamp).toLocaleString()}.</p>
+              {pendingRollback.laterCount === 0 ? (
+                <p className="text-sm text-gray-300 mb-4">This is the latest upload. Rolling back restores the data to before it and removes its record.</p>
+              ) : (
+                <>
+                  <p className="text-sm text-gray-300 mb-2">{pendingRollback.laterCount} upload(s) came after this one. Choose what happens to them:</p>
+                  <ul className="text-xs text-gray-400 list-disc list-inside space-y-1 mb-4">
+                    <li><span className="text-gray-200">Replay later uploads</span> removes only this upload: data is restored to before it, then every later upload is applied again in order.</li>
+                    <li><span className="text-gray-200">Discard later uploads</span> restores the data to before this upload and removes its record and every later one.</li>
+                  </ul>
+                  {!pendingRollback.canReplay && (
+                    <p className="text-xs text-yellow-300 mb-3">Some later uploads were recorded without the rows needed to replay them.</p>
+                  )}
+                </>
+              )}
+              {pendingRollback.blockers.length > 0 && (
+                <div className="bg-yellow-700/20 border border-yellow-600 rounded p-3 mb-3 text-xs text-yellow-200">
+                  <p className="font-semibold text-yellow-300 mb-1">Changes made since this upload to the miners it or a later upload touched</p>
+                  <ul className="list-disc list-inside max-h-24 overflow-y-auto">
+                    {pendingRollback.blockers.map((label, idx) => <li key={idx}>{label}</li>)}
+                  </ul>
+                  <p className="mt-1">They are not part of any upload record, so replaying would lose them; undo them from the Change Journal to replay. Rolling back without replay may revert them for the miners this upload touched.</p>
+                </div>
+              )}
+              <div className="mt-6 flex gap-3 justify-end">
+                {pendingRollback.laterCount > 0 && (
+                  <button onClick={() => applyRollback('replay')} className="bg-sky-600 hover:bg-sky-700 text-white px-4 py-2 rounded text-sm flex items-center gap-2 disabled:opacity-50" disabled={isProcessing || !pendingRollback.canReplay || pendingRollback.blockers.length > 0}>
+                    <Layers size={16}/> Replay Later Uploads
+                  </button>
+                )}
+                <button onClick={() => applyRollback('discard')} className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded text-sm flex items-center gap-2" disabled={isProcessing}>
+                  <RotateCcw size={16}/> {pendingRollback.laterCount > 0 ? "Discard Later Uploads" : "Rollback"}
+                </button>
+                <button onClick={() => setPendingRollback(null)} className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded text-sm" disabled={isProcessing}> Cancel </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Backup Import Modal */}
+        {pendingBackup && (
+          <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-xl max-h-[90vh] overflow-y-auto shadow-2xl">
+              <h3 className="text-xl font-semibold mb-4 text-gray-100">Import Backup: <span className="text-sky-400 text-base font-normal">{pendingBackup.fileName}</span></h3>
+              <p className="text-xs text-gray-400 mb-3">
+                Version {pendingBackup.sourceVersion}{pendingBackup.exportDate ? `, exported ${new Date(pendingBackup.exportDate).toLocaleString()}` : ""}
+              </p>
+              {pendingBackup.upgradeNotes.length > 0 && (
+                <div className="bg-yellow-600/30 border border-yellow-500 rounded p-3 mb-3">
+                  <p className="text-yellow-300 font-semibold">Upgraded to {STORAGE_VERSION}:</p>
+                  <ul className="text-xs text-yellow-200 list-disc list-inside mt-1">{pendingBackup.upgradeNotes.map((n, i) => <li key={i}>{n}</li>)}</ul>
+                </div>
+              )}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm mb-4">
+                {[
+                    {label: "Miners", count: pendingBackup.data.miners.length},
+                    {label: "Price Histories", count: Object.keys(pendingBackup.data.priceHistory).length},
+                    {label: "Known Miners", count: pendingBackup.data.knownMiners.length},
+                    {label: "Upload Records", count: pendingBackup.data.uploadHistory.length},
+                    {label: "Alias Links", count: pendingBackup.data.minerAliases ? Object.keys(pendingBackup.data.minerAliases.links).length : null},
+                    {label: "Catalog Entries", count: pendingBackup.data.specCatalog?.length ?? null},
+                    {label: "Alert Rules", count: pendingBackup.data.alertRules?.length ?? null},
+                ].filter(item => item.count !== null).map(item => (
+                    <div key={item.label} className="bg-gray-700/50 rounded p-2 text-center border border-gray-600">
+                        <p className="text-gray-300 text-xs">{item.label}</p>
+                        <p className="text-2xl font-bold text-sky-400">{item.count}</p>
+                    </div>
+                ))}
+              </div>
+              <ul className="text-xs text-gray-400 list-disc list-inside space-y-1 mb-4">
+                <li><span className="text-gray-200">Replace</span> overwrites all local data with the backup.</li>
+                <li><span className="text-gray-200">Merge</span> keeps local data and adds backup history entries, miners and upload records that are not present locally (matched by upload ID), plus alias links, catalog models and alert rules missing locally.</li>
+                <li>Spec catalog and alert rules are settings: undoing the import in the Change Journal does not restore them.</li>
+              </ul>
+              <div className="mt-6 flex gap-3 justify-end">
+                <button onClick={() => applyBackupImport('merge')} className="bg-sky-600 hover:bg-sky-700 text-white px-4 py-2 rounded text-sm flex items-center gap-2" disabled={isProcessing}>
+                  <Layers size={16}/> Merge Histories
+                </button>
+                <button onClick={() => applyBackupImport('replace')} className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded text-sm flex items-center gap-2" disabled={isProcessing}>
+                  <RotateCcw size={16}/> Replace Local Data
+                </button>
+                <button onClick={cancelBackupImport} className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded text-sm" disabled={isProcessing}> Cancel </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+
+        {/* Miner Alias Manager Modal */}
+        {showAliasManager && (
+          <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto shadow-2xl">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-semibold text-gray-100">Miner Aliases</h3>
+                <button onClick={() => setShowAliasManager(false)} className="text-gray-400 hover:text-gray-200">&times;</button>
+              </div>
+
+              <div className="mb-4">
+                <div className="flex justify-between items-center mb-1">
+                  <h4 className="text-sm font-semibold text-gray-300">Detected Duplicates ({aliasGroups.length})</h4>
+                  {aliasGroups.length > 0 && (
+                    <button onClick={() => mergeAliasGroups(aliasGroups)} className="bg-violet-600 hover:bg-violet-700 text-white px-2.5 py-1 rounded text-xs flex items-center gap-1" disabled={isProcessing}>
+                      <Layers size={12} /> Merge All
+                    </button>
+                  )}
+                </div>
+                {aliasGroups.length === 0 ? (
+                  <p className="text-xs text-gray-500">No names differ only by case, spacing, full-width punctuation, "(Mix)" or Hydro/Hyd.</p>
+                ) : (
+                  <div className="max-h-48 overflow-y-auto space-y-1 text-xs bg-gray-700/30 p-2 rounded border border-gray-600">
+                    {aliasGroups.map(group => (
+                      <div key={group.canonical} className="bg-gray-700/80 rounded p-1.5 flex justify-between items-center gap-2">
+                        <div className="min-w-0">
+                          <p className="font-medium text-gray-200 truncate" title={group.canonical}>{group.canonical}</p>
+                          <p className="text-gray-400 truncate">+ {group.aliases.join(", ")}</p>
+                        </div>
+                        <button onClick={() => mergeAliasGroups([group])} className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-0.5 rounded text-[0.7rem] shrink-0" disabled={isProcessing}>Merge</button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <h4 className="text-sm font-semibold text-gray-300 mb-1">Link Two Names</h4>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-2 text-xs items-end">
+                  <input type="text" list="aliasNameOptions" value={aliasLinkForm.alias} onChange={(e) => setAliasLinkForm(f => ({ ...f, alias: e.target.value }))} placeholder="Alias name (merged away)"
+                    className="bg-gray-700 border border-gray-600 rounded px-2 py-1.5 focus:ring-2 focus:ring-sky-500 outline-none" />
+                  <input type="text" list="aliasNameOptions" value={aliasLinkForm.canonical} onChange={(e) => setAliasLinkForm(f => ({ ...f, canonical: e.target.value }))} placeholder="Canonical name (kept)"
+                    className="bg-gray-700 border border-gray-600 rounded px-2 py-1.5 focus:ring-2 focus:ring-sky-500 outline-none" />
+                  <button onClick={() => linkMinerNames(aliasLinkForm.alias, aliasLinkForm.canonical)} className="bg-sky-600 hover:bg-sky-700 text-white px-3 py-1.5 rounded disabled:opacity-50" disabled={isProcessing || !aliasLinkForm.alias || !aliasLinkForm.canonical}>Link</button>
+                  <datalist id="aliasNameOptions">
+                    {Array.from(knownMiners).sort().map(name => <option key={name} value={name} />)}
+                  </datalist>
+                </div>
+              </div>
+
+              <div>
+                <h4 className="text-sm font-semibold text-gray-300 mb-1">Linked Aliases ({Object.keys(minerAliases.links).length})</h4>
+                {Object.keys(minerAliases.links).length === 0 ? (
+                  <p className="text-xs text-gray-500">No aliases linked yet.</p>
+                ) : (
+                  <div className="max-h-48 overflow-y-auto space-y-1 text-xs bg-gray-700/30 p-2 rounded border border-gray-600">
+                    {Object.entries(minerAliases.links).sort(([a], [b]) => a.localeCompare(b)).map(([alias, canonical]) => (
+                      <div key={alias} className="bg-gray-700/80 rounded p-1.5 flex justify-between items-center gap-2">
+                        <span className="truncate text-gray-300" title={`${alias} → ${canonical}`}>{alias} <span className="text-gray-500">→</span> <span className="text-sky-300">{canonical}</span></span>
+                        <button onClick={() => unlinkMinerAlias(alias)} className="bg-red-700 hover:bg-red-800 text-white px-2 py-0.5 rounded text-[0.7rem] shrink-0" disabled={isProcessing}>Unlink</button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {minerAliases.exclusions.length > 0 && <p className="text-xs text-gray-500 mt-1">Kept separate: {minerAliases.exclusions.join(", ")}</p>}
+              </div>
+            </div>
+          </div>
+        )}
+
+
+        {/* Hardware Spec Catalog Modal */}
+        {showSpecCatalog && (
+          <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-4xl max-h-[90vh] flex flex-col shadow-2xl">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-semibold text-gray-100">Hardware Spec Catalog <span className="text-sm font-normal text-gray-400">({specCatalog.length} models)</span></h3>
+                <button onClick={() => setShowSpecCatalog(false)} className="text-gray-400 hover:text-gray-200">&times;</button>
+              </div>
+              <div className="flex flex-wrap gap-2 items-center mb-3 text-xs">
+                <div className="relative flex-grow min-w-[180px]">
+                  <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500" size={14}/>
+                  <input type="text" value={specCatalogSearch} onChange={(e) => setSpecCatalogSearch(e.target.value)} placeholder="Filter models..." className="bg-gray-700 border border-gray-600 rounded pl-9 pr-3 py-1.5 w-full focus:ring-2 focus:ring-sky-500 outline-none"/>
+                </div>
+                <button onClick={addSpecEntry} className="bg-green-600 hover:bg-green-700 text-white px-2.5 py-1.5 rounded">+ Add Model</button>
+                <label className="bg-sky-600 hover:bg-sky-700 text-white px-2.5 py-1.5 rounded cursor-pointer flex items-center gap-1">
+                  <Upload size={12} /> Import CSV/JSON
+                  <input type="file" onChange={handleSpecCatalogImport} className="hidden" accept=".csv,.json" />
+                </label>
+                <button onClick={() => exportSpecCatalog("csv")} className="bg-gray-600 hover:bg-gray-500 text-white px-2.5 py-1.5 rounded flex items-center gap-1"><Download size={12} /> CSV</button>
+                <button onClick={() => exportSpecCatalog("json")} className="bg-gray-600 hover:bg-gray-500 text-white px-2.5 py-1.5 rounded flex items-center gap-1"><Download size={12} /> JSON</button>
+                <button onClick={resetSpecCatalog} className="bg-red-700 hover:bg-red-800 text-white px-2.5 py-1.5 rounded flex items-center gap-1"><RotateCcw size={12} /> Reset</button>
+              </div>
+              <div className="overflow-y-auto flex-grow border border-gray-700 rounded">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-700/50 text-gray-400 uppercase sticky top-0">
+                    <tr>
+                      <th className="text-left py-2 px-2">Model</th>
+                      <th className="text-right py-2 px-2">TH/s</th>
+                      <th className="text-right py-2 px-2">Power (W)</th>
+                      <th className="text-left py-2 px-2">Cooling</th>
+                      <th className="text-left py-2 px-2">Released</th>
+                      <th className="py-2 px-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-700">
+                    {filteredSpecCatalog.map(entry => (
+                      <tr key={entry.id} className={isCompleteSpecEntry(entry) ? "hover:bg-gray-700/40" : "bg-red-900/20"} title={isCompleteSpecEntry(entry) ? undefined : "Incomplete: enter a model and power (W) before this entry is used for lookups"}>
+                        <td className="py-1 px-2"><input type="text" value={entry.model} onChange={(e) => updateSpecEntry(entry.id, "model", e.target.value)} placeholder="Listing name, e.g. Antminer S21 - 200 TH/s" className="bg-transparent border border-transparent hover:border-gray-600 focus:border-sky-500 rounded px-1 py-0.5 w-full outline-none text-gray-200" /></td>
+                        <td className="py-1 px-2"><input type="number" value={entry.hashrate ?? ""} onChange={(e) => updateSpecEntry(entry.id, "hashrate", e.target.value)} className="bg-transparent border border-transparent hover:border-gray-600 focus:border-sky-500 rounded px-1 py-0.5 w-20 text-right outline-none text-gray-300" /></td>
+                        <td className="py-1 px-2"><input type="number" value={entry.power ?? ""} onChange={(e) => updateSpecEntry(entry.id, "power", e.target.value)} className="bg-transparent border border-transparent hover:border-gray-600 focus:border-sky-500 rounded px-1 py-0.5 w-20 text-right outline-none text-gray-300" /></td>
+                        <td className="py-1 px-2">
+                          <select value={entry.coolingType} onChange={(e) => updateSpecEntry(entry.id, "coolingType", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-1 py-0.5 outline-none text-gray-300">
+                            {COOLING_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                          </select>
+                        </td>
+                        <td className="py-1 px-2"><input type="date" value={entry.releaseDate || ""} onChange={(e) => updateSpecEntry(entry.id, "releaseDate", e.target.value)} className="bg-transparent border border-transparent hover:border-gray-600 focus:border-sky-500 rounded px-1 py-0.5 outline-none text-gray-300" /></td>
+                        <td className="py-1 px-2 text-center"><button onClick={() => deleteSpecEntry(entry.id)} className="text-gray-500 hover:text-red-400" title="Delete model"><Trash2 size={14} /></button></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {filteredSpecCatalog.length === 0 && <p className="text-center py-6 text-gray-500 text-xs">No catalog entries match.</p>}
+              </div>
+              <p className="text-xs text-gray-500 mt-2">Uploads, 'Recalculate All Efficiency' and 'Apply Researched Power' look up power here by listing name, falling back to fuzzy model/hashrate matching. CSV columns: {SPEC_CATALOG_FIELDS.join(", ")}.</p>
+            </div>
+          </div>
+        )}
+
+
+        {/* Retention Policy Modal */}
+        {showRetentionPolicy && retentionPreview && (
+          <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto shadow-2xl">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="text-xl font-semibold text-gray-100 flex items-center gap-2"><Archive size={20} /> Retention Policy</h3>
+                <button onClick={() => setShowRetentionPolicy(false)} className="text-gray-400 hover:text-gray-200">&times;</button>
+              </div>
+              <p className="text-xs text-gray-400 mb-4">
+                Controls how much price history and rollback data is kept. Nothing changes until you apply it; the preview below shows what each setting would free.
+              </p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label htmlFor="retentionIntradayDays" className="block text-xs text-gray-400 mb-1" title="Older days keep only their latest price per vendor">Keep All Intraday Points (days)</label>
+                  <input id="retentionIntradayDays" type="number" min="0" step="1" value={retentionPolicy.intradayDays} onChange={(e) => updateRetentionPolicy({ intradayDays: Math.max(0, parseInt(e.target.value) || 0) })} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none"/>
+                </div>
+                <div>
+                  <label htmlFor="retentionSnapshotCount" className="block text-xs text-gray-400 mb-1" title="Older uploads lose their legacy full snapshot">Snapshots to Keep (latest uploads)</label>
+                  <input id="retentionSnapshotCount" type="number" min="0" step="1" value={retentionPolicy.snapshotCount} onChange={(e) => updateRetentionPolicy({ snapshotCount: Math.max(0, parseInt(e.target.value) || 0) })} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none"/>
+                </div>
+                <div>
+                  <label htmlFor="retentionAggregateInterval" className="block text-xs text-gray-400 mb-1" title="Rolls older prices into one open/high/low/close/avg point per period and vendor">Aggregate Older Data</label>
+                  <select id="retentionAggregateInterval" value={retentionPolicy.aggregateInterval} onChange={(e) => updateRetentionPolicy({ aggregateInterval: e.target.value })} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none">
+                    {RETENTION_AGGREGATE_INTERVALS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="retentionAggregateAfterDays" className="block text-xs text-gray-400 mb-1" title="Never less than the intraday window">Aggregate After (days)</label>
+                  <input id="retentionAggregateAfterDays" type="number" min="0" step="1" value={retentionPolicy.aggregateAfterDays} disabled={retentionPolicy.aggregateInterval === "off"} onChange={(e) => updateRetentionPolicy({ aggregateAfterDays: Math.max(0, parseInt(e.target.value) || 0) })} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none disabled:opacity-50"/>
+                </div>
+              </div>
+              <label className="flex items-start gap-2 text-xs text-gray-300 mb-4">
+                <input type="checkbox" checked={retentionPolicy.trimChanges} onChange={(e) => updateRetentionPolicy({ trimChanges: e.target.checked })} className="mt-0.5 accent-sky-500" />
+                <span>Also drop change records of the oldest uploads, up to the first with data inside the aggregation boundary (or the intraday window when aggregation is off). Those uploads can no longer be rolled back; the miners they listed are kept so delisting still counts them.</span>
+              </label>
+              <div className="bg-gray-700/50 border border-gray-600 rounded p-3">
+                <p className="text-sm font-medium text-gray-200 mb-2">Dry Run</p>
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-gray-400 text-left">
+                      <th className="py-1 font-normal">Step</th>
+                      <th className="py-1 font-normal text-right">Entries removed</th>
+                      <th className="py-1 font-normal text-right">KB freed</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {retentionPreview.stats.stages.map(stage => (
+                      <tr key={stage.key} className="border-t border-gray-600 text-gray-300">
+                        <td className="py-1">{stage.label}</td>
+                        <td className="py-1 text-right">{stage.entries}</td>
+                        <td className="py-1 text-right">{stage.kb.toFixed(1)}</td>
+                      </tr>
+                    ))}
+                    <tr className="border-t border-gray-500 text-gray-100 font-medium">
+                      <td className="py-1">Total</td>
+                      <td className="py-1 text-right">{retentionPreview.stats.entries}</td>
+                      <td className="py-1 text-right">{retentionPreview.stats.kb.toFixed(1)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+                <p className="text-[0.7rem] text-gray-500 mt-2">Current storage: {storageSize} KB. Max prices are kept regardless of policy.</p>
+              </div>
+              <div className="mt-6 flex gap-3 justify-end">
+                <button onClick={() => updateRetentionPolicy(DEFAULT_RETENTION_POLICY)} className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded text-sm" disabled={isProcessing}> Reset to Defaults </button>
+                <button onClick={cleanupStorage} className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded text-sm flex items-center gap-2 disabled:opacity-50" disabled={isProcessing || retentionPreview.stats.entries === 0}>
+                  <Archive size={16}/> Apply Policy
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Edit History Modal */}
+        {showEditLog && (
+          <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto shadow-2xl">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="text-xl font-semibold text-gray-100 flex items-center gap-2"><Clock size={20} /> Edit History</h3>
+                <button onClick={() => setShowEditLog(false)} className="text-gray-400 hover:text-gray-200">&times;</button>
+              </div>
+              <p className="text-xs text-gray-400 mb-3">
+                Double-click a hashrate, power, price or efficiency cell in the overview to correct it. Each edit updates the table, the miner's specs and the matching price history entry, and is listed here so it can be reverted.
+              </p>
+              {editLog.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-6">No edits yet.</p>
+              ) : (
+                <ul className="space-y-2">
+                  {[...editLog].reverse().map(record => (
+                    <li key={record.id} className={`bg-gray-700/50 border border-gray-600 rounded p-2.5 text-xs ${record.revertedAt ? "opacity-60" : ""}`}>
+                      <div className="flex justify-between items-start gap-2">
+                        <div className="min-w-0">
+                          <p className="text-sm text-gray-200 font-medium truncate" title={record.minerName}>{record.minerName}</p>
+                          <p className="text-gray-500">
+                            Edited {new Date(record.timestamp).toLocaleString()}{record.dataDate ? ` • data of ${record.dataDate}` : ""}
+                            {record.revertedAt && ` • reverted ${new Date(record.revertedAt).toLocaleString()}`}
+                          </p>
+                        </div>
+                        <button onClick={() => revertEdit(record.id)} className="bg-orange-600 hover:bg-orange-700 text-white px-2 py-1 rounded flex items-center gap-1 disabled:opacity-50 shrink-0" disabled={Boolean(record.revertedAt) || isProcessing}>
+                          <RotateCcw size={12} /> {record.revertedAt ? "Reverted" : "Revert"}
+                        </button>
+                      </div>
+                      <div className="flex flex-wrap gap-x-4 mt-1 text-gray-300">
+                        {record.changes.map(change => {
+                          const fieldInfo = EDITABLE_MINER_FIELDS.find(f => f.key === change.field);
+                          return (
+                            <span key={change.field}>
+                              {fieldInfo?.label || change.field}: <span className="text-gray-500 line-through">{formatDiffValue(change.oldValue, fieldInfo?.unit || "")}</span> <span className="text-gray-500">→</span> <span className="text-yellow-300">{formatDiffValue(change.newValue, fieldInfo?.unit || "")}</span>
+                            </span>
+                          );
+                        })}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Price Alerts Modal */}
+        {showAlerts && (
+          <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-5xl max-h-[90vh] overflow-y-auto shadow-2xl">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="text-xl font-semibold text-gray-100 flex items-center gap-2"><Bell size={20} /> Price Alerts</h3>
+                <button onClick={() => setShowAlerts(false)} className="text-gray-400 hover:text-gray-200">&times;</button>
+              </div>
+              <p className="text-xs text-gray-400 mb-3">
+                Rules run after every confirmed upload. All filled-in conditions must hold. Name patterns are case-insensitive text, or a regular expression written as /pattern/. Drops compare with the max price and the table price before the upload.
+              </p>
+
+              <div className="flex justify-between items-center mb-2">
+                <h4 className="text-sm font-semibold text-gray-200">Rules ({alertRules.length})</h4>
+                <button onClick={addAlertRule} className="bg-sky-600 hover:bg-sky-700 text-white px-3 py-1 rounded text-xs transition-colors">Add Rule</button>
+              </div>
+              {alertRules.length === 0 ? (
+                <p className="text-center py-4 text-gray-500 text-sm">No rules yet. Example: name "S21 XP" with Price ≤ 5000, or $/TH ≤ 12 for any miner.</p>
+              ) : (
+                <div className="space-y-2 mb-4">
+                  {alertRules.map(rule => {
+                    const patternInvalid = compileNamePattern(rule.namePattern) === null;
+                    return (
+                      <div key={rule.id} className={`bg-gray-700/40 border border-gray-600 rounded p-2 text-xs ${rule.enabled ? "" : "opacity-60"}`}>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-2">
+                          <input type="text" value={rule.name} onChange={(e) => updateAlertRule(rule.id, "name", e.target.value)} placeholder="Rule name" className="bg-gray-700 border border-gray-600 rounded px-2 py-1 focus:ring-1 focus:ring-sky-500 outline-none" />
+                          <input type="text" value={rule.namePattern} onChange={(e) => updateAlertRule(rule.id, "namePattern", e.target.value)} placeholder="Miner name pattern (blank = any)" className={`bg-gray-700 border rounded px-2 py-1 focus:ring-1 focus:ring-sky-500 outline-none md:col-span-2 ${patternInvalid ? "border-red-500" : "border-gray-600"}`} title={patternInvalid ? "Invalid regular expression" : undefined} />
+                          <div className="flex items-center justify-end gap-3">
+                            <label className="flex items-center gap-1 text-gray-300"><input type="checkbox" checked={rule.enabled} onChange={(e) => updateAlertRule(rule.id, "enabled", e.target.checked)} className="accent-sky-500" /> Enabled</label>
+                            <label className="flex items-center gap-1 text-gray-300" title="Show a browser notification when this rule fires"><input type="checkbox" checked={rule.notify} onChange={(e) => updateAlertRule(rule.id, "notify", e.target.checked)} className="accent-sky-500" /> Notify</label>
+                            <button onClick={() => deleteAlertRule(rule.id)} className="text-gray-400 hover:text-red-400" title="Delete rule"><Trash2 size={14} /></button>
+                          </div>
+                        </div>
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                          {ALERT_CONDITIONS.map(({ field, label }) => (
+                            <label key={field} className="text-gray-400">
+                              {label}
+                              <input type="number" value={rule[field]} onChange={(e) => updateAlertRule(rule.id, field, e.target.value)} placeholder="—" className="bg-gray-700 border border-gray-600 rounded px-2 py-1 w-full mt-0.5 text-gray-200 focus:ring-1 focus:ring-sky-500 outline-none" />
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+              {alertRules.some(rule => rule.notify) && window.Notification && window.Notification.permission === "denied" && (
+                <p className="text-xs text-yellow-400 mb-3">Browser notifications are blocked for this site; alerts will only appear in the inbox.</p>
+              )}
+
+              <div className="flex justify-between items-center mb-2 pt-3 border-t border-gray-700">
+                <h4 className="text-sm font-semibold text-gray-200">Inbox ({alertInbox.length}{unreadAlertCount > 0 ? `, ${unreadAlertCount} new` : ""})</h4>
+                <div className="flex gap-2">
+                  <button onClick={markAlertsRead} disabled={unreadAlertCount === 0} className="bg-gray-600 hover:bg-gray-500 text-white px-3 py-1 rounded text-xs transition-colors disabled:opacity-50">Mark All Read</button>
+                  <button onClick={clearAlertInbox} disabled={alertInbox.length === 0} className="bg-red-700 hover:bg-red-800 text-white px-3 py-1 rounded text-xs transition-colors disabled:opacity-50">Clear Inbox</button>
+                </div>
+              </div>
+              {alertInbox.length === 0 ? (
+                <p className="text-center py-4 text-gray-500 text-sm">No alerts yet.</p>
+              ) : (
+                <ul className="space-y-1.5">
+                  {[...alertInbox].reverse().map(alert => (
+                    <li key={alert.id} className={`flex justify-between items-start gap-2 rounded p-2 text-xs border ${alert.read ? "bg-gray-700/30 border-gray-700" : "bg-rose-900/20 border-rose-700/60"}`}>
+                      <div className="min-w-0">
+                        <p className="text-gray-200"><span className="font-semibold">{alert.ruleName}</span>: <span className="text-sky-300">{alert.minerName}</span> at ${alert.price?.toFixed(2)}{alert.pricePerTh !== null ? ` ($${alert.pricePerTh.toFixed(2)}/TH)` : ""}</p>
+                        <p className="text-gray-400">{alert.reasons.join(" • ")}</p>
+                        <p className="text-gray-500">Data {alert.dataDate} • {alert.fileName} • {new Date(alert.createdAt).toLocaleString()}</p>
+                      </div>
+                      <button onClick={() => dismissAlert(alert.id)} className="text-gray-400 hover:text-gray-200 flex-shrink-0" title="Dismiss">&times;</button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Spec Match Review Modal */}
+        {showSpecReview && (
+          <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto shadow-2xl">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="text-xl font-semibold text-gray-100">Review Spec Matches <span className="text-sm font-normal text-gray-400">({specReviewQueue.length})</span></h3>
+                <button onClick={() => setShowSpecReview(false)} className="text-gray-400 hover:text-gray-200">&times;</button>
+              </div>
+              <p className="text-xs text-gray-400 mb-3">
+                Matches at {Math.round(SPEC_MATCH_AUTO_CONFIDENCE * 100)}%+ confidence are applied automatically. These scored {Math.round(SPEC_MATCH_REVIEW_CONFIDENCE * 100)}–{Math.round(SPEC_MATCH_AUTO_CONFIDENCE * 100)}%. Power is scaled to the listing's hashrate. Decisions are remembered for future uploads.
+              </p>
+              {specReviewQueue.length === 0 ? (
+                <p className="text-center py-6 text-gray-500 text-sm">Nothing to review.</p>
+              ) : (
+                <div className="space-y-2 text-xs">
+                  {specReviewQueue.map(item => (
+                    <div key={item.name} className="bg-gray-700/50 rounded p-2.5 border border-gray-600">
+                      <p className="font-medium text-gray-200">{item.name} <span className="text-gray-400">({item.hashrate} TH/s)</span></p>
+                      <div className="mt-1 space-y-1">
+                        {item.candidates.map(candidate => (
+                          <div key={candidate.entry.id} className="bg-gray-800/60 rounded p-1.5 flex flex-wrap justify-between items-center gap-2">
+                            <span className="text-gray-300 truncate" title={candidate.entry.model}>
+                              {candidate.entry.model} <span className="text-gray-500">→</span> <span className="text-sky-300">{candidate.power} W</span>
+                              <span className={`ml-2 ${candidate.confidence >= 0.75 ? "text-green-400" : "text-yellow-400"}`}>{Math.round(candidate.confidence * 100)}%</span>
+                            </span>
+                            <div className="flex gap-1">
+                              <button onClick={() => approveSpecMatch(item.name, candidate)} className="bg-green-600 hover:bg-green-700 text-white px-2 py-0.5 rounded flex items-center gap-1"><CheckCircle size={12} /> Approve</button>
+                              <button onClick={() => rejectSpecMatch(item.name, candidate)} className="bg-gray-600 hover:bg-gray-500 text-white px-2 py-0.5 rounded flex items-center gap-1"><XCircle size={12} /> Reject</button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+
+        {/* Upload History & Rollback, with the change journal beside it */}
+        {(uploadHistory.length > 0 || journal.length > 0) && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            <div className="bg-gray-800/70 backdrop-blur-sm shadow-lg rounded-lg p-4 md:p-6 border border-gray-700">
+              <h2 className="text-lg md:text-xl font-semibold mb-3">Recent Uploads</h2>
+              {uploadHistory.length === 0 && <p className="text-xs text-gray-500">No uploads recorded.</p>}
+              <div className="space-y-2 max-h-60 overflow-y-auto text-xs">
+                {uploadHistory.slice().reverse().map((upload) => ( // Show latest first
+                  <div key={upload.id} className="bg-gray-700/50 p-2.5 rounded flex flex-wrap justify-between items-center gap-2 border border-gray-600">
+                    <div>
+                      <p className="font-medium text-gray-200">{upload.fileName} <span className="text-gray-400 text-[0.7rem]">({new Date(upload.timestamp).toLocaleString()})</span></p>
+                      <p className="text-gray-400">Source: <span className="text-sky-300">{upload.source || DEFAULT_SOURCE}</span>, Strategy: <span className="text-sky-300">{upload.strategy}</span>, Miners: {upload.minerCount}, New: {upload.newMinerCount}, Updated: {upload.updatedCount}{upload.mergedFromBackup && <span className="text-gray-500"> • from backup</span>}</p>
+                    </div>
+                    <button onClick={() => rollbackUpload(upload.id)} title={upload.mergedFromBackup ? "Merged from a backup; cannot be rolled back" : "Rollback to state before this upload"}
+                      className="bg-red-700 hover:bg-red-800 text-white px-2.5 py-1 rounded text-[0.7rem] flex items-center gap-1 transition-colors disabled:opacity-50" disabled={isProcessing || !(upload.changes || upload.snapshot)}>
+                      <RotateCcw size={12} /> Rollback
+                    </button>
                   </div>
-                  <button onClick={() => rollbackUpload(upload.id)} title="Rollback to state before this upload"
-                    className="bg-red-700 hover:bg-red-800 text-white px-2.5 py-1 rounded text-[0.7rem] flex items-center gap-1 transition-colors" disabled={isProcessing}>
-                    <RotateCcw size={12} /> Rollback
+                ))}
+              </div>
+            </div>
+            <div className="bg-gray-800/70 backdrop-blur-sm shadow-lg rounded-lg p-4 md:p-6 border border-gray-700">
+              <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                <h2 className="text-lg md:text-xl font-semibold flex items-center gap-2"><Clock size={18} /> Change Journal</h2>
+                <div className="flex gap-2">
+                  <button onClick={undoLastChange} className="bg-gray-600 hover:bg-gray-500 text-white px-2.5 py-1 rounded text-[0.7rem] flex items-center gap-1 transition-colors disabled:opacity-50" disabled={isProcessing || !canUndo} title={undoEntry ? `Undo "${undoEntry.label}"` : "Nothing to undo"}>
+                    <Undo2 size={12} /> Undo
+                  </button>
+                  <button onClick={redoLastChange} className="bg-gray-600 hover:bg-gray-500 text-white px-2.5 py-1 rounded text-[0.7rem] flex items-center gap-1 transition-colors disabled:opacity-50" disabled={isProcessing || !canRedo} title={redoEntry ? `Redo "${redoEntry.label}"` : "Nothing to redo"}>
+                    <Redo2 size={12} /> Redo
                   </button>
                 </div>
-              ))}
+              </div>
+              {journal.length === 0 ? (
+                <p className="text-xs text-gray-500">No changes recorded yet.</p>
+              ) : (
+                <ol className="relative border-l border-gray-600 ml-1.5 space-y-2 max-h-60 overflow-y-auto text-xs">
+                  {journal.slice().reverse().map(entry => (
+                    <li key={entry.id} className={`ml-3 ${entry.status === "done" ? "" : "opacity-50"}`}>
+                      <span className={`absolute -left-1.5 mt-1 w-3 h-3 rounded-full border border-gray-800 ${entry.status === "done" ? "bg-sky-500" : "bg-gray-500"}`} />
+                      <p className={`font-medium text-gray-200 ${entry.status === "done" ? "" : "line-through"}`}>{entry.label}</p>
+                      <p className="text-gray-400">
+                        {new Date(entry.timestamp).toLocaleString()} • {entry.minerCount} miner(s){entry.uploadCount > 0 ? `, ${entry.uploadCount} upload record(s)` : ""}
+                        {entry.status === "undone" && " • undone"}
+                        {entry.status === "discarded" && " • undone, replaced by a later change"}
+                        {entry.status === "done" && !entry.diff && " • undo data not kept"}
+                      </p>
+                    </li>
+                  ))}
+                </ol>
+              )}
             </div>
           </div>
         )}
@@ -1478,10 +3260,93 @@ const MinerPriceTracker = () => {
             </div>
         )}
 
+        {/* Market $/TH Index Chart */}
+        {marketPriceIndex.length > 0 && (
+            <div className="bg-gray-800/70 backdrop-blur-sm shadow-lg rounded-lg p-4 md:p-6 mb-6 border border-gray-700">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                    <h2 className="text-lg md:text-xl font-semibold">Market $/TH Index</h2>
+                    <select value={marketIndexSegment} onChange={(e) => setMarketIndexSegment(e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs focus:ring-2 focus:ring-sky-500 outline-none">
+                        <option value="all">All miners (median & quartiles)</option>
+                        <option value="tiers">Median by efficiency tier</option>
+                        {EFFICIENCY_TIERS.map((tier, idx) => <option key={tier.range} value={idx}>{tier.range} (median & quartiles)</option>)}
+                    </select>
+                </div>
+                <ResponsiveContainer width="100%" height={240}>
+                <LineChart data={marketPriceIndex} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                    <XAxis dataKey="date" stroke="#A0AEC0" fontSize={10} />
+                    <YAxis stroke="#A0AEC0" fontSize={10} tickFormatter={(value) => `$${value}`} />
+                    <Tooltip contentStyle={{ backgroundColor: "#1A202C", border: "1px solid #2D3748", borderRadius:"0.25rem" }} labelStyle={{ color: "#E2E8F0" }} itemStyle={{color: "#CBD5E0"}}
+                        formatter={(value, name) => [typeof value === 'number' ? `$${value.toFixed(2)}/TH` : value, name]}
+                    />
+                    <Legend wrapperStyle={{fontSize: "0.8rem"}} />
+                    {marketIndexSegment === "tiers" ? (
+                      EFFICIENCY_TIERS.map((tier, idx) => (
+                        <Line key={tier.range} type="monotone" dataKey={`t${idx}_median`} name={tier.range} stroke={tier.color} strokeWidth={1.5} dot={{ r: 2 }} connectNulls />
+                      ))
+                    ) : (() => {
+                      const prefix = marketIndexSegment === "all" ? "all" : `t${marketIndexSegment}`;
+                      const color = marketIndexSegment === "all" ? "#38BDF8" : EFFICIENCY_TIERS[marketIndexSegment].color;
+                      return [
+                        <Line key="q3" type="monotone" dataKey={`${prefix}_q3`} name="Upper quartile" stroke={color} strokeOpacity={0.5} strokeDasharray="4 4" dot={false} connectNulls />,
+                        <Line key="median" type="monotone" dataKey={`${prefix}_median`} name="Median" stroke={color} strokeWidth={2} dot={{ r: 2 }} connectNulls />,
+                        <Line key="q1" type="monotone" dataKey={`${prefix}_q1`} name="Lower quartile" stroke={color} strokeOpacity={0.5} strokeDasharray="4 4" dot={false} connectNulls />,
+                      ];
+                    })()}
+                </LineChart>
+                </ResponsiveContainer>
+                <p className="text-xs text-gray-500 mt-2">Built from each miner's daily price history; one point per data date. Tiers use the efficiency recorded with each entry.</p>
+            </div>
+        )}
+
+        {/* Profitability Model */}
+        <div className="bg-gray-800/70 backdrop-blur-sm shadow-lg rounded-lg p-4 md:p-6 mb-6 border border-gray-700">
+            <h2 className="text-lg md:text-xl font-semibold mb-4 flex items-center gap-2"><DollarSign size={20} /> Profitability Model</h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3 text-sm">
+                <div>
+                    <label htmlFor="pmBtcPrice" className="block text-xs text-gray-400 mb-1">BTC Price ($)</label>
+                    <input id="pmBtcPrice" type="number" min="0" value={profitabilitySettings.btcPrice} onChange={(e) => updateProfitabilitySetting("btcPrice", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                </div>
+                <div>
+                    <label htmlFor="pmNetwork" className="block text-xs text-gray-400 mb-1">
+                        <select value={profitabilitySettings.networkInput} onChange={(e) => updateProfitabilitySetting("networkInput", e.target.value)} className="bg-transparent text-gray-400 outline-none">
+                            <option value="hashrate">Network Hashrate (EH/s)</option>
+                            <option value="difficulty">Difficulty</option>
+                        </select>
+                    </label>
+                    {profitabilitySettings.networkInput === "difficulty" ? (
+                        <input id="pmNetwork" type="number" min="0" value={profitabilitySettings.difficulty} onChange={(e) => updateProfitabilitySetting("difficulty", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                    ) : (
+                        <input id="pmNetwork" type="number" min="0" value={profitabilitySettings.networkHashrate} onChange={(e) => updateProfitabilitySetting("networkHashrate", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                    )}
+                </div>
+                <div>
+                    <label htmlFor="pmSubsidy" className="block text-xs text-gray-400 mb-1">Block Subsidy (BTC)</label>
+                    <input id="pmSubsidy" type="number" min="0" step="0.001" value={profitabilitySettings.blockSubsidy} onChange={(e) => updateProfitabilitySetting("blockSubsidy", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                </div>
+                <div>
+                    <label htmlFor="pmFees" className="block text-xs text-gray-400 mb-1">Fees / Block (BTC)</label>
+                    <input id="pmFees" type="number" min="0" step="0.01" value={profitabilitySettings.feesPerBlock} onChange={(e) => updateProfitabilitySetting("feesPerBlock", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                </div>
+                <div>
+                    <label htmlFor="pmPoolFee" className="block text-xs text-gray-400 mb-1">Pool Fee (%)</label>
+                    <input id="pmPoolFee" type="number" min="0" max="100" step="0.1" value={profitabilitySettings.poolFeePercent} onChange={(e) => updateProfitabilitySetting("poolFeePercent", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                </div>
+                <div>
+                    <label htmlFor="pmElectricity" className="block text-xs text-gray-400 mb-1">Electricity ($/kWh)</label>
+                    <input id="pmElectricity" type="number" min="0" step="0.005" value={profitabilitySettings.electricityCost} onChange={(e) => updateProfitabilitySetting("electricityCost", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                </div>
+                <div className="flex flex-col justify-end text-xs text-gray-400">
+                    <span>Revenue per TH/s:</span>
+                    <span className="text-base font-semibold text-sky-300">${(btcPerThPerDay(profitabilitySettings) * profitabilitySettings.btcPrice).toFixed(4)}/day</span>
+                </div>
+            </div>
+        </div>
+
         {/* Filters */}
         <div className="bg-gray-800/70 backdrop-blur-sm shadow-lg rounded-lg p-4 md:p-6 mb-6 border border-gray-700">
             <h2 className="text-lg md:text-xl font-semibold mb-4 flex items-center gap-2"><Filter size={20} /> Filters & View Options</h2>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                 <div>
                     <label htmlFor="searchMiners" className="block text-xs text-gray-400 mb-1">Search Miners</label>
                     <div className="relative">
@@ -1499,6 +3364,36 @@ const MinerPriceTracker = () => {
                     {showOnlyNew ? <Eye size={16} /> : <EyeOff size={16} />} {showOnlyNew ? "Showing New Only" : "Show All Miners"}
                 </button>
                 </div>
+                <div className="grid grid-cols-2 gap-2">
+                    <div>
+                        <label htmlFor="listingFilter" className="block text-xs text-gray-400 mb-1">Listing Status</label>
+                        <select id="listingFilter" value={listingFilter} onChange={(e) => setListingFilter(e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none">
+                            {LISTING_FILTERS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="delistThreshold" className="block text-xs text-gray-400 mb-1" title="Consecutive uploads of a source without the miner before it counts as delisted">Delist After (uploads)</label>
+                        <input id="delistThreshold" type="number" min="1" step="1" value={delistThreshold} onChange={(e) => setDelistThreshold(Math.max(1, parseInt(e.target.value) || 1))} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none"/>
+                    </div>
+                </div>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4 mt-4">
+                {[
+                  { field: "maxPaybackDays", label: "Max Payback (days)", step: "1" },
+                  { field: "minRoi12", label: "Min ROI 12m (%)", step: "1" },
+                  { field: "minRoi24", label: "Min ROI 24m (%)", step: "1" },
+                  { field: "minBreakEvenElectricity", label: "Min Break-even ($/kWh)", step: "0.01" },
+                  { field: "maxPricePerTh", label: "Max $/TH", step: "0.5" },
+                  { field: "maxPricePerWatt", label: "Max $/W", step: "0.01" },
+                ].map(({ field, label, step }) => (
+                  <div key={field}>
+                    <label htmlFor={`metricFilter_${field}`} className="block text-xs text-gray-400 mb-1">{label}</label>
+                    <input id={`metricFilter_${field}`} type="number" step={step} value={metricFilters[field]} onChange={(e) => setMetricFilters(prev => ({ ...prev, [field]: e.target.value }))} placeholder="Any" className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none"/>
+                  </div>
+                ))}
+                <div className="flex items-end">
+                  <button onClick={() => setMetricFilters(EMPTY_METRIC_FILTERS)} disabled={metricFilters === EMPTY_METRIC_FILTERS} className="w-full px-3 py-2 rounded text-sm bg-gray-700 hover:bg-gray-600 text-gray-300 disabled:opacity-50 transition-colors">Clear Metric Filters</button>
+                </div>
             </div>
         </div>
         
@@ -1523,9 +3418,17 @@ const MinerPriceTracker = () => {
 
         {/* Miner List */}
         <div className="bg-gray-800/70 backdrop-blur-sm shadow-lg rounded-lg p-0 md:p-0 border border-gray-700 overflow-hidden">
-          <h2 className="text-lg md:text-xl font-semibold mb-0 p-4 md:p-6">Miner Overview ({sortedMiners.length} displayed)</h2>
+          <div className="flex flex-wrap justify-between items-center gap-2 p-4 md:p-6">
+            <h2 className="text-lg md:text-xl font-semibold mb-0">Miner Overview ({sortedMiners.length} displayed)</h2>
+            <div className="flex gap-2">
+              {comparisonMiners.length > 0 && (
+                <button onClick={() => setComparisonMiners([])} className="bg-gray-700 hover:bg-gray-600 text-gray-300 px-3 py-1.5 rounded text-xs transition-colors">Clear Selection</button>
+              )}
+              <button onClick={() => setShowComparison(true)} disabled={comparisonMiners.length < 2} className="bg-sky-600 hover:bg-sky-700 text-white px-3 py-1.5 rounded text-xs flex items-center gap-1.5 transition-colors disabled:opacity-50" title="Tick two or more miners to compare"> <TrendingUp size={14} /> Compare Selected ({comparisonMiners.length}) </button>
+            </div>
+          </div>
           <div className="overflow-x-auto">
-            <table className="w-full min-w-[1000px]"> {/* min-w for horizontal scroll on small screens */}
+            <table className="w-full min-w-[1900px]"> {/* min-w for horizontal scroll on small screens */}
               <thead className="bg-gray-700/50">
                 <tr className="border-b border-gray-600 text-xs text-gray-400 uppercase">
                   {/* Table Headers */}
@@ -1535,9 +3438,18 @@ const MinerPriceTracker = () => {
                     {label: "Power", key: "power", unit: "W"},
                     {label: "Efficiency", key: "efficiency", unit: "J/TH"},
                     {label: "Price", key: "price", unit: "$"},
+                    {label: "$/TH", key: "pricePerTh", unit: "$/TH"},
+                    {label: "$/W", key: "pricePerWatt", unit: "$/W"},
                     {label: "vs Max", key: "changeFromMax", unit: "%"},
                     {label: "vs Prior", key: "changeFromPrevious", unit: "%"},
-                    {label: "Daily $", key: "dailyEarnings", unit: "$"},
+                    {label: "Vendor Daily $", key: "dailyEarnings", unit: "$"},
+                    {label: "Revenue/Day", key: "grossRevenue", unit: "$"},
+                    {label: "Power/Day", key: "powerCost", unit: "$"},
+                    {label: "Net/Day", key: "netProfit", unit: "$"},
+                    {label: "Payback", key: "paybackDays", unit: "days"},
+                    {label: "ROI 12m", key: "roi12", unit: "%"},
+                    {label: "ROI 24m", key: "roi24", unit: "%"},
+                    {label: "Break-even", key: "breakEvenElectricity", unit: "$/kWh"},
                     {label: "Chart", key: "action", noSort: true},
                   ].map(col => (
                     <th key={col.key} className={`py-3 px-2 md:px-4 ${col.align === 'left' ? 'text-left' : 'text-right'} ${!col.noSort ? 'cursor-pointer group hover:bg-gray-600/50' : ''}`}
@@ -1552,22 +3464,39 @@ const MinerPriceTracker = () => {
               <tbody className="divide-y divide-gray-700">
                 {sortedMiners.map((miner, index) => {
                   const priceChanges = calculatePriceChanges(miner);
+                  const profit = minerProfitability[miner.name] || calculateMinerProfitability({}, profitabilitySettings);
                   const isNew = newMinersLastUpload.has(miner.name);
+                  const listing = listingStatus[miner.name];
                   return (
-                    <tr key={miner.uploadId || `${miner.name}-${index}`} className={`hover:bg-gray-700/40 transition-colors duration-150 ${isNew ? "bg-yellow-700/10" : ""}`}>
+                    <tr key={miner.uploadId || `${miner.name}-${index}`} className={`hover:bg-gray-700/40 transition-colors duration-150 ${isNew ? "bg-yellow-700/10" : ""} ${listing?.delisted ? "opacity-50" : ""}`}>
                       <td className="py-2.5 px-2 md:px-4 text-sm text-gray-200">
+                        <input type="checkbox" checked={comparisonMiners.includes(miner.name)} onChange={() => toggleComparisonMiner(miner.name)} className="mr-2 accent-sky-500 align-middle" title="Select for comparison" />
                         {miner.name} {isNew && <Sparkles className="inline ml-1 text-yellow-400" size={12} />}
+                        {listing?.delisted && (
+                          <span className="ml-1.5 text-[0.65rem] bg-gray-600 text-gray-200 rounded px-1.5 py-0.5" title={Object.entries(listing.missedBySource).map(([source, missed]) => `${source}: missing from last ${missed} upload(s)`).join("\n")}>
+                            Delisted • last seen {listing.lastSeen}
+                          </span>
+                        )}
                       </td>
-                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">{miner.hashrate?.toFixed(1)}</td>
-                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">{miner.powerConsumption || "N/A"}</td>
+                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">{renderEditableCell(miner, "hashrate", miner.hashrate?.toFixed(1))}</td>
+                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">{renderEditableCell(miner, "powerConsumption", miner.powerConsumption || "N/A")}</td>
                       <td className="text-right py-2.5 px-2 md:px-4 text-sm">
-                        {miner.efficiency && miner.efficiency > 0 && !isNaN(miner.efficiency) ? (
+                        {renderEditableCell(miner, "efficiency", miner.efficiency && miner.efficiency > 0 && !isNaN(miner.efficiency) ? (
                           <span className={ miner.efficiency < 15 ? "text-green-400 font-bold" : miner.efficiency <= 20 ? "text-green-400" : miner.efficiency <= 25 ? "text-yellow-400" : "text-red-400"}>
                             {miner.efficiency.toFixed(1)}
                           </span>
-                        ) : (<span className="text-gray-500">N/A</span>)}
+                        ) : (<span className="text-gray-500">N/A</span>))}
+                      </td>
+                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">
+                        {renderEditableCell(miner, "price", `$${miner.price?.toFixed(2)}`)}
+                        {miner.sourcePrices && Object.keys(miner.sourcePrices).length > 1 && (
+                          <span className="block text-[0.65rem] text-gray-500" title={Object.entries(miner.sourcePrices).map(([source, quote]) => `${source}: $${quote.price.toFixed(2)} (${quote.date})`).join("\n")}>
+                            best of {Object.keys(miner.sourcePrices).length} • {miner.source}
+                          </span>
+                        )}
                       </td>
-                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">${miner.price?.toFixed(2)}</td>
+                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">{profit.pricePerTh !== null ? `$${profit.pricePerTh.toFixed(2)}` : <span className="text-gray-500">N/A</span>}</td>
+                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">{profit.pricePerWatt !== null ? `$${profit.pricePerWatt.toFixed(3)}` : <span className="text-gray-500">N/A</span>}</td>
                       <td className="text-right py-2.5 px-2 md:px-4 text-sm">
                         <span className={ priceChanges.changeFromMax < 0 ? "text-green-400" : priceChanges.changeFromMax > 0 ? "text-red-400" : "text-gray-400"}>
                           {priceChanges.changeFromMax > 0 ? "+" : ""}{priceChanges.changeFromMax}%
@@ -1581,8 +3510,27 @@ const MinerPriceTracker = () => {
                         ) : (<span className="text-gray-500">-</span>)}
                       </td>
                       <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">${miner.dailyEarnings?.toFixed(2)}</td>
+                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">{profit.grossRevenue !== null ? `$${profit.grossRevenue.toFixed(2)}` : <span className="text-gray-500">N/A</span>}</td>
+                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-400">{profit.powerCost !== null ? `$${profit.powerCost.toFixed(2)}` : <span className="text-gray-500">N/A</span>}</td>
+                      <td className="text-right py-2.5 px-2 md:px-4 text-sm">
+                        {profit.netProfit !== null ? (
+                          <span className={profit.netProfit > 0 ? "text-green-400" : "text-red-400"}>{profit.netProfit < 0 ? "-" : ""}${Math.abs(profit.netProfit).toFixed(2)}</span>
+                        ) : (<span className="text-gray-500">N/A</span>)}
+                      </td>
+                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">
+                        {profit.paybackDays !== null ? Math.ceil(profit.paybackDays).toLocaleString() : <span className="text-gray-500">{profit.roi12 !== null ? "Never" : "N/A"}</span>}
+                      </td>
+                      {[profit.roi12, profit.roi24].map((roi, roiIdx) => (
+                        <td key={roiIdx} className="text-right py-2.5 px-2 md:px-4 text-sm">
+                          {roi !== null ? <span className={roi >= 0 ? "text-green-400" : "text-red-400"}>{roi.toFixed(1)}%</span> : <span className="text-gray-500">N/A</span>}
+                        </td>
+                      ))}
+                      <td className="text-right py-2.5 px-2 md:px-4 text-sm text-gray-300">
+                        {profit.breakEvenElectricity !== null ? `$${profit.breakEvenElectricity.toFixed(3)}` : <span className="text-gray-500">N/A</span>}
+                      </td>
                       <td className="text-center py-2.5 px-2 md:px-4">
                         <button onClick={() => setSelectedMiner(miner.name)} className="text-sky-400 hover:text-sky-300 p-1" title="View Price History"> <TrendingUp size={16} /> </button>
+                        <button onClick={() => openProjection(miner.name)} className="text-emerald-400 hover:text-emerald-300 p-1" title="Add to Projection"> <Calculator size={16} /> </button>
                       </td>
                     </tr>
                   );
@@ -1602,12 +3550,16 @@ const MinerPriceTracker = () => {
                 <button onClick={() => setSelectedMiner(null)} className="text-gray-400 hover:text-gray-200">&times;</button>
               </div>
               
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-2 md:gap-3 text-xs mb-4">
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-2 md:gap-3 text-xs mb-4">
                 {[
                     {label: "Current Efficiency", value: minerSpecs[selectedMiner]?.efficiency ? `${minerSpecs[selectedMiner].efficiency.toFixed(1)} J/TH` : "N/A", color: minerSpecs[selectedMiner]?.efficiency <=20 ? "text-green-400" : "text-yellow-400"},
                     {label: "Power Draw", value: minerSpecs[selectedMiner]?.powerConsumption ? `${minerSpecs[selectedMiner].powerConsumption} W` : "N/A"},
                     {label: "Latest Price", value: priceHistory[selectedMiner]?.daily.slice(-1)[0]?.price ? `$${priceHistory[selectedMiner].daily.slice(-1)[0].price.toFixed(2)}` : "N/A"},
-                    {label: "Data Points (Intraday)", value: priceHistory[selectedMiner]?.intraday?.length || 0}
+                    {label: "Data Points (Intraday)", value: priceHistory[selectedMiner]?.intraday?.length || 0},
+                    {label: "All-Time High", value: priceHistoryChart.allTimeHigh ? `$${priceHistoryChart.allTimeHigh.toFixed(2)}` : "N/A", color: "text-red-400"},
+                    {label: "All-Time Low", value: priceHistoryChart.allTimeLow ? `$${priceHistoryChart.allTimeLow.toFixed(2)}` : "N/A", color: "text-green-400"},
+                    {label: "First Seen", value: listingStatus[selectedMiner]?.firstSeen || "N/A"},
+                    {label: "Last Seen", value: listingStatus[selectedMiner] ? `${listingStatus[selectedMiner].lastSeen}${listingStatus[selectedMiner].delisted ? " (delisted)" : ""}` : "N/A", color: listingStatus[selectedMiner]?.delisted ? "text-gray-400" : undefined},
                 ].map(item=>(
                     <div key={item.label} className="bg-gray-700/50 rounded p-2 border border-gray-600">
                         <p className="text-gray-400 truncate">{item.label}</p>
@@ -1616,36 +3568,312 @@ const MinerPriceTracker = () => {
                 ))}
               </div>
 
+              <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+                <div className="flex rounded overflow-hidden border border-gray-600">
+                  {HISTORY_RANGE_PRESETS.map(preset => (
+                    <button key={preset.value} onClick={() => setHistoryRange(preset.value)} className={`px-2.5 py-1 transition-colors ${historyRange === preset.value ? "bg-sky-600 text-white" : "bg-gray-700 text-gray-300 hover:bg-gray-600"}`}>{preset.label}</button>
+                  ))}
+                </div>
+                {historyRange === "custom" && (
+                  <>
+                    <input type="date" value={historyCustomRange.start} onChange={(e) => setHistoryCustomRange(prev => ({ ...prev, start: e.target.value }))} className="bg-gray-700 border border-gray-600 rounded px-2 py-1 focus:ring-1 focus:ring-sky-500 outline-none" />
+                    <span className="text-gray-500">to</span>
+                    <input type="date" value={historyCustomRange.end} onChange={(e) => setHistoryCustomRange(prev => ({ ...prev, end: e.target.value }))} className="bg-gray-700 border border-gray-600 rounded px-2 py-1 focus:ring-1 focus:ring-sky-500 outline-none" />
+                  </>
+                )}
+                <div className="flex rounded overflow-hidden border border-gray-600 ml-auto">
+                  {["daily", "intraday"].map(series => (
+                    <button key={series} onClick={() => setHistorySeries(series)} className={`px-2.5 py-1 capitalize transition-colors ${historySeries === series ? "bg-sky-600 text-white" : "bg-gray-700 text-gray-300 hover:bg-gray-600"}`}>{series}</button>
+                  ))}
+                </div>
+                {priceHistoryChart.sources.length > 1 && (
+                  <label className="flex items-center gap-1 text-gray-300">
+                    <input type="checkbox" checked={historyBySource} onChange={(e) => setHistoryBySource(e.target.checked)} className="accent-sky-500" /> Split by vendor
+                  </label>
+                )}
+                {MOVING_AVERAGE_WINDOWS.map(windowDays => (
+                  <label key={windowDays} className="flex items-center gap-1 text-gray-300">
+                    <input type="checkbox" checked={historyMovingAverages.includes(windowDays)} onChange={() => toggleHistoryMovingAverage(windowDays)} className="accent-sky-500" /> {windowDays}d MA
+                  </label>
+                ))}
+              </div>
+
               <div className="flex-grow min-h-[250px]"> {/* Ensure chart has space */}
+                {priceHistoryChart.points.length === 0 ? (
+                  <p className="text-center py-8 text-gray-500">No data points in this range.</p>
+                ) : (
                 <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={priceHistory[selectedMiner].intraday} margin={{ top: 5, right: 20, left: -15, bottom: 5 }}> {/* Use intraday for full history */}
+                  <LineChart data={priceHistoryChart.points} margin={{ top: 5, right: 20, left: -15, bottom: 5 }}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
-                    <XAxis dataKey="timestamp" stroke="#A0AEC0" fontSize={10} tickFormatter={(ts) => new Date(ts).toLocaleDateString()} />
+                    <XAxis dataKey="time" type="number" scale="time" domain={['dataMin', 'dataMax']} stroke="#A0AEC0" fontSize={10} tickFormatter={(time) => new Date(time).toLocaleDateString()} />
                     <YAxis stroke="#A0AEC0" fontSize={10} domain={['auto', 'auto']}/>
                     <Tooltip contentStyle={{ backgroundColor: "#1A202C", border: "1px solid #2D3748", borderRadius:"0.25rem" }} labelStyle={{ color: "#E2E8F0" }} itemStyle={{color: "#CBD5E0"}}
                         formatter={(value, name) => [typeof value === 'number' ? value.toFixed(2) : value, name]}
-                        labelFormatter={(label) => new Date(label).toLocaleString()}
+                        labelFormatter={(time, payload) => {
+                          const point = payload?.[0]?.payload;
+                          if (historySeries === "daily" || !point?.timestamp) return new Date(time).toLocaleDateString();
+                          return `${new Date(time).toLocaleDateString()} (uploaded ${new Date(point.timestamp).toLocaleString()})`;
+                        }}
                     />
                     <Legend wrapperStyle={{fontSize: "0.8rem"}} />
-                    <Line type="monotone" dataKey="price" stroke="#38BDF8" strokeWidth={1.5} dot={{r:2, fill: "#38BDF8"}} name="Price (USD)" />
-                    <Line type="monotone" dataKey="dailyEarnings" stroke="#34D399" strokeWidth={1.5} dot={{r:2, fill: "#34D399"}} name="Daily Earnings (USD)" />
+                    {priceHistoryChart.allTimeHigh && <ReferenceLine y={priceHistoryChart.allTimeHigh} stroke="#F87171" strokeDasharray="4 4" label={{ value: `ATH $${priceHistoryChart.allTimeHigh.toFixed(0)}`, fill: "#F87171", fontSize: 10, position: "insideTopRight" }} />}
+                    {priceHistoryChart.allTimeLow && <ReferenceLine y={priceHistoryChart.allTimeLow} stroke="#34D399" strokeDasharray="4 4" label={{ value: `ATL $${priceHistoryChart.allTimeLow.toFixed(0)}`, fill: "#34D399", fontSize: 10, position: "insideBottomRight" }} />}
+                    {historyBySource && priceHistoryChart.sources.length > 1 ? (
+                      priceHistoryChart.sources.map(({ source }, idx) => (
+                        <Line key={source} type="monotone" dataKey={`vendor_${idx}`} stroke={SERIES_COLORS[idx % SERIES_COLORS.length]} strokeWidth={1.5} dot={{ r: 2 }} connectNulls name={source} />
+                      ))
+                    ) : ([
+                      <Line key="price" type="monotone" dataKey="price" stroke="#38BDF8" strokeWidth={1.5} dot={{r:2, fill: "#38BDF8"}} name="Price (USD)" />,
+                      <Line key="dailyEarnings" type="monotone" dataKey="dailyEarnings" stroke="#34D399" strokeWidth={1.5} dot={{r:2, fill: "#34D399"}} name="Daily Earnings (USD)" />,
+                    ])}
+                    {historyMovingAverages.includes(7) && <Line type="monotone" dataKey="ma7" stroke="#FBBF24" strokeWidth={1.5} dot={false} name="7-Day MA" />}
+                    {historyMovingAverages.includes(30) && <Line type="monotone" dataKey="ma30" stroke="#A78BFA" strokeWidth={1.5} dot={false} name="30-Day MA" />}
                   </LineChart>
                 </ResponsiveContainer>
+                )}
               </div>
+
+              {priceHistoryChart.sources.length > 1 && (
+                <div className="mt-4 overflow-x-auto">
+                  <h4 className="text-sm font-semibold text-gray-300 mb-1">Prices by Vendor</h4>
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-gray-400 uppercase border-b border-gray-600">
+                        <th className="text-left py-1.5 px-2">Vendor</th>
+                        <th className="text-right py-1.5 px-2">Latest Price</th>
+                        <th className="text-right py-1.5 px-2">Latest Date</th>
+                        <th className="text-right py-1.5 px-2">Lowest</th>
+                        <th className="text-right py-1.5 px-2">Data Points</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-700">
+                      {priceHistoryChart.sources.map(({ source, latest, low, intraday }, idx) => (
+                        <tr key={source}>
+                          <td className="py-1.5 px-2 text-gray-200"><span className="inline-block w-2 h-2 rounded-full mr-1.5" style={{ backgroundColor: SERIES_COLORS[idx % SERIES_COLORS.length] }} />{source}{idx === 0 && <span className="ml-1.5 text-green-400">(best)</span>}</td>
+                          <td className="py-1.5 px-2 text-right text-gray-300">{latest ? `$${latest.price.toFixed(2)}` : "N/A"}</td>
+                          <td className="py-1.5 px-2 text-right text-gray-400">{latest?.date || "N/A"}</td>
+                          <td className="py-1.5 px-2 text-right text-gray-300">{low !== null ? `$${low.toFixed(2)}` : "N/A"}</td>
+                          <td className="py-1.5 px-2 text-right text-gray-400">{intraday.length}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
             </div>
           </div>
         )}
         
+        {/* Miner Comparison Modal */}
+        {showComparison && (
+          <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-40">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-5xl max-h-[90vh] flex flex-col shadow-2xl">
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg md:text-xl font-semibold text-gray-100">Compare Miners ({comparisonMiners.length})</h2>
+                <button onClick={() => setShowComparison(false)} className="text-gray-400 hover:text-gray-200">&times;</button>
+              </div>
+              <div className="flex flex-wrap items-end gap-3 mb-3 text-sm">
+                <div>
+                  <label htmlFor="comparisonMode" className="block text-xs text-gray-400 mb-1">Show</label>
+                  <select id="comparisonMode" value={comparisonMode} onChange={(e) => setComparisonMode(e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-1.5 text-sm focus:ring-2 focus:ring-sky-500 outline-none">
+                    {COMPARISON_MODES.map(mode => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+                  </select>
+                </div>
+                {comparisonMode === "percent" && (
+                  <div>
+                    <label htmlFor="comparisonBaseDate" className="block text-xs text-gray-400 mb-1">Base Date</label>
+                    <select id="comparisonBaseDate" value={comparisonBaseDate || comparisonDates[0] || ""} onChange={(e) => setComparisonBaseDate(e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-1.5 text-sm focus:ring-2 focus:ring-sky-500 outline-none">
+                      {comparisonDates.map(date => <option key={date} value={date}>{date}</option>)}
+                    </select>
+                  </div>
+                )}
+              </div>
+              <div className="flex flex-wrap gap-2 mb-4">
+                {comparisonMiners.map((name, idx) => (
+                  <span key={name} className="flex items-center gap-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs">
+                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: SERIES_COLORS[idx % SERIES_COLORS.length] }} />
+                    <span className="truncate max-w-[220px]" title={name}>{name}</span>
+                    <button onClick={() => toggleComparisonMiner(name)} className="text-gray-400 hover:text-red-400 ml-1">&times;</button>
+                  </span>
+                ))}
+              </div>
+              <div className="flex-grow min-h-[320px]">
+                {comparisonData.length === 0 ? (
+                  <p className="text-center py-8 text-gray-500">No daily price history for the selected miners.</p>
+                ) : (
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={comparisonData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                      <XAxis dataKey="date" stroke="#A0AEC0" fontSize={10} />
+                      <YAxis stroke="#A0AEC0" fontSize={10} domain={['auto', 'auto']} tickFormatter={(value) => (comparisonMode === "percent" ? `${value}%` : `$${value}`)} />
+                      <Tooltip contentStyle={{ backgroundColor: "#1A202C", border: "1px solid #2D3748", borderRadius:"0.25rem" }} labelStyle={{ color: "#E2E8F0" }} itemStyle={{color: "#CBD5E0"}}
+                          formatter={(value, name) => [formatComparisonValue(value), name]}
+                          itemSorter={(item) => -(item.value ?? -Infinity)}
+                      />
+                      <Legend wrapperStyle={{fontSize: "0.8rem"}} />
+                      {comparisonMode === "percent" && <ReferenceLine y={0} stroke="#718096" strokeDasharray="4 4" />}
+                      {comparisonMiners.map((name, idx) => (
+                        <Line key={name} type="monotone" dataKey={name} stroke={SERIES_COLORS[idx % SERIES_COLORS.length]} strokeWidth={1.5} dot={{ r: 2 }} connectNulls />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Multi-Month Projection Modal */}
+        {showProjection && (
+          <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-40">
+            <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 md:p-6 w-full max-w-5xl max-h-[90vh] overflow-y-auto flex flex-col shadow-2xl">
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg md:text-xl font-semibold text-gray-100 flex items-center gap-2"><Calculator size={20} /> Cash-Flow Projection</h2>
+                <button onClick={() => setShowProjection(false)} className="text-gray-400 hover:text-gray-200">&times;</button>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm mb-3">
+                <div>
+                  <label htmlFor="projMonths" className="block text-xs text-gray-400 mb-1">Horizon</label>
+                  <select id="projMonths" value={projectionSettings.months} onChange={(e) => updateProjectionSetting("months", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none">
+                    {PROJECTION_MONTH_OPTIONS.map(months => <option key={months} value={months}>{months} months</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="projGrowth" className="block text-xs text-gray-400 mb-1">Difficulty Growth (%/month)</label>
+                  <input id="projGrowth" type="number" step="0.5" value={projectionSettings.difficultyGrowthPercent} onChange={(e) => updateProjectionSetting("difficultyGrowthPercent", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                </div>
+                <div>
+                  <label htmlFor="projElectricity" className="block text-xs text-gray-400 mb-1">Electricity ($/kWh)</label>
+                  <input id="projElectricity" type="number" min="0" step="0.005" value={projectionSettings.electricityCost} onChange={(e) => updateProjectionSetting("electricityCost", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                </div>
+                <div>
+                  <label htmlFor="projHalvings" className="block text-xs text-gray-400 mb-1">Halving Dates</label>
+                  <input id="projHalvings" type="text" value={projectionSettings.halvingDates} onChange={(e) => updateProjectionSetting("halvingDates", e.target.value)} placeholder="YYYY-MM-DD, ..." className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                </div>
+                <div>
+                  <label htmlFor="projPricePath" className="block text-xs text-gray-400 mb-1">BTC Price Path (from ${profitabilitySettings.btcPrice.toLocaleString()})</label>
+                  <select id="projPricePath" value={projectionSettings.pricePath} onChange={(e) => updateProjectionSetting("pricePath", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none">
+                    <option value="flat">Flat</option>
+                    <option value="linear">Linear to target</option>
+                    <option value="custom">Custom (per month)</option>
+                  </select>
+                </div>
+                {projectionSettings.pricePath === "linear" && (
+                  <div>
+                    <label htmlFor="projEndPrice" className="block text-xs text-gray-400 mb-1">BTC Price at End ($)</label>
+                    <input id="projEndPrice" type="number" min="0" value={projectionSettings.endBtcPrice} onChange={(e) => updateProjectionSetting("endBtcPrice", e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                  </div>
+                )}
+                {projectionSettings.pricePath === "custom" && (
+                  <div className="col-span-2 md:col-span-3">
+                    <label htmlFor="projCustomPrices" className="block text-xs text-gray-400 mb-1">Monthly BTC Prices (comma-separated, last value repeats)</label>
+                    <input id="projCustomPrices" type="text" value={projectionSettings.customPrices} onChange={(e) => updateProjectionSetting("customPrices", e.target.value)} placeholder="100000, 105000, 110000" className="bg-gray-700 border border-gray-600 rounded px-3 py-2 w-full text-sm focus:ring-2 focus:ring-sky-500 outline-none" />
+                  </div>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 mb-3">Network hashrate, subsidy, fees and pool fee start from the Profitability Model. Purchase price is the latest recorded price in the miner's history.</p>
+
+              <div className="flex flex-wrap items-center gap-2 mb-4">
+                {projectionMiners.map((name, idx) => (
+                  <span key={name} className="flex items-center gap-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs">
+                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: SERIES_COLORS[idx % SERIES_COLORS.length] }} />
+                    <span className="truncate max-w-[220px]" title={name}>{name}</span>
+                    <button onClick={() => removeFromProjection(name)} className="text-gray-400 hover:text-red-400 ml-1">&times;</button>
+                  </span>
+                ))}
+                <select value="" onChange={(e) => e.target.value && openProjection(e.target.value)} className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs focus:ring-2 focus:ring-sky-500 outline-none">
+                  <option value="">+ Add miner...</option>
+                  {miners.filter(miner => !projectionMiners.includes(miner.name)).map(miner => <option key={miner.name} value={miner.name}>{miner.name}</option>)}
+                </select>
+              </div>
+
+              {projectionResults.series.length === 0 ? (
+                <p className="text-center py-8 text-gray-500">Add miners to the shortlist to project their cash flow.</p>
+              ) : (
+                <>
+                  <div className="h-[300px] mb-4">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={projectionResults.chartData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                        <XAxis dataKey="month" stroke="#A0AEC0" fontSize={10} tickFormatter={(month) => `M${month}`} />
+                        <YAxis stroke="#A0AEC0" fontSize={10} tickFormatter={(value) => `$${Math.round(value).toLocaleString()}`} />
+                        <Tooltip contentStyle={{ backgroundColor: "#1A202C", border: "1px solid #2D3748", borderRadius:"0.25rem" }} labelStyle={{ color: "#E2E8F0" }} itemStyle={{color: "#CBD5E0"}}
+                            formatter={(value, name) => [typeof value === 'number' ? `$${value.toFixed(2)}` : value, name]}
+                            labelFormatter={(month) => `Month ${month}`}
+                        />
+                        <Legend wrapperStyle={{fontSize: "0.8rem"}} />
+                        <ReferenceLine y={0} stroke="#718096" strokeDasharray="4 4" />
+                        {projectionResults.series.map(({ name }, idx) => (
+                          <Line key={name} type="monotone" dataKey={name} stroke={SERIES_COLORS[idx % SERIES_COLORS.length]} strokeWidth={1.5} dot={false} />
+                        ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-gray-400 uppercase border-b border-gray-600">
+                          <th className="text-left py-2 px-2">Miner</th>
+                          <th className="text-right py-2 px-2">Purchase</th>
+                          <th className="text-right py-2 px-2">Month 1 Net</th>
+                          <th className="text-right py-2 px-2">Payback</th>
+                          <th className="text-right py-2 px-2">Unprofitable From</th>
+                          <th className="text-right py-2 px-2">Cumulative @ {projectionSettings.months}m</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-700">
+                        {projectionResults.series.map(({ name, purchasePrice, result }) => {
+                          const finalCumulative = result.months[result.months.length - 1]?.cumulative ?? 0;
+                          return (
+                            <tr key={name}>
+                              <td className="py-2 px-2 text-gray-200 truncate max-w-[260px]" title={name}>{name}</td>
+                              <td className="py-2 px-2 text-right text-gray-300">${purchasePrice?.toFixed(2)}</td>
+                              <td className="py-2 px-2 text-right text-gray-300">${result.months[0]?.net.toFixed(2)}</td>
+                              <td className="py-2 px-2 text-right text-gray-300">{result.paybackMonth ? `Month ${result.paybackMonth}` : "Not within horizon"}</td>
+                              <td className={`py-2 px-2 text-right ${result.unprofitableMonth ? "text-red-400" : "text-green-400"}`}>
+                                {result.unprofitableMonth ? `Month ${result.unprofitableMonth} (${result.months[result.unprofitableMonth - 1].date.slice(0, 7)})` : "Stays profitable"}
+                              </td>
+                              <td className={`py-2 px-2 text-right font-semibold ${finalCumulative >= 0 ? "text-green-400" : "text-red-400"}`}>{finalCumulative < 0 ? "-" : ""}${Math.abs(finalCumulative).toFixed(2)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Instructions (simplified) */}
         <div className="bg-gray-800/70 backdrop-blur-sm shadow-lg rounded-lg p-4 md:p-6 mt-6 border border-gray-700 text-xs text-gray-400">
           <h2 className="text-base font-semibold mb-2 text-gray-200">Quick Guide</h2>
           <ul className="list-disc list-inside space-y-1">
             <li>Upload Excel/CSV: Use the 'Date of Data' for the values in the file. Choose an 'Upload Strategy'.</li>
             <li>Timestamps ensure multiple same-day uploads are stored individually.</li>
-            <li>'Merge' updates existing miners and adds new ones. 'Replace' replaces the current list with file contents. 'Append' acts like 'Merge' for the list. All data points are saved to history.</li>
-            <li>Preview uploads before confirming. Errors will prevent confirmation.</li>
-            <li>Rollback data from 'Recent Uploads' section if needed.</li>
-            <li>Data is saved automatically. Use 'Export All Data' for backups. 'Clear All Data' is permanent.</li>
+            <li>Select several files at once to backfill in bulk. Each file's date is read from its name (e.g. 2025-03-14 or 20250314) or a date cell in the sheet, falling back to 'Date of Data'; adjust any date, source or column mapping in the queue. Files are applied oldest first, each as its own upload, and each preview includes the files before it.</li>
+            <li>Miners missing from the last N uploads of every vendor that carried them are marked delisted and dimmed; a 'Relisted' alert is added when they return.</li>
+            <li>Tag each upload with its Source / Vendor. The table shows the best price across vendors; the price history shows a per-vendor breakdown and can split the chart by vendor.</li>
+            <li>'Merge' updates existing miners and adds new ones. 'Replace' replaces the current list with file contents. 'Append' is for backfilling old files: it only adds to price history, max prices and known miners, and leaves the table as it is. All data points are saved to history.</li>
+            <li>Each upload is sanity-checked for price outliers against history, hashrate that contradicts the listing name or spec, implausible efficiency and earnings out of line with hashrate. Set each check to off, warning or error (blocking) and adjust its threshold in the preview.</li>
+            <li>When a file lists the same miner more than once, the preview groups the rows; choose whether to keep the lowest price, the highest, the first row, or store each as a separate listing ("#2", "#3").</li>
+            <li>Preview uploads before confirming. Updated rows list every changed field (hashrate, power, efficiency, daily $, algorithm). Untick new, updated or removed rows to leave them out; errors block confirmation until their rows are unticked.</li>
+            <li>Files with a header row are mapped by column name. Fix guesses in the preview and save them as a vendor profile; it is applied automatically to files with the same headers.</li>
+            <li>Revenue, Power and Net per day come from the Profitability Model inputs, not the vendor's figure ('Vendor Daily $').</li>
+            <li>Payback, ROI and Break-even use each miner's current price and net profit; filter them under Filters & View Options.</li>
+            <li>The price history chart has range presets, a daily/intraday switch, 7/30-day moving averages and all-time high/low lines.</li>
+            <li>Tick miners in the overview and use 'Compare Selected' to overlay their price, $/TH or % change from a base date.</li>
+            <li>Use the calculator icon to add miners to a cash-flow projection with difficulty growth, halvings and a BTC price path.</li>
+            <li>$/TH and $/W show capital cost per unit of hashrate and power; the Market $/TH Index tracks their spread across uploads.</li>
+            <li>'Price Alerts' rules (name, price, $/TH, efficiency, drop vs max/prior) are checked on every upload; matches land in the alert inbox.</li>
+            <li>Double-click a hashrate, power, price or efficiency cell to fix a vendor typo. The change is applied to the table, specs and price history, and 'Edit History' lists every edit with a Revert button.</li>
+            <li>Rollback from 'Recent Uploads' either discards every later upload, or removes just that upload and replays the later ones on top of the restored data. Replay is blocked while edits made since the upload (inline edits, alias merges, power updates) to miners it or a later upload touched are in effect.</li>
+            <li>'Cleanup' opens the retention policy: how many days of raw intraday points to keep, whether older prices roll into weekly or monthly open/high/low/close/avg points, and how many upload snapshots to keep. A dry run shows the entries and KB each setting frees before you apply it.</li>
+            <li>The Change Journal beside Recent Uploads lists every data change (uploads, rollbacks, edits, efficiency and power updates, alias merges, cleanup, backup imports) with Undo/Redo for the last {JOURNAL_UNDO_LIMIT} changes, kept across reloads. Undo data holds only the rows each change added, removed or edited. Cleanup is final: undoing it would keep everything it frees, so changes before a cleanup can no longer be undone.</li>
+            <li>Names that differ only by case, spacing, full-width punctuation, "(Mix)" or Hydro/Hyd are tracked as one miner. Use 'Miner Aliases' to merge, link or unlink names.</li>
+            <li>Data is saved automatically to IndexedDB (localStorage if unavailable). Use 'Export All Data' for backups and 'Import Backup' to restore or merge them. 'Clear All Data' is permanent.</li>
           </ul>
         </div>
 
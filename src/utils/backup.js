@@ -0,0 +1,138 @@
+// Reading "Export All Data" backups back in: validation, version upgrades and merging
+import { STORAGE_VERSION } from "./storageConfig";
+import { buildDailyEntries, restructurePriceHistory } from "./priceHistory";
+import { EMPTY_ALIAS_REGISTRY } from "./minerIdentity";
+import { createSpecId, normalizeSpecEntry } from "./specCatalog";
+
+const BACKUP_ARRAY_FIELDS = ["miners", "knownMiners", "uploadHistory", "specCatalog", "alertRules"];
+const BACKUP_OBJECT_FIELDS = ["priceHistory", "minerSpecs", "maxPrices", "previousPrices", "minerAliases"];
+
+// Alias registries from hand-edited files may lack either part
+const normalizeAliasRegistry = (raw) => ({
+  links: raw.links && typeof raw.links === "object" && !Array.isArray(raw.links) ? { ...raw.links } : {},
+  exclusions: Array.isArray(raw.exclusions) ? [...raw.exclusions] : [],
+});
+
+// Validates an "Export All Data" file and upgrades it to the current STORAGE_VERSION structure
+export const validateAndUpgradeBackup = (raw) => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Backup file is not a JSON object.");
+  }
+  if (!raw.version) {
+    throw new Error("Backup file has no version. Is this an 'Export All Data' file?");
+  }
+  BACKUP_ARRAY_FIELDS.forEach(field => {
+    if (raw[field] !== undefined && !Array.isArray(raw[field])) {
+      throw new Error(`Backup field "${field}" must be an array.`);
+    }
+  });
+  BACKUP_OBJECT_FIELDS.forEach(field => {
+    if (raw[field] !== undefined && (typeof raw[field] !== "object" || raw[field] === null || Array.isArray(raw[field]))) {
+      throw new Error(`Backup field "${field}" must be an object.`);
+    }
+  });
+  if (!Array.isArray(raw.miners) && !raw.priceHistory) {
+    throw new Error("Backup file contains neither miners nor price history.");
+  }
+
+  const upgradeNotes = [];
+  let priceHistory = raw.priceHistory || {};
+  if (raw.version !== STORAGE_VERSION) {
+    const { history, totalMinersMigrated } = restructurePriceHistory(priceHistory);
+    priceHistory = history;
+    if (totalMinersMigrated > 0) {
+      upgradeNotes.push(`Converted price history for ${totalMinersMigrated} miners from version ${raw.version} format.`);
+    }
+  }
+  // Daily arrays may be missing from hand-edited or older files
+  Object.values(priceHistory).forEach(historyData => {
+    if (historyData && Array.isArray(historyData.intraday) && !Array.isArray(historyData.daily)) {
+      historyData.daily = buildDailyEntries(historyData.intraday);
+    }
+  });
+
+  return {
+    data: {
+      version: STORAGE_VERSION,
+      miners: (raw.miners || []).filter(m => m && m.name),
+      priceHistory,
+      knownMiners: raw.knownMiners || [],
+      minerSpecs: raw.minerSpecs || {},
+      uploadHistory: raw.uploadHistory || [],
+      maxPrices: raw.maxPrices || {},
+      previousPrices: raw.previousPrices || {},
+      // Settings stores are null when the file predates them, so importing keeps the local copy
+      minerAliases: raw.minerAliases ? normalizeAliasRegistry(raw.minerAliases) : null,
+      specCatalog: raw.specCatalog ? raw.specCatalog.map(normalizeSpecEntry).filter(Boolean) : null,
+      alertRules: raw.alertRules ? raw.alertRules.filter(rule => rule && typeof rule === "object" && rule.id) : null,
+    },
+    sourceVersion: raw.version,
+    exportDate: raw.exportDate || null,
+    upgradeNotes,
+  };
+};
+
+// Upload records merged in from a backup describe changes to the backup's data, not the local data, so they keep
+// only the names they listed (for delisting) and stay out of rollback and replay
+const toMergedUploadRecord = (record) => {
+  const { changes, snapshot, ...rest } = record;
+  const merged = { ...rest, mergedFromBackup: true };
+  if (changes) merged.listedNames = [...new Set(changes.addedEntries.map(added => added.name))];
+  return merged;
+};
+
+// Merges a backup into local data. Local values win; histories are unioned by uploadId, catalog entries by model
+// and alert rules by id.
+export const mergeBackupData = (local, backup) => {
+  const priceHistory = JSON.parse(JSON.stringify(local.priceHistory));
+  let addedEntries = 0;
+  Object.entries(backup.priceHistory).forEach(([minerName, historyData]) => {
+    if (!historyData || !Array.isArray(historyData.intraday)) return;
+    if (!priceHistory[minerName]) {
+      priceHistory[minerName] = { daily: [], intraday: [] };
+    }
+    const seenIds = new Set(priceHistory[minerName].intraday.map(e => e.uploadId));
+    historyData.intraday.forEach(entry => {
+      if (!seenIds.has(entry.uploadId)) {
+        seenIds.add(entry.uploadId);
+        priceHistory[minerName].intraday.push(entry);
+        addedEntries++;
+      }
+    });
+    priceHistory[minerName].intraday.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    priceHistory[minerName].daily = buildDailyEntries(priceHistory[minerName].intraday);
+  });
+
+  const maxPrices = { ...local.maxPrices };
+  Object.entries(backup.maxPrices).forEach(([minerName, price]) => {
+    maxPrices[minerName] = Math.max(maxPrices[minerName] || 0, price || 0);
+  });
+
+  const localMinerNames = new Set(local.miners.map(m => m.name));
+  const localUploadIds = new Set(local.uploadHistory.map(u => u.id));
+  const localSpecModels = new Set(local.specCatalog.map(e => e.model));
+  const localSpecIds = new Set(local.specCatalog.map(e => e.id));
+  const localRuleIds = new Set(local.alertRules.map(r => r.id));
+  const backupAliases = backup.minerAliases || EMPTY_ALIAS_REGISTRY;
+
+  return {
+    miners: [...local.miners, ...backup.miners.filter(m => !localMinerNames.has(m.name))],
+    priceHistory,
+    knownMiners: Array.from(new Set([...local.knownMiners, ...backup.knownMiners])),
+    minerSpecs: { ...backup.minerSpecs, ...local.minerSpecs },
+    uploadHistory: [...local.uploadHistory, ...backup.uploadHistory.filter(u => u && !localUploadIds.has(u.id)).map(toMergedUploadRecord)]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
+    maxPrices,
+    previousPrices: { ...backup.previousPrices, ...local.previousPrices },
+    minerAliases: {
+      links: { ...backupAliases.links, ...local.minerAliases.links },
+      exclusions: Array.from(new Set([...local.minerAliases.exclusions, ...backupAliases.exclusions])),
+    },
+    specCatalog: [
+      ...local.specCatalog,
+      ...(backup.specCatalog || []).filter(e => !localSpecModels.has(e.model)).map(e => (localSpecIds.has(e.id) ? { ...e, id: createSpecId() } : e)),
+    ],
+    alertRules: [...local.alertRules, ...(backup.alertRules || []).filter(r => !localRuleIds.has(r.id))],
+    addedEntries,
+  };
+};
@@ -0,0 +1,151 @@
+import { mergeBackupData, validateAndUpgradeBackup } from "./backup";
+import { STORAGE_VERSION } from "./storageConfig";
+
+const entry = (uploadId, date, price) => ({ uploadId, date, timestamp: `${date}T12:00:00.000Z`, price });
+
+const localData = () => ({
+  miners: [{ name: "S21", price: 3000 }],
+  priceHistory: { S21: { intraday: [entry("u1", "2025-01-01", 3100), entry("u2", "2025-01-02", 3000)], daily: [] } },
+  knownMiners: ["S21"],
+  minerSpecs: { S21: { powerConsumption: 3500 } },
+  uploadHistory: [{ id: "up1", timestamp: "2025-01-01T12:00:00.000Z" }, { id: "up2", timestamp: "2025-01-02T12:00:00.000Z" }],
+  maxPrices: { S21: 3100 },
+  previousPrices: { S21: 3100 },
+  minerAliases: { links: { "Antminer S21": "S21" }, exclusions: ["S21 Pro"] },
+  specCatalog: [{ id: "spec_1", model: "S21", hashrate: 200, power: 3500, coolingType: "air", releaseDate: "" }],
+  alertRules: [{ id: "rule_1", name: "Cheap S21", namePattern: "S21", maxPrice: "2800" }],
+});
+
+describe("validateAndUpgradeBackup", () => {
+  test("rejects files that are not an export", () => {
+    expect(() => validateAndUpgradeBackup(null)).toThrow("not a JSON object");
+    expect(() => validateAndUpgradeBackup([])).toThrow("not a JSON object");
+    expect(() => validateAndUpgradeBackup({ miners: [] })).toThrow("no version");
+    expect(() => validateAndUpgradeBackup({ version: STORAGE_VERSION })).toThrow("neither miners nor price history");
+  });
+
+  test("rejects fields of the wrong type", () => {
+    expect(() => validateAndUpgradeBackup({ version: STORAGE_VERSION, miners: {} })).toThrow('"miners" must be an array');
+    expect(() => validateAndUpgradeBackup({ version: STORAGE_VERSION, miners: [], priceHistory: [] })).toThrow('"priceHistory" must be an object');
+  });
+
+  test("upgrades legacy array histories and fills in missing fields", () => {
+    const { data, sourceVersion, upgradeNotes } = validateAndUpgradeBackup({
+      version: "1.0.0",
+      miners: [{ name: "S21", price: 3000 }, { price: 1 }],
+      priceHistory: { S21: [{ date: "2025-01-02", price: 3000 }, { date: "2025-01-01", price: 3100, timestamp: "2025-01-01T08:00:00.000Z" }] },
+    });
+
+    expect(sourceVersion).toBe("1.0.0");
+    expect(data.version).toBe(STORAGE_VERSION);
+    expect(upgradeNotes).toHaveLength(1);
+    expect(data.miners).toEqual([{ name: "S21", price: 3000 }]);
+    expect(data.priceHistory.S21.intraday.map(e => e.date)).toEqual(["2025-01-01", "2025-01-02"]);
+    expect(data.priceHistory.S21.intraday.every(e => e.uploadId && e.timestamp)).toBe(true);
+    expect(data.priceHistory.S21.daily).toHaveLength(2);
+    expect(data).toMatchObject({ knownMiners: [], minerSpecs: {}, uploadHistory: [], maxPrices: {}, previousPrices: {} });
+    expect(data).toMatchObject({ minerAliases: null, specCatalog: null, alertRules: null });
+  });
+
+  test("reads alias links, spec catalog and alert rules", () => {
+    const { data } = validateAndUpgradeBackup({
+      version: STORAGE_VERSION,
+      miners: [],
+      minerAliases: { links: { "S21 Hydro": "S21 Hyd" } },
+      specCatalog: [{ id: "spec_1", model: "S21", power: "3500" }, { id: "spec_2", model: "", power: 0 }],
+      alertRules: [{ id: "rule_1", name: "Cheap" }, null, { name: "No id" }],
+    });
+    expect(data.minerAliases).toEqual({ links: { "S21 Hydro": "S21 Hyd" }, exclusions: [] });
+    expect(data.specCatalog).toEqual([{ id: "spec_1", model: "S21", hashrate: null, power: 3500, coolingType: "air", releaseDate: "" }]);
+    expect(data.alertRules).toEqual([{ id: "rule_1", name: "Cheap" }]);
+    expect(() => validateAndUpgradeBackup({ version: STORAGE_VERSION, miners: [], minerAliases: [] })).toThrow('"minerAliases" must be an object');
+    expect(() => validateAndUpgradeBackup({ version: STORAGE_VERSION, miners: [], alertRules: {} })).toThrow('"alertRules" must be an array');
+  });
+
+  test("rebuilds daily arrays missing from current-version files", () => {
+    const { data, upgradeNotes } = validateAndUpgradeBackup({
+      version: STORAGE_VERSION,
+      priceHistory: { S21: { intraday: [entry("u1", "2025-01-01", 3100)] } },
+    });
+    expect(upgradeNotes).toEqual([]);
+    expect(data.priceHistory.S21.daily).toHaveLength(1);
+  });
+});
+
+describe("mergeBackupData", () => {
+  test("adds only entries and uploads whose ids are not already local", () => {
+    const local = localData();
+    const backup = {
+      miners: [{ name: "S21", price: 1 }, { name: "M60S", price: 2500 }],
+      priceHistory: {
+        S21: { intraday: [entry("u2", "2025-01-02", 9999), entry("u0", "2024-12-31", 3200)] },
+        M60S: { intraday: [entry("m1", "2025-01-01", 2500)] },
+      },
+      knownMiners: ["S21", "M60S"],
+      minerSpecs: { S21: { powerConsumption: 1 }, M60S: { powerConsumption: 3300 } },
+      uploadHistory: [{ id: "up2", timestamp: "2025-01-02T12:00:00.000Z" }, { id: "up0", timestamp: "2024-12-31T12:00:00.000Z" }],
+      maxPrices: { S21: 3200, M60S: 2500 },
+      previousPrices: { S21: 1, M60S: 2600 },
+    };
+
+    const merged = mergeBackupData(local, backup);
+
+    expect(merged.addedEntries).toBe(2);
+    expect(merged.priceHistory.S21.intraday.map(e => e.uploadId)).toEqual(["u0", "u1", "u2"]);
+    expect(merged.priceHistory.S21.intraday.find(e => e.uploadId === "u2").price).toBe(3000); // Local copy wins
+    expect(merged.priceHistory.S21.daily).toHaveLength(3);
+    expect(merged.uploadHistory.map(u => u.id)).toEqual(["up0", "up1", "up2"]);
+    expect(merged.miners.map(m => [m.name, m.price])).toEqual([["S21", 3000], ["M60S", 2500]]);
+    expect(merged.knownMiners).toEqual(["S21", "M60S"]);
+    expect(merged.minerSpecs.S21.powerConsumption).toBe(3500);
+    expect(merged.maxPrices).toEqual({ S21: 3200, M60S: 2500 });
+    expect(merged.previousPrices).toEqual({ S21: 3100, M60S: 2600 });
+  });
+
+  test("merged upload records keep only their listed names and are marked as from the backup", () => {
+    const backup = {
+      ...localData(),
+      uploadHistory: [{ id: "up0", timestamp: "2024-12-31T12:00:00.000Z", snapshot: {}, changes: { addedEntries: [{ name: "S21" }, { name: "M60S" }, { name: "S21" }] } }],
+    };
+    const merged = mergeBackupData(localData(), backup).uploadHistory.find(u => u.id === "up0");
+    expect(merged).toEqual({ id: "up0", timestamp: "2024-12-31T12:00:00.000Z", mergedFromBackup: true, listedNames: ["S21", "M60S"] });
+  });
+
+  test("unions alias links, catalog models and alert rules with local entries winning", () => {
+    const backup = {
+      ...localData(),
+      minerAliases: { links: { "Antminer S21": "Other", "S19 Hydro": "S19 Hyd" }, exclusions: ["S21 Pro", "M60"] },
+      specCatalog: [
+        { id: "spec_9", model: "S21", hashrate: 1, power: 1, coolingType: "air", releaseDate: "" },
+        { id: "spec_1", model: "M60S", hashrate: 186, power: 3300, coolingType: "air", releaseDate: "" },
+      ],
+      alertRules: [{ id: "rule_1", name: "Changed" }, { id: "rule_2", name: "M60S" }],
+    };
+
+    const merged = mergeBackupData(localData(), backup);
+
+    expect(merged.minerAliases).toEqual({ links: { "Antminer S21": "S21", "S19 Hydro": "S19 Hyd" }, exclusions: ["S21 Pro", "M60"] });
+    expect(merged.specCatalog.map(e => [e.model, e.power])).toEqual([["S21", 3500], ["M60S", 3300]]);
+    expect(merged.specCatalog[1].id).not.toBe("spec_1"); // Colliding ids get a fresh one
+    expect(merged.alertRules.map(r => r.name)).toEqual(["Cheap S21", "M60S"]);
+  });
+
+  test("keeps local settings when the backup predates them", () => {
+    const merged = mergeBackupData(localData(), { ...localData(), minerAliases: null, specCatalog: null, alertRules: null });
+    expect(merged.minerAliases).toEqual(localData().minerAliases);
+    expect(merged.specCatalog).toEqual(localData().specCatalog);
+    expect(merged.alertRules).toEqual(localData().alertRules);
+  });
+
+  test("merging the same backup twice adds nothing the second time", () => {
+    const once = mergeBackupData(localData(), localData());
+    expect(once.addedEntries).toBe(0);
+    expect(once.uploadHistory).toHaveLength(2);
+  });
+
+  test("does not mutate the local history", () => {
+    const local = localData();
+    mergeBackupData(local, { ...localData(), priceHistory: { S21: { intraday: [entry("u9", "2025-01-03", 2900)] } } });
+    expect(local.priceHistory.S21.intraday).toHaveLength(2);
+  });
+});
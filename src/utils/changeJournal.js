@@ -0,0 +1,246 @@
+// Change journal: compact diffs of data-mutating operations for undo and redo
+
+export const JOURNAL_LIMIT = 200; // Timeline entries kept in storage
+export const JOURNAL_UNDO_LIMIT = 20; // Most recent operations whose undo data (`diff`) is saved with the journal
+
+// Operations a replay keeps: uploads and rollbacks are described by uploadHistory records, and cleanup only drops rows
+// a replay does not bring back
+const REPLAY_SAFE_JOURNAL_KINDS = ["upload", "rollback", "cleanup"];
+
+const sameJson = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// { key: [before, after] } for keys whose value changed; `undefined` marks a missing key
+const diffKeyedValues = (before, after, same) => {
+  const changed = {};
+  new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach(key => {
+    if (!same(before?.[key], after?.[key])) changed[key] = [before?.[key], after?.[key]];
+  });
+  return changed;
+};
+
+const diffRecordList = (before, after) => {
+  const beforeById = new Map(before.map(record => [record.id, record]));
+  const afterById = new Map(after.map(record => [record.id, record]));
+  return {
+    beforeIds: before.map(record => record.id),
+    afterIds: after.map(record => record.id),
+    beforeRecords: before.filter(record => afterById.get(record.id) !== record), // Removed or replaced
+    afterRecords: after.filter(record => beforeById.get(record.id) !== record), // Added or replaced
+  };
+};
+
+// Delta between two versions of an array: the items only `before` has and the items only `after` has, each with its
+// index. Items are compared by reference, since operations copy only what they change. `refs` ([before, after]) can
+// turn an item into a pointer to a copy stored elsewhere in the diff, giving [index, null, pointer]. When the kept
+// items changed order, both lists are stored whole.
+const diffList = (before = [], after = [], refs = [() => null, () => null]) => {
+  const beforeItems = new Set(before);
+  const afterItems = new Set(after);
+  const keptBefore = before.filter(item => afterItems.has(item));
+  const keptAfter = after.filter(item => beforeItems.has(item));
+  if (keptBefore.length !== keptAfter.length || keptBefore.some((item, index) => item !== keptAfter[index])) {
+    return { before, after };
+  }
+  return {
+    removed: before.flatMap((item, index) => (afterItems.has(item) ? [] : [withRef(index, item, refs[0])])),
+    added: after.flatMap((item, index) => (beforeItems.has(item) ? [] : [withRef(index, item, refs[1])])),
+  };
+};
+
+const withRef = (index, item, ref) => {
+  const pointer = ref(item);
+  return pointer ? [index, null, pointer] : [index, item];
+};
+
+// Drops the other side's items by index, then inserts this side's in ascending index order; `resolve` follows pointers
+const applyList = (current, delta, side, resolve = null) => {
+  if (delta.before) return side === 0 ? delta.before : delta.after;
+  const [drop, insert] = side === 0 ? [delta.added, delta.removed] : [delta.removed, delta.added];
+  const dropped = new Set(drop.map(([index]) => index));
+  const next = current.filter((item, index) => !dropped.has(index));
+  insert.forEach(([index, item, pointer]) => next.splice(index, 0, pointer ? resolve(pointer) : item));
+  return next;
+};
+
+// Items a list delta removed or added
+const changedItems = (delta, resolve) => {
+  if (!delta.before) return [...delta.removed, ...delta.added].map(([, item, pointer]) => (pointer ? resolve(pointer) : item));
+  const beforeItems = new Set(delta.before);
+  const afterItems = new Set(delta.after);
+  return [...delta.before.filter(item => !afterItems.has(item)), ...delta.after.filter(item => !beforeItems.has(item))];
+};
+
+// Pointers ([side, k, kind, key]) to rows kept in the upload records of the diff (record k of `beforeRecords` or
+// `afterRecords`): added history entries and the miners an upload replaced or removed. Uploads and rollbacks then
+// store those rows once, in the record.
+const uploadRowRefs = (uploadHistory) => {
+  const refs = new Map();
+  const add = (row, pointer) => { if (!refs.has(row)) refs.set(row, pointer); };
+  [uploadHistory?.beforeRecords, uploadHistory?.afterRecords].forEach((records = [], side) => records.forEach((record, k) => {
+    const changes = record.changes;
+    if (!changes) return;
+    changes.addedEntries.forEach((added, i) => add(added.entry, [side, k, "entry", i]));
+    Object.entries(changes.minerList?.replaced || {}).forEach(([name, miner]) => add(miner, [side, k, "replaced", name]));
+    (changes.minerList?.removed || []).forEach(({ miner }, i) => add(miner, [side, k, "removed", i]));
+  }));
+  return (row) => refs.get(row) ?? null;
+};
+
+const resolveUploadRow = (uploadHistory) => ([side, k, kind, key]) => {
+  const changes = uploadHistory[side === 0 ? "beforeRecords" : "afterRecords"][k].changes;
+  if (kind === "entry") return changes.addedEntries[key].entry;
+  return kind === "replaced" ? changes.minerList.replaced[key] : changes.minerList.removed[key].miner;
+};
+
+const intradayPointer = (indexes) => entry => (indexes.has(entry) ? [indexes.get(entry)] : null);
+
+// A miner's history change: a whole history when it was created or removed, otherwise deltas of `intraday` and `daily`.
+// Intraday rows may point into upload records (`uploadRef`); daily rows point to their intraday row.
+const diffHistory = (before, after, uploadRef) => {
+  const { intraday: beforeIntraday = [], daily: beforeDaily, ...beforeRest } = before || {};
+  const { intraday: afterIntraday = [], daily: afterDaily, ...afterRest } = after || {};
+  if (!before || !after || !sameJson(beforeRest, afterRest)) return { before: before ?? null, after: after ?? null };
+  const beforeIndex = new Map(beforeIntraday.map((entry, index) => [entry, index]));
+  const afterIndex = new Map(afterIntraday.map((entry, index) => [entry, index]));
+  return {
+    intraday: diffList(beforeIntraday, afterIntraday, [uploadRef, uploadRef]),
+    daily: diffList(beforeDaily, afterDaily, [intradayPointer(beforeIndex), intradayPointer(afterIndex)]),
+  };
+};
+
+const applyHistoryDiffs = (current, changed, side, uploadHistory) => {
+  const resolveUploadEntry = resolveUploadRow(uploadHistory);
+  if (Object.keys(changed).length === 0) return current;
+  const next = { ...current };
+  Object.entries(changed).forEach(([name, change]) => {
+    if (Array.isArray(change)) change = { before: change[0] ?? null, after: change[1] ?? null }; // Journals saved before deltas
+    if (!change.intraday) {
+      const value = side === 0 ? change.before : change.after;
+      if (value) next[name] = value;
+      else delete next[name];
+      return;
+    }
+    const intraday = applyList(next[name]?.intraday || [], change.intraday, side, resolveUploadEntry);
+    next[name] = { ...next[name], intraday, daily: applyList(next[name]?.daily || [], change.daily, side, ([index]) => intraday[index]) };
+  });
+  return next;
+};
+
+// What an operation changed, in a form that can be applied either way. Miners and price histories are stored as
+// deltas of the rows the operation added, removed or replaced, so an upload costs about its own rows and an edit one
+// row. Plain JSON, so it can be saved with the journal.
+export const diffJournalState = (before, after) => {
+  const uploadHistory = before.uploadHistory === after.uploadHistory ? null : diffRecordList(before.uploadHistory, after.uploadHistory);
+  const uploadRef = uploadRowRefs(uploadHistory);
+  const priceHistory = {};
+  if (before.priceHistory !== after.priceHistory) {
+    Object.keys(diffKeyedValues(before.priceHistory, after.priceHistory, (a, b) => a === b)).forEach(name => {
+      priceHistory[name] = diffHistory(before.priceHistory[name], after.priceHistory[name], uploadRef);
+    });
+  }
+  return {
+    miners: before.miners === after.miners ? null : diffList(before.miners, after.miners, [uploadRef, uploadRef]),
+    priceHistory,
+    minerSpecs: before.minerSpecs === after.minerSpecs ? {} : diffKeyedValues(before.minerSpecs, after.minerSpecs, sameJson),
+    maxPrices: before.maxPrices === after.maxPrices ? {} : diffKeyedValues(before.maxPrices, after.maxPrices, sameJson),
+    previousPrices: before.previousPrices === after.previousPrices ? {} : diffKeyedValues(before.previousPrices, after.previousPrices, sameJson),
+    knownMiners: {
+      added: [...after.knownMiners].filter(name => !before.knownMiners.has(name)),
+      removed: [...before.knownMiners].filter(name => !after.knownMiners.has(name)),
+    },
+    uploadHistory,
+    minerAliases: before.minerAliases === after.minerAliases ? null : [before.minerAliases, after.minerAliases],
+    alertInbox: before.alertInbox === after.alertInbox ? null : diffRecordList(before.alertInbox, after.alertInbox),
+  };
+};
+
+// Distinct miners (`minerNames`, counted in `minerCount`) and upload records an operation touched
+export const countJournalChanges = (diff) => {
+  const names = new Set([
+    ...Object.keys(diff.priceHistory), ...Object.keys(diff.minerSpecs), ...Object.keys(diff.maxPrices),
+    ...Object.keys(diff.previousPrices), ...diff.knownMiners.added, ...diff.knownMiners.removed,
+  ]);
+  if (diff.miners && !Array.isArray(diff.miners)) changedItems(diff.miners, resolveUploadRow(diff.uploadHistory)).forEach(miner => names.add(miner.name));
+  const uploads = diff.uploadHistory
+    ? new Set([...diff.uploadHistory.beforeRecords, ...diff.uploadHistory.afterRecords].map(record => record.id)).size
+    : 0;
+  return { minerCount: names.size, minerNames: [...names], uploadCount: uploads };
+};
+
+const applyKeyedValues = (current, changed, side) => {
+  if (Object.keys(changed).length === 0) return current;
+  const next = { ...current };
+  Object.entries(changed).forEach(([key, values]) => {
+    if (values[side] === undefined || values[side] === null) delete next[key]; // Saved diffs turn `undefined` into null
+    else next[key] = values[side];
+  });
+  return next;
+};
+
+// Records missing from the current list (e.g. alerts dismissed since) stay out
+const applyRecordList = (current, changed, side) => {
+  if (!changed) return current;
+  const byId = new Map(current.map(record => [record.id, record]));
+  (side === 0 ? changed.beforeRecords : changed.afterRecords).forEach(record => byId.set(record.id, record));
+  return (side === 0 ? changed.beforeIds : changed.afterIds).map(id => byId.get(id)).filter(Boolean);
+};
+
+const applyMinersDiff = (current, delta, side, uploadHistory) => {
+  if (!delta) return current;
+  if (Array.isArray(delta)) return delta[side]; // Journals saved before deltas
+  return applyList(current, delta, side, resolveUploadRow(uploadHistory));
+};
+
+// Moves `state` ({ ...identity, uploadHistory, minerAliases, alertInbox }) back over a journaled operation ('undo')
+// or forward again ('redo')
+export const applyJournalDiff = (state, diff, direction) => {
+  const side = direction === "undo" ? 0 : 1;
+  const knownMiners = new Set(state.knownMiners);
+  (side === 0 ? diff.knownMiners.added : diff.knownMiners.removed).forEach(name => knownMiners.delete(name));
+  (side === 0 ? diff.knownMiners.removed : diff.knownMiners.added).forEach(name => knownMiners.add(name));
+  return {
+    miners: applyMinersDiff(state.miners, diff.miners, side, diff.uploadHistory),
+    priceHistory: applyHistoryDiffs(state.priceHistory, diff.priceHistory, side, diff.uploadHistory),
+    knownMiners,
+    minerSpecs: applyKeyedValues(state.minerSpecs, diff.minerSpecs, side),
+    maxPrices: applyKeyedValues(state.maxPrices, diff.maxPrices, side),
+    previousPrices: applyKeyedValues(state.previousPrices, diff.previousPrices, side),
+    uploadHistory: applyRecordList(state.uploadHistory, diff.uploadHistory, side),
+    minerAliases: diff.minerAliases ? diff.minerAliases[side] : state.minerAliases,
+    alertInbox: applyRecordList(state.alertInbox, diff.alertInbox, side),
+  };
+};
+
+// Adds a new entry (with its `diff`) to the journal. Undone entries can no longer be redone, so they are marked
+// 'discarded'; only the newest JOURNAL_UNDO_LIMIT entries keep their diff, so the saved journal stays bounded.
+// Undo stops at an operation saved without a diff (cleanup), so the entries before it drop theirs too.
+export const appendJournalEntry = (journal, entry) => {
+  let kept = 0;
+  let reachable = true;
+  return [...journal.map(e => (e.status === "undone" ? { ...e, status: "discarded" } : e)), entry]
+    .slice(-JOURNAL_LIMIT)
+    .reverse()
+    .map(e => {
+      if (!e.diff) {
+        if (e.status === "done") reachable = false;
+        return e;
+      }
+      if (reachable && e.status !== "discarded" && kept < JOURNAL_UNDO_LIMIT) {
+        kept++;
+        return e;
+      }
+      const { diff, ...rest } = e;
+      return rest;
+    })
+    .reverse();
+};
+
+// Operations still in effect that were made after `since` (ISO time), other than uploads, rollbacks and cleanup, that
+// touched any of `names` (the miners of the uploads being rebuilt). Their changes are not in any upload record, so
+// rebuilding those miners from upload records would lose them. Entries that recorded no names and lost their diff
+// count as touching every miner.
+export const findReplayBlockers = (journal, since, names) => journal.filter(entry => {
+  if (entry.status !== "done" || !(entry.timestamp > since) || REPLAY_SAFE_JOURNAL_KINDS.includes(entry.kind)) return false;
+  const touched = entry.minerNames || (entry.diff ? countJournalChanges(entry.diff).minerNames : null);
+  return !touched || touched.some(name => names.has(name));
+});
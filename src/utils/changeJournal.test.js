@@ -0,0 +1,176 @@
+import { JOURNAL_UNDO_LIMIT, appendJournalEntry, applyJournalDiff, countJournalChanges, diffJournalState, findReplayBlockers } from "./changeJournal";
+
+const history = (price) => ({ intraday: [{ price }], daily: [{ price }] });
+const baseState = () => ({
+  miners: [{ name: "A", price: 100 }],
+  priceHistory: { A: history(100) },
+  knownMiners: new Set(["A"]),
+  minerSpecs: { A: { powerConsumption: 3000 } },
+  maxPrices: { A: 100 },
+  previousPrices: {},
+  uploadHistory: [{ id: "up1" }],
+  minerAliases: { links: {}, exclusions: [] },
+  alertInbox: [{ id: "alert1", read: false }],
+});
+const afterUpload = (before) => ({
+  ...before,
+  miners: [{ name: "A", price: 90 }, { name: "B", price: 50 }],
+  priceHistory: { ...before.priceHistory, B: history(50) },
+  knownMiners: new Set(["A", "B"]),
+  maxPrices: { A: 100, B: 50 },
+  previousPrices: { A: 100 },
+  uploadHistory: [...before.uploadHistory, { id: "up2" }],
+  minerAliases: { links: { "B v2": "B" }, exclusions: [] },
+  alertInbox: [...before.alertInbox, { id: "alert2", read: false }],
+});
+const comparable = (state) => ({ ...state, knownMiners: [...state.knownMiners].sort() });
+
+describe("journal diffs", () => {
+  test("undo and redo move between the states, including aliases and alerts", () => {
+    const before = baseState();
+    const after = afterUpload(before);
+    const diff = diffJournalState(before, after);
+    expect(countJournalChanges(diff)).toEqual({ minerCount: 2, minerNames: ["B", "A"], uploadCount: 1 });
+    expect(comparable(applyJournalDiff(after, diff, "undo"))).toEqual(comparable(before));
+    expect(comparable(applyJournalDiff(before, diff, "redo"))).toEqual(comparable(after));
+  });
+
+  test("diffs still apply after a save and reload", () => {
+    const before = baseState();
+    const after = afterUpload(before);
+    const saved = JSON.parse(JSON.stringify(diffJournalState(before, after)));
+    expect(comparable(applyJournalDiff(after, saved, "undo"))).toEqual(comparable(before));
+  });
+
+  test("undo keeps inbox changes made since, other than the operation's own alerts", () => {
+    const before = baseState();
+    const after = afterUpload(before);
+    const diff = diffJournalState(before, after);
+    const readSince = { ...after, alertInbox: after.alertInbox.map(alert => ({ ...alert, read: true })) };
+    expect(applyJournalDiff(readSince, diff, "undo").alertInbox).toEqual([{ id: "alert1", read: true }]);
+  });
+});
+
+describe("compact journal diffs", () => {
+  const longHistory = () => {
+    const intraday = Array.from({ length: 50 }, (_, index) => ({ uploadId: `u${index}`, price: 100 + index }));
+    return { intraday, daily: intraday.slice(-10) };
+  };
+  const stateWith = (historyA) => ({ ...baseState(), priceHistory: { A: historyA } });
+
+  test("an edit stores only the replaced row", () => {
+    const before = stateWith(longHistory());
+    const intraday = before.priceHistory.A.intraday.map((e, index) => (index === 20 ? { ...e, price: 1 } : e));
+    const after = { ...before, priceHistory: { A: { intraday, daily: before.priceHistory.A.daily } } };
+    const diff = diffJournalState(before, after);
+    expect(diff.priceHistory.A.intraday).toEqual({ removed: [[20, before.priceHistory.A.intraday[20]]], added: [[20, intraday[20]]] });
+    expect(diff.priceHistory.A.daily).toEqual({ removed: [], added: [] });
+    const saved = JSON.parse(JSON.stringify(diff));
+    expect(applyJournalDiff(after, saved, "undo").priceHistory).toEqual(before.priceHistory);
+    expect(applyJournalDiff(before, saved, "redo").priceHistory).toEqual(after.priceHistory);
+  });
+
+  test("an upload stores only the appended rows and changed miners", () => {
+    const before = { ...stateWith(longHistory()), miners: [{ name: "A", price: 100 }, { name: "C", price: 70 }] };
+    const added = { uploadId: "u50", price: 90 };
+    const after = {
+      ...before,
+      miners: [{ name: "A", price: 90 }, before.miners[1]],
+      priceHistory: { A: { intraday: [...before.priceHistory.A.intraday, added], daily: [...before.priceHistory.A.daily.slice(1), added] } },
+    };
+    const diff = diffJournalState(before, after);
+    expect(diff.priceHistory.A.intraday).toEqual({ removed: [], added: [[50, added]] });
+    expect(diff.miners).toEqual({ removed: [[0, before.miners[0]]], added: [[0, after.miners[0]]] });
+    expect(countJournalChanges(diff).minerCount).toBe(1);
+    const saved = JSON.parse(JSON.stringify(diff));
+    expect(comparable(applyJournalDiff(after, saved, "undo"))).toEqual(comparable(before));
+    expect(comparable(applyJournalDiff(before, saved, "redo"))).toEqual(comparable(after));
+  });
+
+  test("upload rows are stored once, in the upload record", () => {
+    const before = stateWith(longHistory());
+    const added = { uploadId: "u50", price: 90 };
+    const record = { id: "up2", changes: { addedEntries: [{ name: "A", entry: added }] } };
+    const after = {
+      ...before,
+      priceHistory: { A: { intraday: [...before.priceHistory.A.intraday, added], daily: [...before.priceHistory.A.daily, added] } },
+      uploadHistory: [...before.uploadHistory, record],
+    };
+    const diff = diffJournalState(before, after);
+    expect(diff.priceHistory.A.intraday.added).toEqual([[50, null, [1, 0, "entry", 0]]]);
+    expect(diff.priceHistory.A.daily.added).toEqual([[10, null, [50]]]);
+    const saved = JSON.parse(JSON.stringify(diff));
+    const redone = applyJournalDiff(before, saved, "redo");
+    expect(redone.priceHistory).toEqual(after.priceHistory);
+    expect(redone.priceHistory.A.daily[10]).toBe(redone.priceHistory.A.intraday[50]);
+    expect(applyJournalDiff(after, saved, "undo").priceHistory).toEqual(before.priceHistory);
+  });
+
+  test("reordered lists are stored whole", () => {
+    const before = stateWith(longHistory());
+    const after = stateWith({ ...before.priceHistory.A, intraday: [...before.priceHistory.A.intraday].reverse() });
+    const diff = diffJournalState(before, after);
+    expect(diff.priceHistory.A.intraday.before).toBe(before.priceHistory.A.intraday);
+    expect(applyJournalDiff(after, diff, "undo").priceHistory.A.intraday).toEqual(before.priceHistory.A.intraday);
+  });
+
+  test("diffs saved before deltas still apply", () => {
+    const before = baseState();
+    const after = afterUpload(before);
+    const legacy = {
+      ...diffJournalState(before, after),
+      miners: [before.miners, after.miners],
+      priceHistory: { B: [undefined, after.priceHistory.B] },
+    };
+    expect(comparable(applyJournalDiff(after, JSON.parse(JSON.stringify(legacy)), "undo"))).toEqual(comparable(before));
+  });
+});
+
+describe("appendJournalEntry", () => {
+  const entry = (n, status = "done") => ({ id: `c${n}`, label: `Change ${n}`, status, diff: { n } });
+
+  test("discards undone entries and their diffs", () => {
+    const journal = appendJournalEntry([entry(1), entry(2, "undone")], entry(3));
+    expect(journal.map(e => [e.id, e.status, Boolean(e.diff)])).toEqual([["c1", "done", true], ["c2", "discarded", false], ["c3", "done", true]]);
+  });
+
+  test("entries before an operation saved without a diff drop theirs", () => {
+    const cleanup = { id: "c3", label: "Storage cleanup", status: "done", kind: "cleanup" };
+    const journal = appendJournalEntry(appendJournalEntry([entry(1), entry(2)], cleanup), entry(4));
+    expect(journal.map(e => [e.id, Boolean(e.diff)])).toEqual([["c1", false], ["c2", false], ["c3", false], ["c4", true]]);
+  });
+
+  test("keeps diffs for the newest JOURNAL_UNDO_LIMIT entries only", () => {
+    let journal = [];
+    for (let n = 1; n <= JOURNAL_UNDO_LIMIT + 5; n++) journal = appendJournalEntry(journal, entry(n));
+    expect(journal).toHaveLength(JOURNAL_UNDO_LIMIT + 5);
+    expect(journal.filter(e => e.diff).map(e => e.id)).toEqual(journal.slice(5).map(e => e.id));
+  });
+});
+
+describe("findReplayBlockers", () => {
+  const journal = [
+    { label: "Edit price: A", kind: "edit", status: "done", timestamp: "2025-01-01T00:00:00.000Z", minerNames: ["A"] },
+    { label: "Upload: b.csv", kind: "upload", status: "done", timestamp: "2025-01-02T00:00:00.000Z", minerNames: ["A", "B"] },
+    { label: "Merge 1 alias name(s)", kind: "edit", status: "done", timestamp: "2025-01-03T00:00:00.000Z", minerNames: ["A", "A v2"] },
+    { label: "Apply spec match: C", kind: "edit", status: "done", timestamp: "2025-01-03T01:00:00.000Z", minerNames: ["C"] },
+    { label: "Storage cleanup", kind: "cleanup", status: "done", timestamp: "2025-01-03T02:00:00.000Z", minerNames: ["A", "B", "C"] },
+    { label: "Rollback: c.csv", kind: "rollback", status: "done", timestamp: "2025-01-04T00:00:00.000Z", minerNames: ["A"] },
+    { label: "Recalculate efficiency", kind: "edit", status: "undone", timestamp: "2025-01-05T00:00:00.000Z", minerNames: ["A"] },
+  ];
+
+  test("lists edits still in effect since the upload that touched its miners", () => {
+    expect(findReplayBlockers(journal, "2025-01-02T00:00:00.000Z", new Set(["A", "B"])).map(entry => entry.label)).toEqual(["Merge 1 alias name(s)"]);
+    expect(findReplayBlockers(journal, "2025-01-02T00:00:00.000Z", new Set(["B"]))).toEqual([]);
+  });
+
+  test("falls back to the diff, then to blocking, for entries without names", () => {
+    const before = baseState();
+    const legacy = [
+      { label: "With diff", kind: "edit", status: "done", timestamp: "2025-01-03T00:00:00.000Z", diff: diffJournalState(before, afterUpload(before)) },
+      { label: "Without diff", kind: "edit", status: "done", timestamp: "2025-01-03T00:00:00.000Z" },
+    ];
+    expect(findReplayBlockers(legacy, "2025-01-02T00:00:00.000Z", new Set(["B"])).map(entry => entry.label)).toEqual(["With diff", "Without diff"]);
+    expect(findReplayBlockers(legacy, "2025-01-02T00:00:00.000Z", new Set(["Z"])).map(entry => entry.label)).toEqual(["Without diff"]);
+  });
+});
@@ -0,0 +1,79 @@
+// Header-aware column mapping for vendor upload files
+
+// Order matters: the first field whose pattern matches a header claims that column.
+export const COLUMN_FIELDS = [
+  { key: "name", label: "Name", required: true, pattern: /^(name|model|miner|product|title|item|machine)\b|product name|model name/ },
+  { key: "dailyEarnings", label: "Daily Earnings", pattern: /earn|profit|revenue|income|reward/ },
+  { key: "efficiency", label: "Efficiency (J/TH)", pattern: /effic|j ?\/ ?th|jth/ },
+  { key: "powerConsumption", label: "Power (W)", pattern: /power|watt|consumption|^w$|\(w\)/ },
+  { key: "hashrate", label: "Hashrate", required: true, pattern: /hash|th ?\/ ?s|^ths?$|speed/ },
+  { key: "price", label: "Price", required: true, pattern: /price|cost|usd|\$|amount/ },
+  { key: "algorithm", label: "Algorithm", pattern: /algo/ },
+  { key: "imageUrl", label: "Image URL", pattern: /image|img|photo|picture/ },
+];
+export const HEADER_SCAN_ROWS = 10;
+
+export const normalizeHeader = (cell) => String(cell ?? "").toLowerCase().replace(/\s+/g, " ").trim();
+export const headerSignature = (headers) => headers.map(normalizeHeader).join("|");
+
+// Maps each known field to the first unclaimed column whose header matches it
+const guessColumnMapping = (headers) => {
+  const mapping = {};
+  const claimed = new Set();
+  COLUMN_FIELDS.forEach(field => {
+    const idx = headers.findIndex((header, i) => !claimed.has(i) && normalizeHeader(header) && field.pattern.test(normalizeHeader(header)));
+    mapping[field.key] = idx >= 0 ? idx : null;
+    if (idx >= 0) claimed.add(idx);
+  });
+  return mapping;
+};
+
+// A header row is a mostly-text row in the first few rows that names a miner column plus at least one value column
+export const detectHeaderRow = (rows) => {
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_ROWS); i++) {
+    const row = rows[i];
+    if (!Array.isArray(row) || row.length < 2) continue;
+    const textCells = row.filter(cell => typeof cell === "string" && cell.trim() && isNaN(Number(cell)));
+    if (textCells.length < 2 || textCells.some(cell => cell.includes("http"))) continue;
+    const mapping = guessColumnMapping(row);
+    const matched = COLUMN_FIELDS.filter(f => mapping[f.key] !== null).length;
+    if (mapping.name !== null && (mapping.hashrate !== null || mapping.price !== null) && matched >= 2) {
+      return { headerRowIndex: i, headers: row.map(cell => String(cell ?? "").trim()), mapping };
+    }
+  }
+  return null;
+};
+
+const parseNumberCell = (value) => {
+  if (typeof value === "number") return value;
+  const match = String(value ?? "").replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+// Hashrate in TH/s; GH/s and PH/s values are converted
+const parseHashrateCell = (value) => {
+  const number = parseNumberCell(value);
+  if (number === null) return null;
+  const text = String(value).toLowerCase();
+  if (/gh\/?s/.test(text)) return number / 1000;
+  if (/ph\/?s/.test(text)) return number * 1000;
+  return number;
+};
+
+// Reads one data row through a { field: columnIndex } mapping
+export const parseMappedRow = (row, mapping) => {
+  const cell = (key) => (mapping[key] === null || mapping[key] === undefined ? undefined : row[mapping[key]]);
+  const miner = {
+    name: String(cell("name") ?? "").trim(),
+    hashrate: parseHashrateCell(cell("hashrate")) || 0,
+    price: parseNumberCell(cell("price")) || 0,
+    dailyEarnings: parseNumberCell(cell("dailyEarnings")) || 0,
+    powerConsumption: Math.round(parseNumberCell(cell("powerConsumption")) || 0),
+    efficiency: parseNumberCell(cell("efficiency")) || null,
+  };
+  const algorithm = cell("algorithm");
+  if (algorithm !== undefined && algorithm !== null && algorithm !== "") miner.algorithm = String(algorithm).replace("Algo:", "").trim();
+  const imageUrl = cell("imageUrl");
+  if (imageUrl) miner.imageUrl = String(imageUrl);
+  return miner;
+};
@@ -0,0 +1,39 @@
+import { detectHeaderRow, headerSignature, parseMappedRow } from "./columnMapping";
+
+describe("detectHeaderRow", () => {
+  test("finds a header below title rows and maps known fields", () => {
+    const rows = [
+      ["Vendor price list", ""],
+      [],
+      ["Model", "Hashrate (TH/s)", "Power (W)", "Price USD", "Daily Profit", "Algorithm"],
+      ["Antminer S21", 200, 3500, 4200, 8.5, "SHA-256"],
+    ];
+    const detected = detectHeaderRow(rows);
+    expect(detected.headerRowIndex).toBe(2);
+    expect(detected.mapping).toMatchObject({ name: 0, hashrate: 1, powerConsumption: 2, price: 3, dailyEarnings: 4, algorithm: 5, efficiency: null, imageUrl: null });
+  });
+
+  test("returns null for files without a header row", () => {
+    expect(detectHeaderRow([["Antminer S21", 200, 3500, 4200], ["Antminer T21", 190, 3610, 2900]])).toBeNull();
+  });
+});
+
+test("headerSignature ignores case and spacing", () => {
+  expect(headerSignature([" Model ", "Price  USD"])).toBe(headerSignature(["model", "price usd"]));
+});
+
+describe("parseMappedRow", () => {
+  const mapping = { name: 0, hashrate: 1, price: 2, powerConsumption: 3, efficiency: null, dailyEarnings: null, algorithm: 4, imageUrl: null };
+
+  test("parses numbers with units and thousands separators", () => {
+    expect(parseMappedRow([" Antminer S21 ", "200 TH/s", "$4,200.50", "3,500W", "Algo: SHA-256"], mapping)).toEqual({
+      name: "Antminer S21", hashrate: 200, price: 4200.5, dailyEarnings: 0, powerConsumption: 3500, efficiency: null, algorithm: "SHA-256",
+    });
+  });
+
+  test("converts GH/s and PH/s hashrates to TH/s", () => {
+    expect(parseMappedRow(["A", "500 GH/s", 1, 1, ""], mapping).hashrate).toBe(0.5);
+    expect(parseMappedRow(["A", "1.2 PH/s", 1, 1, ""], mapping).hashrate).toBe(1200);
+    expect(parseMappedRow(["A", "n/a", 1, 1, ""], mapping)).not.toHaveProperty("algorithm");
+  });
+});
@@ -0,0 +1,31 @@
+// Miner comparison chart: value modes and per-date series
+
+export const COMPARISON_MODES = [
+  { value: "price", label: "Price ($)" },
+  { value: "pricePerTh", label: "$/TH" },
+  { value: "percent", label: "% change from base date" },
+];
+
+// Daily price of each miner on its history dates, expressed in `mode`. For 'percent', each miner is measured against
+// its last daily price on or before `baseDate` (or its first price after it). Returns [{ date, [minerName]: value }].
+export const buildComparisonSeries = (priceHistory, names, mode, baseDate) => {
+  const rowsByDate = new Map();
+  names.forEach(name => {
+    const daily = (priceHistory[name]?.daily || []).filter(entry => entry.price > 0);
+    if (daily.length === 0) return;
+    let basePrice = null;
+    if (mode === "percent") {
+      const onOrBefore = daily.filter(entry => !baseDate || entry.date <= baseDate);
+      basePrice = (onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : daily[0]).price;
+    }
+    daily.forEach(entry => {
+      let value = entry.price;
+      if (mode === "pricePerTh") value = entry.hashrate > 0 ? entry.price / entry.hashrate : null;
+      if (mode === "percent") value = ((entry.price - basePrice) / basePrice) * 100;
+      if (value === null) return;
+      if (!rowsByDate.has(entry.date)) rowsByDate.set(entry.date, { date: entry.date });
+      rowsByDate.get(entry.date)[name] = value;
+    });
+  });
+  return Array.from(rowsByDate.values()).sort((a, b) => new Date(a.date) - new Date(b.date));
+};
@@ -0,0 +1,42 @@
+import { buildComparisonSeries } from "./comparisonChart";
+
+const day = (date, price, hashrate = 200) => ({ date, price, hashrate });
+
+const history = {
+  S21: { daily: [day("2025-01-01", 4000), day("2025-01-02", 3800), day("2025-01-04", 3600)] },
+  M60S: { daily: [day("2025-01-02", 2000, 0), day("2025-01-03", 2200, 0), day("2025-01-04", 0, 0)] },
+};
+
+describe("buildComparisonSeries", () => {
+  test("lines up daily prices by date, skipping zero prices", () => {
+    expect(buildComparisonSeries(history, ["S21", "M60S", "Unknown"], "price", null)).toEqual([
+      { date: "2025-01-01", S21: 4000 },
+      { date: "2025-01-02", S21: 3800, M60S: 2000 },
+      { date: "2025-01-03", M60S: 2200 },
+      { date: "2025-01-04", S21: 3600 },
+    ]);
+  });
+
+  test("$/TH mode divides by hashrate and leaves out rows without one", () => {
+    expect(buildComparisonSeries(history, ["S21", "M60S"], "pricePerTh", null)).toEqual([
+      { date: "2025-01-01", S21: 20 },
+      { date: "2025-01-02", S21: 19 },
+      { date: "2025-01-04", S21: 18 },
+    ]);
+  });
+
+  test("percent mode measures against the last price on or before the base date", () => {
+    const series = buildComparisonSeries(history, ["S21"], "percent", "2025-01-03");
+    expect(series.map(row => row.S21)).toEqual([(200 / 3800) * 100, 0, (-200 / 3800) * 100]);
+  });
+
+  test("percent mode falls back to the first price when the base date precedes the history", () => {
+    const series = buildComparisonSeries(history, ["M60S"], "percent", "2024-12-01");
+    expect(series).toEqual([{ date: "2025-01-02", M60S: 0 }, { date: "2025-01-03", M60S: 10 }]);
+  });
+
+  test("percent mode without a base date measures against the latest price", () => {
+    const series = buildComparisonSeries(history, ["S21"], "percent", null);
+    expect(series[series.length - 1].S21).toBe(0);
+  });
+});
@@ -0,0 +1,61 @@
+// Detection and resolution of rows listing the same miner more than once in one upload
+
+// How to treat several rows of one upload that resolve to the same miner name
+export const DUPLICATE_POLICIES = [
+  { value: "lowest", label: "Keep lowest price" },
+  { value: "highest", label: "Keep highest price" },
+  { value: "first", label: "Keep first row" },
+  { value: "variants", label: "Keep all as separate listings" },
+];
+export const DEFAULT_DUPLICATE_POLICY = "lowest";
+
+// Rows sharing a (canonical) name, in file order; names are already normalized by parseDataRows
+const findDuplicateGroups = (entries) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    if (!groups.has(entry.name)) groups.set(entry.name, []);
+    groups.get(entry.name).push(entry);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+};
+
+// Listing variants are numbered after the first row: "Antminer S21 - 200 TH/s #2"
+const variantName = (name, position) => `${name} #${position}`;
+
+// Applies `policy` to every duplicate group; returns the entries to upload in file order
+export const resolveDuplicates = (entries, policy) => {
+  const groups = findDuplicateGroups(entries);
+  if (groups.length === 0) return entries;
+  const replacements = new Map(); // uploadId -> replacement entry, or null when dropped
+  groups.forEach(group => {
+    if (policy === "variants") {
+      group.slice(1).forEach((entry, idx) => {
+        const { listedName, ...variant } = entry; // The vendor spelling belongs to the first row; a link to the variant would misroute later uploads
+        replacements.set(entry.uploadId, { ...variant, name: variantName(entry.name, idx + 2) });
+      });
+      return;
+    }
+    const kept = policy === "first" ? group[0] : group.reduce((best, entry) => (
+      (policy === "highest" ? entry.price > best.price : entry.price < best.price) ? entry : best
+    ));
+    group.forEach(entry => { if (entry !== kept) replacements.set(entry.uploadId, null); });
+  });
+  return entries
+    .map(entry => (replacements.has(entry.uploadId) ? replacements.get(entry.uploadId) : entry))
+    .filter(Boolean);
+};
+
+// Preview summary per group: every row with the name it will be stored under, or null when the policy drops it
+export const describeDuplicateGroups = (entries, resolvedEntries) => {
+  const resolvedById = new Map(resolvedEntries.map(entry => [entry.uploadId, entry]));
+  return findDuplicateGroups(entries).map(group => ({
+    name: group[0].name,
+    rows: group.map(entry => ({
+      uploadId: entry.uploadId,
+      listedName: entry.listedName || entry.name,
+      price: entry.price,
+      hashrate: entry.hashrate,
+      storedAs: resolvedById.get(entry.uploadId)?.name ?? null,
+    })),
+  }));
+};
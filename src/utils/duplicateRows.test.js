@@ -0,0 +1,44 @@
+import { describeDuplicateGroups, resolveDuplicates } from "./duplicateRows";
+
+const rows = [
+  { uploadId: "1", name: "Antminer S21 - 200 TH/s", listedName: "ANTMINER S21 - 200 TH/s", price: 3200 },
+  { uploadId: "2", name: "Whatsminer M60S - 186 TH/s", price: 3000 },
+  { uploadId: "3", name: "Antminer S21 - 200 TH/s", listedName: "Antminer S21 - 200 TH/s", price: 3100 },
+  { uploadId: "4", name: "Antminer S21 - 200 TH/s", price: 3300 },
+];
+const ids = (entries) => entries.map(entry => entry.uploadId);
+
+describe("resolveDuplicates", () => {
+  test("returns the rows unchanged when nothing repeats", () => {
+    const unique = rows.slice(0, 2);
+    expect(resolveDuplicates(unique, "lowest")).toBe(unique);
+  });
+
+  test("keeps the lowest, highest or first row of each group in file order", () => {
+    expect(ids(resolveDuplicates(rows, "lowest"))).toEqual(["2", "3"]);
+    expect(ids(resolveDuplicates(rows, "highest"))).toEqual(["2", "4"]);
+    expect(ids(resolveDuplicates(rows, "first"))).toEqual(["1", "2"]);
+  });
+
+  test("stores later rows as numbered variants without the vendor spelling", () => {
+    const resolved = resolveDuplicates(rows, "variants");
+    expect(resolved.map(entry => entry.name)).toEqual([
+      "Antminer S21 - 200 TH/s",
+      "Whatsminer M60S - 186 TH/s",
+      "Antminer S21 - 200 TH/s #2",
+      "Antminer S21 - 200 TH/s #3",
+    ]);
+    expect(resolved[0].listedName).toBe("ANTMINER S21 - 200 TH/s");
+    expect(resolved[2]).not.toHaveProperty("listedName");
+  });
+});
+
+test("describeDuplicateGroups lists each row with the name it is stored under", () => {
+  const [group] = describeDuplicateGroups(rows, resolveDuplicates(rows, "lowest"));
+  expect(group.name).toBe("Antminer S21 - 200 TH/s");
+  expect(group.rows.map(row => [row.uploadId, row.listedName, row.storedAs])).toEqual([
+    ["1", "ANTMINER S21 - 200 TH/s", null],
+    ["3", "Antminer S21 - 200 TH/s", "Antminer S21 - 200 TH/s"],
+    ["4", "Antminer S21 - 200 TH/s", null],
+  ]);
+});
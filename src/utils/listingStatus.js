@@ -0,0 +1,80 @@
+// Delisting detection: first/last seen and consecutive missed uploads per source
+import { createAlertId } from "./priceAlerts";
+import { entrySource, normalizeSourceName } from "./priceHistory";
+
+export const DEFAULT_DELIST_THRESHOLD = 2;
+export const LISTING_FILTERS = [
+  { value: "all", label: "All Listings" },
+  { value: "active", label: "Active Only" },
+  { value: "delisted", label: "Delisted Only" },
+];
+
+// Per miner: { firstSeen, lastSeen, missedBySource: { source: consecutive latest uploads without it }, delisted }.
+// Only uploads that recorded their rows count: `listedNames` where cleanup dropped the changes or a replay could not
+// bring every row back, otherwise the names in `changes`. A miner is delisted once every source that listed it has gone
+// `threshold` uploads in a row without it. Uploads where its row was deselected (`excludedNames`) are skipped.
+export const computeListingStatus = (uploadHistory, priceHistory, threshold) => {
+  const uploadsBySource = {};
+  uploadHistory.forEach(upload => {
+    const listedNames = upload.listedNames || upload.changes?.addedEntries.map(added => added.name);
+    if (!listedNames) return;
+    const source = normalizeSourceName(upload.source);
+    (uploadsBySource[source] = uploadsBySource[source] || []).push({
+      order: `${upload.date || ""}|${upload.timestamp}`,
+      names: new Set(listedNames),
+      excluded: new Set(upload.excludedNames || []),
+    });
+  });
+  Object.values(uploadsBySource).forEach(uploads => uploads.sort((a, b) => (a.order < b.order ? -1 : a.order > b.order ? 1 : 0)));
+
+  const status = {};
+  Object.entries(priceHistory).forEach(([name, history]) => {
+    const dates = (history.intraday || []).map(entry => entry.date).filter(Boolean).sort();
+    if (dates.length === 0) return;
+    const missedBySource = {};
+    Object.entries(uploadsBySource).forEach(([source, uploads]) => {
+      let missed = 0;
+      for (let i = uploads.length - 1; i >= 0; i--) {
+        if (uploads[i].names.has(name)) {
+          missedBySource[source] = missed;
+          return;
+        }
+        if (!uploads[i].excluded.has(name)) missed++;
+      }
+      // Never seen in this source's tracked uploads: the source does not carry it
+    });
+    const missedCounts = Object.values(missedBySource);
+    status[name] = {
+      firstSeen: dates[0],
+      lastSeen: dates[dates.length - 1],
+      missedBySource,
+      delisted: missedCounts.length > 0 && missedCounts.every(missed => missed >= threshold),
+    };
+  });
+  return status;
+};
+
+// Inbox alerts for miners in this upload that were flagged as delisted before it
+export const createRelistAlerts = (entries, listingStatus, meta = {}) => {
+  const createdAt = new Date().toISOString();
+  const seen = new Set();
+  return entries.filter(entry => {
+    if (seen.has(entry.name) || !listingStatus[entry.name]?.delisted) return false;
+    seen.add(entry.name);
+    return true;
+  }).map(entry => ({
+    id: createAlertId("alert"),
+    ruleId: "relisted",
+    ruleName: "Relisted",
+    minerName: entry.name,
+    price: entry.price,
+    pricePerTh: entry.hashrate > 0 ? entry.price / entry.hashrate : null,
+    reasons: [`Back in stock from ${entrySource(entry)}; last seen ${listingStatus[entry.name].lastSeen}`],
+    dataDate: entry.date,
+    uploadId: meta.uploadId || null,
+    fileName: meta.fileName || "",
+    createdAt,
+    notify: false,
+    read: false,
+  }));
+};
@@ -0,0 +1,39 @@
+import { computeListingStatus, createRelistAlerts } from "./listingStatus";
+
+const upload = (date, names, overrides = {}) => ({
+  id: `up_${date}`, date, timestamp: `${date}T12:00:00.000Z`, source: "Vendor",
+  changes: { addedEntries: names.map(name => ({ name, entry: { date } })) },
+  ...overrides,
+});
+const history = (name, dates) => ({ [name]: { intraday: dates.map(date => ({ date, price: 100, source: "Vendor" })) } });
+
+describe("computeListingStatus", () => {
+  test("counts consecutive uploads without the miner", () => {
+    const uploads = [upload("2025-01-01", ["A", "B"]), upload("2025-01-02", ["B"]), upload("2025-01-03", ["B"])];
+    const status = computeListingStatus(uploads, { ...history("A", ["2025-01-01"]), ...history("B", ["2025-01-03"]) }, 2);
+    expect(status.A).toMatchObject({ firstSeen: "2025-01-01", lastSeen: "2025-01-01", missedBySource: { Vendor: 2 }, delisted: true });
+    expect(status.B).toMatchObject({ missedBySource: { Vendor: 0 }, delisted: false });
+  });
+
+  test("uploads where the row was deselected do not count as missed", () => {
+    const uploads = [
+      upload("2025-01-01", ["A", "B"]),
+      upload("2025-01-02", ["B"], { excludedNames: ["A"] }),
+      upload("2025-01-03", ["B"], { excludedNames: ["A"] }),
+    ];
+    const status = computeListingStatus(uploads, history("A", ["2025-01-01"]), 2);
+    expect(status.A).toMatchObject({ missedBySource: { Vendor: 0 }, delisted: false });
+  });
+
+  test("ignores uploads without recorded rows and sources that never listed the miner", () => {
+    const uploads = [upload("2025-01-01", ["A"]), upload("2025-01-02", [], { changes: undefined }), upload("2025-01-03", ["B"], { source: "Other" })];
+    expect(computeListingStatus(uploads, history("A", ["2025-01-01"]), 1).A).toMatchObject({ missedBySource: { Vendor: 0 }, delisted: false });
+  });
+});
+
+test("createRelistAlerts raises one alert per miner that was delisted", () => {
+  const entries = [{ name: "A", price: 100, hashrate: 50, date: "2025-02-01" }, { name: "A", price: 90, hashrate: 50 }, { name: "B", price: 1 }];
+  const alerts = createRelistAlerts(entries, { A: { delisted: true, lastSeen: "2025-01-01" }, B: { delisted: false } }, { uploadId: "u1" });
+  expect(alerts).toHaveLength(1);
+  expect(alerts[0]).toMatchObject({ ruleId: "relisted", minerName: "A", pricePerTh: 2, uploadId: "u1" });
+});
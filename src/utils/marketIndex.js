@@ -0,0 +1,58 @@
+// Market $/TH index: quartiles of price per TH per upload date and efficiency tier
+
+// Efficiency tiers shared by the distribution chart and the market index; `max` is exclusive
+export const EFFICIENCY_TIERS = [
+  { range: "< 15 J/TH", max: 15, color: "#10B981" }, // Emerald 600
+  { range: "15-20 J/TH", max: 20, color: "#3B82F6" }, // Blue 500
+  { range: "20-25 J/TH", max: 25, color: "#F59E0B" }, // Amber 500
+  { range: "25-30 J/TH", max: 30, color: "#EF4444" }, // Red 500
+  { range: "> 30 J/TH", max: Infinity, color: "#DC2626" }, // Red 600
+];
+
+// Index into EFFICIENCY_TIERS, or -1 when efficiency is unknown
+export const efficiencyTierIndex = (efficiency) => (
+  efficiency && efficiency > 0 && !isNaN(efficiency) ? EFFICIENCY_TIERS.findIndex(tier => efficiency < tier.max) : -1
+);
+
+// Linear-interpolated quantile of an ascending array
+export const quantile = (sorted, q) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// One row per data date from the `daily` series: { date, all_q1, all_median, all_q3, all_count, t0_median, ... }
+// where `tN_*` are the same statistics for EFFICIENCY_TIERS[N].
+export const buildMarketPriceIndex = (priceHistory) => {
+  const byDate = new Map();
+  Object.values(priceHistory).forEach(history => {
+    (history.daily || []).forEach(entry => {
+      if (!(entry.price > 0 && entry.hashrate > 0)) return;
+      if (!byDate.has(entry.date)) byDate.set(entry.date, { all: [], tiers: EFFICIENCY_TIERS.map(() => []) });
+      const bucket = byDate.get(entry.date);
+      const pricePerTh = entry.price / entry.hashrate;
+      bucket.all.push(pricePerTh);
+      const tierIdx = efficiencyTierIndex(entry.efficiency);
+      if (tierIdx >= 0) bucket.tiers[tierIdx].push(pricePerTh);
+    });
+  });
+
+  const addStats = (row, prefix, values) => {
+    if (values.length === 0) return;
+    const sorted = [...values].sort((a, b) => a - b);
+    row[`${prefix}_q1`] = quantile(sorted, 0.25);
+    row[`${prefix}_median`] = quantile(sorted, 0.5);
+    row[`${prefix}_q3`] = quantile(sorted, 0.75);
+    row[`${prefix}_count`] = sorted.length;
+  };
+  return Array.from(byDate.entries())
+    .sort(([a], [b]) => new Date(a) - new Date(b))
+    .map(([date, bucket]) => {
+      const row = { date };
+      addStats(row, "all", bucket.all);
+      bucket.tiers.forEach((values, idx) => addStats(row, `t${idx}`, values));
+      return row;
+    });
+};
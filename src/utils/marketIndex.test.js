@@ -0,0 +1,27 @@
+import { EFFICIENCY_TIERS, buildMarketPriceIndex, efficiencyTierIndex, quantile } from "./marketIndex";
+
+test("efficiencyTierIndex buckets by J/TH with exclusive upper bounds", () => {
+  expect(efficiencyTierIndex(14.9)).toBe(0);
+  expect(efficiencyTierIndex(15)).toBe(1);
+  expect(efficiencyTierIndex(45)).toBe(EFFICIENCY_TIERS.length - 1);
+  expect(efficiencyTierIndex(null)).toBe(-1);
+  expect(efficiencyTierIndex(0)).toBe(-1);
+});
+
+test("quantile interpolates between sorted values", () => {
+  expect(quantile([], 0.5)).toBeNull();
+  expect(quantile([10, 20, 30, 40], 0.5)).toBe(25);
+  expect(quantile([10, 20, 30, 40], 0.25)).toBe(17.5);
+});
+
+test("buildMarketPriceIndex gives $/TH quartiles per date overall and per tier", () => {
+  const daily = (date, price, hashrate, efficiency) => ({ date, price, hashrate, efficiency });
+  const index = buildMarketPriceIndex({
+    A: { daily: [daily("2025-01-02", 2000, 100, 14), daily("2025-01-01", 1800, 100, 14)] },
+    B: { daily: [daily("2025-01-02", 3000, 100, 22), daily("2025-01-02", 0, 100, 22)] },
+    C: { daily: [daily("2025-01-02", 4000, 100, null)] },
+  });
+  expect(index.map(row => row.date)).toEqual(["2025-01-01", "2025-01-02"]);
+  expect(index[1]).toMatchObject({ all_count: 3, all_median: 30, all_q1: 25, all_q3: 35, t0_median: 20, t0_count: 1, t2_median: 30 });
+  expect(index[1]).not.toHaveProperty("t1_median");
+});
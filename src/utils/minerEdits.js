@@ -0,0 +1,107 @@
+// Inline edits of miner fields: applying them to a history row and the table, and reverting them
+import { bestSourceQuote, buildDailyEntries, entrySource } from "./priceHistory";
+
+export const EDITABLE_MINER_FIELDS = [
+  { key: "hashrate", label: "Hashrate", unit: " TH/s" },
+  { key: "powerConsumption", label: "Power", unit: " W" },
+  { key: "price", label: "Price", unit: "" },
+  { key: "efficiency", label: "Efficiency", unit: " J/TH" },
+];
+export const EDIT_LOG_LIMIT = 1000;
+
+// Whether `entry` is the vendor quote behind the miner's sourcePrices for its source
+const isQuoteEntry = (miner, entry) => {
+  const quote = miner.sourcePrices?.[entrySource(entry)];
+  return Boolean(quote) && entry.date === quote.date && entry.timestamp === quote.timestamp;
+};
+
+// Whether `entry` is the history row behind the miner's displayed `field`: the best vendor quote for price, the latest upload row otherwise
+const minerShowsEntry = (miner, entry, field) => {
+  const quote = field === "price" ? miner.sourcePrices?.[miner.source] : null;
+  if (quote) return entrySource(entry) === miner.source && entry.date === quote.date && entry.timestamp === quote.timestamp;
+  return Boolean(miner.uploadId) && entry.uploadId === miner.uploadId;
+};
+
+// Whether an edit of `field` on `entry` reaches the miner: price edits reach any vendor's current quote (the best one is
+// re-picked afterwards), other fields only the row the table shows
+const minerTracksEntry = (miner, entry, field) => (
+  field === "price" && miner.sourcePrices ? isQuoteEntry(miner, entry) : minerShowsEntry(miner, entry, field)
+);
+
+// Sets `values` ({ field: number }) on one priceHistory row and, while the miner still tracks that row, on the miner and
+// its minerSpecs; a price edit updates that vendor's quote and re-picks the best one, and maxPrices follows. A hashrate
+// or power edit re-derives efficiency. `entryUploadId` picks the row (reverts pass it; new edits use the one behind the
+// edited cell).
+// Returns { state, changes: [{ field, oldValue, newValue }], entryUploadId, dataDate } or null when nothing changed.
+export const applyMinerEdit = (state, minerName, values, entryUploadId = null) => {
+  const miner = state.miners.find(m => m.name === minerName);
+  const history = state.priceHistory[minerName];
+  const intraday = history?.intraday || [];
+  const editedField = Object.keys(values)[0];
+  const entry = entryUploadId
+    ? intraday.find(e => e.uploadId === entryUploadId)
+    : (miner && intraday.find(e => minerShowsEntry(miner, e, editedField)));
+  const source = entry || miner;
+  if (!source) return null;
+
+  const next = { ...values };
+  if (("hashrate" in values || "powerConsumption" in values) && !("efficiency" in values)) {
+    const hashrate = next.hashrate ?? source.hashrate;
+    const power = next.powerConsumption ?? source.powerConsumption;
+    if (hashrate > 0 && power > 0) next.efficiency = power / hashrate;
+  }
+  const changes = Object.entries(next)
+    .filter(([field, value]) => (source[field] ?? null) !== value)
+    .map(([field, newValue]) => ({ field, oldValue: source[field] ?? null, newValue }));
+  if (changes.length === 0) return null;
+  const patch = Object.fromEntries(changes.map(change => [change.field, change.newValue]));
+
+  let priceHistory = state.priceHistory;
+  if (entry) {
+    const nextIntraday = intraday.map(e => (e === entry ? { ...e, ...patch } : e));
+    priceHistory = { ...state.priceHistory, [minerName]: { ...history, intraday: nextIntraday, daily: buildDailyEntries(nextIntraday) } };
+  }
+
+  let miners = state.miners;
+  let minerSpecs = state.minerSpecs;
+  const livePatch = miner ? Object.fromEntries(Object.entries(patch).filter(([field]) => !entry || minerTracksEntry(miner, entry, field))) : {};
+  if (Object.keys(livePatch).length > 0) {
+    const updatedMiner = { ...miner, ...livePatch };
+    const quoteSource = entry ? entrySource(entry) : miner.source;
+    if ("price" in livePatch && miner.sourcePrices?.[quoteSource]) {
+      updatedMiner.sourcePrices = { ...miner.sourcePrices, [quoteSource]: { ...miner.sourcePrices[quoteSource], price: livePatch.price } };
+      const best = bestSourceQuote(updatedMiner.sourcePrices);
+      updatedMiner.price = best.price;
+      updatedMiner.source = best.source;
+    }
+    miners = state.miners.map(m => (m === miner ? updatedMiner : m));
+    const specPatch = Object.fromEntries(Object.entries(livePatch).filter(([field]) => field === "powerConsumption" || field === "efficiency"));
+    if (Object.keys(specPatch).length > 0) minerSpecs = { ...state.minerSpecs, [minerName]: { ...(state.minerSpecs[minerName] || {}), ...specPatch } };
+  }
+
+  let maxPrices = state.maxPrices;
+  const priceChange = changes.find(change => change.field === "price");
+  if (priceChange) {
+    const currentMax = state.maxPrices[minerName] || 0;
+    // A corrected typo may have been the max; otherwise the max only moves up
+    const recomputed = priceChange.oldValue === currentMax
+      ? Math.max(0, ...(priceHistory[minerName]?.intraday || []).map(e => e.price || 0), ...miners.filter(m => m.name === minerName).map(m => m.price || 0))
+      : Math.max(currentMax, priceChange.newValue);
+    maxPrices = { ...state.maxPrices, [minerName]: recomputed };
+  }
+
+  return {
+    state: { ...state, miners, minerSpecs, priceHistory, maxPrices },
+    changes,
+    entryUploadId: entry ? entry.uploadId : null,
+    dataDate: entry ? entry.date : miner?.date || null,
+  };
+};
+
+// Restores an edit log record's old values on the row it edited; null when they are already in place
+export const revertMinerEdit = (state, record) => applyMinerEdit(
+  state,
+  record.minerName,
+  Object.fromEntries(record.changes.map(change => [change.field, change.oldValue])),
+  record.entryUploadId,
+);
@@ -0,0 +1,90 @@
+import { applyMinerEdit, revertMinerEdit } from "./minerEdits";
+
+const row = (uploadId, date, source, price, extra = {}) => ({
+  uploadId, date, timestamp: `${date}T12:00:00.000Z`, source, price, hashrate: 200, powerConsumption: 3500, efficiency: 17.5, ...extra,
+});
+
+// S21 quoted by two vendors on the latest date; VendorA is the cheaper quote the table shows
+const state = () => {
+  const intraday = [
+    row("u1", "2025-01-01", "VendorA", 3200),
+    row("u2", "2025-01-02", "VendorA", 3000),
+    row("u3", "2025-01-02", "VendorB", 3100),
+  ];
+  return {
+    miners: [{
+      name: "S21", uploadId: "u3", date: "2025-01-02", price: 3000, source: "VendorA", hashrate: 200, powerConsumption: 3500, efficiency: 17.5,
+      sourcePrices: {
+        VendorA: { price: 3000, date: "2025-01-02", timestamp: "2025-01-02T12:00:00.000Z" },
+        VendorB: { price: 3100, date: "2025-01-02", timestamp: "2025-01-02T12:00:00.000Z" },
+      },
+    }],
+    priceHistory: { S21: { intraday, daily: [] } },
+    minerSpecs: { S21: { powerConsumption: 3500, efficiency: 17.5 } },
+    maxPrices: { S21: 3200 },
+  };
+};
+
+describe("applyMinerEdit", () => {
+  test("edits the row behind the displayed price and the vendor quote", () => {
+    const result = applyMinerEdit(state(), "S21", { price: 2900 });
+    expect(result.entryUploadId).toBe("u2");
+    expect(result.dataDate).toBe("2025-01-02");
+    expect(result.changes).toEqual([{ field: "price", oldValue: 3000, newValue: 2900 }]);
+    expect(result.state.priceHistory.S21.intraday.map(e => e.price)).toEqual([3200, 2900, 3100]);
+    expect(result.state.miners[0]).toMatchObject({ price: 2900, source: "VendorA" });
+    expect(result.state.miners[0].sourcePrices.VendorA.price).toBe(2900);
+    expect(result.state.maxPrices.S21).toBe(3200);
+  });
+
+  test("re-picks the best quote when a price edit makes another vendor cheaper", () => {
+    const result = applyMinerEdit(state(), "S21", { price: 3500 });
+    expect(result.state.miners[0]).toMatchObject({ price: 3100, source: "VendorB" });
+    expect(result.state.miners[0].sourcePrices.VendorA.price).toBe(3500);
+    expect(result.state.maxPrices.S21).toBe(3500);
+  });
+
+  test("a hashrate edit re-derives efficiency on the latest upload row, the miner and its specs", () => {
+    const result = applyMinerEdit(state(), "S21", { hashrate: 250 });
+    expect(result.entryUploadId).toBe("u3");
+    expect(result.changes.map(c => c.field)).toEqual(["hashrate", "efficiency"]);
+    expect(result.state.miners[0]).toMatchObject({ hashrate: 250, efficiency: 14 });
+    expect(result.state.minerSpecs.S21.efficiency).toBe(14);
+    expect(result.state.priceHistory.S21.daily.find(e => e.uploadId === "u3").hashrate).toBe(250);
+  });
+
+  test("edits of an older row leave the miner alone", () => {
+    const before = state();
+    const result = applyMinerEdit(before, "S21", { price: 3300 }, "u1");
+    expect(result.state.miners).toBe(before.miners);
+    expect(result.state.maxPrices.S21).toBe(3300);
+  });
+
+  test("lowering the max price recomputes it from history", () => {
+    const result = applyMinerEdit(state(), "S21", { price: 2800 }, "u1");
+    expect(result.state.maxPrices.S21).toBe(3100);
+  });
+
+  test("returns null when nothing changes or the miner is unknown", () => {
+    expect(applyMinerEdit(state(), "S21", { price: 3000 })).toBeNull();
+    expect(applyMinerEdit(state(), "Unknown", { price: 1 })).toBeNull();
+  });
+});
+
+describe("revertMinerEdit", () => {
+  test("restores the row, the quote, the best vendor and the max price", () => {
+    const edited = applyMinerEdit(state(), "S21", { price: 3500 });
+    const record = { minerName: "S21", entryUploadId: edited.entryUploadId, changes: edited.changes };
+    const reverted = revertMinerEdit(edited.state, record);
+    expect(reverted.state.priceHistory.S21.intraday.map(e => e.price)).toEqual([3200, 3000, 3100]);
+    expect(reverted.state.miners[0]).toMatchObject({ price: 3000, source: "VendorA" });
+    expect(reverted.state.miners[0].sourcePrices).toEqual(state().miners[0].sourcePrices);
+    expect(reverted.state.maxPrices.S21).toBe(3200);
+  });
+
+  test("returns null once the old values are back in place", () => {
+    const edited = applyMinerEdit(state(), "S21", { hashrate: 250 });
+    const record = { minerName: "S21", entryUploadId: edited.entryUploadId, changes: edited.changes };
+    expect(revertMinerEdit(revertMinerEdit(edited.state, record).state, record)).toBeNull();
+  });
+});
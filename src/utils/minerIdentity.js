@@ -0,0 +1,118 @@
+// Canonical miner identity: alias keys, detection and merging of alias histories
+import { buildDailyEntries } from "./priceHistory";
+
+// Listing names that differ only by case, full-width punctuation, spacing, "(Mix)" tags or Hydro/Hyd map to one key
+export const canonicalMinerKey = (name) => String(name ?? "")
+  .normalize("NFKC") // Full-width （）＋ etc. become ASCII
+  .toLowerCase()
+  .replace(/\(\s*mix\s*\)/g, " ")
+  .replace(/hydro\b/g, "hyd")
+  .replace(/^bitmain\s+(?=antminer)/, "")
+  .replace(/\s+/g, "");
+
+export const EMPTY_ALIAS_REGISTRY = { links: {}, exclusions: [] };
+
+// Follows manual/automatic links, then falls back to any known name with the same canonical key.
+// `knownNames` is an iterable of names already tracked; excluded names never auto-merge.
+export const resolveCanonicalName = (name, registry, knownNames) => {
+  const { links = {}, exclusions = [] } = registry || EMPTY_ALIAS_REGISTRY;
+  let resolved = name;
+  for (let hops = 0; links[resolved] && hops < 10; hops++) resolved = links[resolved];
+  if (resolved !== name || exclusions.includes(name)) return resolved;
+  const key = canonicalMinerKey(name);
+  for (const known of knownNames) {
+    if (known !== name && !exclusions.includes(known) && !links[known] && canonicalMinerKey(known) === key) return known;
+  }
+  return name;
+};
+
+// Groups tracked names sharing a canonical key. The name with the most history becomes canonical.
+export const detectAliasGroups = (state, registry) => {
+  const { links = {}, exclusions = [] } = registry || EMPTY_ALIAS_REGISTRY;
+  const names = new Set([...state.knownMiners, ...Object.keys(state.priceHistory), ...state.miners.map(m => m.name)]);
+  const groups = new Map();
+  names.forEach(name => {
+    if (!name || links[name] || exclusions.includes(name)) return;
+    const key = canonicalMinerKey(name);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(name);
+  });
+  const historySize = (name) => state.priceHistory[name]?.intraday?.length || 0;
+  return Array.from(groups.values())
+    .filter(group => group.length > 1)
+    .map(group => {
+      const sorted = [...group].sort((a, b) => historySize(b) - historySize(a) || a.localeCompare(b));
+      return { canonical: sorted[0], aliases: sorted.slice(1) };
+    });
+};
+
+// Folds all data stored under `alias` into `canonical`. History entries keep their original name as `listedName`.
+export const mergeMinerAlias = (state, alias, canonical) => {
+  const priceHistory = { ...state.priceHistory };
+  const aliasHistory = priceHistory[alias];
+  if (aliasHistory && Array.isArray(aliasHistory.intraday)) {
+    const target = priceHistory[canonical] || { daily: [], intraday: [] };
+    const intraday = [...target.intraday, ...aliasHistory.intraday.map(e => ({ ...e, listedName: e.listedName || alias }))]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    priceHistory[canonical] = { ...target, intraday, daily: buildDailyEntries(intraday) };
+  }
+  delete priceHistory[alias];
+
+  const maxPrices = { ...state.maxPrices };
+  if (maxPrices[alias] !== undefined) maxPrices[canonical] = Math.max(maxPrices[canonical] || 0, maxPrices[alias]);
+  delete maxPrices[alias];
+
+  const minerSpecs = { ...state.minerSpecs };
+  if (!minerSpecs[canonical] && minerSpecs[alias]) minerSpecs[canonical] = minerSpecs[alias];
+  delete minerSpecs[alias];
+
+  const previousPrices = { ...state.previousPrices };
+  if (previousPrices[canonical] === undefined && previousPrices[alias] !== undefined) previousPrices[canonical] = previousPrices[alias];
+  delete previousPrices[alias];
+
+  const knownMiners = new Set(state.knownMiners);
+  if (knownMiners.has(alias)) knownMiners.add(canonical);
+  knownMiners.delete(alias);
+
+  // Keep whichever current listing is newer, under the canonical name
+  const aliasMiner = state.miners.find(m => m.name === alias);
+  const canonicalMiner = state.miners.find(m => m.name === canonical);
+  let miners = state.miners;
+  if (aliasMiner) {
+    const aliasIsNewer = !canonicalMiner || new Date(aliasMiner.uploadTimestamp || 0) > new Date(canonicalMiner.uploadTimestamp || 0);
+    miners = state.miners
+      .filter(m => m.name !== alias && (!aliasIsNewer || m.name !== canonical))
+      .concat(aliasIsNewer ? [{ ...aliasMiner, name: canonical, listedName: aliasMiner.listedName || alias }] : []);
+  }
+
+  return { miners, priceHistory, knownMiners, minerSpecs, maxPrices, previousPrices };
+};
+
+// Moves history entries originally listed as `alias` back out of `canonical`
+export const splitMinerAlias = (state, alias, canonical) => {
+  const priceHistory = { ...state.priceHistory };
+  const maxPrices = { ...state.maxPrices };
+  const source = priceHistory[canonical];
+  if (source && Array.isArray(source.intraday)) {
+    const aliasEntries = source.intraday.filter(e => e.listedName === alias);
+    const remaining = source.intraday.filter(e => e.listedName !== alias);
+    if (aliasEntries.length > 0) {
+      const restored = aliasEntries.map(({ listedName, ...entry }) => entry);
+      priceHistory[alias] = { daily: buildDailyEntries(restored), intraday: restored };
+      maxPrices[alias] = Math.max(...restored.map(e => e.price || 0));
+      if (remaining.length > 0) {
+        priceHistory[canonical] = { ...source, intraday: remaining, daily: buildDailyEntries(remaining) };
+        maxPrices[canonical] = Math.max(...remaining.map(e => e.price || 0));
+      } else {
+        delete priceHistory[canonical];
+        delete maxPrices[canonical];
+      }
+    }
+  }
+  const knownMiners = new Set(state.knownMiners);
+  if (priceHistory[alias]) knownMiners.add(alias);
+  const minerSpecs = { ...state.minerSpecs };
+  if (priceHistory[alias] && !minerSpecs[alias] && minerSpecs[canonical]) minerSpecs[alias] = minerSpecs[canonical];
+  const miners = state.miners.map(m => (m.name === canonical && m.listedName === alias ? { ...m, name: alias, listedName: undefined } : m));
+  return { ...state, miners, priceHistory, knownMiners, minerSpecs, maxPrices };
+};
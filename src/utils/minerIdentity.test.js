@@ -0,0 +1,70 @@
+import { buildDailyEntries } from "./priceHistory";
+import { canonicalMinerKey, detectAliasGroups, mergeMinerAlias, resolveCanonicalName, splitMinerAlias } from "./minerIdentity";
+
+const entry = (uploadId, date, price) => ({ uploadId, date, timestamp: `${date}T12:00:00.000Z`, price });
+const history = (...entries) => ({ intraday: entries, daily: buildDailyEntries(entries) });
+
+describe("canonicalMinerKey", () => {
+  test("ignores case, spacing, full-width punctuation, Hydro/Hyd, (Mix) tags and a leading Bitmain", () => {
+    expect(canonicalMinerKey("Antminer S21 Hydro （335Th）")).toBe(canonicalMinerKey("antminer s21 hyd (335TH)"));
+    expect(canonicalMinerKey("Whatsminer M60S (Mix) 186T")).toBe(canonicalMinerKey("WHATSMINER M60S 186T"));
+    expect(canonicalMinerKey("Bitmain Antminer S19 XP")).toBe(canonicalMinerKey("Antminer S19 XP"));
+    expect(canonicalMinerKey("Antminer S19 XP")).not.toBe(canonicalMinerKey("Antminer S19 Pro"));
+  });
+});
+
+describe("resolveCanonicalName", () => {
+  test("follows links, then matches known names by key", () => {
+    const registry = { links: { "S21 v1": "S21 v2", "S21 v2": "Antminer S21" }, exclusions: [] };
+    expect(resolveCanonicalName("S21 v1", registry, [])).toBe("Antminer S21");
+    expect(resolveCanonicalName("ANTMINER  S21 HYD", registry, ["Antminer S21 Hydro"])).toBe("Antminer S21 Hydro");
+    expect(resolveCanonicalName("Antminer T21", registry, ["Antminer S21 Hydro"])).toBe("Antminer T21");
+  });
+
+  test("excluded names never auto-merge", () => {
+    const registry = { links: {}, exclusions: ["ANTMINER S21 HYD"] };
+    expect(resolveCanonicalName("ANTMINER S21 HYD", registry, ["Antminer S21 Hydro"])).toBe("ANTMINER S21 HYD");
+  });
+});
+
+test("detectAliasGroups makes the name with the most history canonical", () => {
+  const state = {
+    knownMiners: new Set(["Antminer S21 Hydro", "ANTMINER S21 HYD", "Antminer T21"]),
+    priceHistory: { "ANTMINER S21 HYD": history(entry("a", "2025-01-01", 1), entry("b", "2025-01-02", 2)), "Antminer S21 Hydro": history(entry("c", "2025-01-03", 3)) },
+    miners: [],
+  };
+  expect(detectAliasGroups(state, { links: {}, exclusions: [] })).toEqual([{ canonical: "ANTMINER S21 HYD", aliases: ["Antminer S21 Hydro"] }]);
+  expect(detectAliasGroups(state, { links: {}, exclusions: ["Antminer S21 Hydro"] })).toEqual([]);
+});
+
+describe("mergeMinerAlias and splitMinerAlias", () => {
+  const state = () => ({
+    miners: [{ name: "S21", price: 100, uploadTimestamp: "2025-01-01T12:00:00.000Z" }, { name: "S21 (Mix)", price: 90, uploadTimestamp: "2025-01-02T12:00:00.000Z" }],
+    priceHistory: { S21: history(entry("a", "2025-01-01", 100)), "S21 (Mix)": history(entry("b", "2025-01-02", 90), entry("c", "2025-01-03", 120)) },
+    knownMiners: new Set(["S21", "S21 (Mix)"]),
+    minerSpecs: { "S21 (Mix)": { powerConsumption: 3500 } },
+    maxPrices: { S21: 100, "S21 (Mix)": 120 },
+    previousPrices: { "S21 (Mix)": 95 },
+  });
+
+  test("merging folds every store into the canonical name", () => {
+    const merged = mergeMinerAlias(state(), "S21 (Mix)", "S21");
+    expect(merged.priceHistory.S21.intraday.map(e => [e.uploadId, e.listedName])).toEqual([["a", undefined], ["b", "S21 (Mix)"], ["c", "S21 (Mix)"]]);
+    expect(merged.priceHistory["S21 (Mix)"]).toBeUndefined();
+    expect(merged.maxPrices).toEqual({ S21: 120 });
+    expect(merged.minerSpecs).toEqual({ S21: { powerConsumption: 3500 } });
+    expect(merged.previousPrices).toEqual({ S21: 95 });
+    expect([...merged.knownMiners]).toEqual(["S21"]);
+    expect(merged.miners).toEqual([{ name: "S21", price: 90, uploadTimestamp: "2025-01-02T12:00:00.000Z", listedName: "S21 (Mix)" }]); // Newer listing wins
+  });
+
+  test("unlinking moves the alias entries back out", () => {
+    const before = state();
+    const split = splitMinerAlias(mergeMinerAlias(before, "S21 (Mix)", "S21"), "S21 (Mix)", "S21");
+    expect(split.priceHistory.S21.intraday).toEqual(before.priceHistory.S21.intraday);
+    expect(split.priceHistory["S21 (Mix)"].intraday).toEqual(before.priceHistory["S21 (Mix)"].intraday);
+    expect(split.maxPrices).toEqual(before.maxPrices);
+    expect([...split.knownMiners].sort()).toEqual(["S21", "S21 (Mix)"]);
+    expect(split.miners.map(m => m.name)).toEqual(["S21 (Mix)"]);
+  });
+});
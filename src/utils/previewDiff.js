@@ -0,0 +1,28 @@
+// Upload preview: field-by-field differences between tracked and incoming rows
+
+// Fields compared per updated row, besides price
+export const PREVIEW_DIFF_FIELDS = [
+  { key: "hashrate", label: "Hashrate", unit: " TH/s" },
+  { key: "powerConsumption", label: "Power", unit: " W" },
+  { key: "efficiency", label: "Efficiency", unit: " J/TH" },
+  { key: "dailyEarnings", label: "Daily $", unit: "" },
+  { key: "algorithm", label: "Algorithm", unit: "" },
+];
+
+// Blank values compare equal to each other, numbers to 2 decimals and text ignoring case
+const normalizeDiffValue = (value) => {
+  if (value === null || value === undefined || value === "" || Number.isNaN(value)) return null;
+  if (typeof value === "number") return Math.round(value * 100) / 100;
+  return String(value).trim().toLowerCase() || null;
+};
+
+// Fields of `incoming` that differ from `existing`, as [{ key, label, unit, oldValue, newValue }]
+export const diffPreviewFields = (existing, incoming) => PREVIEW_DIFF_FIELDS
+  .filter(field => normalizeDiffValue(existing[field.key]) !== normalizeDiffValue(incoming[field.key]))
+  .map(field => ({ ...field, oldValue: existing[field.key] ?? null, newValue: incoming[field.key] ?? null }));
+
+// Display form of a diff value: "—" when blank, numbers to at most 2 decimals with `unit`
+export const formatDiffValue = (value, unit) => {
+  if (value === null || value === undefined || value === "") return "—";
+  return typeof value === "number" ? `${parseFloat(value.toFixed(2))}${unit}` : String(value);
+};
@@ -0,0 +1,51 @@
+import { PREVIEW_DIFF_FIELDS, diffPreviewFields, formatDiffValue } from "./previewDiff";
+
+const row = (overrides = {}) => ({
+  hashrate: 200,
+  powerConsumption: 3500,
+  efficiency: 17.5,
+  dailyEarnings: 10.25,
+  algorithm: "SHA-256",
+  price: 3000,
+  ...overrides,
+});
+
+describe("diffPreviewFields", () => {
+  test("reports nothing for identical rows and ignores price", () => {
+    expect(diffPreviewFields(row(), row({ price: 2500 }))).toEqual([]);
+  });
+
+  test("reports changed fields with their old and new values", () => {
+    expect(diffPreviewFields(row(), row({ hashrate: 210, algorithm: "Scrypt" }))).toEqual([
+      { key: "hashrate", label: "Hashrate", unit: " TH/s", oldValue: 200, newValue: 210 },
+      { key: "algorithm", label: "Algorithm", unit: "", oldValue: "SHA-256", newValue: "Scrypt" },
+    ]);
+  });
+
+  test("compares numbers to 2 decimals and text ignoring case and spacing", () => {
+    expect(diffPreviewFields(row(), row({ efficiency: 17.501, algorithm: " sha-256 " }))).toEqual([]);
+    expect(diffPreviewFields(row(), row({ efficiency: 17.51 })).map(d => d.key)).toEqual(["efficiency"]);
+  });
+
+  test("treats all blank values as equal and reports a value going blank", () => {
+    const blank = { hashrate: null, powerConsumption: undefined, efficiency: NaN, dailyEarnings: "", algorithm: "  " };
+    expect(diffPreviewFields(blank, {})).toEqual([]);
+    const [diff] = diffPreviewFields(row(), row({ dailyEarnings: undefined }));
+    expect(diff).toMatchObject({ key: "dailyEarnings", oldValue: 10.25, newValue: null });
+  });
+
+  test("covers every preview field", () => {
+    const changed = diffPreviewFields(row(), { hashrate: 1, powerConsumption: 1, efficiency: 1, dailyEarnings: 1, algorithm: "x" });
+    expect(changed.map(d => d.key)).toEqual(PREVIEW_DIFF_FIELDS.map(f => f.key));
+  });
+});
+
+describe("formatDiffValue", () => {
+  test("formats blanks, numbers and text", () => {
+    expect(formatDiffValue(null, " W")).toBe("—");
+    expect(formatDiffValue("", " W")).toBe("—");
+    expect(formatDiffValue(17.5049, " J/TH")).toBe("17.5 J/TH");
+    expect(formatDiffValue(3500, " W")).toBe("3500 W");
+    expect(formatDiffValue("SHA-256", "")).toBe("SHA-256");
+  });
+});
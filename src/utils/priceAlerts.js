@@ -0,0 +1,95 @@
+// Price alert rules and their evaluation against uploaded rows
+
+export const ALERT_INBOX_LIMIT = 500;
+// Numeric rule conditions; empty strings are ignored. `kind` says whether the value is an upper or lower bound.
+export const ALERT_CONDITIONS = [
+  { field: "maxPrice", label: "Price ≤ ($)", kind: "max" },
+  { field: "maxPricePerTh", label: "$/TH ≤", kind: "max" },
+  { field: "maxEfficiency", label: "Efficiency ≤ (J/TH)", kind: "max" },
+  { field: "minDropFromMax", label: "Drop from Max ≥ (%)", kind: "min" },
+  { field: "minDropFromPrevious", label: "Drop vs Prior ≥ (%)", kind: "min" },
+];
+
+export const createAlertId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+
+export const createAlertRule = () => ({
+  id: createAlertId("rule"),
+  name: "",
+  enabled: true,
+  notify: false,
+  namePattern: "",
+  ...Object.fromEntries(ALERT_CONDITIONS.map(({ field }) => [field, ""])),
+});
+
+// "/regex/flags" is used as a regular expression, anything else as a case-insensitive substring.
+// Returns null for an invalid expression so the rule matches nothing.
+export const compileNamePattern = (pattern) => {
+  const trimmed = (pattern || "").trim();
+  if (!trimmed) return () => true;
+  const regexMatch = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      const regex = new RegExp(regexMatch[1], regexMatch[2].includes("i") ? regexMatch[2] : `${regexMatch[2]}i`);
+      return (name) => regex.test(name);
+    } catch (error) {
+      return null;
+    }
+  }
+  const needle = trimmed.toLowerCase();
+  return (name) => name.toLowerCase().includes(needle);
+};
+
+// Checks uploaded entries against enabled rules. `context` holds the pre-upload `maxPrices` and
+// `priorPrices` ({ minerName: price in the table before this upload }). Returns new inbox alerts.
+export const evaluateAlertRules = (rules, entries, context, meta = {}) => {
+  const alerts = [];
+  const createdAt = new Date().toISOString();
+  rules.forEach(rule => {
+    if (!rule.enabled) return;
+    const activeConditions = ALERT_CONDITIONS.filter(({ field }) => rule[field] !== "" && rule[field] !== null && rule[field] !== undefined);
+    if (activeConditions.length === 0 && !(rule.namePattern || "").trim()) return;
+    const nameMatches = compileNamePattern(rule.namePattern);
+    if (!nameMatches) return;
+    const alerted = new Set();
+
+    entries.forEach(entry => {
+      if (alerted.has(entry.name) || !nameMatches(entry.name)) return;
+      const maxPrice = context.maxPrices[entry.name];
+      const priorPrice = context.priorPrices[entry.name];
+      const metrics = {
+        maxPrice: entry.price,
+        maxPricePerTh: entry.hashrate > 0 ? entry.price / entry.hashrate : null,
+        maxEfficiency: entry.efficiency > 0 ? entry.efficiency : null,
+        minDropFromMax: maxPrice > 0 ? ((maxPrice - entry.price) / maxPrice) * 100 : null,
+        minDropFromPrevious: priorPrice > 0 ? ((priorPrice - entry.price) / priorPrice) * 100 : null,
+      };
+      const reasons = [];
+      const allMet = activeConditions.every(({ field, label, kind }) => {
+        const value = metrics[field];
+        const bound = parseFloat(rule[field]);
+        if (value === null || isNaN(bound)) return false;
+        const met = kind === "max" ? value <= bound : value >= bound;
+        if (met) reasons.push(`${label} ${bound} (is ${value.toFixed(2)})`);
+        return met;
+      });
+      if (!allMet) return;
+      alerted.add(entry.name);
+      alerts.push({
+        id: createAlertId("alert"),
+        ruleId: rule.id,
+        ruleName: rule.name || rule.namePattern || "Unnamed rule",
+        minerName: entry.name,
+        price: entry.price,
+        pricePerTh: metrics.maxPricePerTh,
+        reasons: reasons.length > 0 ? reasons : [`Name matches "${rule.namePattern}"`],
+        dataDate: entry.date,
+        uploadId: meta.uploadId || null,
+        fileName: meta.fileName || "",
+        createdAt,
+        notify: !!rule.notify,
+        read: false,
+      });
+    });
+  });
+  return alerts;
+};
@@ -0,0 +1,52 @@
+import { compileNamePattern, createAlertRule, evaluateAlertRules } from "./priceAlerts";
+
+const rule = (overrides) => ({ ...createAlertRule(), ...overrides });
+const entries = [
+  { name: "Antminer S21 XP - 270 TH/s", price: 5400, hashrate: 270, efficiency: 13.5, date: "2025-03-14" },
+  { name: "Whatsminer M60S - 186 TH/s", price: 3000, hashrate: 186, efficiency: 18.5, date: "2025-03-14" },
+];
+const context = {
+  maxPrices: { "Antminer S21 XP - 270 TH/s": 6500, "Whatsminer M60S - 186 TH/s": 3100 },
+  priorPrices: { "Antminer S21 XP - 270 TH/s": 5500 },
+};
+
+describe("compileNamePattern", () => {
+  test("matches substrings case-insensitively, or /regex/", () => {
+    expect(compileNamePattern("s21 xp")("Antminer S21 XP")).toBe(true);
+    expect(compileNamePattern("/^whatsminer m6\\d/")("Whatsminer M60S")).toBe(true);
+    expect(compileNamePattern("")("anything")).toBe(true);
+    expect(compileNamePattern("/[/")).toBeNull();
+  });
+});
+
+describe("evaluateAlertRules", () => {
+  test("every active condition must hold", () => {
+    const alerts = evaluateAlertRules([
+      rule({ id: "r1", name: "Cheap S21 XP", namePattern: "s21 xp", maxPrice: "5500" }),
+      rule({ id: "r2", maxPricePerTh: "17", maxEfficiency: "15" }),
+    ], entries, context, { uploadId: "up1", fileName: "prices.csv" });
+    expect(alerts.map(alert => [alert.ruleId, alert.minerName])).toEqual([
+      ["r1", "Antminer S21 XP - 270 TH/s"],
+    ]);
+    expect(alerts[0]).toMatchObject({ ruleName: "Cheap S21 XP", uploadId: "up1", fileName: "prices.csv", dataDate: "2025-03-14", read: false });
+    expect(alerts[0].reasons[0]).toContain("5500");
+  });
+
+  test("drops are measured against max and prior prices", () => {
+    const fromMax = evaluateAlertRules([rule({ minDropFromMax: "15" })], entries, context);
+    expect(fromMax.map(alert => alert.minerName)).toEqual(["Antminer S21 XP - 270 TH/s"]);
+    // The M60S has no prior price, so it cannot meet a "drop vs prior" condition
+    const fromPrior = evaluateAlertRules([rule({ minDropFromPrevious: "1" })], entries, context);
+    expect(fromPrior.map(alert => alert.minerName)).toEqual(["Antminer S21 XP - 270 TH/s"]);
+  });
+
+  test("disabled, empty and invalid rules raise nothing", () => {
+    expect(evaluateAlertRules([rule({ enabled: false, maxPrice: "99999" }), rule({}), rule({ namePattern: "/[/" })], entries, context)).toEqual([]);
+  });
+
+  test("a name-only rule alerts once per miner", () => {
+    const alerts = evaluateAlertRules([rule({ namePattern: "whatsminer" })], [...entries, entries[1]], context);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].reasons[0]).toBe('Name matches "whatsminer"');
+  });
+});
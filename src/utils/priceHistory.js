@@ -0,0 +1,87 @@
+// Helpers for the per-miner { daily, intraday } price history structure
+
+// Latest intraday entry per date, sorted by date ASC
+export const buildDailyEntries = (intradayEntries) => {
+  const dailyEntriesMap = new Map();
+  intradayEntries.forEach(entry => {
+    const existing = dailyEntriesMap.get(entry.date);
+    if (!existing || new Date(entry.timestamp) >= new Date(existing.timestamp)) {
+      dailyEntriesMap.set(entry.date, entry);
+    }
+  });
+  return Array.from(dailyEntriesMap.values()).sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+// Converts legacy { minerName: [entry, ...] } history into { minerName: { daily, intraday } }
+export const restructurePriceHistory = (rawHistory) => {
+  const history = {};
+  let migratedEntriesCount = 0;
+  let totalMinersMigrated = 0;
+
+  Object.entries(rawHistory || {}).forEach(([minerName, entries]) => {
+    if (Array.isArray(entries)) { // Old format: minerName: [entry, entry, ...]
+      totalMinersMigrated++;
+      const intradayEntries = entries.map((entry, index) => {
+        migratedEntriesCount++;
+        const entryDate = entry.date || new Date().toISOString().split("T")[0];
+        return {
+          ...entry,
+          date: entryDate,
+          // Ensure timestamp is unique and fallback if missing
+          timestamp: entry.timestamp || `${entryDate}T12:00:00.000Z`,
+          // Ensure uploadId is unique and fallback if missing
+          uploadId: entry.uploadId || `legacy_${entryDate}_${Date.now()}_${index}_${Math.random().toString(36).substring(2, 7)}`,
+        };
+      }).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)); // Sort by timestamp ASC
+
+      history[minerName] = {
+        daily: buildDailyEntries(intradayEntries),
+        intraday: intradayEntries,
+      };
+    } else if (typeof entries === 'object' && entries !== null && entries.hasOwnProperty('intraday')) {
+      // Already in new format, carry over
+      history[minerName] = entries;
+    } else {
+       console.warn(`Skipping migration for miner "${minerName}": unknown data format.`, entries);
+    }
+  });
+
+  return { history, migratedEntriesCount, totalMinersMigrated };
+};
+
+// --- Sources (vendors) ---
+export const DEFAULT_SOURCE = "Unspecified"; // Uploads and legacy entries without a vendor tag
+export const normalizeSourceName = (source) => (source || "").toString().trim() || DEFAULT_SOURCE;
+export const entrySource = (entry) => normalizeSourceName(entry?.source);
+
+// { source: dailyEntries } with the latest entry per date for each source
+export const buildSourceDailyEntries = (intradayEntries) => {
+  const bySource = {};
+  intradayEntries.forEach(entry => {
+    const source = entrySource(entry);
+    (bySource[source] = bySource[source] || []).push(entry);
+  });
+  Object.keys(bySource).forEach(source => { bySource[source] = buildDailyEntries(bySource[source]); });
+  return bySource;
+};
+
+// Lowest quote in a miner's `sourcePrices` ({ source: { price, date, timestamp } }) as { source, price, date, timestamp }
+export const bestSourceQuote = (sourcePrices) => Object.entries(sourcePrices || {}).reduce((best, [source, quote]) => (
+  quote.price > 0 && (!best || quote.price < best.price) ? { source, ...quote } : best
+), null);
+
+// Merges an uploaded row into a miner, keeping other vendors' quotes; `price`/`source` become the best quote.
+// Miners saved before vendor tagging have no quotes yet, so their untagged price is simply superseded.
+export const applySourceQuote = (miner, entry) => {
+  const sourcePrices = { ...(miner.sourcePrices || {}), [entrySource(entry)]: { price: entry.price, date: entry.date, timestamp: entry.uploadTimestamp } };
+  const best = bestSourceQuote(sourcePrices);
+  return { ...miner, ...entry, sourcePrices, price: best.price, source: best.source };
+};
+
+// Copy of a miner's history with power and efficiency set on every entry; the same object when nothing differs
+export const withHistoryPower = (historyData, powerConsumption, efficiency) => {
+  if (!historyData || !Array.isArray(historyData.intraday)) return historyData;
+  if (historyData.intraday.every(entry => entry.powerConsumption === powerConsumption && entry.efficiency === efficiency)) return historyData;
+  const intraday = historyData.intraday.map(entry => ({ ...entry, powerConsumption, efficiency }));
+  return { ...historyData, intraday, daily: buildDailyEntries(intraday) };
+};
@@ -0,0 +1,43 @@
+import { applySourceQuote, buildDailyEntries, restructurePriceHistory, withHistoryPower } from "./priceHistory";
+
+const entry = (date, hour, price, extra = {}) => ({ date, timestamp: `${date}T${hour}:00:00.000Z`, uploadId: `${date}_${hour}`, price, ...extra });
+
+test("buildDailyEntries keeps the latest entry per date in date order", () => {
+  const daily = buildDailyEntries([entry("2025-01-02", "09", 2), entry("2025-01-01", "18", 1), entry("2025-01-01", "06", 0)]);
+  expect(daily.map(e => e.uploadId)).toEqual(["2025-01-01_18", "2025-01-02_09"]);
+});
+
+test("restructurePriceHistory converts legacy arrays and keeps current histories", () => {
+  const current = { daily: [], intraday: [] };
+  const { history, totalMinersMigrated } = restructurePriceHistory({ A: [{ date: "2025-01-01", price: 5 }], B: current });
+  expect(totalMinersMigrated).toBe(1);
+  expect(history.A.daily).toHaveLength(1);
+  expect(history.B).toBe(current);
+});
+
+test("applySourceQuote keeps other vendors' quotes and shows the best one", () => {
+  const miner = applySourceQuote({ name: "S21" }, { name: "S21", price: 3000, date: "2025-01-01", source: "A" });
+  const updated = applySourceQuote(miner, { name: "S21", price: 3200, date: "2025-01-02", source: "B" });
+  expect(Object.keys(updated.sourcePrices)).toEqual(["A", "B"]);
+  expect(updated).toMatchObject({ price: 3000, source: "A" });
+});
+
+describe("withHistoryPower", () => {
+  const history = () => {
+    const intraday = [entry("2025-01-01", "06", 1, { powerConsumption: 3000, efficiency: 15 }), entry("2025-01-02", "06", 2, { powerConsumption: 3000, efficiency: 15 })];
+    return { intraday, daily: buildDailyEntries(intraday) };
+  };
+
+  test("sets power and efficiency on every entry without mutating the input", () => {
+    const before = history();
+    const after = withHistoryPower(before, 3500, 17.5);
+    expect(after.intraday.every(e => e.powerConsumption === 3500 && e.efficiency === 17.5)).toBe(true);
+    expect(after.daily.every(e => e.powerConsumption === 3500)).toBe(true);
+    expect(before.intraday[0].powerConsumption).toBe(3000);
+  });
+
+  test("returns the same object when nothing changes", () => {
+    const before = history();
+    expect(withHistoryPower(before, 3000, 15)).toBe(before);
+  });
+});
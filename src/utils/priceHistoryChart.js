@@ -0,0 +1,56 @@
+// Series, moving averages and range filtering for the price history chart
+
+export const HISTORY_RANGE_PRESETS = [
+  { value: "7d", label: "7D", days: 7 },
+  { value: "30d", label: "30D", days: 30 },
+  { value: "90d", label: "90D", days: 90 },
+  { value: "all", label: "All" },
+  { value: "custom", label: "Custom" },
+];
+export const MOVING_AVERAGE_WINDOWS = [7, 30]; // days
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chart points for one miner's `daily` or `intraday` series, with `time` (ms) for the x-axis and `ma7`/`ma30`
+// (trailing averages over calendar days). Averages use the full series so the first points in a range are complete.
+// Points sit on their data `date`, however late they were uploaded; several points on one date are spread evenly
+// across that day in upload `timestamp` order.
+export const buildPriceHistoryPoints = (history, series) => {
+  const entries = (series === "daily" ? history?.daily : history?.intraday) || [];
+  const points = entries
+    .filter(entry => entry.price > 0)
+    .map(entry => ({ ...entry, time: new Date(entry.date).getTime() }))
+    .filter(point => !isNaN(point.time))
+    .sort((a, b) => a.time - b.time || new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+  const perDay = new Map();
+  points.forEach(point => perDay.set(point.time, (perDay.get(point.time) || 0) + 1));
+  const placed = new Map();
+  points.forEach(point => {
+    const day = point.time;
+    const rank = placed.get(day) || 0;
+    placed.set(day, rank + 1);
+    point.time = day + Math.floor((rank * DAY_MS) / perDay.get(day));
+  });
+  MOVING_AVERAGE_WINDOWS.forEach(windowDays => {
+    let start = 0;
+    let sum = 0;
+    points.forEach((point, idx) => {
+      sum += point.price;
+      while (points[start].time <= point.time - windowDays * DAY_MS) sum -= points[start++].price;
+      point[`ma${windowDays}`] = sum / (idx - start + 1);
+    });
+  });
+  return points;
+};
+
+// Presets count back from `now`, so a miner that has not been listed recently shows no recent points
+export const filterPointsByRange = (points, range, customStart, customEnd, now = Date.now()) => {
+  if (points.length === 0 || range === "all") return points;
+  if (range === "custom") {
+    const start = customStart ? new Date(customStart).getTime() : -Infinity;
+    const end = customEnd ? new Date(customEnd).getTime() + DAY_MS - 1 : Infinity;
+    return points.filter(point => point.time >= start && point.time <= end);
+  }
+  const preset = HISTORY_RANGE_PRESETS.find(p => p.value === range);
+  const cutoff = now - preset.days * DAY_MS;
+  return points.filter(point => point.time > cutoff);
+};
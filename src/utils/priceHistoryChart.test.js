@@ -0,0 +1,50 @@
+import { buildPriceHistoryPoints, filterPointsByRange } from "./priceHistoryChart";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2025-06-30T12:00:00.000Z").getTime();
+const point = (daysAgo, price = 100) => ({ time: now - daysAgo * DAY_MS, price });
+
+describe("filterPointsByRange", () => {
+  const points = [point(100), point(40), point(20), point(3)];
+
+  test("presets count back from today", () => {
+    expect(filterPointsByRange(points, "7d", "", "", now)).toEqual([points[3]]);
+    expect(filterPointsByRange(points, "30d", "", "", now)).toEqual([points[2], points[3]]);
+    expect(filterPointsByRange(points, "all", "", "", now)).toBe(points);
+  });
+
+  test("a miner last seen months ago has nothing in the recent presets", () => {
+    expect(filterPointsByRange([point(120), point(95)], "7d", "", "", now)).toEqual([]);
+  });
+
+  test("custom ranges include the whole end day", () => {
+    const custom = filterPointsByRange(points, "custom", "2025-05-20", "2025-06-10", now);
+    expect(custom).toEqual([points[1], points[2]]);
+  });
+});
+
+test("buildPriceHistoryPoints sorts points and adds trailing moving averages", () => {
+  const history = { daily: [
+    { date: "2025-01-03", price: 30 },
+    { date: "2025-01-01", price: 10 },
+    { date: "2025-01-02", price: 20 },
+    { date: "2025-01-04", price: 0 },
+  ] };
+  const points = buildPriceHistoryPoints(history, "daily");
+  expect(points.map(p => p.price)).toEqual([10, 20, 30]);
+  expect(points.map(p => p.ma7)).toEqual([10, 15, 20]);
+});
+
+test("intraday points sit on their data date in upload order", () => {
+  const history = { intraday: [
+    { date: "2025-01-02", timestamp: "2025-01-02T18:00:00.000Z", price: 22 },
+    { date: "2025-01-01", timestamp: "2025-01-05T09:00:00.000Z", price: 11 }, // Back-filled days later
+    { date: "2025-01-02", timestamp: "2025-01-02T08:00:00.000Z", price: 21 },
+  ] };
+  const points = buildPriceHistoryPoints(history, "intraday");
+  const jan1 = new Date("2025-01-01").getTime();
+  const jan2 = new Date("2025-01-02").getTime();
+  expect(points.map(p => p.price)).toEqual([11, 21, 22]);
+  expect(points.map(p => p.time)).toEqual([jan1, jan2, jan2 + DAY_MS / 2]);
+  expect(filterPointsByRange(points, "custom", "2025-01-01", "2025-01-01", now).map(p => p.price)).toEqual([11]);
+});
@@ -0,0 +1,67 @@
+// Profitability model: revenue, power cost and net profit per miner from network inputs
+
+const BLOCKS_PER_DAY = 144;
+export const DEFAULT_PROFITABILITY_SETTINGS = {
+  btcPrice: 100000, // USD
+  networkInput: "hashrate", // 'hashrate' | 'difficulty'
+  networkHashrate: 800, // EH/s
+  difficulty: 110e12,
+  blockSubsidy: 3.125, // BTC
+  feesPerBlock: 0.05, // BTC, average
+  poolFeePercent: 2,
+  electricityCost: 0.07, // USD per kWh
+};
+
+// Network hashrate in H/s, either entered directly (EH/s) or derived from difficulty (difficulty * 2^32 / 600s)
+export const networkHashrateFromSettings = (settings) => (
+  settings.networkInput === "difficulty"
+    ? (settings.difficulty * 2 ** 32) / 600
+    : settings.networkHashrate * 1e18
+);
+
+// Expected BTC mined per day by one TH/s, after pool fee
+export const btcPerThPerDay = (settings) => {
+  const networkHashrate = networkHashrateFromSettings(settings);
+  if (!(networkHashrate > 0)) return 0;
+  const rewardPerBlock = (settings.blockSubsidy || 0) + (settings.feesPerBlock || 0);
+  return (1e12 / networkHashrate) * BLOCKS_PER_DAY * rewardPerBlock * (1 - (settings.poolFeePercent || 0) / 100);
+};
+
+// Per-day USD figures for a miner plus purchase returns and capital cost at its current price:
+// { grossRevenue, powerCost, netProfit, paybackDays, roi12, roi24, breakEvenElectricity, pricePerTh, pricePerWatt }.
+// Fields are null when inputs are missing; paybackDays is null when the miner never pays back at today's inputs.
+export const calculateMinerProfitability = (miner, settings) => {
+  const dailyKwh = miner.powerConsumption > 0 ? (miner.powerConsumption / 1000) * 24 : null;
+  const grossRevenue = miner.hashrate > 0 ? miner.hashrate * btcPerThPerDay(settings) * settings.btcPrice : null;
+  const powerCost = dailyKwh !== null ? dailyKwh * settings.electricityCost : null;
+  const netProfit = grossRevenue !== null && powerCost !== null ? grossRevenue - powerCost : null;
+  const hasPrice = miner.price > 0 && netProfit !== null;
+  return {
+    grossRevenue,
+    powerCost,
+    netProfit,
+    paybackDays: hasPrice && netProfit > 0 ? miner.price / netProfit : null,
+    roi12: hasPrice ? ((netProfit * 365 - miner.price) / miner.price) * 100 : null,
+    roi24: hasPrice ? ((netProfit * 730 - miner.price) / miner.price) * 100 : null,
+    breakEvenElectricity: grossRevenue !== null && dailyKwh !== null ? grossRevenue / dailyKwh : null,
+    pricePerTh: miner.price > 0 && miner.hashrate > 0 ? miner.price / miner.hashrate : null,
+    pricePerWatt: miner.price > 0 && miner.powerConsumption > 0 ? miner.price / miner.powerConsumption : null,
+  };
+};
+
+// Optional bounds on the computed metrics; empty strings mean "no filter"
+export const EMPTY_METRIC_FILTERS = { maxPaybackDays: "", minRoi12: "", minRoi24: "", minBreakEvenElectricity: "", maxPricePerTh: "", maxPricePerWatt: "" };
+
+export const matchesMetricFilters = (profit, filters) => {
+  const within = (value, bound, isMax) => {
+    if (bound === "" || bound === null || bound === undefined) return true;
+    if (value === null || value === undefined) return false;
+    return isMax ? value <= parseFloat(bound) : value >= parseFloat(bound);
+  };
+  return within(profit.paybackDays, filters.maxPaybackDays, true)
+    && within(profit.roi12, filters.minRoi12, false)
+    && within(profit.roi24, filters.minRoi24, false)
+    && within(profit.breakEvenElectricity, filters.minBreakEvenElectricity, false)
+    && within(profit.pricePerTh, filters.maxPricePerTh, true)
+    && within(profit.pricePerWatt, filters.maxPricePerWatt, true);
+};
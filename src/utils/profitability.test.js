@@ -0,0 +1,57 @@
+import { btcPerThPerDay, calculateMinerProfitability, matchesMetricFilters, networkHashrateFromSettings } from "./profitability";
+
+// 1 EH/s network, 1 BTC per block, no pool fee, $100k BTC: one TH/s earns 1.44e-4 BTC ($14.40) a day
+const settings = {
+  btcPrice: 100000,
+  networkInput: "hashrate",
+  networkHashrate: 1,
+  difficulty: 0,
+  blockSubsidy: 1,
+  feesPerBlock: 0,
+  poolFeePercent: 0,
+  electricityCost: 0.1,
+};
+
+describe("network inputs", () => {
+  test("hashrate is entered in EH/s, difficulty is converted", () => {
+    expect(networkHashrateFromSettings(settings)).toBe(1e18);
+    expect(networkHashrateFromSettings({ networkInput: "difficulty", difficulty: 600 })).toBe(2 ** 32);
+  });
+
+  test("BTC per TH per day includes fees and pool fee", () => {
+    expect(btcPerThPerDay(settings)).toBeCloseTo(1.44e-4, 12);
+    expect(btcPerThPerDay({ ...settings, feesPerBlock: 1, poolFeePercent: 50 })).toBeCloseTo(1.44e-4, 12);
+    expect(btcPerThPerDay({ ...settings, networkHashrate: 0 })).toBe(0);
+  });
+});
+
+describe("calculateMinerProfitability", () => {
+  test("computes daily figures, returns and capital cost", () => {
+    const result = calculateMinerProfitability({ hashrate: 100, powerConsumption: 1000, price: 14376 }, settings);
+    expect(result.grossRevenue).toBeCloseTo(1440);
+    expect(result.powerCost).toBeCloseTo(2.4);
+    expect(result.netProfit).toBeCloseTo(1437.6);
+    expect(result.paybackDays).toBeCloseTo(10);
+    expect(result.roi12).toBeCloseTo(((1437.6 * 365 - 14376) / 14376) * 100);
+    expect(result.roi24).toBeCloseTo(((1437.6 * 730 - 14376) / 14376) * 100);
+    expect(result.breakEvenElectricity).toBeCloseTo(60);
+    expect(result.pricePerTh).toBeCloseTo(143.76);
+    expect(result.pricePerWatt).toBeCloseTo(14.376);
+  });
+
+  test("leaves figures null when inputs are missing or the miner never pays back", () => {
+    const noPower = calculateMinerProfitability({ hashrate: 100, powerConsumption: 0, price: 1000 }, settings);
+    expect(noPower).toMatchObject({ powerCost: null, netProfit: null, paybackDays: null, roi12: null, breakEvenElectricity: null });
+    const losing = calculateMinerProfitability({ hashrate: 1, powerConsumption: 1000, price: 1000 }, { ...settings, electricityCost: 1 });
+    expect(losing.netProfit).toBeLessThan(0);
+    expect(losing.paybackDays).toBeNull();
+  });
+});
+
+test("matchesMetricFilters treats blank bounds as no filter and missing values as failing", () => {
+  const profit = { paybackDays: 100, roi12: 20, roi24: 80, breakEvenElectricity: 0.1, pricePerTh: 15, pricePerWatt: 1 };
+  expect(matchesMetricFilters(profit, { maxPaybackDays: "", minRoi12: "" })).toBe(true);
+  expect(matchesMetricFilters(profit, { maxPaybackDays: "120", maxPricePerTh: "15" })).toBe(true);
+  expect(matchesMetricFilters(profit, { minRoi12: "25" })).toBe(false);
+  expect(matchesMetricFilters({ ...profit, paybackDays: null }, { maxPaybackDays: "120" })).toBe(false);
+});
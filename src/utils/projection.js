@@ -0,0 +1,81 @@
+// Multi-month cash-flow projection with difficulty growth, halvings and a BTC price path
+import { calculateMinerProfitability, networkHashrateFromSettings } from "./profitability";
+
+const DAYS_PER_MONTH = 365.25 / 12;
+export const PROJECTION_MONTH_OPTIONS = [12, 18, 24, 36, 48];
+export const SERIES_COLORS = ["#38BDF8", "#34D399", "#FBBF24", "#F472B6", "#A78BFA", "#FB923C", "#F87171", "#2DD4BF"];
+export const DEFAULT_PROJECTION_SETTINGS = {
+  months: 24,
+  difficultyGrowthPercent: 3, // network hashrate growth per month
+  halvingDates: "2028-04-15, 2032-04-15",
+  pricePath: "flat", // 'flat' | 'linear' | 'custom'
+  endBtcPrice: 150000, // target for the linear path
+  customPrices: "", // comma-separated BTC price per month; the last value carries forward
+  electricityCost: 0.07, // USD per kWh
+};
+
+const parseDateList = (text) => (text || "")
+  .split(/[,;\s]+/)
+  .map(value => new Date(value))
+  .filter(date => !isNaN(date));
+
+const btcPriceForMonth = (projection, startPrice, monthIndex) => {
+  if (projection.pricePath === "linear") {
+    const progress = projection.months > 1 ? monthIndex / (projection.months - 1) : 1;
+    return startPrice + (projection.endBtcPrice - startPrice) * progress;
+  }
+  if (projection.pricePath === "custom") {
+    const prices = (projection.customPrices || "").split(/[,;\s]+/).map(parseFloat).filter(price => price > 0);
+    if (prices.length > 0) return prices[Math.min(monthIndex, prices.length - 1)];
+  }
+  return startPrice;
+};
+
+// Simulates month-by-month cash flow for one miner bought at purchasePrice.
+// Returns { months: [{ month, date, btcPrice, blockSubsidy, revenue, powerCost, net, cumulative }], paybackMonth, unprofitableMonth }
+// where the month fields are 1-based and null when the event does not happen within the horizon.
+export const projectMinerCashFlow = (miner, purchasePrice, modelSettings, projection, startDate = new Date()) => {
+  const baseNetworkHashrate = networkHashrateFromSettings(modelSettings);
+  const halvings = parseDateList(projection.halvingDates).filter(date => date > startDate);
+  const months = [];
+  let cumulative = -(purchasePrice || 0);
+  let paybackMonth = null;
+  let unprofitableMonth = null;
+
+  for (let monthIndex = 0; monthIndex < projection.months; monthIndex++) {
+    const monthDate = new Date(startDate.getFullYear(), startDate.getMonth() + monthIndex, 1);
+    const halvingsPassed = halvings.filter(date => date <= monthDate).length;
+    const monthSettings = {
+      ...modelSettings,
+      networkInput: "hashrate",
+      networkHashrate: (baseNetworkHashrate / 1e18) * Math.pow(1 + (projection.difficultyGrowthPercent || 0) / 100, monthIndex),
+      blockSubsidy: modelSettings.blockSubsidy / Math.pow(2, halvingsPassed),
+      btcPrice: btcPriceForMonth(projection, modelSettings.btcPrice, monthIndex),
+      electricityCost: projection.electricityCost,
+    };
+    const daily = calculateMinerProfitability(miner, monthSettings);
+    const revenue = (daily.grossRevenue || 0) * DAYS_PER_MONTH;
+    const powerCost = (daily.powerCost || 0) * DAYS_PER_MONTH;
+    const net = revenue - powerCost;
+    cumulative += net;
+    if (paybackMonth === null && cumulative >= 0) paybackMonth = monthIndex + 1;
+    if (unprofitableMonth === null && net < 0) unprofitableMonth = monthIndex + 1;
+    months.push({
+      month: monthIndex + 1,
+      date: `${monthDate.getFullYear()}-${String(monthDate.getMonth() + 1).padStart(2, "0")}-01`,
+      btcPrice: monthSettings.btcPrice,
+      blockSubsidy: monthSettings.blockSubsidy,
+      revenue,
+      powerCost,
+      net,
+      cumulative,
+    });
+  }
+  return { months, paybackMonth, unprofitableMonth };
+};
+
+// Most recent recorded price for a miner, falling back to its current listing price
+export const latestHistoryPrice = (history, fallbackPrice) => {
+  const lastDaily = history?.daily?.[history.daily.length - 1];
+  return lastDaily?.price > 0 ? lastDaily.price : fallbackPrice;
+};
@@ -0,0 +1,52 @@
+import { latestHistoryPrice, projectMinerCashFlow } from "./projection";
+
+const modelSettings = {
+  btcPrice: 100000,
+  networkInput: "hashrate",
+  networkHashrate: 1,
+  blockSubsidy: 1,
+  feesPerBlock: 0,
+  poolFeePercent: 0,
+  electricityCost: 0,
+};
+// 100 TH/s earns $1440 a day at these settings; 1000 W at this rate costs $1000 a day
+const miner = { hashrate: 100, powerConsumption: 1000 };
+const projection = { months: 6, difficultyGrowthPercent: 0, halvingDates: "", pricePath: "flat", endBtcPrice: 0, customPrices: "", electricityCost: 1000 / 24 };
+const startDate = new Date(2025, 0, 15);
+const DAYS_PER_MONTH = 365.25 / 12;
+
+describe("projectMinerCashFlow", () => {
+  test("flat inputs give the same net every month and a payback month", () => {
+    const result = projectMinerCashFlow(miner, 20000, modelSettings, projection, startDate);
+    expect(result.months).toHaveLength(6);
+    expect(result.months[0].date).toBe("2025-01-01");
+    result.months.forEach(month => expect(month.net).toBeCloseTo(440 * DAYS_PER_MONTH));
+    expect(result.months[5].cumulative).toBeCloseTo(-20000 + 6 * 440 * DAYS_PER_MONTH);
+    expect(result.paybackMonth).toBe(2);
+    expect(result.unprofitableMonth).toBeNull();
+  });
+
+  test("a halving inside the horizon halves the subsidy and can make the miner unprofitable", () => {
+    const result = projectMinerCashFlow(miner, 0, modelSettings, { ...projection, halvingDates: "2024-04-20, 2025-03-15" }, startDate);
+    expect(result.months.map(month => month.blockSubsidy)).toEqual([1, 1, 1, 0.5, 0.5, 0.5]);
+    expect(result.months[3].net).toBeCloseTo(-280 * DAYS_PER_MONTH);
+    expect(result.unprofitableMonth).toBe(4);
+  });
+
+  test("difficulty growth compounds monthly", () => {
+    const result = projectMinerCashFlow(miner, 0, modelSettings, { ...projection, difficultyGrowthPercent: 100 }, startDate);
+    expect(result.months[2].revenue).toBeCloseTo(result.months[0].revenue / 4);
+  });
+
+  test("BTC price follows the linear or custom path", () => {
+    const linear = projectMinerCashFlow(miner, 0, modelSettings, { ...projection, months: 3, pricePath: "linear", endBtcPrice: 200000 }, startDate);
+    expect(linear.months.map(month => month.btcPrice)).toEqual([100000, 150000, 200000]);
+    const custom = projectMinerCashFlow(miner, 0, modelSettings, { ...projection, months: 3, pricePath: "custom", customPrices: "90000, 80000" }, startDate);
+    expect(custom.months.map(month => month.btcPrice)).toEqual([90000, 80000, 80000]);
+  });
+});
+
+test("latestHistoryPrice prefers the newest daily price", () => {
+  expect(latestHistoryPrice({ daily: [{ price: 10 }, { price: 12 }] }, 5)).toBe(12);
+  expect(latestHistoryPrice(undefined, 5)).toBe(5);
+});
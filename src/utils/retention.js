@@ -0,0 +1,162 @@
+// Retention policy for price history and upload rollback data, with a dry-run measure of what it frees
+import { buildDailyEntries, normalizeSourceName } from "./priceHistory";
+
+export const RETENTION_AGGREGATE_INTERVALS = [
+  { value: "off", label: "Off (keep daily)" },
+  { value: "weekly", label: "Weekly" },
+  { value: "monthly", label: "Monthly" },
+];
+export const DEFAULT_RETENTION_POLICY = {
+  intradayDays: 30, // Raw points newer than this are all kept; older days keep only their latest point per source
+  aggregateInterval: "off",
+  aggregateAfterDays: 180, // Days older than this are rolled into one OHLC/avg point per period and source
+  snapshotCount: 10, // Most recent uploads that keep legacy full snapshots
+  trimChanges: false, // Also drop the change records of uploads older than the aggregation boundary (they can no longer be rolled back)
+};
+
+const retentionCutoff = (days, now) => {
+  const cutoff = new Date(now);
+  cutoff.setDate(cutoff.getDate() - Math.max(0, Number(days) || 0));
+  return cutoff.toISOString().split("T")[0];
+};
+
+// [start, end] ISO dates of the week (Monday first) or month containing `date`
+const retentionPeriod = (date, interval) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  if (interval === "monthly") {
+    const end = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0));
+    return [`${date.slice(0, 7)}-01`, end.toISOString().split("T")[0]];
+  }
+  const start = new Date(day);
+  start.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  const end = new Date(start);
+  end.setUTCDate(start.getUTCDate() + 6);
+  return [start.toISOString().split("T")[0], end.toISOString().split("T")[0]];
+};
+
+const byDateThenTimestamp = (a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : new Date(a.timestamp) - new Date(b.timestamp));
+
+// Older days keep only their latest point per source (aggregates are left alone)
+const trimIntradayEntries = (intraday, cutoff) => {
+  const latestByDay = new Map();
+  intraday.forEach(entry => {
+    if (entry.aggregate || !(entry.date < cutoff)) return;
+    const key = `${entry.date}|${normalizeSourceName(entry.source)}`;
+    const existing = latestByDay.get(key);
+    if (!existing || new Date(entry.timestamp) >= new Date(existing.timestamp)) latestByDay.set(key, entry);
+  });
+  const kept = new Set(latestByDay.values());
+  return intraday.filter(entry => entry.aggregate || !(entry.date < cutoff) || kept.has(entry));
+};
+
+// One point per period: the period's last entry, carrying open/high/low/close/avg over everything it replaces.
+// Earlier aggregates are folded in by their own counts, so re-applying a policy is stable. The point gets its own
+// uploadId, since it holds prices from several uploads and must survive rolling back any one of them.
+const aggregateRetentionGroup = (entries, interval) => {
+  const sorted = [...entries].sort(byDateThenTimestamp);
+  const last = sorted[sorted.length - 1];
+  const [start, end] = retentionPeriod(last.date, interval);
+  if (sorted.length === 1 && last.aggregate?.period === interval && last.aggregate.start === start) return last;
+  const parts = sorted.map(entry => entry.aggregate || { open: entry.price, high: entry.price, low: entry.price, close: entry.price, avg: entry.price, count: 1 });
+  const count = parts.reduce((sum, part) => sum + part.count, 0);
+  return {
+    ...last,
+    uploadId: `aggregate_${interval}_${start}_${normalizeSourceName(last.source)}`,
+    aggregate: {
+      period: interval,
+      start,
+      end,
+      open: parts[0].open,
+      high: Math.max(...parts.map(part => part.high)),
+      low: Math.min(...parts.map(part => part.low)),
+      close: parts[parts.length - 1].close,
+      avg: parseFloat((parts.reduce((sum, part) => sum + part.avg * part.count, 0) / count).toFixed(2)),
+      count,
+    },
+  };
+};
+
+const aggregateIntradayEntries = (intraday, cutoff, interval) => {
+  const groups = new Map();
+  const recent = [];
+  intraday.forEach(entry => {
+    if (!(entry.date < cutoff)) {
+      recent.push(entry);
+      return;
+    }
+    const key = `${retentionPeriod(entry.date, interval)[0]}|${normalizeSourceName(entry.source)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+  const aggregated = Array.from(groups.values()).map(group => aggregateRetentionGroup(group, interval));
+  return [...aggregated, ...recent].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+// Applies `transform` to each miner's intraday list; untouched miners keep their object so saves stay per miner
+const mapHistoryIntraday = (priceHistory, transform) => {
+  const next = {};
+  Object.entries(priceHistory).forEach(([minerName, historyData]) => {
+    if (!historyData || !Array.isArray(historyData.intraday)) {
+      next[minerName] = historyData; // Preserve if not in expected format
+      return;
+    }
+    const intraday = transform(historyData.intraday);
+    const unchanged = intraday.length === historyData.intraday.length && intraday.every((entry, i) => entry === historyData.intraday[i]);
+    next[minerName] = unchanged ? historyData : { ...historyData, intraday, daily: buildDailyEntries(intraday) };
+  });
+  return next;
+};
+
+const countHistoryEntries = (priceHistory) => Object.values(priceHistory)
+  .reduce((sum, historyData) => sum + (historyData?.intraday?.length || 0) + (historyData?.daily?.length || 0), 0);
+const jsonKB = (value) => JSON.stringify(value).length / 1024; // Same measure as getStorageSize
+
+// Runs the policy stage by stage without touching state; `stats.stages` says what each setting frees (the dry run)
+export const applyRetentionPolicy = (priceHistory, uploadHistoryList, policy, now = new Date()) => {
+  const intradayCutoff = retentionCutoff(policy.intradayDays, now);
+  const trimmedHistory = mapHistoryIntraday(priceHistory, intraday => trimIntradayEntries(intraday, intradayCutoff));
+
+  // Aggregation never reaches into the raw intraday window
+  const aggregateCutoff = policy.aggregateInterval === "off"
+    ? intradayCutoff
+    : retentionCutoff(Math.max(policy.aggregateAfterDays, policy.intradayDays), now);
+  let aggregatedHistory = trimmedHistory;
+  if (policy.aggregateInterval !== "off") {
+    aggregatedHistory = mapHistoryIntraday(trimmedHistory, intraday => aggregateIntradayEntries(intraday, aggregateCutoff, policy.aggregateInterval));
+  }
+
+  const keepFrom = uploadHistoryList.length - Math.max(0, Number(policy.snapshotCount) || 0);
+  // Change records are only dropped from the oldest uploads, up to the first one with data inside the aggregation
+  // boundary, so rolling back any newer upload still walks over records that all have their changes
+  const firstRecent = uploadHistoryList.findIndex(record => !((record.date || record.timestamp?.split("T")[0] || "") < aggregateCutoff));
+  const trimChangesBefore = policy.trimChanges ? Math.min(keepFrom, firstRecent < 0 ? uploadHistoryList.length : firstRecent) : 0;
+  let trimmedRecords = 0;
+  const trimmedUploads = uploadHistoryList.map((record, idx) => {
+    const dropChanges = idx < trimChangesBefore && Boolean(record.changes);
+    if (idx >= keepFrom || !(record.snapshot || dropChanges)) return record;
+    trimmedRecords++;
+    const { snapshot, ...rest } = record;
+    if (dropChanges) {
+      delete rest.changes;
+      rest.listedNames = [...new Set(record.changes.addedEntries.map(added => added.name))]; // Still counts towards delisting
+    }
+    return rest;
+  });
+
+  const historySizes = [priceHistory, trimmedHistory, aggregatedHistory].map(jsonKB);
+  const historyCounts = [priceHistory, trimmedHistory, aggregatedHistory].map(countHistoryEntries);
+  const stages = [
+    { key: "intraday", label: "Intraday trimming", entries: historyCounts[0] - historyCounts[1], kb: historySizes[0] - historySizes[1] },
+    { key: "aggregate", label: "Aggregation", entries: historyCounts[1] - historyCounts[2], kb: historySizes[1] - historySizes[2] },
+    { key: "snapshots", label: "Upload rollback data", entries: trimmedRecords, kb: jsonKB(uploadHistoryList) - jsonKB(trimmedUploads) },
+  ];
+  return {
+    priceHistory: aggregatedHistory,
+    uploadHistory: trimmedUploads,
+    stats: {
+      stages,
+      entries: stages.reduce((sum, stage) => sum + stage.entries, 0),
+      kb: stages.reduce((sum, stage) => sum + stage.kb, 0),
+    },
+  };
+};
@@ -0,0 +1,108 @@
+import { computeListingStatus } from "./listingStatus";
+import { buildDailyEntries } from "./priceHistory";
+import { applyRetentionPolicy, DEFAULT_RETENTION_POLICY } from "./retention";
+import { applyUploadToState, rebuildStateBeforeUpload } from "./uploadDeltas";
+
+const now = new Date("2025-06-30T12:00:00.000Z");
+const isoDay = (offset) => new Date(Date.UTC(2025, 0, 1 + offset)).toISOString().split("T")[0];
+
+// Two points a day from 2025-01-01 to 2025-06-30, alternating vendors by day
+const buildHistory = () => {
+  const intraday = [];
+  for (let day = 0; day < 181; day++) {
+    const date = isoDay(day);
+    ["06", "18"].forEach((hour, i) => intraday.push({
+      date, timestamp: `${date}T${hour}:00:00.000Z`, uploadId: `${date}_${hour}`, price: 1000 + day + i, source: day % 2 ? "Vendor B" : "Vendor A",
+    }));
+  }
+  return { "Antminer S21": { intraday, daily: buildDailyEntries(intraday) } };
+};
+
+describe("applyRetentionPolicy", () => {
+  test("keeps raw points inside the window and the latest point per day and vendor before it", () => {
+    const priceHistory = buildHistory();
+    const { priceHistory: next, stats } = applyRetentionPolicy(priceHistory, [], DEFAULT_RETENTION_POLICY, now);
+    const intraday = next["Antminer S21"].intraday;
+    const old = intraday.filter(entry => entry.date < "2025-05-31");
+    expect(old.every(entry => entry.timestamp.includes("T18:"))).toBe(true);
+    expect(intraday.filter(entry => entry.date >= "2025-05-31")).toHaveLength(2 * 31);
+    expect(next["Antminer S21"].daily).toEqual(priceHistory["Antminer S21"].daily);
+    expect(stats.stages[0]).toMatchObject({ key: "intraday", entries: 150 });
+    expect(stats.stages[0].kb).toBeGreaterThan(0);
+    expect(priceHistory["Antminer S21"].intraday).toHaveLength(362); // Dry run leaves the input alone
+  });
+
+  test("rolls older data into one OHLC point per period and vendor", () => {
+    const { priceHistory: next, stats } = applyRetentionPolicy(buildHistory(), [], { ...DEFAULT_RETENTION_POLICY, aggregateInterval: "monthly", aggregateAfterDays: 90 }, now);
+    const january = next["Antminer S21"].intraday.filter(entry => entry.aggregate?.start === "2025-01-01");
+    expect(january.map(entry => entry.source).sort()).toEqual(["Vendor A", "Vendor B"]);
+    const vendorA = january.find(entry => entry.source === "Vendor A");
+    // Vendor A has the even days of January: 1st, 3rd, ..., 31st; one point each survives trimming
+    expect(vendorA.aggregate).toEqual({ period: "monthly", start: "2025-01-01", end: "2025-01-31", open: 1001, high: 1031, low: 1001, close: 1031, avg: 1016, count: 16 });
+    expect(vendorA.date).toBe("2025-01-31");
+    expect(stats.stages[1].entries).toBeGreaterThan(0);
+  });
+
+  test("weekly periods start on Monday", () => {
+    const { priceHistory: next } = applyRetentionPolicy(buildHistory(), [], { ...DEFAULT_RETENTION_POLICY, aggregateInterval: "weekly", aggregateAfterDays: 90 }, now);
+    const firstWeek = next["Antminer S21"].intraday.filter(entry => entry.aggregate?.start === "2024-12-30");
+    expect(firstWeek.map(entry => entry.aggregate.end)).toEqual(["2025-01-05", "2025-01-05"]);
+  });
+
+  test("applying the same policy twice frees nothing the second time", () => {
+    const policy = { ...DEFAULT_RETENTION_POLICY, aggregateInterval: "weekly", aggregateAfterDays: 60 };
+    const once = applyRetentionPolicy(buildHistory(), [], policy, now);
+    const twice = applyRetentionPolicy(once.priceHistory, once.uploadHistory, policy, now);
+    expect(twice.stats.entries).toBe(0);
+    expect(twice.priceHistory["Antminer S21"]).toBe(once.priceHistory["Antminer S21"]);
+  });
+
+  test("keeps legacy snapshots only for the latest uploads", () => {
+    const uploads = [{ id: "1", snapshot: { miners: [] } }, { id: "2", snapshot: { miners: [] } }, { id: "3", changes: {} }];
+    const { uploadHistory, stats } = applyRetentionPolicy({}, uploads, { ...DEFAULT_RETENTION_POLICY, snapshotCount: 2 }, now);
+    expect(uploadHistory.map(record => Boolean(record.snapshot))).toEqual([false, true, false]);
+    expect(uploadHistory[2]).toBe(uploads[2]);
+    expect(stats.stages[2].entries).toBe(1);
+  });
+});
+
+describe("retention with upload records", () => {
+  const row = (name, price, date) => ({
+    name, price, date, hashrate: 100, powerConsumption: 3000, efficiency: 30, dailyEarnings: 5, algorithm: "SHA-256",
+    uploadTimestamp: `${date}T12:00:00.000Z`, uploadId: `${name}_${date}`,
+  });
+  // Uploads on each date, with A in every file and B only in the first
+  const runUploads = (dates) => dates.reduce(({ state, history }, date, idx) => {
+    const rows = idx === 0 ? [row("A", 100 + idx, date), row("B", 500, date)] : [row("A", 100 + idx, date)];
+    const result = applyUploadToState(state, rows, { fileName: `${date}.csv`, strategy: "merge", date, source: "Vendor" });
+    return { state: result.state, history: [...history, result.record] };
+  }, { state: { miners: [], priceHistory: {}, knownMiners: new Set(), minerSpecs: {}, maxPrices: {}, previousPrices: {} }, history: [] });
+  const dates = ["2025-01-05", "2025-01-15", "2025-01-25", "2025-06-20"];
+  const policy = { ...DEFAULT_RETENTION_POLICY, aggregateInterval: "monthly", aggregateAfterDays: 90 };
+
+  test("rolling back an aggregated upload keeps the aggregate of the other uploads", () => {
+    const { state, history } = runUploads(dates);
+    const cleaned = applyRetentionPolicy(state.priceHistory, history, policy, now);
+    const january = cleaned.priceHistory.A.intraday.find(entry => entry.aggregate);
+    expect(january.aggregate).toMatchObject({ open: 100, close: 102, count: 3 });
+    expect(history.some(record => record.changes.addedEntries.some(added => added.entry.uploadId === january.uploadId))).toBe(false);
+
+    const restored = rebuildStateBeforeUpload(history, 2, { ...state, priceHistory: cleaned.priceHistory });
+    expect(restored.priceHistory.A.intraday).toEqual([january]);
+    expect(restored.priceHistory.B).toEqual(cleaned.priceHistory.B);
+  });
+
+  test("change records are trimmed only before the aggregation boundary and keep their listed names", () => {
+    const { state, history } = runUploads(dates);
+    const cleaned = applyRetentionPolicy(state.priceHistory, history, { ...policy, snapshotCount: 1, trimChanges: true }, now);
+    expect(cleaned.uploadHistory.map(record => Boolean(record.changes))).toEqual([false, false, false, true]);
+    expect(cleaned.uploadHistory[0].listedNames).toEqual(["A", "B"]);
+    expect(cleaned.stats.stages[2].entries).toBe(3);
+    expect(computeListingStatus(cleaned.uploadHistory, cleaned.priceHistory, 2)).toEqual(computeListingStatus(history, cleaned.priceHistory, 2));
+
+    const recentFirst = runUploads(["2025-06-01", "2025-01-15", "2025-06-20"]);
+    const kept = applyRetentionPolicy(recentFirst.state.priceHistory, recentFirst.history, { ...policy, snapshotCount: 0, trimChanges: true }, now);
+    expect(kept.uploadHistory.every(record => record.changes)).toBe(true); // The backfill sits after a recent upload
+  });
+});
+
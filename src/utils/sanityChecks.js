@@ -0,0 +1,89 @@
+// Configurable sanity checks that flag implausible rows in an upload preview
+import { quantile } from "./marketIndex";
+import { btcPerThPerDay } from "./profitability";
+import { latestHistoryPrice } from "./projection";
+import { parseListingName } from "./specMatching";
+
+export const SANITY_SEVERITIES = ["off", "warning", "error"]; // Errors block the upload until the row is deselected
+const SANITY_MIN_EARNINGS_PEERS = 3; // Rows with earnings needed before the file's own median is trusted
+export const SANITY_CHECKS = [
+  {
+    key: "priceOutlier", label: "Price outlier", thresholdLabel: "× off last price", defaultThreshold: 10, defaultSeverity: "warning",
+    description: "The price is this many times higher or lower than the miner's latest price in history, which usually means a missing or extra digit.",
+  },
+  {
+    key: "hashrateMismatch", label: "Hashrate vs spec", thresholdLabel: "% difference", defaultThreshold: 15, defaultSeverity: "warning",
+    description: "The hashrate differs from the TH/s in the listing name, the last recorded hashrate, or the catalog spec for the model.",
+  },
+  {
+    key: "lowEfficiency", label: "Implausible efficiency", thresholdLabel: "J/TH minimum", defaultThreshold: 5, defaultSeverity: "error",
+    description: "No shipping hardware is this efficient; power is probably in kW or the hashrate in GH/s.",
+  },
+  {
+    key: "earningsMismatch", label: "Earnings vs hashrate", thresholdLabel: "× off expected", defaultThreshold: 3, defaultSeverity: "warning",
+    description: "Daily earnings per TH are this many times off the file's median, or the profitability model when the file has too few rows with earnings.",
+  },
+];
+export const DEFAULT_SANITY_SETTINGS = Object.fromEntries(
+  SANITY_CHECKS.map(check => [check.key, { severity: check.defaultSeverity, threshold: check.defaultThreshold }])
+);
+
+const ratioApart = (a, b) => Math.max(a, b) / Math.min(a, b);
+const percentApart = (value, reference) => Math.abs(value - reference) / reference * 100;
+
+// Reference hashrate for a listing: the TH/s in its name, else the last recorded value, else the nearest catalog variant of the model
+const referenceHashrate = (entry, history, catalogIndex) => {
+  const fromName = parseListingName(entry.listedName || entry.name).hashrate;
+  if (fromName > 0) return { value: fromName, basis: "the listing name" };
+  const intraday = history?.intraday || [];
+  const lastRecorded = intraday[intraday.length - 1]?.hashrate;
+  if (lastRecorded > 0) return { value: lastRecorded, basis: "the last recorded hashrate" };
+  const listing = parseListingName(entry.name);
+  const variants = catalogIndex.parsed
+    .filter(({ listing: candidate }) => listing.model && candidate.model === listing.model && candidate.hashrate > 0 && (!listing.brand || !candidate.brand || listing.brand === candidate.brand))
+    .map(({ entry: spec }) => spec);
+  if (variants.length === 0) return null;
+  const nearest = variants.reduce((best, spec) => (Math.abs(spec.hashrate - entry.hashrate) < Math.abs(best.hashrate - entry.hashrate) ? spec : best));
+  return { value: nearest.hashrate, basis: `the catalog spec for ${nearest.model}` };
+};
+
+// Runs the enabled checks over valid upload rows: [{ uploadId, name, check, label, severity, message, explanation }]
+export const runSanityChecks = (entries, { priceHistory, catalogIndex, profitabilitySettings }, settings) => {
+  const issues = [];
+  const enabled = (key) => settings[key] && settings[key].severity !== "off" && settings[key].threshold > 0;
+  const earningsPerTh = entries.filter(e => e.dailyEarnings > 0 && e.hashrate > 0).map(e => e.dailyEarnings / e.hashrate).sort((a, b) => a - b);
+  const expectedEarningsPerTh = earningsPerTh.length >= SANITY_MIN_EARNINGS_PEERS
+    ? { value: quantile(earningsPerTh, 0.5), basis: "this file's median" }
+    : { value: btcPerThPerDay(profitabilitySettings) * profitabilitySettings.btcPrice, basis: "the profitability model" };
+
+  entries.forEach(entry => {
+    const flag = (key, message) => {
+      const check = SANITY_CHECKS.find(c => c.key === key);
+      issues.push({ uploadId: entry.uploadId, name: entry.name, check: key, label: check.label, severity: settings[key].severity, message, explanation: check.description });
+    };
+    const history = priceHistory[entry.name];
+
+    const lastPrice = latestHistoryPrice(history, null);
+    if (enabled("priceOutlier") && lastPrice > 0 && ratioApart(entry.price, lastPrice) >= settings.priceOutlier.threshold) {
+      flag("priceOutlier", `${entry.name}: price $${entry.price.toFixed(2)} is ${ratioApart(entry.price, lastPrice).toFixed(1)}× ${entry.price > lastPrice ? "above" : "below"} the last recorded $${lastPrice.toFixed(2)}.`);
+    }
+
+    const reference = enabled("hashrateMismatch") ? referenceHashrate(entry, history, catalogIndex) : null;
+    if (reference && percentApart(entry.hashrate, reference.value) > settings.hashrateMismatch.threshold) {
+      flag("hashrateMismatch", `${entry.name}: hashrate ${entry.hashrate} TH/s vs ${reference.value} TH/s from ${reference.basis} (${percentApart(entry.hashrate, reference.value).toFixed(0)}% apart).`);
+    }
+
+    const efficiency = entry.efficiency > 0 ? entry.efficiency : (entry.powerConsumption > 0 ? entry.powerConsumption / entry.hashrate : null);
+    if (enabled("lowEfficiency") && efficiency !== null && efficiency < settings.lowEfficiency.threshold) {
+      flag("lowEfficiency", `${entry.name}: efficiency ${efficiency.toFixed(2)} J/TH is below ${settings.lowEfficiency.threshold} J/TH.`);
+    }
+
+    if (enabled("earningsMismatch") && entry.dailyEarnings > 0 && expectedEarningsPerTh.value > 0) {
+      const perTh = entry.dailyEarnings / entry.hashrate;
+      if (ratioApart(perTh, expectedEarningsPerTh.value) >= settings.earningsMismatch.threshold) {
+        flag("earningsMismatch", `${entry.name}: $${perTh.toFixed(3)}/TH/day vs $${expectedEarningsPerTh.value.toFixed(3)} from ${expectedEarningsPerTh.basis}.`);
+      }
+    }
+  });
+  return issues;
+};
@@ -0,0 +1,56 @@
+import { DEFAULT_PROFITABILITY_SETTINGS } from "./profitability";
+import { DEFAULT_SANITY_SETTINGS, runSanityChecks } from "./sanityChecks";
+import { buildSpecCatalogIndex } from "./specCatalog";
+
+const catalogIndex = buildSpecCatalogIndex([
+  { id: "m60s", model: "Whatsminer M60S - 186 TH/s", hashrate: 186, power: 3441 },
+]);
+const priceHistory = {
+  "Antminer S21 - 200 TH/s": { daily: [{ price: 3000 }], intraday: [{ price: 3000, hashrate: 200 }] },
+};
+const context = { priceHistory, catalogIndex, profitabilitySettings: DEFAULT_PROFITABILITY_SETTINGS };
+const row = (overrides) => ({ uploadId: overrides.name, hashrate: 200, powerConsumption: 3500, efficiency: 17.5, price: 3100, dailyEarnings: 0, ...overrides });
+const checksFor = (issues, name) => issues.filter(issue => issue.name === name).map(issue => issue.check);
+
+describe("runSanityChecks", () => {
+  test("clean rows raise nothing", () => {
+    expect(runSanityChecks([row({ name: "Antminer S21 - 200 TH/s" })], context, DEFAULT_SANITY_SETTINGS)).toEqual([]);
+  });
+
+  test("flags a price far from the last recorded one", () => {
+    const issues = runSanityChecks([row({ name: "Antminer S21 - 200 TH/s", price: 31000 })], context, DEFAULT_SANITY_SETTINGS);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ check: "priceOutlier", severity: "warning" });
+    expect(issues[0].message).toContain("above");
+    expect(issues[0].explanation).toBeTruthy();
+  });
+
+  test("compares hashrate with the name, the last record, then the catalog", () => {
+    const issues = runSanityChecks([
+      row({ name: "Antminer S21 - 200 TH/s", hashrate: 100, efficiency: 35 }),
+      row({ name: "Whatsminer M60S", hashrate: 120, efficiency: 28 }),
+      row({ name: "Unknown Miner", hashrate: 120, efficiency: 28 }),
+    ], context, DEFAULT_SANITY_SETTINGS);
+    expect(checksFor(issues, "Antminer S21 - 200 TH/s")).toEqual(["hashrateMismatch"]);
+    expect(issues.find(issue => issue.name === "Whatsminer M60S").message).toContain("catalog spec");
+    expect(checksFor(issues, "Unknown Miner")).toEqual([]);
+  });
+
+  test("implausible efficiency is an error by default", () => {
+    const [issue] = runSanityChecks([row({ name: "Miner X", efficiency: 0, powerConsumption: 350, hashrate: 200 })], context, DEFAULT_SANITY_SETTINGS);
+    expect(issue).toMatchObject({ check: "lowEfficiency", severity: "error" });
+  });
+
+  test("earnings are compared with the file's median once enough rows report them", () => {
+    const rows = ["A", "B", "C"].map(name => row({ name, dailyEarnings: 10 })).concat(row({ name: "D", dailyEarnings: 100 }));
+    const issues = runSanityChecks(rows, context, DEFAULT_SANITY_SETTINGS);
+    expect(issues.map(issue => [issue.name, issue.check])).toEqual([["D", "earningsMismatch"]]);
+    expect(issues[0].message).toContain("this file's median");
+  });
+
+  test("checks can be switched off or re-graded", () => {
+    const settings = { ...DEFAULT_SANITY_SETTINGS, priceOutlier: { severity: "off", threshold: 10 }, lowEfficiency: { severity: "warning", threshold: 20 } };
+    const issues = runSanityChecks([row({ name: "Antminer S21 - 200 TH/s", price: 31000 })], context, settings);
+    expect(issues.map(issue => [issue.check, issue.severity])).toEqual([["lowEfficiency", "warning"]]);
+  });
+});
@@ -0,0 +1,42 @@
+import { buildSpecCatalogIndex, DEFAULT_SPEC_CATALOG, findSpecInIndex, isCompleteSpecEntry, normalizeSpecEntry } from "./specCatalog";
+
+describe("normalizeSpecEntry", () => {
+  test("coerces imported rows and derives hashrate and cooling from the model", () => {
+    expect(normalizeSpecEntry({ name: " Antminer S21 Hyd - 335 TH/s ", watts: "5360.4", cooling: "" })).toMatchObject({
+      model: "Antminer S21 Hyd - 335 TH/s", hashrate: 335, power: 5360, coolingType: "hydro", releaseDate: "",
+    });
+  });
+
+  test("rejects rows without a model or power", () => {
+    expect(normalizeSpecEntry({ model: "", power: 3000 })).toBeNull();
+    expect(normalizeSpecEntry({ model: "Antminer S21", power: 0 })).toBeNull();
+    expect(normalizeSpecEntry("S21")).toBeNull();
+  });
+});
+
+describe("buildSpecCatalogIndex", () => {
+  const catalog = [
+    { id: "a", model: "Antminer S21 - 200 TH/s", hashrate: 200, power: 3500 },
+    { id: "blank", model: "", hashrate: null, power: 0 },
+    { id: "nopower", model: "Antminer S21 - 188 TH/s", hashrate: 188, power: 0 },
+  ];
+  const index = buildSpecCatalogIndex(catalog);
+
+  test("finds entries by exact, spacing-normalized and canonical name", () => {
+    expect(findSpecInIndex(index, "Antminer S21 - 200 TH/s").id).toBe("a");
+    expect(findSpecInIndex(index, "Antminer  S21 -  200 TH/s").id).toBe("a");
+    expect(findSpecInIndex(index, "ANTMINER S21 - 200 TH/S").id).toBe("a");
+    expect(findSpecInIndex(index, "")).toBeNull();
+  });
+
+  test("leaves incomplete editor rows out of every lookup", () => {
+    expect(catalog.map(isCompleteSpecEntry)).toEqual([true, false, false]);
+    expect(findSpecInIndex(index, "Antminer S21 - 188 TH/s")).toBeNull();
+    expect(index.parsed.map(({ entry }) => entry.id)).toEqual(["a"]);
+    expect(index.byId.has("nopower")).toBe(false);
+  });
+
+  test("the built-in seed is complete", () => {
+    expect(DEFAULT_SPEC_CATALOG.every(isCompleteSpecEntry)).toBe(true);
+  });
+});
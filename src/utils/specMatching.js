@@ -0,0 +1,81 @@
+// Fuzzy matching of listing names against the spec catalog
+
+export const SPEC_MATCH_AUTO_CONFIDENCE = 0.9; // At or above: applied without review
+export const SPEC_MATCH_REVIEW_CONFIDENCE = 0.5; // At or above (but below auto): queued for review
+const MINER_BRANDS = ["antminer", "whatsminer", "avalon", "sealminer", "bitaxe", "luckyminer", "nerdminer", "nerdqaxe"];
+
+// Splits a listing name into brand, compact model token and hashrate (TH/s),
+// e.g. "BITMAIN ANTMINER S19jpro - 110 TH/s" -> { brand: "antminer", model: "s19jpro", hashrate: 110 }
+export const parseListingName = (name) => {
+  const text = String(name ?? "").normalize("NFKC").toLowerCase();
+  const hashrateMatch = text.match(/(\d+(?:\.\d+)?)\s*(th|gh)\/?s/);
+  let hashrate = hashrateMatch ? parseFloat(hashrateMatch[1]) : null;
+  if (hashrateMatch && hashrateMatch[2] === "gh") hashrate /= 1000;
+  const modelPart = text.includes(" - ") ? text.split(" - ")[0] : text.replace(/(\d+(?:\.\d+)?)\s*(th|gh)\/?s.*$/, "");
+  let model = modelPart
+    .replace(/\(\s*mix\s*\)/g, "")
+    .replace(/hydro\b/g, "hyd")
+    .replace(/[^a-z0-9+]/g, "")
+    .replace(/^(bitmain|bitdeer)/, "");
+  const brand = MINER_BRANDS.find(b => model.includes(b)) || null;
+  if (brand) model = model.replace(brand, "");
+  return { brand, model, hashrate };
+};
+
+// Sørensen–Dice similarity on character bigrams (0..1)
+const diceCoefficient = (a, b) => {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.substring(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.substring(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap++;
+    }
+  }
+  return (2 * overlap) / (a.length + b.length - 2);
+};
+
+const modelSeriesNumber = (model) => (model.match(/\d+/) || [""])[0];
+
+// Confidence (0..1) that `listing` is the catalog model `candidate`. Only an identical model token can reach the auto threshold.
+const scoreSpecMatch = (listing, candidate) => {
+  if (!listing.model || !candidate.model) return 0;
+  if (listing.brand && candidate.brand && listing.brand !== candidate.brand) return 0;
+  let modelScore = listing.model === candidate.model ? 1 : Math.min(0.8, diceCoefficient(listing.model, candidate.model));
+  if (modelSeriesNumber(listing.model) !== modelSeriesNumber(candidate.model)) modelScore *= 0.4; // S19 vs S21 are different generations
+  let hashrateScore;
+  if (listing.hashrate && candidate.hashrate) {
+    const relativeDiff = Math.abs(listing.hashrate - candidate.hashrate) / Math.max(listing.hashrate, candidate.hashrate);
+    hashrateScore = Math.max(0, 1 - relativeDiff * 5); // 10% apart -> 0.5, 20% apart -> 0
+  } else {
+    hashrateScore = !listing.hashrate && !candidate.hashrate ? 1 : 0.5;
+  }
+  return modelScore * 0.75 + hashrateScore * 0.25;
+};
+
+// Catalog power scaled to the listing's hashrate (same J/TH) when both hashrates are known
+export const estimateSpecPower = (entry, catalogHashrate, listingHashrate) => (
+  catalogHashrate > 0 && listingHashrate > 0 ? Math.round((entry.power / catalogHashrate) * listingHashrate) : entry.power
+);
+
+// Candidate catalog entries for a listing, best first
+export const rankSpecCandidates = (index, name, hashrate, excludedSpecIds = []) => {
+  const listing = parseListingName(name);
+  if (hashrate > 0) listing.hashrate = hashrate;
+  return index.parsed
+    .filter(({ entry }) => !excludedSpecIds.includes(entry.id))
+    .map(({ entry, listing: candidate }) => {
+      const confidence = scoreSpecMatch(listing, candidate);
+      return { entry, power: estimateSpecPower(entry, candidate.hashrate, listing.hashrate), confidence };
+    })
+    .filter(c => c.confidence >= SPEC_MATCH_REVIEW_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence);
+};
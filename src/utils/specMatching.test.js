@@ -0,0 +1,50 @@
+import { buildSpecCatalogIndex } from "./specCatalog";
+import { estimateSpecPower, parseListingName, rankSpecCandidates, SPEC_MATCH_AUTO_CONFIDENCE } from "./specMatching";
+
+const catalogIndex = buildSpecCatalogIndex([
+  { id: "s21", model: "Antminer S21 - 200 TH/s", hashrate: 200, power: 3500 },
+  { id: "s19xp", model: "Antminer S19 XP - 141 TH/s", hashrate: 141, power: 3010 },
+  { id: "m60s", model: "Whatsminer M60S - 186 TH/s", hashrate: 186, power: 3441 },
+]);
+
+describe("parseListingName", () => {
+  test("splits brand, model token and hashrate", () => {
+    expect(parseListingName("BITMAIN ANTMINER S19jpro - 110 TH/s")).toEqual({ brand: "antminer", model: "s19jpro", hashrate: 110 });
+  });
+
+  test("normalizes Hydro, (Mix) and GH/s", () => {
+    expect(parseListingName("Whatsminer M50S+ Hydro - 138 TH/s")).toEqual({ brand: "whatsminer", model: "m50s+hyd", hashrate: 138 });
+    expect(parseListingName("Antminer S19XP Hyd（Mix） - 255 TH/s").model).toBe("s19xphyd");
+    expect(parseListingName("Bitaxe Gamma 1200 GH/s").hashrate).toBe(1.2);
+  });
+});
+
+describe("rankSpecCandidates", () => {
+  test("an exact model and hashrate is fully confident", () => {
+    const [best] = rankSpecCandidates(catalogIndex, "BITMAIN ANTMINER S21 - 200 TH/s", 200);
+    expect(best.entry.id).toBe("s21");
+    expect(best.confidence).toBe(1);
+    expect(best.power).toBe(3500);
+  });
+
+  test("another hashrate bin of the same model is matched with scaled power", () => {
+    const [best] = rankSpecCandidates(catalogIndex, "Antminer S21 - 190 TH/s", 190);
+    expect(best.entry.id).toBe("s21");
+    expect(best.confidence).toBeGreaterThanOrEqual(SPEC_MATCH_AUTO_CONFIDENCE);
+    expect(best.power).toBe(3325);
+  });
+
+  test("different models and other brands are not offered", () => {
+    expect(rankSpecCandidates(catalogIndex, "Antminer S21 Pro - 234 TH/s", 234)).toEqual([]);
+    expect(rankSpecCandidates(catalogIndex, "Avalon M60S - 186 TH/s", 186)).toEqual([]);
+  });
+
+  test("rejected catalog entries are skipped", () => {
+    expect(rankSpecCandidates(catalogIndex, "Antminer S21 - 200 TH/s", 200, ["s21"])).toEqual([]);
+  });
+});
+
+test("estimateSpecPower keeps the catalog J/TH, or the catalog power when a hashrate is unknown", () => {
+  expect(estimateSpecPower({ power: 3000 }, 100, 110)).toBe(3300);
+  expect(estimateSpecPower({ power: 3000 }, null, 110)).toBe(3000);
+});
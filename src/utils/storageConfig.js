@@ -0,0 +1,29 @@
+// Storage configuration shared by the tracker and its backup files
+
+export const STORAGE_VERSION = "1.1.0"; // Incremented version for new structure
+export const STORAGE_KEYS = {
+  miners: "minerTracker_miners",
+  priceHistory: "minerTracker_priceHistory",
+  knownMiners: "minerTracker_knownMiners",
+  minerSpecs: "minerTracker_minerSpecs",
+  uploadHistory: "minerTracker_uploadHistory",
+  maxPrices: "minerTracker_maxPrices",
+  previousPrices: "minerTracker_previousPrices",
+  version: "minerTracker_version",
+  lastSaved: "minerTracker_lastSaved",
+  dataMigrationV2: "minerTracker_dataMigrationV2_TimestampAndIntraday", // Migration flag
+  indexedDbMigration: "minerTracker_indexedDbMigration", // Set once localStorage data has been copied into IndexedDB
+  columnProfiles: "minerTracker_columnProfiles", // Saved vendor column mappings for uploads
+  minerAliases: "minerTracker_minerAliases", // Alias registry: { links: { alias: canonical }, exclusions: [] }
+  specCatalog: "minerTracker_specCatalog", // User-editable hardware specs, seeded from BUILTIN_POWER_DATABASE
+  specMatchDecisions: "minerTracker_specMatchDecisions", // Remembered approvals/rejections from the spec match review queue
+  profitabilitySettings: "minerTracker_profitabilitySettings", // Network/price inputs for the profitability model
+  projectionSettings: "minerTracker_projectionSettings", // Scenario inputs for multi-month projections
+  alertRules: "minerTracker_alertRules", // Price alert rule definitions
+  alertInbox: "minerTracker_alertInbox", // Alerts raised by uploads, newest last
+  delistThreshold: "minerTracker_delistThreshold", // Missed uploads of a source before a miner counts as delisted
+  sanityCheckSettings: "minerTracker_sanityCheckSettings", // Severity and threshold per upload sanity check
+  editLog: "minerTracker_editLog", // Audit trail of inline cell edits
+  changeJournal: "minerTracker_changeJournal", // Timeline of data-mutating operations, with undo data (only the rows each changed) for the newest ones
+  retentionPolicy: "minerTracker_retentionPolicy", // How long intraday points, aggregates and rollback snapshots are kept
+};
@@ -0,0 +1,60 @@
+// Date inference for batch uploads, from the file name or a date cell in the sheet
+import { HEADER_SCAN_ROWS, normalizeHeader } from "./columnMapping";
+
+// Year-first dates such as 2025-03-14, 2025_03_14 or 20250314, as found in export filenames and sheet cells
+const YEAR_FIRST_DATE_PATTERN = /(?<!\d)(20\d{2})[-_./]?(0[1-9]|1[0-2])[-_./]?(0[1-9]|[12]\d|3[01])(?!\d)/;
+// Day-first dates such as 14-03-2025 or 14.03.2025 (separators required, to avoid clashing with the above)
+const DAY_FIRST_DATE_PATTERN = /(?:^|\D)(0[1-9]|[12]\d|3[01])[-_.](0[1-9]|1[0-2])[-_.](20\d{2})(?!\d)/;
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // 10MB limit per file
+const EXCEL_EPOCH_OFFSET_DAYS = 25569; // Days between the Excel serial epoch (1899-12-30) and 1970-01-01
+
+// Returns YYYY-MM-DD when the parts form a real calendar date
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+  return date.toISOString().split("T")[0];
+};
+
+const parseDateText = (text) => {
+  const value = String(text ?? "");
+  const yearFirst = value.match(YEAR_FIRST_DATE_PATTERN);
+  if (yearFirst) return toIsoDate(yearFirst[1], yearFirst[2], yearFirst[3]);
+  const dayFirst = value.match(DAY_FIRST_DATE_PATTERN);
+  if (dayFirst) return toIsoDate(dayFirst[3], dayFirst[2], dayFirst[1]);
+  return null;
+};
+
+// Excel stores dates as day serials; only a plausible range (1982-2119) is accepted so prices are not mistaken for dates
+const excelSerialToIsoDate = (serial) => {
+  if (typeof serial !== "number" || serial < 30000 || serial > 80000) return null;
+  return new Date(Math.round((serial - EXCEL_EPOCH_OFFSET_DAYS) * 86400000)).toISOString().split("T")[0];
+};
+
+// Looks for a date in the first rows: a date-looking text cell, or a serial number next to a "date" label
+const inferDateFromRows = (rows) => {
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_ROWS); i++) {
+    const row = rows[i];
+    if (!Array.isArray(row)) continue;
+    for (let j = 0; j < row.length; j++) {
+      const cell = row[j];
+      if (typeof cell === "string" && !cell.includes("http")) {
+        const date = parseDateText(cell);
+        if (date) return date;
+      }
+      if (/date|as of|updated/.test(normalizeHeader(cell))) {
+        const date = excelSerialToIsoDate(row[j + 1]);
+        if (date) return date;
+      }
+    }
+  }
+  return null;
+};
+
+// The filename wins over the sheet, which wins over the date picker
+export const inferUploadDate = (fileName, rows, fallbackDate) => {
+  const fromName = parseDateText(fileName.replace(/\.[^.]+$/, ""));
+  if (fromName) return { date: fromName, dateSource: "filename" };
+  const fromSheet = inferDateFromRows(rows);
+  if (fromSheet) return { date: fromSheet, dateSource: "sheet" };
+  return { date: fallbackDate, dateSource: "picker" };
+};
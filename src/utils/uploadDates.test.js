@@ -0,0 +1,25 @@
+import { inferUploadDate } from "./uploadDates";
+
+describe("inferUploadDate", () => {
+  test("reads year-first and day-first dates from the file name", () => {
+    expect(inferUploadDate("prices_2025-03-14.xlsx", [], "2025-01-01")).toEqual({ date: "2025-03-14", dateSource: "filename" });
+    expect(inferUploadDate("export20250314.csv", [], "2025-01-01").date).toBe("2025-03-14");
+    expect(inferUploadDate("vendor 14.03.2025.csv", [], "2025-01-01").date).toBe("2025-03-14");
+  });
+
+  test("ignores impossible dates and longer digit runs", () => {
+    expect(inferUploadDate("prices_20250230.csv", [], "2025-01-01").dateSource).toBe("picker");
+    expect(inferUploadDate("order_120250314.csv", [], "2025-01-01").dateSource).toBe("picker");
+  });
+
+  test("falls back to a date cell in the sheet", () => {
+    expect(inferUploadDate("prices.csv", [["Price list as of 2025-03-14"], ["Name", "Price"]], "2025-01-01"))
+      .toEqual({ date: "2025-03-14", dateSource: "sheet" });
+    expect(inferUploadDate("prices.xlsx", [["Updated", 45736]], "2025-01-01")).toEqual({ date: "2025-03-20", dateSource: "sheet" });
+  });
+
+  test("does not mistake prices or image URLs for dates", () => {
+    const rows = [["https://cdn.example.com/2025/03/14/s21.png", "Antminer S21", 45736]];
+    expect(inferUploadDate("prices.csv", rows, "2025-01-01")).toEqual({ date: "2025-01-01", dateSource: "picker" });
+  });
+});
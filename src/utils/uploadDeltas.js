@@ -0,0 +1,316 @@
+// Upload deltas: applying an upload to state, reversing it for rollback and replaying later uploads
+import { applySourceQuote, buildDailyEntries, normalizeSourceName } from "./priceHistory";
+
+// Each upload record stores only what it changed. Previous values of null mean "was absent".
+const createEmptyUploadChanges = () => ({
+  addedEntries: [], // [{ name, entry, algorithm, imageUrl }] intraday entries added to priceHistory, plus the row fields history doesn't keep
+  previousSpecs: {}, // { name: minerSpecs value before the upload }
+  previousMaxPrices: {}, // { name: maxPrices value before the upload }
+  previousPreviousPrices: {}, // { name: previousPrices value before the upload }
+  addedKnownMiners: [], // Names first seen in this upload
+  minerList: {
+    added: [], // Names added to the current miners list
+    replaced: {}, // { name: miner object before the upload }
+    removed: [], // [{ index, miner }] dropped from the list (replace strategy)
+  },
+});
+
+const restorePreviousValues = (current, previousValues) => {
+  const restored = { ...current };
+  Object.entries(previousValues || {}).forEach(([name, value]) => {
+    if (value === null || value === undefined) delete restored[name];
+    else restored[name] = value;
+  });
+  return restored;
+};
+
+// Reverses one upload's changes. `state` holds miners, priceHistory, knownMiners (Set), minerSpecs, maxPrices, previousPrices.
+const reverseUploadChanges = (state, changes) => {
+  const priceHistory = { ...state.priceHistory };
+  const removedIdsByMiner = new Map();
+  changes.addedEntries.forEach(({ name, entry }) => {
+    if (!removedIdsByMiner.has(name)) removedIdsByMiner.set(name, new Set());
+    removedIdsByMiner.get(name).add(entry.uploadId);
+  });
+  removedIdsByMiner.forEach((uploadIds, name) => {
+    const historyData = priceHistory[name];
+    if (!historyData || !Array.isArray(historyData.intraday)) return;
+    const intraday = historyData.intraday.filter(e => !uploadIds.has(e.uploadId));
+    if (intraday.length === 0) {
+      delete priceHistory[name];
+    } else {
+      priceHistory[name] = { ...historyData, intraday, daily: buildDailyEntries(intraday) };
+    }
+  });
+
+  const knownMiners = new Set(state.knownMiners);
+  changes.addedKnownMiners.forEach(name => knownMiners.delete(name));
+
+  const addedNames = new Set(changes.minerList.added);
+  const miners = state.miners
+    .map(m => changes.minerList.replaced[m.name] || m)
+    .filter(m => !addedNames.has(m.name));
+  [...changes.minerList.removed].sort((a, b) => a.index - b.index).forEach(({ index, miner }) => {
+    if (!miners.some(m => m.name === miner.name)) { // Already back if this upload was reversed before
+      miners.splice(Math.min(index, miners.length), 0, miner);
+    }
+  });
+
+  return {
+    miners,
+    priceHistory,
+    knownMiners,
+    minerSpecs: restorePreviousValues(state.minerSpecs, changes.previousSpecs),
+    maxPrices: restorePreviousValues(state.maxPrices, changes.previousMaxPrices),
+    previousPrices: restorePreviousValues(state.previousPrices, changes.previousPreviousPrices),
+  };
+};
+
+// Walks uploadHistory backwards from the newest record to `targetIndex`, reversing each upload.
+// Legacy records (before deltas) carry a full `snapshot` of the state before them, which is used as-is.
+// Records merged in from a backup never changed the local data, so they are passed over.
+export const rebuildStateBeforeUpload = (uploadHistoryList, targetIndex, currentState) => {
+  let state = currentState;
+  for (let i = uploadHistoryList.length - 1; i >= targetIndex; i--) {
+    const record = uploadHistoryList[i];
+    if (record.mergedFromBackup) continue;
+    if (record.changes) {
+      state = reverseUploadChanges(state, record.changes);
+    } else if (record.snapshot) {
+      const snap = record.snapshot;
+      state = {
+        miners: snap.miners || [],
+        priceHistory: snap.priceHistory || {},
+        knownMiners: new Set(snap.knownMiners || []),
+        minerSpecs: snap.minerSpecs || {},
+        maxPrices: snap.maxPrices || {},
+        previousPrices: snap.previousPrices || {},
+      };
+    } else {
+      throw new Error(`Upload "${record.fileName}" has no rollback data (it may have been trimmed by cleanup).`);
+    }
+  }
+  return state;
+};
+
+// Applies one parsed upload to `state` (same shape as above) without mutating it. Every entry is written to
+// priceHistory, maxPrices and knownMiners; 'merge'/'replace' also update miners, minerSpecs and previousPrices,
+// while 'append' is a history-only backfill. On 'replace', miners in `retainedNames` stay listed even though the
+// file omits them. `excludedNames` (rows deselected in the preview) are kept on the record so they don't count as
+// missed listings. Returns { state, record, uploadedEntries, processedNames, historyOnly }.
+export const applyUploadToState = (state, parsedEntries, { fileName, strategy, date, source, updatedCount = 0, retainedNames = [], excludedNames = [] }) => {
+  const sourceName = normalizeSourceName(source);
+  const uploadedEntries = parsedEntries.map(entry => ({ ...entry, source: sourceName }));
+  const historyOnly = strategy === 'append';
+  const changes = createEmptyUploadChanges();
+  const recordPrevious = (target, name, value) => {
+    if (!Object.prototype.hasOwnProperty.call(target, name)) target[name] = value === undefined ? null : value;
+  };
+  const recordPreviousPrice = (name) => recordPrevious(changes.previousPreviousPrices, name, state.previousPrices[name]);
+
+  let currentMinersList = [...state.miners];
+  const tempPriceHistory = { ...state.priceHistory }; // Only miners in this upload get new objects, so saves stay per miner
+  const clonedHistoryKeys = new Set();
+  const tempKnownMiners = new Set(state.knownMiners);
+  const tempMinerSpecs = JSON.parse(JSON.stringify(state.minerSpecs));
+  const tempMaxPrices = JSON.parse(JSON.stringify(state.maxPrices));
+  const tempPreviousPrices = JSON.parse(JSON.stringify(state.previousPrices)); // Prices before this specific update batch
+
+  let countTrulyNewMiners = 0; // New to the system overall
+  const processedNames = new Set();
+
+  uploadedEntries.forEach(entry => {
+    const key = entry.name;
+    processedNames.add(key);
+
+    if (!state.knownMiners.has(key)) { // Use pre-upload set for "truly new"
+      countTrulyNewMiners++;
+      if (!tempKnownMiners.has(key)) changes.addedKnownMiners.push(key);
+    }
+    tempKnownMiners.add(key);
+
+    // Update specs with latest data from upload (append backfills history only)
+    if (!historyOnly) {
+      recordPrevious(changes.previousSpecs, key, state.minerSpecs[key]);
+      tempMinerSpecs[key] = {
+        powerConsumption: entry.powerConsumption,
+        efficiency: entry.efficiency,
+        algorithm: entry.algorithm,
+      };
+    }
+
+    // Price history (daily/intraday)
+    if (!tempPriceHistory[key]) {
+      tempPriceHistory[key] = { daily: [], intraday: [] };
+    } else if (!clonedHistoryKeys.has(key)) {
+      tempPriceHistory[key] = { ...tempPriceHistory[key], daily: [...tempPriceHistory[key].daily], intraday: [...tempPriceHistory[key].intraday] };
+    }
+    clonedHistoryKeys.add(key);
+    const newHistEntry = {
+      date: entry.date, // Date of data point
+      timestamp: entry.uploadTimestamp, // Actual upload time
+      uploadId: entry.uploadId, // Unique ID for this specific entry
+      price: entry.price,
+      hashrate: entry.hashrate,
+      dailyEarnings: entry.dailyEarnings,
+      efficiency: entry.efficiency,
+      powerConsumption: entry.powerConsumption,
+      source: entry.source, // Vendor the price was quoted by
+    };
+    if (entry.listedName) newHistEntry.listedName = entry.listedName; // Vendor spelling, used to unlink aliases later
+    tempPriceHistory[key].intraday.push(newHistEntry);
+    const added = { name: key, entry: newHistEntry, algorithm: entry.algorithm ?? null };
+    if (entry.imageUrl) added.imageUrl = entry.imageUrl;
+    changes.addedEntries.push(added); // Enough to replay the row exactly
+    tempPriceHistory[key].intraday.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    // Update daily array (latest entry per date based on timestamp)
+    const entriesForDate = tempPriceHistory[key].intraday.filter(h => h.date === entry.date);
+    if (entriesForDate.length > 0) {
+      const latestForDate = entriesForDate.reduce((latest, current) =>
+        new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest
+      );
+      const dailyIdx = tempPriceHistory[key].daily.findIndex(d => d.date === entry.date);
+      if (dailyIdx >= 0) {
+        tempPriceHistory[key].daily[dailyIdx] = latestForDate;
+      } else {
+        tempPriceHistory[key].daily.push(latestForDate);
+      }
+      tempPriceHistory[key].daily.sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    // Update max price
+    recordPrevious(changes.previousMaxPrices, key, state.maxPrices[key]);
+    tempMaxPrices[key] = Math.max(tempMaxPrices[key] || 0, entry.price);
+  });
+
+  // Merge strategy for `miners` (current display list)
+  if (strategy === 'replace') {
+    const newSnapshotMiners = [];
+    uploadedEntries.forEach(newMiner => {
+      const oldMinerData = state.miners.find(m => m.name === newMiner.name);
+      recordPreviousPrice(newMiner.name);
+      if (oldMinerData) {
+        tempPreviousPrices[newMiner.name] = oldMinerData.price;
+        recordPrevious(changes.minerList.replaced, newMiner.name, oldMinerData);
+      } else {
+        delete tempPreviousPrices[newMiner.name]; // New miner, no previous price in this context
+        if (!changes.minerList.added.includes(newMiner.name)) changes.minerList.added.push(newMiner.name);
+      }
+      newSnapshotMiners.push(applySourceQuote({}, newMiner)); // Replace drops other vendors' quotes too
+    });
+    const retained = new Set(retainedNames);
+    state.miners.forEach((oldMiner, index) => {
+      if (uploadedEntries.some(nm => nm.name === oldMiner.name)) return;
+      if (retained.has(oldMiner.name)) newSnapshotMiners.push(oldMiner); // Removal deselected in the preview
+      else changes.minerList.removed.push({ index, miner: oldMiner });
+    });
+    currentMinersList = newSnapshotMiners;
+  } else if (strategy === 'merge') {
+    const merged = [...currentMinersList];
+    uploadedEntries.forEach(newMiner => {
+      const idx = merged.findIndex(m => m.name === newMiner.name);
+      recordPreviousPrice(newMiner.name);
+      if (idx >= 0) {
+        if (!changes.minerList.added.includes(newMiner.name)) recordPrevious(changes.minerList.replaced, newMiner.name, merged[idx]);
+        tempPreviousPrices[newMiner.name] = merged[idx].price; // Capture before overwrite
+        merged[idx] = applySourceQuote(merged[idx], newMiner); // Update existing, keeping other vendors' quotes
+      } else {
+        merged.push(applySourceQuote({}, newMiner)); // Add new
+        changes.minerList.added.push(newMiner.name);
+        delete tempPreviousPrices[newMiner.name];
+      }
+    });
+    currentMinersList = merged;
+  }
+  // Append: history-only backfill, so the current `miners` snapshot and `previousPrices` stay as they are
+
+  const record = {
+    id: typeof crypto !== "undefined" && crypto.randomUUID ? crypto.randomUUID() : `upload_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+    date, // The date the user specified for the data
+    timestamp: new Date().toISOString(), // Actual time of upload confirmation
+    fileName,
+    minerCount: uploadedEntries.length,
+    newMinerCount: countTrulyNewMiners, // Truly new to the system
+    updatedCount, // From preview
+    strategy,
+    source: sourceName,
+    excludedNames, // Names left out of the file in the preview; not missing from the vendor
+    changes, // What this upload changed; reversed by rollback
+  };
+  return {
+    state: {
+      miners: historyOnly ? state.miners : currentMinersList,
+      priceHistory: tempPriceHistory,
+      knownMiners: tempKnownMiners,
+      minerSpecs: historyOnly ? state.minerSpecs : tempMinerSpecs,
+      maxPrices: tempMaxPrices,
+      previousPrices: historyOnly ? state.previousPrices : tempPreviousPrices,
+    },
+    record,
+    uploadedEntries,
+    processedNames,
+    historyOnly,
+  };
+};
+
+// Rebuilds the parsed rows of a delta upload record from the entries it added
+const uploadEntriesFromRecord = (record) => record.changes.addedEntries.map(({ name, entry, algorithm, imageUrl }) => {
+  const replayed = { ...entry, name, uploadTimestamp: entry.timestamp, algorithm };
+  if (imageUrl) replayed.imageUrl = imageUrl;
+  return replayed;
+});
+
+// Miners an upload listed or removed, which rolling it back or replaying it rewrites. Records merged in from a backup
+// are never rebuilt, so they name none.
+export const uploadRecordNames = (record) => {
+  if (record.mergedFromBackup) return [];
+  if (!record.changes) return record.listedNames || [];
+  return [...record.changes.addedEntries.map(added => added.name), ...record.changes.minerList.removed.map(({ miner }) => miner.name)];
+};
+
+// Records from before rows kept their algorithm cannot be replayed without guessing it. Records merged in from a
+// backup are carried over as they are.
+export const isReplayableUpload = (record) => record.mergedFromBackup
+  || (Boolean(record.changes) && record.changes.addedEntries.every(added => "algorithm" in added));
+
+// Removes the upload at `skipIndex` without losing later ones: reverses state back to before it, then re-applies
+// every later upload from its recorded entries. Entries no longer in the current history (trimmed or aggregated by
+// the retention policy) are not brought back; such records keep every name they listed in `listedNames`. Replayed
+// records keep their id and upload time; their `changes` are regenerated against the new base.
+// Returns { state, uploadHistory }.
+export const replayUploadsWithout = (uploadHistoryList, skipIndex, currentState) => {
+  const later = uploadHistoryList.slice(skipIndex + 1);
+  const notReplayable = later.find(record => !isReplayableUpload(record));
+  if (notReplayable) throw new Error(`Upload "${notReplayable.fileName}" has no recorded entries to replay.`);
+  const currentIds = new Map();
+  const isCurrent = (entry) => {
+    if (!currentIds.has(entry.name)) {
+      currentIds.set(entry.name, new Set((currentState.priceHistory[entry.name]?.intraday || []).map(e => e.uploadId)));
+    }
+    return currentIds.get(entry.name).has(entry.uploadId);
+  };
+
+  let state = rebuildStateBeforeUpload(uploadHistoryList, skipIndex, currentState);
+  const replayedAt = new Date().toISOString();
+  const replayed = later.map(record => {
+    if (record.mergedFromBackup) return record;
+    const recorded = uploadEntriesFromRecord(record);
+    const entries = recorded.filter(isCurrent);
+    const entryNames = new Set(entries.map(entry => entry.name));
+    const removedNames = new Set(record.changes.minerList.removed.map(({ miner }) => miner.name));
+    // Replace uploads only dropped the miners they recorded as removed; anything else was deselected and stays
+    const retainedNames = record.strategy === 'replace'
+      ? state.miners.map(m => m.name).filter(name => !entryNames.has(name) && !removedNames.has(name))
+      : [];
+    const result = applyUploadToState(state, entries, {
+      fileName: record.fileName, strategy: record.strategy, date: record.date, source: record.source, updatedCount: record.updatedCount, retainedNames,
+      excludedNames: record.excludedNames || [],
+    });
+    state = result.state;
+    const replayedRecord = { ...result.record, id: record.id, timestamp: record.timestamp, replayedAt };
+    if (entries.length < recorded.length) replayedRecord.listedNames = [...new Set(recorded.map(entry => entry.name))];
+    return replayedRecord;
+  });
+  return { state, uploadHistory: [...uploadHistoryList.slice(0, skipIndex), ...replayed] };
+};
@@ -0,0 +1,156 @@
+import { applyUploadToState, isReplayableUpload, rebuildStateBeforeUpload, replayUploadsWithout, uploadRecordNames } from "./uploadDeltas";
+import { DEFAULT_RETENTION_POLICY, applyRetentionPolicy } from "./retention";
+
+const emptyState = () => ({ miners: [], priceHistory: {}, knownMiners: new Set(), minerSpecs: {}, maxPrices: {}, previousPrices: {} });
+const row = (name, price, date, overrides = {}) => ({
+  name, price, date, hashrate: 100, powerConsumption: 3000, efficiency: 30, dailyEarnings: 5, algorithm: "SHA-256",
+  uploadTimestamp: `${date}T12:00:00.000Z`, uploadId: `${name}_${date}`, ...overrides,
+});
+
+// Applies uploads in order, returning the final state and the upload records
+const runUploads = (uploads, state = emptyState()) => uploads.reduce(({ state: current, history }, { rows, strategy = "merge", date, source = "", retainedNames }) => {
+  const result = applyUploadToState(current, rows, { fileName: `${date}.csv`, strategy, date, source, retainedNames });
+  return { state: result.state, history: [...history, result.record] };
+}, { state, history: [] });
+
+const comparable = (state) => ({
+  miners: state.miners.map(m => [m.name, m.price]),
+  history: Object.fromEntries(Object.entries(state.priceHistory).map(([name, h]) => [name, h.intraday.map(e => e.price)])),
+  knownMiners: [...state.knownMiners].sort(),
+  minerSpecs: state.minerSpecs,
+  maxPrices: state.maxPrices,
+  previousPrices: state.previousPrices,
+});
+
+const first = { rows: [row("A", 100, "2025-01-01"), row("B", 200, "2025-01-01")], date: "2025-01-01" };
+const bad = { rows: [row("A", 9999, "2025-01-02", { powerConsumption: 1 })], date: "2025-01-02" };
+const later = { rows: [row("A", 110, "2025-01-03"), row("C", 300, "2025-01-03")], strategy: "replace", date: "2025-01-03" };
+
+describe("applyUploadToState", () => {
+  test("merge records history, specs, max and previous prices", () => {
+    const { state, history } = runUploads([first, { rows: [row("A", 90, "2025-01-02")], date: "2025-01-02" }]);
+    expect(comparable(state)).toMatchObject({
+      miners: [["A", 90], ["B", 200]],
+      history: { A: [100, 90], B: [200] },
+      maxPrices: { A: 100, B: 200 },
+      previousPrices: { A: 100 },
+    });
+    expect(state.priceHistory.A.daily).toHaveLength(2);
+    expect(history[1]).toMatchObject({ strategy: "merge", minerCount: 1, newMinerCount: 0, source: "Unspecified" });
+  });
+
+  test("replace drops unlisted miners unless they are retained", () => {
+    expect(runUploads([first, later]).state.miners.map(m => m.name)).toEqual(["A", "C"]);
+    expect(runUploads([first, { ...later, retainedNames: ["B"] }]).state.miners.map(m => m.name)).toEqual(["A", "C", "B"]);
+  });
+
+  test("append only backfills history", () => {
+    const { state: before } = runUploads([first]);
+    const { state } = runUploads([{ rows: [row("A", 50, "2024-12-01"), row("D", 70, "2024-12-01")], strategy: "append", date: "2024-12-01" }], before);
+    expect(state.miners).toBe(before.miners);
+    expect(state.minerSpecs).toBe(before.minerSpecs);
+    expect(state.previousPrices).toBe(before.previousPrices);
+    expect(state.priceHistory.A.intraday.map(e => e.price)).toEqual([50, 100]);
+    expect(state.knownMiners.has("D")).toBe(true);
+  });
+
+  test("records deselected names on the upload", () => {
+    const result = applyUploadToState(emptyState(), first.rows, { fileName: "f.csv", strategy: "merge", date: first.date, excludedNames: ["C"] });
+    expect(result.record.excludedNames).toEqual(["C"]);
+  });
+
+  test("does not mutate the input state", () => {
+    const { state: before } = runUploads([first]);
+    const snapshot = JSON.stringify(comparable(before));
+    runUploads([later], before);
+    expect(JSON.stringify(comparable(before))).toBe(snapshot);
+  });
+});
+
+describe("rebuildStateBeforeUpload", () => {
+  test("reversing uploads restores each earlier state exactly", () => {
+    const { state: afterFirst } = runUploads([first]);
+    const { state, history } = runUploads([first, bad, later]);
+    expect(comparable(rebuildStateBeforeUpload(history, 1, state))).toEqual(comparable(afterFirst));
+    expect(comparable(rebuildStateBeforeUpload(history, 0, state))).toEqual(comparable(emptyState()));
+  });
+
+  test("legacy snapshot records are restored as-is and trimmed records refuse", () => {
+    const snapshot = { miners: [{ name: "Z", price: 1 }], priceHistory: {}, knownMiners: ["Z"], minerSpecs: {}, maxPrices: {}, previousPrices: {} };
+    const restored = rebuildStateBeforeUpload([{ snapshot }], 0, emptyState());
+    expect(restored.miners).toEqual(snapshot.miners);
+    expect(restored.knownMiners).toEqual(new Set(["Z"]));
+    expect(() => rebuildStateBeforeUpload([{ fileName: "old.csv" }], 0, emptyState())).toThrow('"old.csv" has no rollback data');
+  });
+});
+
+describe("replayUploadsWithout", () => {
+  test("removing a middle upload matches never having uploaded it", () => {
+    const { state, history } = runUploads([first, bad, later]);
+    const replayed = replayUploadsWithout(history, 1, state);
+    expect(comparable(replayed.state)).toEqual(comparable(runUploads([first, later]).state));
+    expect(replayed.uploadHistory.map(record => record.id)).toEqual([history[0].id, history[2].id]);
+    expect(replayed.uploadHistory[1].timestamp).toBe(history[2].timestamp);
+    expect(replayed.uploadHistory[1].replayedAt).toBeTruthy();
+  });
+
+  test("replays algorithm and image from the record, not the live data", () => {
+    const withImage = { rows: [row("A", 120, "2025-01-04", { algorithm: "SHA-256d", imageUrl: "a.png" })], date: "2025-01-04" };
+    const { state, history } = runUploads([first, bad, withImage]);
+    const edited = { ...state, miners: state.miners.map(m => ({ ...m, algorithm: "edited", imageUrl: "edited.png" })) };
+    const replayed = replayUploadsWithout(history, 1, edited);
+    expect(replayed.state.miners.find(m => m.name === "A")).toMatchObject({ algorithm: "SHA-256d", imageUrl: "a.png" });
+    expect(replayed.uploadHistory[1].changes.addedEntries[0]).toMatchObject({ algorithm: "SHA-256d", imageUrl: "a.png" });
+  });
+
+  test("refuses records that did not keep the row algorithm", () => {
+    const { state, history } = runUploads([first, bad, later]);
+    const trimmed = { ...history[2], changes: { ...history[2].changes, addedEntries: history[2].changes.addedEntries.map(({ name, entry }) => ({ name, entry })) } };
+    expect(isReplayableUpload(history[2])).toBe(true);
+    expect(isReplayableUpload(trimmed)).toBe(false);
+    expect(() => replayUploadsWithout([history[0], history[1], trimmed], 1, state)).toThrow("no recorded entries to replay");
+  });
+
+  test("passes over records merged in from a backup", () => {
+    const { state, history } = runUploads([first, bad, later]);
+    const merged = { id: "backup1", fileName: "backup.csv", mergedFromBackup: true, listedNames: ["Z"] };
+    const withMerged = [history[0], history[1], merged, history[2]];
+    expect(comparable(rebuildStateBeforeUpload(withMerged, 1, state))).toEqual(comparable(runUploads([first]).state));
+    const replayed = replayUploadsWithout(withMerged, 1, state);
+    expect(comparable(replayed.state)).toEqual(comparable(runUploads([first, later]).state));
+    expect(replayed.uploadHistory[1]).toBe(merged);
+  });
+
+  test("does not bring back rows the retention policy trimmed or aggregated", () => {
+    const week = ["2025-01-07", "2025-01-08", "2025-01-09"].map(date => ({ rows: [row("A", 100, date), row("B", 200, date)], date }));
+    const recent = { rows: [row("A", 95, "2025-02-28")], date: "2025-02-28" };
+    const { state, history } = runUploads([first, bad, ...week, recent]);
+    const policy = { ...DEFAULT_RETENTION_POLICY, intradayDays: 7, aggregateInterval: "weekly", aggregateAfterDays: 7 };
+    const retained = applyRetentionPolicy(state.priceHistory, history, policy, new Date("2025-03-01T00:00:00.000Z"));
+    expect(retained.priceHistory.A.intraday.map(e => Boolean(e.aggregate))).toEqual([true, true, false]);
+
+    const replayed = replayUploadsWithout(retained.uploadHistory, 1, { ...state, priceHistory: retained.priceHistory });
+
+    expect(replayed.state.priceHistory.A.intraday).toEqual(retained.priceHistory.A.intraday);
+    expect(replayed.state.priceHistory.B.intraday).toEqual(retained.priceHistory.B.intraday);
+    const [, replayedWeek, , , replayedRecent] = replayed.uploadHistory;
+    expect(replayedWeek.changes.addedEntries).toEqual([]);
+    expect(replayedWeek.listedNames).toEqual(["A", "B"]);
+    expect(replayedRecent.changes.addedEntries.map(added => added.entry.price)).toEqual([95]);
+    expect(replayedRecent.listedNames).toBeUndefined();
+  });
+
+  test("refuses when a later upload has no recorded changes", () => {
+    const { state, history } = runUploads([first, bad, later]);
+    const { changes, ...legacy } = history[2];
+    expect(() => replayUploadsWithout([history[0], history[1], legacy], 1, state)).toThrow("no recorded entries to replay");
+  });
+});
+
+test("uploadRecordNames lists the miners an upload listed or removed", () => {
+  const { history } = runUploads([first, later]);
+  expect(uploadRecordNames(history[0])).toEqual(["A", "B"]);
+  expect(uploadRecordNames(history[1])).toEqual(["A", "C", "B"]);
+  expect(uploadRecordNames({ id: "old", listedNames: ["D"] })).toEqual(["D"]);
+  expect(uploadRecordNames({ id: "backup1", mergedFromBackup: true, listedNames: ["Z"] })).toEqual([]);
+});